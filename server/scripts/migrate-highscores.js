@@ -0,0 +1,49 @@
+// Copy everything the JSON store holds into the SQLite store.
+//
+// Usage:
+//   node scripts/migrate-highscores.js [--from data/highscores.json] [--to data/highscores.db]
+//
+// Safe to run more than once: data already in the database is skipped.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { JsonHighScoreStore } from '../src/storage/JsonHighScoreStore.js';
+import { SqliteHighScoreStore } from '../src/storage/SqliteHighScoreStore.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const dataPath = path.join(__dirname, '..', 'data');
+
+function getArg(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? path.resolve(process.argv[index + 1]) : fallback;
+}
+
+async function migrate() {
+    const from = getArg('from', path.join(dataPath, 'highscores.json'));
+    const to = getArg('to', path.join(dataPath, 'highscores.db'));
+
+    console.log(`Migrating high scores from ${from} to ${to}`);
+
+    const source = new JsonHighScoreStore({ filePath: from });
+    const target = new SqliteHighScoreStore({ filePath: to });
+
+    await source.load();
+    await target.load();
+
+    try {
+        const data = await source.exportData();
+        const imported = await target.importData(data);
+        console.log(`Imported ${imported.scores} of ${data.scores.length} scores (${data.scores.length - imported.scores} already present)`);
+        console.log(`Imported ${imported.periodScores} daily/weekly board scores`);
+        console.log(`Imported ${imported.ghosts} of ${data.ghosts.length} ghosts`);
+        console.log(`Imported ${imported.championships} of ${data.championships.length} championships`);
+    } finally {
+        await target.close();
+    }
+}
+
+migrate().catch(error => {
+    console.error('High score migration failed:', error.message);
+    process.exit(1);
+});
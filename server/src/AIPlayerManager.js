@@ -1,4 +1,5 @@
 import { v4 as uuidv4 } from 'uuid';
+import { CAR_SPECS, DEFAULT_CAR_TYPE, getCarSpec } from 'racingcart-shared/constants/CarSpecs.js';
 
 export class AIPlayerManager {
     constructor(roomManager) {
@@ -11,8 +12,8 @@ export class AIPlayerManager {
             'Viper', 'Striker', 'Drift', 'Apex', 'Rush'
         ];
         this.updateIntervalId = null;
-        this.trajectories = this.generateTrajectories();
-        this.carTypes = ['classic', 'tesla', 'f1'];
+        this.trajectories = new Map(); // trackId -> lanes around that track
+        this.carTypes = Object.keys(CAR_SPECS);
         this.difficulties = ['easy', 'medium', 'hard'];
         
         console.log(`[${new Date().toISOString()}] AIPlayerManager initialized`);
@@ -35,30 +36,38 @@ export class AIPlayerManager {
         }
     }
     
-    // Generate predefined trajectories around the track
-    generateTrajectories() {
-        // Simple circular track trajectory
-        const trackRadius = 20; // Same as server track radius
-        const points = 24; // Number of points around the track
+    // Get the lanes around the track a room is racing on
+    getTrajectories(roomId) {
+        const track = this.roomManager.getTrack(roomId);
+        if (!this.trajectories.has(track.id)) {
+            this.trajectories.set(track.id, this.generateTrajectories(track));
+        }
+        return this.trajectories.get(track.id);
+    }
+    
+    // Generate trajectories that follow a track's centerline
+    generateTrajectories(track) {
+        // Roughly one point every 10m so the AI follows the corners
+        const points = Math.max(24, Math.ceil(track.length / 10));
         
         const trajectories = [];
         
-        // Generate 3 trajectories at different radii (inner, middle, outer lanes)
-        const radiusOffsets = [-2, 0, 2]; // Relative to track radius
+        // Generate 3 trajectories across the road (left, middle, right lanes)
+        const laneOffsets = [-0.25, 0, 0.25]; // Fraction of the road width
         
-        radiusOffsets.forEach((offset, laneIndex) => {
+        laneOffsets.forEach((laneOffset, laneIndex) => {
             const trajectory = [];
-            const radius = trackRadius + offset;
             
             for (let i = 0; i < points; i++) {
-                const angle = (i / points) * Math.PI * 2;
+                const u = i / points;
+                const point = track.getOffsetPointAt(u, track.getWidthAt(u) * laneOffset);
                 trajectory.push({
                     position: {
-                        x: Math.cos(angle) * radius,
-                        y: 1,
-                        z: Math.sin(angle) * radius
+                        x: point.x,
+                        y: point.y + 1,
+                        z: point.z
                     },
-                    rotation: angle + Math.PI / 2, // Tangent to circle
+                    rotation: Math.atan2(point.tangentX, point.tangentZ), // Facing along the track
                     index: i
                 });
             }
@@ -69,7 +78,7 @@ export class AIPlayerManager {
             });
         });
         
-        console.log(`[${new Date().toISOString()}] Generated ${trajectories.length} AI trajectories`);
+        console.log(`[${new Date().toISOString()}] Generated ${trajectories.length} AI trajectories for track ${track.id}`);
         return trajectories;
     }
     
@@ -83,12 +92,17 @@ export class AIPlayerManager {
         // Generate unique ID for AI player (prefix with 'ai-' to distinguish from human players)
         const aiId = `ai-${uuidv4()}`;
         
-        // Determine trajectory (lane)
-        const trajectoryIndex = options.trajectoryIndex || Math.floor(Math.random() * this.trajectories.length);
-        const trajectory = this.trajectories[trajectoryIndex];
-        
-        // Determine starting position (random point on trajectory)
-        const startPointIndex = options.startPointIndex || Math.floor(Math.random() * trajectory.points.length);
+        // Determine trajectory (lane) on the room's track
+        const trajectories = this.getTrajectories(roomId);
+        const trajectoryIndex = options.trajectoryIndex !== undefined
+            ? options.trajectoryIndex % trajectories.length
+            : Math.floor(Math.random() * trajectories.length);
+        const trajectory = trajectories[trajectoryIndex];
+        
+        // Determine starting position (random point on trajectory, 0 is the start line)
+        const startPointIndex = options.startPointIndex !== undefined
+            ? options.startPointIndex
+            : Math.floor(Math.random() * trajectory.points.length);
         const startPoint = trajectory.points[startPointIndex];
         
         // Generate name if not provided
@@ -117,20 +131,22 @@ export class AIPlayerManager {
             position: { ...startPoint.position },
             rotation: startPoint.rotation,
             speed: 0,
-            maxSpeed: this.getDifficultySpeed(difficulty),
+            maxSpeed: this.getTopSpeed(difficulty, carType),
             targetSpeed: 0,
             lastUpdate: Date.now(),
             created: Date.now(),
+            startTime: options.startTime || null, // Waits on the grid until then (race start)
             color: this.getRandomColor(),
             lapCount: 0,
-            items: []
+            lapTimes: [],
+            lapStartTime: options.startTime || Date.now()
         };
         
         // Store AI player
         this.aiPlayers.set(aiId, aiPlayer);
         
         // Register AI player with room manager
-        this.roomManager.addAIPlayerToRoom(roomId, aiId, name);
+        this.roomManager.addAIPlayerToRoom(roomId, aiId, name, carType);
         
         console.log(`[${new Date().toISOString()}] Created AI player "${name}" in room ${roomId} (ID: ${aiId})`);
         
@@ -151,7 +167,7 @@ export class AIPlayerManager {
         }
         
         // Remove from room
-        this.roomManager.removePlayerFromRoom(aiPlayer.room, aiId);
+        this.roomManager.removeAIPlayerFromRoom(aiPlayer.room, aiId);
         
         // Remove from AI players map
         this.aiPlayers.delete(aiId);
@@ -203,6 +219,12 @@ export class AIPlayerManager {
         const deltaTime = (now - aiPlayer.lastUpdate) / 1000; // in seconds
         aiPlayer.lastUpdate = now;
         
+        // Hold on the grid until the race starts
+        if (aiPlayer.startTime && now < aiPlayer.startTime) {
+            this.broadcastAIUpdate(aiPlayer);
+            return;
+        }
+        
         // Get current and next trajectory points
         const currentPoint = aiPlayer.trajectory.points[aiPlayer.trajectory.currentIndex];
         const nextPoint = aiPlayer.trajectory.points[aiPlayer.trajectory.nextIndex];
@@ -223,9 +245,9 @@ export class AIPlayerManager {
         };
         
         // Set target speed based on difficulty and distance to next point
-        // Slow down for sharper turns
-        const dotProduct = normalizedDirection.x * Math.cos(aiPlayer.rotation) + 
-                          normalizedDirection.z * Math.sin(aiPlayer.rotation);
+        // Slow down for sharper turns (rotation uses the client's convention: direction = (sin, cos))
+        const dotProduct = normalizedDirection.x * Math.sin(aiPlayer.rotation) + 
+                          normalizedDirection.z * Math.cos(aiPlayer.rotation);
         const turnSharpness = 1 - Math.abs(dotProduct);
         
         // Adjust speed based on turn sharpness
@@ -233,7 +255,7 @@ export class AIPlayerManager {
         
         // Accelerate or decelerate
         if (aiPlayer.speed < aiPlayer.targetSpeed) {
-            aiPlayer.speed += 5 * deltaTime; // Accelerate
+            aiPlayer.speed += this.getAcceleration(aiPlayer.carType) * deltaTime; // Accelerate
             if (aiPlayer.speed > aiPlayer.targetSpeed) {
                 aiPlayer.speed = aiPlayer.targetSpeed;
             }
@@ -247,15 +269,21 @@ export class AIPlayerManager {
         // Calculate new position based on speed and direction
         const moveDistance = aiPlayer.speed * deltaTime;
         
-        // Move towards next point
-        aiPlayer.position.x += normalizedDirection.x * moveDistance;
-        aiPlayer.position.z += normalizedDirection.z * moveDistance;
+        // Move towards next point, stopping on it rather than overshooting
+        if (moveDistance >= distance) {
+            aiPlayer.position.x = nextPoint.position.x;
+            aiPlayer.position.z = nextPoint.position.z;
+        } else {
+            aiPlayer.position.x += normalizedDirection.x * moveDistance;
+            aiPlayer.position.z += normalizedDirection.z * moveDistance;
+        }
+        aiPlayer.position.y = nextPoint.position.y;
         
         // Calculate new rotation (face direction of movement)
-        aiPlayer.rotation = Math.atan2(normalizedDirection.z, normalizedDirection.x) + Math.PI / 2;
+        aiPlayer.rotation = Math.atan2(normalizedDirection.x, normalizedDirection.z);
         
         // Check if we've reached the next point
-        if (distance < 1) {
+        if (distance < 1 || moveDistance >= distance) {
             // Move to next point
             aiPlayer.trajectory.currentIndex = aiPlayer.trajectory.nextIndex;
             aiPlayer.trajectory.nextIndex = (aiPlayer.trajectory.nextIndex + 1) % aiPlayer.trajectory.points.length;
@@ -263,6 +291,8 @@ export class AIPlayerManager {
             // Count laps
             if (aiPlayer.trajectory.currentIndex === 0) {
                 aiPlayer.lapCount++;
+                aiPlayer.lapTimes.push((now - aiPlayer.lapStartTime) / 1000);
+                aiPlayer.lapStartTime = now;
                 console.log(`[${new Date().toISOString()}] AI player ${aiPlayer.name} completed lap ${aiPlayer.lapCount}`);
             }
         }
@@ -274,6 +304,26 @@ export class AIPlayerManager {
         this.simulateItemPickups(aiPlayer, now);
     }
     
+    // Race progress of the room's AI players, for the live standings
+    getRaceProgress(roomId) {
+        const track = this.roomManager.getTrack(roomId);
+
+        return Array.from(this.aiPlayers.values())
+            .filter(aiPlayer => aiPlayer.room === roomId)
+            .map(aiPlayer => {
+                // Trajectory points are evenly spaced along the lap
+                const u = aiPlayer.trajectory.currentIndex / aiPlayer.trajectory.points.length;
+                return {
+                    id: aiPlayer.id,
+                    name: aiPlayer.name,
+                    lap: aiPlayer.lapCount,
+                    checkpoint: track.checkpoints.filter(checkpointU => checkpointU <= u).length - 1,
+                    lapTimes: aiPlayer.lapTimes,
+                    position: aiPlayer.position
+                };
+            });
+    }
+
     // Broadcast AI player update to all players in the room
     broadcastAIUpdate(aiPlayer) {
         if (!this.roomManager.io) return;
@@ -293,7 +343,7 @@ export class AIPlayerManager {
         
         // Get items in the room
         const itemManager = this.roomManager.roomItemManagers.get(aiPlayer.room);
-        if (!itemManager) return;
+        if (!itemManager || itemManager.heldItems.has(aiPlayer.id)) return;
         
         const items = itemManager.getAllItems();
         
@@ -303,63 +353,54 @@ export class AIPlayerManager {
             const dz = item.position.z - aiPlayer.position.z;
             const distance = Math.sqrt(dx * dx + dz * dz);
             
-            // If item is close enough, collect it
+            // If item is close enough, collect it (the room manager tells the players)
             if (distance < 2) {
-                const collectedItem = itemManager.collectItem(item.id);
-                if (collectedItem) {
-                    // Add item to AI inventory
-                    aiPlayer.items.push(collectedItem.type);
-                    
-                    // Broadcast item collection
-                    this.roomManager.io.to(aiPlayer.room).emit('item-collected', {
-                        itemId: item.id,
-                        collectedBy: aiPlayer.id
-                    });
-                    
-                    console.log(`[${new Date().toISOString()}] AI player ${aiPlayer.name} collected ${collectedItem.type}`);
-                    
-                    // Occasionally use the item
-                    if (Math.random() > 0.5) {
-                        setTimeout(() => this.useAIItem(aiPlayer), 1000 + Math.random() * 3000);
-                    }
-                    
-                    break; // Only collect one item at a time
+                let collectedItem;
+                try {
+                    collectedItem = this.roomManager.collectItem(aiPlayer.room, item.id, aiPlayer.id);
+                } catch (error) {
+                    continue;
+                }
+                
+                console.log(`[${new Date().toISOString()}] AI player ${aiPlayer.name} collected ${collectedItem.type}`);
+                
+                if (collectedItem.type === 'speedBoost') {
+                    this.applySpeedBoost(aiPlayer);
+                } else {
+                    setTimeout(() => this.useAIItem(aiPlayer), 1000 + Math.random() * 3000);
                 }
+                
+                break; // Only collect one item at a time
             }
         }
     }
     
-    // Simulate AI player using an item
+    // Simulate AI player throwing its banana or shell (the server moves it and decides hits)
     useAIItem(aiPlayer) {
-        if (aiPlayer.items.length === 0) return;
-        
-        // Get the first item
-        const itemType = aiPlayer.items.shift();
-        
-        if (itemType === 'banana') {
-            // Simulate throwing banana
-            this.roomManager.io.to(aiPlayer.room).emit('banana-thrown', {
-                position: { ...aiPlayer.position },
-                rotation: aiPlayer.rotation,
-                velocity: { x: 0, y: 0, z: -10 }, // Throw backward
-                throwerId: aiPlayer.id,
-                timestamp: Date.now()
+        if (!this.aiPlayers.has(aiPlayer.id)) return;
+        
+        try {
+            const projectile = this.roomManager.useItem(aiPlayer.room, aiPlayer.id, {
+                x: Math.sin(aiPlayer.rotation),
+                z: Math.cos(aiPlayer.rotation)
             });
-            
-            console.log(`[${new Date().toISOString()}] AI player ${aiPlayer.name} threw a banana`);
-        } else if (itemType === 'speedBoost') {
-            // Simulate speed boost (no broadcast needed, just increase speed)
-            aiPlayer.maxSpeed *= 1.5;
-            
-            // Reset speed boost after a few seconds
-            setTimeout(() => {
-                aiPlayer.maxSpeed = this.getDifficultySpeed(aiPlayer.difficulty);
-            }, 3000);
-            
-            console.log(`[${new Date().toISOString()}] AI player ${aiPlayer.name} used speed boost`);
+            console.log(`[${new Date().toISOString()}] AI player ${aiPlayer.name} threw a ${projectile.type}`);
+        } catch (error) {
+            console.log(`[${new Date().toISOString()}] AI player ${aiPlayer.name} could not use its item: ${error.message}`);
         }
     }
     
+    applySpeedBoost(aiPlayer) {
+        aiPlayer.maxSpeed *= getCarSpec(aiPlayer.carType).boostMultiplier;
+        
+        // Reset speed boost after a few seconds
+        setTimeout(() => {
+            aiPlayer.maxSpeed = this.getTopSpeed(aiPlayer.difficulty, aiPlayer.carType);
+        }, 3000);
+        
+        console.log(`[${new Date().toISOString()}] AI player ${aiPlayer.name} used speed boost`);
+    }
+    
     // Get a random unused AI name
     getRandomAIName() {
         // Get all used names
@@ -377,6 +418,18 @@ export class AIPlayerManager {
         return availableNames[Math.floor(Math.random() * availableNames.length)];
     }
     
+    // Top speed of an AI player: set by its difficulty for the classic car, scaled for other cars
+    getTopSpeed(difficulty, carType) {
+        const spec = getCarSpec(carType);
+        return this.getDifficultySpeed(difficulty) * spec.topSpeed / CAR_SPECS[DEFAULT_CAR_TYPE].topSpeed;
+    }
+    
+    // Acceleration of an AI player, relative to the classic car's
+    getAcceleration(carType) {
+        const spec = getCarSpec(carType);
+        return 5 * spec.acceleration / CAR_SPECS[DEFAULT_CAR_TYPE].acceleration;
+    }
+    
     // Get max speed based on difficulty
     getDifficultySpeed(difficulty) {
         switch(difficulty) {
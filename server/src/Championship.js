@@ -0,0 +1,194 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Points for P1, P2, ...; everyone further back (and anyone who didn't finish) scores nothing
+export const DEFAULT_CHAMPIONSHIP_POINTS = [10, 8, 6, 5, 4, 3, 2, 1];
+
+const MAX_NAME_LENGTH = 40;
+
+/**
+ * A championship: a series of room races, one per track, scored with a
+ * points table.
+ *
+ * Only the results of each round are kept; the standings are added up from
+ * them. Racers are keyed by name, so a player who reconnects or comes back
+ * for the next round under a new socket keeps their points.
+ *
+ * Standings are ordered by points, then by wins, then by best finishes
+ * (most second places, and so on).
+ */
+export class Championship {
+    /**
+     * @param {Object} options
+     * @param {string} options.id - Championship ID (generated if not given)
+     * @param {string} options.name - Name shown to players
+     * @param {string} options.roomId - Room the championship is raced in
+     * @param {string[]} options.trackIds - Track of each round, in order
+     * @param {number[]} options.points - Points for P1, P2, ...
+     * @param {Array<Object>} options.rounds - Results of the rounds raced so far
+     * @param {number} options.created - Creation time (ms since epoch)
+     */
+    constructor({ id = null, name = null, roomId = null, trackIds, points = DEFAULT_CHAMPIONSHIP_POINTS, rounds = [], created = Date.now() }) {
+        if (!Array.isArray(trackIds) || trackIds.length === 0) {
+            throw new Error('A championship needs at least one track');
+        }
+
+        this.id = id || `cup-${uuidv4()}`;
+        this.name = String(name || '').trim().slice(0, MAX_NAME_LENGTH) || 'Championship';
+        this.roomId = roomId;
+        this.trackIds = [...trackIds];
+        this.points = normalizePoints(points);
+        this.rounds = rounds;
+        this.created = created;
+    }
+
+    /**
+     * Restore a championship saved with toJSON()
+     * @param {Object} data - Saved championship
+     * @returns {Championship}
+     */
+    static fromJSON(data) {
+        return new Championship(data);
+    }
+
+    isFinished() {
+        return this.rounds.length >= this.trackIds.length;
+    }
+
+    /**
+     * Track of the next round to race
+     * @returns {string|null} Track ID, or null once every round is raced
+     */
+    getCurrentTrackId() {
+        return this.isFinished() ? null : this.trackIds[this.rounds.length];
+    }
+
+    getPointsFor(position) {
+        return this.points[position - 1] || 0;
+    }
+
+    /**
+     * Score a race of the championship
+     * @param {Array<Object>} results - Finishing order of the race (see RaceStateMachine.finish)
+     * @returns {Object} The round: { round, trackId, completed, results: [{ position, name, isAI, finished, points }] }
+     */
+    recordRound(results) {
+        if (this.isFinished()) {
+            throw new Error('The championship is over');
+        }
+
+        const round = {
+            round: this.rounds.length + 1,
+            trackId: this.getCurrentTrackId(),
+            completed: Date.now(),
+            results: results.map(result => ({
+                position: result.position,
+                name: result.name,
+                isAI: !!result.isAI,
+                finished: !!result.finished,
+                points: result.finished ? this.getPointsFor(result.position) : 0
+            }))
+        };
+        this.rounds.push(round);
+        return round;
+    }
+
+    /**
+     * Points table over every round raced so far
+     * @returns {Array<Object>} { position, name, isAI, points, wins, rounds: [points per round] }, leader first
+     */
+    getStandings() {
+        const drivers = new Map();
+        this.rounds.forEach((round, index) => {
+            round.results.forEach(result => {
+                if (!drivers.has(result.name)) {
+                    drivers.set(result.name, {
+                        name: result.name,
+                        isAI: result.isAI,
+                        points: 0,
+                        wins: 0,
+                        finishes: [],
+                        rounds: new Array(this.rounds.length).fill(null)
+                    });
+                }
+
+                const driver = drivers.get(result.name);
+                driver.points += result.points;
+                driver.rounds[index] = result.points;
+                if (result.finished) {
+                    driver.finishes.push(result.position);
+                    if (result.position === 1) driver.wins++;
+                }
+            });
+        });
+
+        return Array.from(drivers.values())
+            .sort((a, b) => b.points - a.points || compareFinishes(a.finishes, b.finishes))
+            .map((driver, index) => ({
+                position: index + 1,
+                name: driver.name,
+                isAI: driver.isAI,
+                points: driver.points,
+                wins: driver.wins,
+                rounds: driver.rounds
+            }));
+    }
+
+    /**
+     * Everything clients show between rounds
+     */
+    getState() {
+        return {
+            id: this.id,
+            name: this.name,
+            roomId: this.roomId,
+            trackIds: this.trackIds,
+            points: this.points,
+            round: this.rounds.length,
+            totalRounds: this.trackIds.length,
+            nextTrackId: this.getCurrentTrackId(),
+            finished: this.isFinished(),
+            lastRound: this.rounds[this.rounds.length - 1] || null,
+            standings: this.getStandings()
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            roomId: this.roomId,
+            trackIds: this.trackIds,
+            points: this.points,
+            rounds: this.rounds,
+            created: this.created
+        };
+    }
+}
+
+/**
+ * Keep a points table to non-negative whole numbers
+ * @param {number[]} points - Requested points for P1, P2, ...
+ * @returns {number[]} The table, or the default one if nothing usable was given
+ */
+function normalizePoints(points) {
+    if (!Array.isArray(points)) return [...DEFAULT_CHAMPIONSHIP_POINTS];
+
+    const table = points
+        .map(Number)
+        .filter(Number.isFinite)
+        .map(value => Math.max(0, Math.round(value)));
+    return table.length > 0 ? table : [...DEFAULT_CHAMPIONSHIP_POINTS];
+}
+
+/**
+ * Break a tie on points: more wins first, then more second places, and so on
+ */
+function compareFinishes(a, b) {
+    const countAt = (finishes, position) => finishes.filter(finish => finish === position).length;
+    const lastPosition = Math.max(0, ...a, ...b);
+    for (let position = 1; position <= lastPosition; position++) {
+        const difference = countAt(b, position) - countAt(a, position);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+}
@@ -3,6 +3,9 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import crypto from 'crypto';
+import { LapValidator } from './LapValidator.js';
+import { createHighScoreStore } from './storage/createHighScoreStore.js';
+import { LEADERBOARD_PERIODS } from './storage/HighScoreStore.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -10,100 +13,108 @@ const __dirname = dirname(__filename);
 // Client secret from environment variables
 const CLIENT_SECRET = process.env.CLIENT_SECRET || 'rc23';
 
+const ALL_TIME = 'alltime';
+
 /**
  * Manages the high score system with session-based validation
  */
 export class HighScoreManager {
-    constructor() {
-        this.dataPath = path.join(__dirname, '..', 'data');
-        this.highScoresPath = path.join(this.dataPath, 'highscores.json');
+    constructor(options = {}) {
+        this.dataPath = options.dataPath || path.join(__dirname, '..', 'data');
         
         // Create data directory if it doesn't exist
         if (!fs.existsSync(this.dataPath)) {
             fs.mkdirSync(this.dataPath, { recursive: true });
         }
         
-        // Initialize high scores
-        this.highScores = this.loadHighScores();
+        // Storage backend (JSON file or SQLite, chosen by HIGHSCORE_STORE)
+        this.store = options.store || createHighScoreStore({ dataPath: this.dataPath });
+        this.ready = this.store.load().then(() => this.checkPeriodResets());
+        
+        // Reset daily/weekly boards when their window ends
+        this.setupResetTimer();
         
         // Rate limiting for score submissions (IP-based)
         this.submitLimiter = {};
+        
+        // Replays lap telemetry against track geometry
+        this.lapValidator = new LapValidator(options.trackRegistry);
     }
     
     /**
-     * Load high scores from disk
+     * Set up timer to reset period boards at midnight (daily) and Monday midnight (weekly)
      */
-    loadHighScores() {
-        try {
-            if (fs.existsSync(this.highScoresPath)) {
-                const data = fs.readFileSync(this.highScoresPath, 'utf8');
-                return JSON.parse(data);
+    setupResetTimer() {
+        const resetPeriods = () => {
+            this.ready
+                .then(() => this.checkPeriodResets())
+                .catch(error => console.error('Error resetting period high scores:', error));
+        };
+
+        // Check for reset every minute
+        this.resetTimer = setInterval(resetPeriods, 60000);
+    }
+    
+    /**
+     * Stop the reset timer and close the store
+     */
+    async close() {
+        clearInterval(this.resetTimer);
+        this.resetTimer = null;
+        await this.store.close();
+    }
+    
+    /**
+     * Reset any period board whose window has ended (also catches resets missed while offline)
+     */
+    async checkPeriodResets() {
+        for (const period of LEADERBOARD_PERIODS) {
+            const currentKey = this.getPeriodKey(period);
+            const storedKey = await this.store.getPeriodKey(period);
+            
+            if (storedKey !== currentKey) {
+                console.log(`Resetting ${period} high scores (${storedKey || 'none'} -> ${currentKey})`);
+                await this.store.resetPeriod(period, currentKey);
             }
-        } catch (error) {
-            console.error('Error loading high scores:', error);
         }
-        
-        // Return empty object if no file exists
-        return {};
     }
     
     /**
-     * Save high scores to disk
+     * Get the key for the window a date falls into, e.g. '2025-03-10' (local time)
+     * Weekly windows are keyed by the Monday they start on.
      */
-    saveHighScores() {
-        try {
-            fs.writeFileSync(this.highScoresPath, JSON.stringify(this.highScores, null, 2), 'utf8');
-            return true;
-        } catch (error) {
-            console.error('Error saving high scores:', error);
-            return false;
+    getPeriodKey(period, date = new Date()) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (period === 'weekly') {
+            const daysSinceMonday = (start.getDay() + 6) % 7;
+            start.setDate(start.getDate() - daysSinceMonday);
         }
+        
+        const month = (start.getMonth() + 1).toString().padStart(2, '0');
+        const day = start.getDate().toString().padStart(2, '0');
+        return `${start.getFullYear()}-${month}-${day}`;
+    }
+    
+    /**
+     * Whether a leaderboard period name is supported
+     */
+    isValidPeriod(period) {
+        return period === ALL_TIME || LEADERBOARD_PERIODS.includes(period);
     }
     
     /**
      * Check if a new score qualifies for top 3
      */
-    isTopThreeScore(trackId, lapTime) {
-        // Initialize track scores if needed
-        if (!this.highScores[trackId]) {
-            this.highScores[trackId] = [];
-            return true;
-        }
-        
-        // Get existing scores for this track
-        const trackScores = this.highScores[trackId];
-        
-        // If less than 3 scores, always qualifies
-        if (trackScores.length < 3) {
-            return true;
-        }
-        
-        // Sort scores and check if new score is better than 3rd place
-        const sortedScores = [...trackScores].sort((a, b) => a.time - b.time);
-        return lapTime < (sortedScores[2]?.time || Infinity);
+    async isTopThreeScore(trackId, lapTime) {
+        return await this.getScoreRank(trackId, lapTime) <= 3;
     }
     
     /**
      * Get rank of a score (1-based)
      */
-    getScoreRank(trackId, lapTime) {
-        if (!this.highScores[trackId]) {
-            return 1;
-        }
-        
-        const trackScores = this.highScores[trackId];
-        const sortedScores = [...trackScores].sort((a, b) => a.time - b.time);
-        
-        // Find position where this time would fit
-        let rank = 1;
-        for (const score of sortedScores) {
-            if (lapTime <= score.time) {
-                break;
-            }
-            rank++;
-        }
-        
-        return rank;
+    async getScoreRank(trackId, lapTime) {
+        await this.ready;
+        return this.store.getRank(trackId, lapTime);
     }
     
     /**
@@ -198,12 +209,13 @@ export class HighScoreManager {
             }
 
             // Verify the hash
-            console.log('Server received scoreData:', scoreData);
+            const { telemetry, ghost, ...scoreSummary } = scoreData;
+            console.log('Server received scoreData:', scoreSummary, 'telemetry samples:', telemetry?.samples?.length || 0, 'ghost samples:', ghost?.samples?.length || 0);
             console.log('Server received hash:', submission.hash);
             
             const encoder = new TextEncoder();
             const jsonToHash = JSON.stringify(scoreData);
-            console.log('Server JSON string to hash:', jsonToHash);
+            console.log('Server JSON string to hash:', jsonToHash.length, 'bytes');
             
             const data = encoder.encode(jsonToHash);
             const hashBuffer = await crypto.subtle.digest('SHA-256', data);
@@ -242,12 +254,20 @@ export class HighScoreManager {
             }
 
             console.log('Track ID verification passed');
+
+            // Replay the lap telemetry against the track geometry
+            const lapCheck = this.lapValidator.validateLap(scoreData);
+            if (!lapCheck.valid) {
+                console.log('Lap validation failed:', lapCheck.error);
+                return { success: false, error: lapCheck.error };
+            }
+
+            console.log('Lap telemetry verification passed');
             console.log('All verifications passed, proceeding with score submission');
 
-            // Load existing scores for this track
-            const trackScores = this.highScores[scoreData.trackId] || [];
+            await this.ready;
             
-            // Add the new score
+            // Add the new score (full history is kept; boards are cut at query time)
             const newScore = {
                 name: scoreData.name,
                 time: scoreData.time,
@@ -257,26 +277,32 @@ export class HighScoreManager {
                 verified: true
             };
             
-            // Insert the new score
-            trackScores.push(newScore);
-            
-            // Sort scores by time (ascending)
-            trackScores.sort((a, b) => a.time - b.time);
+            const rank = await this.store.getRank(scoreData.trackId, newScore.time);
+            await this.store.insertScore(newScore);
+            const isTopThree = rank <= 3;
             
-            // Keep only top scores
-            if (trackScores.length > 10) {
-                trackScores.length = 10;
+            // Make sure the score lands in the current daily/weekly window
+            await this.checkPeriodResets();
+            for (const period of LEADERBOARD_PERIODS) {
+                await this.store.insertPeriodScore(period, newScore);
             }
             
-            // Update scores for this track
-            this.highScores[scoreData.trackId] = trackScores;
-            
-            // Save scores to file
-            this.saveHighScores();
-            
-            // Calculate rank
-            const rank = trackScores.findIndex(score => score === newScore) + 1;
-            const isTopThree = rank <= 3;
+            // A new track record replaces the track's ghost
+            if (rank === 1 && ghost) {
+                const ghostError = this.lapValidator.validateGhost(ghost, newScore.time);
+                if (ghostError) {
+                    console.log('Ghost not saved:', ghostError);
+                } else {
+                    await this.store.saveGhost(newScore.trackId, {
+                        name: newScore.name,
+                        time: newScore.time,
+                        trackId: newScore.trackId,
+                        timestamp: newScore.timestamp,
+                        samples: ghost.samples
+                    });
+                    console.log('Saved new record ghost for track:', newScore.trackId);
+                }
+            }
             
             // Clear game session after successful submission
             session.gameStartTime = null;
@@ -297,36 +323,157 @@ export class HighScoreManager {
     
     /**
      * Get top scores for a track
+     * @param {string} trackId - Track identifier
+     * @param {number} limit - Maximum number of scores
+     * @param {string} period - 'alltime', 'daily' or 'weekly'
      */
-    getTopScores(trackId) {
-        if (!this.highScores[trackId]) {
-            return [];
-        }
+    async getTopScores(trackId, limit = 10, period = ALL_TIME) {
+        await this.ready;
+        const scores = period === ALL_TIME
+            ? await this.store.getTopScores(trackId, limit)
+            : await this.store.getPeriodTopScores(period, trackId, limit);
         
         // Return sanitized scores (remove emails, hashes, etc.)
-        return this.highScores[trackId]
-            .sort((a, b) => a.time - b.time)
-            .map(score => ({
-                name: score.name,
+        return scores.map(score => this.toPublicScore(score));
+    }
+    
+    /**
+     * Get the ghost lap of a track's current record
+     * @param {string} trackId - Track identifier
+     * @returns {Promise<Object|null>} Ghost or null if the track has none
+     */
+    async getGhost(trackId) {
+        await this.ready;
+        return this.store.getGhost(trackId);
+    }
+    
+    /**
+     * Save a championship's results so far
+     * @param {Championship} championship - Championship to save
+     */
+    async saveChampionship(championship) {
+        await this.ready;
+        return this.store.saveChampionship(championship.toJSON());
+    }
+    
+    /**
+     * Get a saved championship
+     * @param {string} id - Championship ID
+     * @returns {Promise<Object|null>} Saved championship (see Championship.toJSON) or null
+     */
+    async getChampionship(id) {
+        await this.ready;
+        return this.store.getChampionship(id);
+    }
+    
+    /**
+     * Get all scores set by a player, fastest first
+     */
+    async getScoresByPlayer(name, options = {}) {
+        await this.ready;
+        const scores = await this.store.getScoresByPlayer(name, options);
+        return scores.map(score => ({ ...this.toPublicScore(score), trackId: score.trackId }));
+    }
+    
+    /**
+     * Get a player's personal best and rank on each track, plus their score history
+     * @param {string} name - Player name
+     * @param {Object} options - Optional { trackId, limit } for the history
+     */
+    async getPlayerScores(name, { trackId, limit = 50 } = {}) {
+        await this.ready;
+        const scores = await this.store.getScoresByPlayer(name, { trackId });
+
+        // Scores are sorted by time, so the first one per track is the personal best
+        const personalBests = [];
+        const seenTracks = new Set();
+        for (const score of scores) {
+            if (seenTracks.has(score.trackId)) continue;
+            seenTracks.add(score.trackId);
+            personalBests.push({
+                trackId: score.trackId,
                 time: score.time,
                 timestamp: score.timestamp,
-                verified: score.verified
-            }));
+                rank: await this.store.getRank(score.trackId, score.time)
+            });
+        }
+
+        return {
+            name,
+            personalBests,
+            scores: scores.slice(0, limit).map(score => ({ ...this.toPublicScore(score), trackId: score.trackId }))
+        };
     }
-    
+
+    /**
+     * Get a player's rank on a track together with the scores just above and below it
+     * @param {string} trackId - Track identifier
+     * @param {string} name - Player name
+     * @param {number} range - Number of neighbours on each side
+     * @param {string} period - 'alltime', 'daily' or 'weekly'
+     */
+    async getScoresAround(trackId, name, range = 2, period = ALL_TIME) {
+        await this.ready;
+        const allTime = period === ALL_TIME;
+        const [personalBest] = allTime
+            ? await this.store.getScoresByPlayer(name, { trackId, limit: 1 })
+            : await this.store.getPeriodScoresByPlayer(period, name, { trackId, limit: 1 });
+
+        if (!personalBest) {
+            return { trackId, name, period, rank: null, personalBest: null, neighbours: [] };
+        }
+
+        const rank = allTime
+            ? await this.store.getRank(trackId, personalBest.time)
+            : await this.store.getPeriodRank(period, trackId, personalBest.time);
+        const offset = Math.max(0, rank - 1 - range);
+        const scores = allTime
+            ? await this.store.getTopScores(trackId, range * 2 + 1, offset)
+            : await this.store.getPeriodTopScores(period, trackId, range * 2 + 1, offset);
+
+        return {
+            trackId,
+            name,
+            period,
+            rank,
+            personalBest: this.toPublicScore(personalBest),
+            neighbours: scores.map((score, index) => ({
+                ...this.toPublicScore(score),
+                rank: offset + index + 1,
+                isPlayer: score.name === name && score.time === personalBest.time
+            }))
+        };
+    }
+
     /**
      * Get all high scores
      */
-    getAllHighScores() {
+    async getAllHighScores(limit = 10, period = ALL_TIME) {
+        await this.ready;
         const result = {};
+        const trackIds = period === ALL_TIME
+            ? await this.store.getTrackIds()
+            : await this.store.getPeriodTrackIds(period);
         
-        for (const trackId in this.highScores) {
-            result[trackId] = this.getTopScores(trackId);
+        for (const trackId of trackIds) {
+            result[trackId] = await this.getTopScores(trackId, limit, period);
         }
         
         return result;
     }
     
+    /**
+     * Strip private fields from a stored score
+     */
+    toPublicScore(score) {
+        return {
+            name: score.name,
+            time: score.time,
+            timestamp: score.timestamp,
+            verified: score.verified
+        };
+    }
+    
     // Helper methods
     
     sanitizeName(name) {
@@ -1,9 +1,36 @@
 import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_ROOM_OPTIONS, ITEM_SPAWN_RATES } from 'racingcart-shared/constants/RoomOptions.js';
+import { THROWN_ITEMS } from 'racingcart-shared/constants/ItemEffects.js';
+
+// Relative chance of each item type (shells are rarer as they're more powerful)
+const ITEM_WEIGHTS = {
+    speedBoost: 0.4,
+    banana: 0.4,
+    shell: 0.2
+};
+
+// Clients collect items within 2 units; the rest covers position updates still in flight
+const PICKUP_RANGE = 6;
+// A banana can't trip up its thrower while they drive away from it
+const THROWER_GRACE_PERIOD = 1000;
+// Shells home in on the nearest car within range
+const SHELL_TARGET_RANGE = 100;
+const SHELL_STEERING = 6;
 
 export class ServerItemManager {
-    constructor() {
+    /**
+     * @param {TrackDefinition} track - Geometry of the room's track (see TrackRegistry)
+     * @param {Object} options - The room's options (see RoomOptions)
+     * @param {string[]} options.itemTypes - Item types that may spawn (none: the room has no items)
+     * @param {string} options.itemSpawnRate - 'low', 'normal' or 'high'
+     */
+    constructor(track, { itemTypes = DEFAULT_ROOM_OPTIONS.itemTypes, itemSpawnRate = DEFAULT_ROOM_OPTIONS.itemSpawnRate } = {}) {
+        this.track = track;
         this.items = new Map(); // Map of itemId -> item data
-        this.spawnInterval = 2000;
+        this.heldItems = new Map(); // Map of playerId -> item type waiting to be used
+        this.projectiles = new Map(); // Map of projectileId -> thrown banana or shell
+        this.itemTypes = itemTypes.filter(type => ITEM_WEIGHTS[type]);
+        this.spawnInterval = ITEM_SPAWN_RATES[itemSpawnRate] || ITEM_SPAWN_RATES.normal;
         this.maxItems = 20;
         this.lastSpawnTime = Date.now();
         this.io = null; // Store Socket.IO instance
@@ -17,32 +44,39 @@ export class ServerItemManager {
     }
 
     generateSpawnPoints() {
+        const track = this.track;
+        const toSpawnPoint = (u, offset) => {
+            const point = track.getOffsetPointAt(u, offset);
+            return {
+                position: { x: point.x, y: point.y + 1, z: point.z },
+                lastUsed: 0
+            };
+        };
+
+        // Tracks that place their item boxes use those spots
+        if (track.itemSpawns.length > 0) {
+            const points = track.itemSpawns.map(spawn => toSpawnPoint(spawn.u, spawn.offset));
+            console.log(`[ITEMS] Using ${points.length} spawn points from track ${track.id}`);
+            return points;
+        }
+
         const points = [];
         const segments = 8;
-        const trackRadius = 20; // Server track radius
         
         for (let i = 0; i < segments; i++) {
-            const angle = (i / segments) * Math.PI * 2;
-            // Create three spawn points at different radiuses for each angle
-            const radiuses = [
-                trackRadius - 2, // Inner lane
-                trackRadius,     // Middle lane
-                trackRadius + 2  // Outer lane
+            const u = i / segments;
+            const laneOffset = track.getWidthAt(u) / 4;
+            // Create three spawn points across the road for each segment
+            const offsets = [
+                -laneOffset, // Left lane
+                0,           // Middle lane
+                laneOffset   // Right lane
             ];
             
-            radiuses.forEach(radius => {
-                points.push({
-                    position: {
-                        x: Math.cos(angle) * radius,
-                        y: 1,
-                        z: Math.sin(angle) * radius
-                    },
-                    lastUsed: 0
-                });
-            });
+            offsets.forEach(offset => points.push(toSpawnPoint(u, offset)));
         }
         
-        console.log(`[ITEMS] Generated ${points.length} spawn points around track`);
+        console.log(`[ITEMS] Generated ${points.length} spawn points around track ${track.id}`);
         return points;
     }
 
@@ -118,6 +152,11 @@ export class ServerItemManager {
     }
 
     spawnRandomItem(isInitialSpawn = false) {
+        // Rooms with every item type turned off have no items
+        if (this.itemTypes.length === 0) {
+            return null;
+        }
+
         // Find available spawn points
         const now = Date.now();
         const availablePoints = this.spawnPoints.filter(point => 
@@ -152,20 +191,7 @@ export class ServerItemManager {
         // Create new item with a chance for each type
         const itemId = uuidv4();
         
-        // Randomly select item type with weighted probabilities
-        // - Speed boosts: 40%
-        // - Bananas: 40% 
-        // - Shells: 20% (rarer as they're more powerful)
-        const randomValue = Math.random();
-        let type;
-        
-        if (randomValue < 0.4) {
-            type = 'speedBoost';
-        } else if (randomValue < 0.8) {
-            type = 'banana';
-        } else {
-            type = 'shell';
-        }
+        const type = this.pickItemType();
         
         const item = {
             id: itemId,
@@ -181,6 +207,20 @@ export class ServerItemManager {
         return item;
     }
 
+    // Randomly select one of the room's item types, weighted by ITEM_WEIGHTS
+    pickItemType() {
+        const totalWeight = this.itemTypes.reduce((sum, type) => sum + ITEM_WEIGHTS[type], 0);
+        let randomValue = Math.random() * totalWeight;
+        
+        for (const type of this.itemTypes) {
+            randomValue -= ITEM_WEIGHTS[type];
+            if (randomValue < 0) {
+                return type;
+            }
+        }
+        return this.itemTypes[this.itemTypes.length - 1];
+    }
+
     collectItem(itemId) {
         const item = this.items.get(itemId);
         if (item) {
@@ -211,6 +251,139 @@ export class ServerItemManager {
         return null;
     }
 
+    /**
+     * Give an item to the player who drove through it
+     * Speed boosts are used on the spot; bananas and shells are held until thrown
+     * @param {string} itemId - Item ID
+     * @param {string} playerId - Socket ID (or AI ID) of the player
+     * @param {Object} position - The player's last known position ({ x, y, z })
+     * @returns {Object} The collected item
+     */
+    pickUpItem(itemId, playerId, position) {
+        const item = this.items.get(itemId);
+        if (!item) {
+            throw new Error('Item already collected');
+        }
+        if (this.heldItems.has(playerId)) {
+            throw new Error('Already holding an item');
+        }
+        if (!position || distanceXZ(position, item.position) > PICKUP_RANGE) {
+            throw new Error('Too far from the item');
+        }
+
+        this.collectItem(itemId);
+        if (THROWN_ITEMS[item.type]) {
+            this.heldItems.set(playerId, item.type);
+        }
+        return item;
+    }
+
+    /**
+     * Throw a player's held item from where they are
+     * @param {string} throwerId - Socket ID (or AI ID) of the player
+     * @param {Object} position - The player's last known position ({ x, y, z })
+     * @param {Object} direction - Direction the car faces ({ x, z })
+     * @returns {Object} The projectile: { id, type, throwerId, position, velocity, rotation, createdAt, expiresAt }
+     */
+    throwItem(throwerId, position, direction) {
+        const type = this.heldItems.get(throwerId);
+        if (!type) {
+            throw new Error('No item to use');
+        }
+
+        const length = Math.hypot(direction.x, direction.z);
+        if (!Number.isFinite(length) || length === 0) {
+            throw new Error('Invalid direction');
+        }
+        const heading = { x: direction.x / length, z: direction.z / length };
+
+        const spec = THROWN_ITEMS[type];
+        const now = Date.now();
+        const projectile = {
+            id: uuidv4(),
+            type,
+            throwerId,
+            position: {
+                x: position.x + heading.x * spec.throwOffset,
+                y: position.y + spec.height,
+                z: position.z + heading.z * spec.throwOffset
+            },
+            velocity: { x: heading.x * spec.speed, y: 0, z: heading.z * spec.speed },
+            rotation: Math.atan2(heading.x, heading.z),
+            createdAt: now,
+            expiresAt: now + spec.lifetime
+        };
+
+        this.heldItems.delete(throwerId);
+        this.projectiles.set(projectile.id, projectile);
+        console.log(`[${new Date().toISOString()}] [ITEMS] ${throwerId} threw a ${type}:`, projectile.position);
+        return projectile;
+    }
+
+    /**
+     * Move thrown items and find the cars they hit
+     * @param {number} deltaTime - Seconds since the last update
+     * @param {Array<Object>} targets - Cars in the room: [{ id, position: { x, y, z } }]
+     * @param {number} now - Current time (ms since epoch)
+     * @returns {Object} { hits: [{ projectile, targetId }], expired: [projectileId], moved: [shell projectiles] }
+     */
+    updateProjectiles(deltaTime, targets, now = Date.now()) {
+        const hits = [];
+        const expired = [];
+        const moved = [];
+
+        for (const projectile of this.projectiles.values()) {
+            if (now >= projectile.expiresAt) {
+                this.projectiles.delete(projectile.id);
+                expired.push(projectile.id);
+                continue;
+            }
+
+            const canHit = target => projectile.type === 'banana'
+                ? target.id !== projectile.throwerId || now - projectile.createdAt > THROWER_GRACE_PERIOD
+                : target.id !== projectile.throwerId;
+
+            if (projectile.type === 'shell') {
+                this.steerShell(projectile, targets.filter(canHit), deltaTime);
+                projectile.position.x += projectile.velocity.x * deltaTime;
+                projectile.position.z += projectile.velocity.z * deltaTime;
+                moved.push(projectile);
+            }
+
+            const { hitRadius } = THROWN_ITEMS[projectile.type];
+            const target = targets.find(target => canHit(target) && distanceXZ(target.position, projectile.position) < hitRadius);
+            if (target) {
+                this.projectiles.delete(projectile.id);
+                hits.push({ projectile, targetId: target.id });
+            }
+        }
+
+        return { hits, expired, moved: moved.filter(projectile => this.projectiles.has(projectile.id)) };
+    }
+
+    // Turn a shell towards the nearest car, keeping its speed
+    steerShell(shell, targets, deltaTime) {
+        let nearest = null;
+        let nearestDistance = SHELL_TARGET_RANGE;
+        targets.forEach(target => {
+            const distance = distanceXZ(target.position, shell.position);
+            if (distance < nearestDistance) {
+                nearest = target;
+                nearestDistance = distance;
+            }
+        });
+        if (!nearest || nearestDistance === 0) return;
+
+        const speed = Math.hypot(shell.velocity.x, shell.velocity.z);
+        const desired = {
+            x: (nearest.position.x - shell.position.x) / nearestDistance * speed,
+            z: (nearest.position.z - shell.position.z) / nearestDistance * speed
+        };
+        const amount = Math.min(1, deltaTime * SHELL_STEERING);
+        shell.velocity.x += (desired.x - shell.velocity.x) * amount;
+        shell.velocity.z += (desired.z - shell.velocity.z) * amount;
+    }
+
     getAllItems() {
         const items = Array.from(this.items.values());
         console.log(`[${new Date().toISOString()}] [ITEMS] Getting all items:`, {
@@ -223,4 +396,8 @@ export class ServerItemManager {
         });
         return items;
     }
-}
\ No newline at end of file
+}
+
+function distanceXZ(a, b) {
+    return Math.hypot(a.x - b.x, a.z - b.z);
+}
@@ -0,0 +1,299 @@
+/**
+ * Server-side lap validation.
+ *
+ * Clients upload a compact telemetry trace with every lap they submit:
+ *   { v: 1, samples: [[t, x, z], ...], checkpoints: [[id, t], ...] }
+ * where `t` is milliseconds since the lap started. The validator replays the
+ * trace against the server's copy of the track geometry (TrackRegistry) and
+ * rejects laps that skip checkpoints, teleport, or move faster than the car
+ * can drive. Checkpoint 0 is the finish line.
+ */
+
+import { CAR_SPECS } from 'racingcart-shared/constants/CarSpecs.js';
+import { TrackRegistry } from './TrackRegistry.js';
+
+// Car physics envelope: the fastest boosted car in the spec table
+const CAR_MAX_SPEED = Math.max(...Object.values(CAR_SPECS).map(spec => spec.topSpeed * spec.boostMultiplier)); // m/s
+const SPEED_TOLERANCE = 1.2; // Slack for frame timing jitter and collision bounces
+const MAX_PLAUSIBLE_SPEED = CAR_MAX_SPEED * SPEED_TOLERANCE;
+
+// Trace limits
+const TELEMETRY_VERSION = 1;
+const GHOST_VERSION = 1;
+const MAX_SAMPLES = 10000;
+const MAX_SAMPLE_GAP = 1000; // ms between consecutive samples
+const LAP_TIME_TOLERANCE = 0.25; // seconds between claimed time and trace duration
+const MIN_LAP_TIME = 3;
+const MAX_LAP_TIME = 600;
+
+/**
+ * Build lap geometry from a track definition: checkpoint 0 is the finish
+ * line and the definition's checkpoints follow in driving order (matches
+ * the four checkpoints of Track.createCheckpoints in src/js/track.js)
+ */
+function createLapGeometry(definition) {
+    const width = definition.getWidthAt(0);
+    const checkpoints = [0, ...definition.checkpoints].map((u, id) => {
+        const point = definition.getPointAt(u);
+        return { id, x: point.x, z: point.z };
+    });
+
+    return {
+        checkpoints,
+        checkpointRadius: width * 1.25,
+        finishLine: { x: checkpoints[0].x, z: checkpoints[0].z },
+        finishRadius: width * 1.5
+    };
+}
+
+/**
+ * Validates submitted laps by replaying their telemetry traces
+ */
+export class LapValidator {
+    /**
+     * @param {TrackRegistry} trackRegistry - Tracks laps can be driven on
+     */
+    constructor(trackRegistry = new TrackRegistry()) {
+        this.trackRegistry = trackRegistry;
+        this.geometry = new Map(); // TrackDefinition -> lap geometry, built on first use
+        this.maxSpeed = MAX_PLAUSIBLE_SPEED;
+    }
+
+    /**
+     * Get the lap geometry for a track
+     * @param {string} trackId - Track identifier
+     * @returns {Object|null} Geometry or null if the track is unknown
+     */
+    getTrackGeometry(trackId) {
+        if (!this.trackRegistry.has(trackId)) {
+            return null;
+        }
+
+        const definition = this.trackRegistry.get(trackId);
+        if (!this.geometry.has(definition)) {
+            this.geometry.set(definition, createLapGeometry(definition));
+        }
+        return this.geometry.get(definition);
+    }
+
+    /**
+     * Validate a submitted lap
+     * @param {Object} scoreData - Decoded score payload ({ time, trackId, telemetry })
+     * @returns {{ valid: boolean, error?: string }}
+     */
+    validateLap(scoreData) {
+        const track = this.getTrackGeometry(scoreData.trackId);
+        if (!track) {
+            return { valid: false, error: 'Unknown track' };
+        }
+
+        if (typeof scoreData.time !== 'number' || scoreData.time < MIN_LAP_TIME || scoreData.time > MAX_LAP_TIME) {
+            return { valid: false, error: 'Lap time out of range' };
+        }
+
+        const telemetry = scoreData.telemetry;
+        const formatError = this.validateFormat(telemetry);
+        if (formatError) {
+            return { valid: false, error: formatError };
+        }
+
+        const samples = telemetry.samples;
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+
+        // The trace has to end when the claimed lap ended
+        if (Math.abs(last[0] / 1000 - scoreData.time) > LAP_TIME_TOLERANCE) {
+            return { valid: false, error: 'Lap time does not match telemetry' };
+        }
+
+        // Laps start and end at the finish line
+        if (distance2D(first[1], first[2], track.finishLine.x, track.finishLine.z) > track.finishRadius ||
+            distance2D(last[1], last[2], track.finishLine.x, track.finishLine.z) > track.finishRadius) {
+            return { valid: false, error: 'Lap does not start and end at the finish line' };
+        }
+
+        // Speed envelope
+        for (let i = 1; i < samples.length; i++) {
+            const [t0, x0, z0] = samples[i - 1];
+            const [t1, x1, z1] = samples[i];
+            const dt = (t1 - t0) / 1000;
+
+            if (t1 - t0 > MAX_SAMPLE_GAP) {
+                return { valid: false, error: 'Telemetry has gaps' };
+            }
+
+            const travelled = distance2D(x0, z0, x1, z1);
+            if (travelled > this.maxSpeed * Math.max(dt, 0.001)) {
+                return { valid: false, error: 'Implausible speed in telemetry' };
+            }
+        }
+
+        // Replay checkpoints from the trace itself
+        const passedOrder = this.replayCheckpoints(samples, track);
+        const missed = track.checkpoints.filter(cp => !passedOrder.includes(cp.id));
+        if (missed.length > 0) {
+            return { valid: false, error: `Lap skipped checkpoint ${missed[0].id}` };
+        }
+
+        if (!this.isCyclicOrder(passedOrder, track.checkpoints.map(cp => cp.id))) {
+            return { valid: false, error: 'Checkpoints passed out of order' };
+        }
+
+        // Client-reported crossings must agree with where the trace was at that time
+        for (const [id, t] of telemetry.checkpoints) {
+            const checkpoint = track.checkpoints.find(cp => cp.id === id);
+            const position = checkpoint && this.positionAt(samples, t);
+            if (!position ||
+                distance2D(position.x, position.z, checkpoint.x, checkpoint.z) > track.checkpointRadius * 1.5) {
+                return { valid: false, error: 'Checkpoint crossings do not match telemetry' };
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Check the shape of a telemetry trace
+     * @returns {string|null} Error message or null if the trace is well formed
+     */
+    validateFormat(telemetry) {
+        if (!telemetry || telemetry.v !== TELEMETRY_VERSION) {
+            return 'Missing or unsupported lap telemetry';
+        }
+
+        const { samples, checkpoints } = telemetry;
+        if (!Array.isArray(samples) || samples.length < 2 || samples.length > MAX_SAMPLES) {
+            return 'Invalid telemetry samples';
+        }
+        if (!Array.isArray(checkpoints)) {
+            return 'Invalid telemetry checkpoints';
+        }
+
+        let previousTime = -Infinity;
+        for (const sample of samples) {
+            if (!Array.isArray(sample) || sample.length !== 3 || !sample.every(Number.isFinite)) {
+                return 'Invalid telemetry samples';
+            }
+            if (sample[0] < 0 || sample[0] < previousTime) {
+                return 'Telemetry timestamps are not ordered';
+            }
+            previousTime = sample[0];
+        }
+
+        for (const crossing of checkpoints) {
+            if (!Array.isArray(crossing) || crossing.length !== 2 || !crossing.every(Number.isFinite)) {
+                return 'Invalid telemetry checkpoints';
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check a ghost recording uploaded with a lap
+     * Ghosts are only played back, so this checks the shape and duration;
+     * the lap itself has already been validated from its telemetry.
+     * @param {Object} ghost - { v: 1, samples: [[t, x, y, z, rotation], ...] }
+     * @param {number} lapTime - Validated lap time in seconds
+     * @returns {string|null} Error message or null if the ghost is usable
+     */
+    validateGhost(ghost, lapTime) {
+        if (!ghost || ghost.v !== GHOST_VERSION) {
+            return 'Missing or unsupported ghost';
+        }
+
+        const { samples } = ghost;
+        if (!Array.isArray(samples) || samples.length < 2 || samples.length > MAX_SAMPLES) {
+            return 'Invalid ghost samples';
+        }
+
+        let previousTime = -Infinity;
+        for (const sample of samples) {
+            if (!Array.isArray(sample) || sample.length !== 5 || !sample.every(Number.isFinite)) {
+                return 'Invalid ghost samples';
+            }
+            if (sample[0] < 0 || sample[0] < previousTime) {
+                return 'Ghost timestamps are not ordered';
+            }
+            previousTime = sample[0];
+        }
+
+        if (Math.abs(previousTime / 1000 - lapTime) > LAP_TIME_TOLERANCE) {
+            return 'Lap time does not match ghost';
+        }
+
+        return null;
+    }
+
+    /**
+     * Walk the trace and return checkpoint IDs in the order they were first reached
+     */
+    replayCheckpoints(samples, track) {
+        const passed = [];
+
+        for (let i = 1; i < samples.length; i++) {
+            const [, x0, z0] = samples[i - 1];
+            const [, x1, z1] = samples[i];
+
+            for (const checkpoint of track.checkpoints) {
+                if (passed.includes(checkpoint.id)) continue;
+
+                if (distanceToSegment(checkpoint.x, checkpoint.z, x0, z0, x1, z1) <= track.checkpointRadius) {
+                    passed.push(checkpoint.id);
+                }
+            }
+        }
+
+        return passed;
+    }
+
+    /**
+     * Whether `order` is a rotation of `ids` in the track's driving direction
+     * (a lap driven the wrong way round reaches them backwards)
+     */
+    isCyclicOrder(order, ids) {
+        if (order.length !== ids.length) return false;
+
+        const start = ids.indexOf(order[0]);
+        return order.every((id, i) => id === ids[(start + i) % ids.length]);
+    }
+
+    /**
+     * Interpolate the trace position at time `t`
+     */
+    positionAt(samples, t) {
+        if (t < samples[0][0] || t > samples[samples.length - 1][0]) {
+            return null;
+        }
+
+        for (let i = 1; i < samples.length; i++) {
+            const [t0, x0, z0] = samples[i - 1];
+            const [t1, x1, z1] = samples[i];
+            if (t <= t1) {
+                const alpha = t1 > t0 ? (t - t0) / (t1 - t0) : 0;
+                return {
+                    x: x0 + (x1 - x0) * alpha,
+                    z: z0 + (z1 - z0) * alpha
+                };
+            }
+        }
+
+        return null;
+    }
+}
+
+function distance2D(x0, z0, x1, z1) {
+    return Math.hypot(x1 - x0, z1 - z0);
+}
+
+function distanceToSegment(px, pz, x0, z0, x1, z1) {
+    const dx = x1 - x0;
+    const dz = z1 - z0;
+    const lengthSq = dx * dx + dz * dz;
+    if (lengthSq === 0) {
+        return distance2D(px, pz, x0, z0);
+    }
+
+    const t = Math.max(0, Math.min(1, ((px - x0) * dx + (pz - z0) * dz) / lengthSq));
+    return distance2D(px, pz, x0 + dx * t, z0 + dz * t);
+}
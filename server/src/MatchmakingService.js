@@ -0,0 +1,230 @@
+export const MATCHMAKING_REGIONS = ['eu', 'na', 'sa', 'asia', 'oceania', 'africa'];
+export const DEFAULT_REGION = 'global';
+
+const QUEUE_INTERVAL = 1000;     // How often waiting players are placed
+const REGION_WAIT_LIMIT = 10000; // After this long in the queue, a room in any region will do
+const RESERVATION_TIMEOUT = 15000; // How long a matched player has to join their room
+const BACKFILL_TARGET = 4;       // Public rooms with fewer players than this are topped up with server AI
+
+/**
+ * Places players looking for a public race into public rooms.
+ *
+ * Players queue with a region tag and are matched every second into the
+ * fullest public room of their region that still has space. Without one,
+ * a new room is opened for the region when every room is full or other
+ * players from the region are waiting too; otherwise the player waits a
+ * while for company before taking a seat in another region. Sparse rooms
+ * are topped up with server AI, which makes way again as players join.
+ */
+export class MatchmakingService {
+    /**
+     * @param {RoomManager} roomManager - Owner of the rooms to place players in
+     */
+    constructor(roomManager) {
+        this.roomManager = roomManager;
+        this.queue = new Map(); // socketId -> { socket, playerName, region, queuedAt }
+        this.reservations = new Map(); // socketId -> { roomId, expires }, matched but not joined yet
+
+        setInterval(() => this.processQueue(), QUEUE_INTERVAL);
+    }
+
+    /**
+     * Normalize a client's region tag
+     * @param {string} region - Region tag sent by the client
+     * @returns {string} A known region, or the default region
+     */
+    resolveRegion(region) {
+        return MATCHMAKING_REGIONS.includes(region) ? region : DEFAULT_REGION;
+    }
+
+    /**
+     * Put a player in the queue
+     * A player returning within the reconnection grace period goes straight
+     * back to the room that holds their slot.
+     * @param {Object} socket - The player's socket
+     * @param {Object} request
+     * @param {string} request.playerName - The player's name
+     * @param {string} request.region - Region tag (see MATCHMAKING_REGIONS)
+     * @param {string} request.roomId - Room of the player's last session, if any
+     * @param {string} request.reconnectToken - Reconnect token of that session, if any
+     * @returns {Object} The player's queue status
+     */
+    enqueue(socket, { playerName, region, roomId, reconnectToken } = {}) {
+        this.dequeue(socket.id);
+
+        const entry = {
+            socket,
+            playerName: playerName || 'New Player',
+            region: this.resolveRegion(region),
+            queuedAt: Date.now()
+        };
+
+        if (roomId && reconnectToken && this.roomManager.hasReconnectSlot(roomId, reconnectToken)) {
+            this.matchPlayer(entry, this.roomManager.rooms.get(roomId));
+            return { state: 'matched', roomId };
+        }
+
+        this.queue.set(socket.id, entry);
+        console.log(`[${new Date().toISOString()}] [MATCHMAKING] ${entry.playerName} (${socket.id}) queued in region ${entry.region}`);
+
+        return this.getStatus(entry);
+    }
+
+    /**
+     * Take a player out of the queue (they gave up or disconnected)
+     * @param {string} socketId - Socket ID
+     * @returns {boolean} True if the player was waiting
+     */
+    dequeue(socketId) {
+        this.reservations.delete(socketId);
+        return this.queue.delete(socketId);
+    }
+
+    /**
+     * Where a player stands in the queue
+     * @param {Object} entry - Queue entry
+     * @returns {Object} { state, position, queueSize, region, waited }
+     */
+    getStatus(entry) {
+        return {
+            state: 'searching',
+            position: Array.from(this.queue.keys()).indexOf(entry.socket.id) + 1,
+            queueSize: this.queue.size,
+            region: entry.region,
+            waited: Date.now() - entry.queuedAt
+        };
+    }
+
+    /**
+     * Match everyone in the queue, oldest first, then top up sparse rooms
+     * Players who can't be placed yet get their queue status.
+     */
+    processQueue() {
+        this.expireReservations();
+
+        const now = Date.now();
+        for (const entry of Array.from(this.queue.values())) {
+            if (!entry.socket.connected) {
+                this.dequeue(entry.socket.id);
+                continue;
+            }
+
+            let room = this.findRoom(entry.region);
+            if (!room) {
+                const elsewhere = this.findRoom();
+                const queuedInRegion = Array.from(this.queue.values())
+                    .filter(other => other.region === entry.region)
+                    .length;
+
+                if (elsewhere && now - entry.queuedAt > REGION_WAIT_LIMIT) {
+                    room = elsewhere;
+                } else if (!elsewhere || queuedInRegion > 1) {
+                    room = this.roomManager.createPublicRoom(entry.region);
+                }
+            }
+
+            if (room) {
+                this.matchPlayer(entry, room);
+            } else {
+                entry.socket.emit('matchmaking-status', this.getStatus(entry));
+            }
+        }
+
+        this.updateBackfill();
+    }
+
+    /**
+     * The fullest public room with a free seat
+     * @param {string} region - Region to look in (any region if not given)
+     * @returns {Object|null} Room data
+     */
+    findRoom(region = null) {
+        return this.getPublicRooms()
+            .filter(room => !region || room.region === region)
+            .filter(room => this.getSeatsTaken(room) < this.roomManager.maxPlayersPerRoom)
+            .sort((a, b) => this.getSeatsTaken(b) - this.getSeatsTaken(a))[0] || null;
+    }
+
+    getPublicRooms() {
+        return Array.from(this.roomManager.rooms.values()).filter(room => room.isMatchmade);
+    }
+
+    /**
+     * Players in a room plus matched players still on their way in
+     * Server AI doesn't take a seat; it leaves as players arrive.
+     * @param {Object} room - Room data
+     * @returns {number}
+     */
+    getSeatsTaken(room) {
+        const arriving = Array.from(this.reservations.entries())
+            .filter(([socketId, reservation]) => reservation.roomId === room.id && !room.players.has(socketId))
+            .length;
+        return room.players.size + arriving;
+    }
+
+    /**
+     * Send a player to a room and hold their seat until they've joined
+     * @param {Object} entry - Queue entry
+     * @param {Object} room - Room data
+     */
+    matchPlayer(entry, room) {
+        this.queue.delete(entry.socket.id);
+        this.reservations.set(entry.socket.id, {
+            roomId: room.id,
+            expires: Date.now() + RESERVATION_TIMEOUT
+        });
+
+        console.log(`[${new Date().toISOString()}] [MATCHMAKING] ${entry.playerName} (${entry.socket.id}) matched to room ${room.id}`);
+        entry.socket.emit('match-found', {
+            roomId: room.id,
+            region: room.region,
+            waited: Date.now() - entry.queuedAt
+        });
+    }
+
+    expireReservations() {
+        const now = Date.now();
+        for (const [socketId, reservation] of this.reservations) {
+            const room = this.roomManager.rooms.get(reservation.roomId);
+            if (!room || room.players.has(socketId) || reservation.expires < now) {
+                this.reservations.delete(socketId);
+            }
+        }
+    }
+
+    /**
+     * Keep every public room at BACKFILL_TARGET racers with server AI,
+     * removing AI as players join. Empty rooms get none.
+     */
+    updateBackfill() {
+        const aiPlayerManager = this.roomManager.aiPlayerManager;
+        if (!aiPlayerManager) return;
+
+        for (const room of this.getPublicRooms()) {
+            const wanted = room.players.size > 0 ? Math.max(0, BACKFILL_TARGET - room.players.size) : 0;
+            const aiIds = Array.from(room.aiPlayers.keys());
+
+            for (let i = aiIds.length; i < wanted; i++) {
+                aiPlayerManager.createAIPlayer(room.id);
+            }
+            aiIds.slice(wanted).forEach(aiId => aiPlayerManager.removeAIPlayer(aiId));
+        }
+    }
+
+    /**
+     * Queue and room fill levels, for the status endpoint
+     * @returns {Object}
+     */
+    getStats() {
+        return {
+            queued: this.queue.size,
+            rooms: this.getPublicRooms().map(room => ({
+                id: room.id,
+                region: room.region,
+                players: room.players.size,
+                aiPlayers: room.aiPlayers.size,
+                maxPlayers: this.roomManager.maxPlayersPerRoom
+            }))
+        };
+    }
+}
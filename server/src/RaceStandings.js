@@ -0,0 +1,97 @@
+/**
+ * Live race standings
+ *
+ * Racers are ordered by laps completed, then by checkpoints passed on the
+ * current lap, then by the distance left to their next checkpoint on the
+ * room's track. Finished racers stay ahead, in finishing order.
+ *
+ * Gaps are times behind the leader: each racer's time at the last
+ * checkpoint they passed, minus the leader's time at the same checkpoint.
+ */
+
+/**
+ * Key of a checkpoint split: laps completed and checkpoint index on that lap
+ * @param {number} lap - Laps completed
+ * @param {number} checkpoint - Index of the last checkpoint passed (-1 for none)
+ * @returns {string}
+ */
+export function getSplitKey(lap, checkpoint) {
+    return `${lap}:${checkpoint}`;
+}
+
+/**
+ * Distance along the track to a racer's next checkpoint
+ * (the finish line once the last checkpoint of the lap is passed)
+ * @param {TrackDefinition} track - The room's track
+ * @param {number} checkpoint - Index of the last checkpoint passed (-1 for none)
+ * @param {number[]|{x, z}} position - World position ([x, y, z] as sent by clients)
+ * @returns {number} Meters, or Infinity if the position isn't known
+ */
+export function getDistanceToNextCheckpoint(track, checkpoint, position) {
+    if (!position) return Infinity;
+
+    const x = Array.isArray(position) ? position[0] : position.x;
+    const z = Array.isArray(position) ? position[2] : position.z;
+    if (!Number.isFinite(x) || !Number.isFinite(z)) return Infinity;
+
+    const nextCheckpoint = track.checkpoints[checkpoint + 1];
+    const targetU = nextCheckpoint !== undefined ? nextCheckpoint : 1;
+    const { u } = track.project(x, z);
+
+    return (((targetU - u) % 1 + 1) % 1) * track.length;
+}
+
+function compareRacers(a, b) {
+    if (a.finishTime !== null || b.finishTime !== null) {
+        if (a.finishTime === null) return 1;
+        if (b.finishTime === null) return -1;
+        return a.finishTime - b.finishTime;
+    }
+    if (a.lap !== b.lap) return b.lap - a.lap;
+    if (a.checkpoint !== b.checkpoint) return b.checkpoint - a.checkpoint;
+    return a.distance - b.distance;
+}
+
+function getGap(leader, racer) {
+    if (racer.finishTime !== null && leader.finishTime !== null) {
+        return racer.finishTime - leader.finishTime;
+    }
+
+    const key = getSplitKey(racer.lap, racer.checkpoint);
+    const leaderTime = leader.splits ? leader.splits.get(key) : undefined;
+    const racerTime = racer.splits ? racer.splits.get(key) : undefined;
+    if (leaderTime === undefined || racerTime === undefined) return null;
+
+    return Math.max(0, racerTime - leaderTime);
+}
+
+/**
+ * Order the racers of a room
+ * @param {TrackDefinition} track - The room's track
+ * @param {Array<Object>} racers - { id, name, isAI, lap, checkpoint, position, finishTime, splits }
+ *   where splits maps split keys to seconds since the start
+ * @returns {Array<Object>} Leader first: { position, id, name, isAI, lap, checkpoint, distance, gap, finished }
+ *   (gap in seconds behind the leader, null if unknown)
+ */
+export function computeStandings(track, racers) {
+    const ordered = racers
+        .map(racer => ({
+            ...racer,
+            finishTime: racer.finishTime !== undefined ? racer.finishTime : null,
+            distance: getDistanceToNextCheckpoint(track, racer.checkpoint, racer.position)
+        }))
+        .sort(compareRacers);
+
+    const leader = ordered[0];
+    return ordered.map((racer, index) => ({
+        position: index + 1,
+        id: racer.id,
+        name: racer.name,
+        isAI: !!racer.isAI,
+        lap: racer.lap,
+        checkpoint: racer.checkpoint,
+        distance: Number.isFinite(racer.distance) ? Math.round(racer.distance) : null,
+        gap: index === 0 ? 0 : getGap(leader, racer),
+        finished: racer.finishTime !== null
+    }));
+}
@@ -0,0 +1,463 @@
+import { computeStandings, getSplitKey } from './RaceStandings.js';
+
+export const RACE_STATES = {
+    LOBBY: 'lobby',
+    READY_CHECK: 'ready-check',
+    COUNTDOWN: 'countdown',
+    RACING: 'racing',
+    FINISHED: 'finished',
+    RESULTS: 'results'
+};
+
+const READY_CHECK_TIMEOUT = 10000; // Players who haven't confirmed by then sit the race out
+const COUNTDOWN_DURATION = 3000;   // 3, 2, 1, GO
+const FINISH_TIMEOUT = 60000;      // How long the rest of the field gets after the winner finishes
+const CHECKPOINT_REACH = 30;       // Meters along the track a car may be from a checkpoint it reports
+const LAP_TIME_TOLERANCE = 1;      // Seconds a reported lap time may be off the one the server measured
+
+/**
+ * Race lifecycle of one room, driven by the server so every member
+ * sees the same countdown and the same finishing order:
+ *
+ *   lobby -> ready-check -> countdown -> racing -> finished -> results
+ *
+ * A new race can be started from the lobby or from the results of the last one.
+ * All times are server timestamps (ms since epoch).
+ */
+export class RaceStateMachine {
+    /**
+     * @param {string} roomId - Room the race belongs to
+     * @param {Function} broadcast - (event, data) => void, sends to every member of the room
+     * @param {Object} options
+     * @param {number} options.totalLaps - Laps per race
+     * @param {boolean} options.timeTrial - Rank finishers by their best lap instead of their total time
+     * @param {Function} options.addAIRacers - (startTime) => [{ id, name }], puts the room's AI opponents on the grid
+     * @param {Function} options.getTrack - () => TrackDefinition, the track the room races on
+     */
+    constructor(roomId, broadcast, { totalLaps = 3, timeTrial = false, addAIRacers = () => [], getTrack } = {}) {
+        this.roomId = roomId;
+        this.broadcast = broadcast;
+        this.totalLaps = totalLaps;
+        this.timeTrial = timeTrial;
+        this.addAIRacers = addAIRacers;
+        this.getTrack = getTrack;
+        this.state = RACE_STATES.LOBBY;
+        this.participants = new Map(); // racerId -> { id, name, isAI, ready, lap, checkpoint, finishTime, lapTimes }
+        this.splits = new Map(); // racerId -> Map of split key -> seconds since the start
+        this.startTime = null;
+        this.results = null;
+        this.timer = null;
+    }
+
+    /**
+     * Snapshot of the race for clients joining mid-race
+     */
+    getState() {
+        return {
+            roomId: this.roomId,
+            state: this.state,
+            totalLaps: this.totalLaps,
+            timeTrial: this.timeTrial,
+            startTime: this.startTime,
+            serverTime: Date.now(),
+            participants: Array.from(this.participants.keys()),
+            results: this.results
+        };
+    }
+
+    setState(state) {
+        this.state = state;
+        console.log(`[${new Date().toISOString()}] [RACE] Room ${this.roomId} race is now ${state}`);
+        this.broadcast('race-state', {
+            roomId: this.roomId,
+            state,
+            startTime: this.startTime,
+            serverTime: Date.now()
+        });
+    }
+
+    /**
+     * Start a new race: ask every player in the room to confirm they're ready
+     * @param {Array<{id, name}>} players - Players in the room
+     */
+    startReadyCheck(players) {
+        if (this.state !== RACE_STATES.LOBBY && this.state !== RACE_STATES.RESULTS) {
+            throw new Error(`Cannot start a race while the race is ${this.state}`);
+        }
+        if (players.length === 0) {
+            throw new Error('No players to race');
+        }
+
+        this.clearTimer();
+        this.participants = new Map(players.map(player => [player.id, {
+            id: player.id,
+            name: player.name,
+            isAI: false,
+            ready: false,
+            lap: 0,
+            checkpoint: -1,
+            finishTime: null,
+            lapTimes: null
+        }]));
+        this.startTime = null;
+        this.results = null;
+
+        this.setState(RACE_STATES.READY_CHECK);
+        this.broadcast('race-ready-check', {
+            roomId: this.roomId,
+            timeout: READY_CHECK_TIMEOUT,
+            participants: Array.from(this.participants.keys())
+        });
+
+        this.timer = setTimeout(() => this.startCountdown(), READY_CHECK_TIMEOUT);
+    }
+
+    /**
+     * A player has loaded the track and is ready to start
+     * @param {string} playerId - Socket ID
+     */
+    markReady(playerId) {
+        const participant = this.participants.get(playerId);
+        if (this.state !== RACE_STATES.READY_CHECK || !participant) {
+            return false;
+        }
+
+        participant.ready = true;
+        if (Array.from(this.participants.values()).every(p => p.ready)) {
+            this.startCountdown();
+        }
+        return true;
+    }
+
+    startCountdown() {
+        this.clearTimer();
+
+        // Players who never confirmed don't take part
+        for (const [playerId, participant] of this.participants) {
+            if (!participant.ready) {
+                this.participants.delete(playerId);
+            }
+        }
+        if (this.participants.size === 0) {
+            this.setState(RACE_STATES.LOBBY);
+            return;
+        }
+
+        const now = Date.now();
+        this.startTime = now + COUNTDOWN_DURATION;
+        this.splits = new Map();
+
+        // AI opponents line up with the players who made it
+        this.addAIRacers(this.startTime).forEach(ai => {
+            this.participants.set(ai.id, {
+                id: ai.id,
+                name: ai.name,
+                isAI: true,
+                ready: true,
+                lap: 0,
+                checkpoint: -1,
+                finishTime: null,
+                lapTimes: null
+            });
+        });
+
+        this.setState(RACE_STATES.COUNTDOWN);
+        this.broadcast('race-countdown', {
+            roomId: this.roomId,
+            startTime: this.startTime,
+            serverTime: now,
+            totalLaps: this.totalLaps,
+            timeTrial: this.timeTrial,
+            participants: Array.from(this.participants.keys())
+        });
+
+        this.timer = setTimeout(() => this.startRacing(), COUNTDOWN_DURATION);
+    }
+
+    startRacing() {
+        this.clearTimer();
+        this.setState(RACE_STATES.RACING);
+    }
+
+    /**
+     * A player passed a checkpoint or completed a lap
+     * Progress moves one step at a time in track order: the next checkpoint
+     * of the lap, or the finish line once every checkpoint is passed. The
+     * player's car has to have last been seen at that spot; the AI is
+     * driven by the server, so its position isn't checked.
+     * @param {string} playerId - Socket ID or AI ID
+     * @param {Object} progress
+     * @param {number} progress.lap - Laps completed
+     * @param {number} progress.checkpoint - Index of the last checkpoint passed on this lap (-1 for none)
+     * @param {number[]|Object} position - Last position the player's car reported ([x, y, z])
+     * @returns {boolean} True if the progress was recorded
+     */
+    updateProgress(playerId, { lap, checkpoint } = {}, position = null) {
+        const participant = this.participants.get(playerId);
+        if (this.state !== RACE_STATES.RACING || !participant || participant.finishTime !== null) {
+            return false;
+        }
+        if (!Number.isInteger(lap) || !Number.isInteger(checkpoint)) {
+            return false;
+        }
+
+        const track = this.getTrack();
+        const lastCheckpoint = track.checkpoints.length - 1;
+        const isNextCheckpoint = lap === participant.lap &&
+            checkpoint === participant.checkpoint + 1 && checkpoint <= lastCheckpoint;
+        const isNextLap = lap === participant.lap + 1 && lap <= this.totalLaps &&
+            checkpoint === -1 && participant.checkpoint === lastCheckpoint;
+        if (!isNextCheckpoint && !isNextLap) {
+            return false;
+        }
+
+        const u = isNextLap ? 0 : track.checkpoints[checkpoint];
+        if (!participant.isAI && !isNearTrackPosition(track, position, u)) {
+            return false;
+        }
+
+        participant.lap = lap;
+        participant.checkpoint = checkpoint;
+        this.recordSplit(playerId, lap, checkpoint);
+        return true;
+    }
+
+    /**
+     * Remember when a racer first reached a checkpoint, for the gaps in the standings
+     */
+    recordSplit(racerId, lap, checkpoint) {
+        if (!this.splits.has(racerId)) {
+            this.splits.set(racerId, new Map());
+        }
+
+        const splits = this.splits.get(racerId);
+        const key = getSplitKey(lap, checkpoint);
+        if (!splits.has(key)) {
+            splits.set(key, Math.max(0, (Date.now() - this.startTime) / 1000));
+        }
+    }
+
+    /**
+     * Live order of the race
+     * @param {TrackDefinition} track - The room's track
+     * @param {Function} getPosition - (racerId) => last known world position of a player or AI
+     * @returns {Array<Object>} Standings, leader first (see computeStandings)
+     */
+    getStandings(track, getPosition) {
+        const racers = Array.from(this.participants.values()).map(participant => ({
+            id: participant.id,
+            name: participant.name,
+            isAI: participant.isAI,
+            lap: participant.lap,
+            checkpoint: participant.checkpoint,
+            position: getPosition(participant.id),
+            finishTime: participant.finishTime,
+            splits: this.splits.get(participant.id)
+        }));
+
+        return computeStandings(track, racers);
+    }
+
+    /**
+     * A player (or AI) crossed the line on their last lap
+     * Only counts once the server has seen them through every checkpoint of
+     * every lap. The finishing time is measured on the server from the shared
+     * start time, and so are the lap times: the client's are only kept if they
+     * agree with the server's, being more precise.
+     * @param {string} playerId - Socket ID or AI ID
+     * @param {number[]} lapTimes - The client's lap times in seconds (shown in the results)
+     * @returns {Object|null} The player's finish, or null if it doesn't count
+     */
+    recordFinish(playerId, lapTimes = []) {
+        const participant = this.participants.get(playerId);
+        if (this.state !== RACE_STATES.RACING || !participant || participant.finishTime !== null) {
+            return null;
+        }
+
+        const lastCheckpoint = this.getTrack().checkpoints.length - 1;
+        const hasCompletedRace = participant.lap >= this.totalLaps ||
+            (participant.lap === this.totalLaps - 1 && participant.checkpoint === lastCheckpoint);
+        if (!hasCompletedRace) {
+            return null;
+        }
+
+        participant.finishTime = (Date.now() - this.startTime) / 1000;
+        participant.lap = this.totalLaps;
+        participant.checkpoint = -1;
+
+        const measuredLapTimes = this.getMeasuredLapTimes(participant);
+        const reportedLapTimes = Array.isArray(lapTimes) ? lapTimes : [];
+        const lapTimesAgree = reportedLapTimes.length === measuredLapTimes.length &&
+            reportedLapTimes.every((time, lap) =>
+                Number.isFinite(time) && time > 0 && Math.abs(time - measuredLapTimes[lap]) <= LAP_TIME_TOLERANCE);
+        participant.lapTimes = lapTimesAgree ? reportedLapTimes : measuredLapTimes;
+
+        const finishers = Array.from(this.participants.values()).filter(p => p.finishTime !== null);
+        const finish = {
+            roomId: this.roomId,
+            id: participant.id,
+            name: participant.name,
+            position: finishers.length,
+            time: participant.finishTime
+        };
+        this.broadcast('race-player-finished', finish);
+
+        if (finishers.length === this.participants.size) {
+            this.finish();
+        } else if (finishers.length === 1) {
+            // The winner is in: everyone else gets a limited time to finish
+            this.timer = setTimeout(() => this.finish(), FINISH_TIMEOUT);
+        }
+        return finish;
+    }
+
+    /**
+     * Lap times of a finisher as the server saw them: from the start, to each
+     * lap's first report of the finish line, to the finish
+     * @param {Object} participant - A participant with a finish time
+     * @returns {number[]} Seconds per lap
+     */
+    getMeasuredLapTimes(participant) {
+        const splits = this.splits.get(participant.id) || new Map();
+        const lapEnds = [];
+        for (let lap = 1; lap < this.totalLaps; lap++) {
+            lapEnds.push(splits.get(getSplitKey(lap, -1)));
+        }
+        lapEnds.push(participant.finishTime);
+
+        return lapEnds.map((end, lap) => end - (lap === 0 ? 0 : lapEnds[lap - 1]));
+    }
+
+    /**
+     * A player left the room
+     * @param {string} playerId - Socket ID
+     */
+    removePlayer(playerId) {
+        const participant = this.participants.get(playerId);
+        if (!participant) return;
+
+        // Finishers keep their place in the results
+        if (participant.finishTime === null || this.state === RACE_STATES.READY_CHECK) {
+            this.participants.delete(playerId);
+        }
+
+        const remaining = Array.from(this.participants.values());
+        const playersLeft = remaining.filter(p => !p.isAI).length;
+        if (this.state === RACE_STATES.READY_CHECK) {
+            if (remaining.length === 0) {
+                this.clearTimer();
+                this.setState(RACE_STATES.LOBBY);
+            } else if (remaining.every(p => p.ready)) {
+                this.startCountdown();
+            }
+        } else if (this.state === RACE_STATES.COUNTDOWN || this.state === RACE_STATES.RACING) {
+            // AI opponents don't race on their own
+            if (playersLeft === 0) {
+                this.clearTimer();
+                this.startTime = null;
+                this.setState(RACE_STATES.LOBBY);
+            } else if (this.state === RACE_STATES.RACING && remaining.every(p => p.finishTime !== null)) {
+                this.finish();
+            }
+        }
+    }
+
+    /**
+     * A player reconnected under a new socket ID
+     * Their place in the race, splits and result carry over to the new ID.
+     * @param {string} previousId - Socket ID the player raced with
+     * @param {string} playerId - The player's new socket ID
+     */
+    replacePlayer(previousId, playerId) {
+        const participant = this.participants.get(previousId);
+        if (participant) {
+            this.participants.delete(previousId);
+            participant.id = playerId;
+            this.participants.set(playerId, participant);
+        }
+
+        if (this.splits.has(previousId)) {
+            this.splits.set(playerId, this.splits.get(previousId));
+            this.splits.delete(previousId);
+        }
+
+        if (this.results) {
+            this.results
+                .filter(result => result.id === previousId)
+                .forEach(result => { result.id = playerId; });
+        }
+    }
+
+    /**
+     * End the race and publish the finishing order
+     * Players still on track are listed after the finishers as not finished.
+     * In a time trial finishers are ranked by their best lap and gaps are lap time gaps.
+     */
+    finish() {
+        this.clearTimer();
+        this.setState(RACE_STATES.FINISHED);
+
+        const getBestLap = p => p.lapTimes && p.lapTimes.length > 0 ? Math.min(...p.lapTimes) : null;
+        const getRankingTime = p => this.timeTrial ? getBestLap(p) : p.finishTime;
+
+        const participants = Array.from(this.participants.values());
+        const finishers = participants
+            .filter(p => p.finishTime !== null && getRankingTime(p) !== null)
+            .sort((a, b) => getRankingTime(a) - getRankingTime(b));
+        const unfinished = participants.filter(p => !finishers.includes(p));
+
+        const winnerTime = finishers.length > 0 ? getRankingTime(finishers[0]) : null;
+
+        this.results = [...finishers, ...unfinished].map((p, index) => ({
+            position: index + 1,
+            id: p.id,
+            name: p.name,
+            isAI: p.isAI,
+            time: p.finishTime,
+            gap: finishers.includes(p) ? getRankingTime(p) - winnerTime : null,
+            lapTimes: p.lapTimes || [],
+            bestLap: getBestLap(p),
+            finished: p.finishTime !== null
+        }));
+
+        this.setState(RACE_STATES.RESULTS);
+        this.broadcast('race-results', {
+            roomId: this.roomId,
+            timeTrial: this.timeTrial,
+            results: this.results
+        });
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    dispose() {
+        this.clearTimer();
+        this.participants.clear();
+        this.splits.clear();
+    }
+}
+
+/**
+ * Whether a reported position is on the road close to a point of the lap
+ * (reports lag the car by a frame or two, at up to ~100 m/s)
+ * @param {TrackDefinition} track - The room's track
+ * @param {number[]|{x, z}} position - World position ([x, y, z] as sent by clients)
+ * @param {number} u - Position along the lap (0-1)
+ * @returns {boolean}
+ */
+function isNearTrackPosition(track, position, u) {
+    if (!position) return false;
+
+    const x = Array.isArray(position) ? position[0] : position.x;
+    const z = Array.isArray(position) ? position[2] : position.z;
+    if (!Number.isFinite(x) || !Number.isFinite(z)) return false;
+
+    const projected = track.project(x, z);
+    const along = Math.abs(projected.u - u);
+    return Math.min(along, 1 - along) * track.length <= CHECKPOINT_REACH && projected.distance <= projected.width;
+}
@@ -1,24 +1,51 @@
 import { v4 as uuidv4 } from 'uuid';
 import { ServerItemManager } from './ItemManager.js';
+import { TrackRegistry, DEFAULT_TRACK_ID } from './TrackRegistry.js';
+import { RaceStateMachine, RACE_STATES } from './RaceStateMachine.js';
+import { Championship } from './Championship.js';
+import { normalizeRoomOptions } from 'racingcart-shared/constants/RoomOptions.js';
+import { HIT_EFFECTS } from 'racingcart-shared/constants/ItemEffects.js';
+import { normalizeCarType } from 'racingcart-shared/constants/CarSpecs.js';
 
 export class RoomManager {
-    constructor(io) {
+    constructor(io, trackRegistry = new TrackRegistry()) {
         this.io = io;
+        this.trackRegistry = trackRegistry;
         this.rooms = new Map();
         this.playerRooms = new Map(); // Track which room each player is in
+        this.spectatorRooms = new Map(); // Which room each spectator is watching
         this.maxPlayersPerRoom = 8;
         this.roomCleanupInterval = 1000 * 60 * 60; // 1 hour
+        this.reconnectGracePeriod = 1000 * 30; // How long a disconnected player's slot is held
+        this.championshipIntermission = 1000 * 15; // Standings are shown this long before the next round's track loads
         this.MASTER_ROOM_ID = 'public-master';
         
         // Create item managers for each room
         this.roomItemManagers = new Map();
         
+        // Race lifecycle of each private room (the master room is free roam)
+        this.roomRaces = new Map();
+        
+        // Server AI opponents of room races (set by the server)
+        this.aiPlayerManager = null;
+        
+        // Saves championship standings next to the high scores (set by the server)
+        this.highScoreManager = null;
+        
         // Start room cleanup interval
         setInterval(() => this.cleanupInactiveRooms(), this.roomCleanupInterval);
         
         // Start item update interval
         setInterval(() => this.updateItems(), 1000);
         
+        // Thrown bananas and shells move and hit on the server
+        this.projectileUpdateInterval = 50;
+        this.lastProjectileUpdate = Date.now();
+        setInterval(() => this.updateProjectiles(), this.projectileUpdateInterval);
+        
+        // Start live standings interval
+        setInterval(() => this.updateStandings(), 500);
+        
         // Create master room in constructor
         this.createMasterRoom();
         console.log(`[${new Date().toISOString()}] RoomManager initialized with io:`, !!this.io);
@@ -33,16 +60,16 @@ export class RoomManager {
                     created: Date.now(),
                     lastActivity: Date.now(),
                     isPublic: true,
-                    isMasterRoom: true
+                    isMasterRoom: true,
+                    trackId: DEFAULT_TRACK_ID,
+                    options: normalizeRoomOptions(),
+                    aiPlayers: new Map(),
+                    spectators: new Map()
                 };
                 this.rooms.set(this.MASTER_ROOM_ID, room);
                 
-                // Create item manager for master room
-                const itemManager = new ServerItemManager();
-                this.roomItemManagers.set(this.MASTER_ROOM_ID, itemManager);
-                
-                // Initialize items in the master room
-                itemManager.initialSpawn();
+                // Create item manager for master room and initialize its items
+                this.createItemManager(room);
                 
                 console.log(`[${new Date().toISOString()}] Master room created with ItemManager and initial items`);
             }
@@ -51,7 +78,15 @@ export class RoomManager {
         }
     }
     
-    createRoom(roomId = null, creatorName = null) {
+    /**
+     * Create a room
+     * @param {string} roomId - Room ID (generated if not given)
+     * @param {string} creatorName - Name of a player to add right away, if any
+     * @param {string} trackId - Track the room races on
+     * @param {Object} options - Race rules (see RoomOptions), defaults for anything not given
+     * @returns {Object} Room info
+     */
+    createRoom(roomId = null, creatorName = null, trackId = DEFAULT_TRACK_ID, options = {}) {
         roomId = roomId || `room-${uuidv4()}`;
         
         if (this.rooms.has(roomId)) {
@@ -63,16 +98,19 @@ export class RoomManager {
             players: new Map(),
             created: Date.now(),
             lastActivity: Date.now(),
-            isPublic: roomId.startsWith('public-')
+            isPublic: roomId.startsWith('public-'),
+            trackId: this.trackRegistry.resolveTrackId(trackId),
+            options: normalizeRoomOptions(options),
+            aiPlayers: new Map(),
+            spectators: new Map()
         };
         
         // Store the room first
         this.rooms.set(roomId, room);
         
         // Create item manager for the room and spawn initial items
-        const itemManager = new ServerItemManager();
-        itemManager.initialSpawn();
-        this.roomItemManagers.set(roomId, itemManager);
+        this.createItemManager(room);
+        this.createRace(room);
         
         // Then add the creator if provided
         let creator = null;
@@ -85,6 +123,783 @@ export class RoomManager {
         return roomInfo;
     }
     
+    /**
+     * Open a public room for matchmaking
+     * @param {string} region - Region tag of the players it's opened for
+     * @returns {Object} Room data
+     */
+    createPublicRoom(region) {
+        const { id } = this.createRoom(`public-${region}-${uuidv4()}`);
+        const room = this.rooms.get(id);
+        room.region = region;
+        room.isMatchmade = true;
+        
+        console.log(`[${new Date().toISOString()}] [ROOM] Opened public room ${id} in region ${region}`);
+        return room;
+    }
+    
+    /**
+     * Create a room's item manager with spawn points on the room's track
+     * and the item types and spawn rate of the room's options
+     * @param {Object} room - Room data
+     * @returns {ServerItemManager}
+     */
+    createItemManager(room) {
+        const itemManager = new ServerItemManager(this.getTrack(room.id), room.options);
+        itemManager.initialSpawn();
+        
+        // Players keep the items they hold
+        const previous = this.roomItemManagers.get(room.id);
+        if (previous) {
+            itemManager.heldItems = previous.heldItems;
+        }
+        this.roomItemManagers.set(room.id, itemManager);
+        return itemManager;
+    }
+    
+    /**
+     * Create the race state machine of a room
+     * @param {Object} room - Room data
+     * @returns {RaceStateMachine|null} The race, or null for public (free roam) rooms
+     */
+    createRace(room) {
+        if (room.isPublic) return null;
+        
+        const broadcast = (event, data) => {
+            this.broadcastToRoom(room.id, event, data);
+            if (event === 'race-state') {
+                this.onRaceStateChanged(room, data.state);
+            }
+        };
+        
+        const race = new RaceStateMachine(room.id, broadcast, {
+            totalLaps: room.options.laps,
+            timeTrial: room.options.timeTrial,
+            addAIRacers: startTime => this.addRaceAI(room, startTime),
+            getTrack: () => this.getTrack(room.id)
+        });
+        this.roomRaces.set(room.id, race);
+        return race;
+    }
+    
+    /**
+     * Put a room's AI opponents on the start line for a race
+     * @param {Object} room - Room data
+     * @param {number} startTime - Server time the race starts; the AI waits until then
+     * @returns {Array<{id, name}>} The AI racers
+     */
+    addRaceAI(room, startTime) {
+        if (!this.aiPlayerManager) return [];
+        
+        const racers = [];
+        for (let i = 0; i < room.options.aiCount; i++) {
+            const aiPlayer = this.aiPlayerManager.createAIPlayer(room.id, {
+                difficulty: room.options.aiDifficulty,
+                trajectoryIndex: i, // Spread across the lanes
+                startPointIndex: 0,
+                startTime
+            });
+            if (aiPlayer) {
+                racers.push({ id: aiPlayer.id, name: aiPlayer.name });
+            }
+        }
+        return racers;
+    }
+    
+    /**
+     * AI opponents only exist for the length of a race, and the results
+     * of a championship race are scored
+     * @param {Object} room - Room data
+     * @param {string} state - New race state
+     */
+    onRaceStateChanged(room, state) {
+        if (state === RACE_STATES.RESULTS) {
+            this.recordChampionshipRound(room);
+        }
+        
+        if (!this.aiPlayerManager) return;
+        
+        if (state === RACE_STATES.RESULTS || state === RACE_STATES.LOBBY) {
+            this.aiPlayerManager.removeAIPlayersFromRoom(room.id);
+        }
+    }
+    
+    /**
+     * Start a championship in a room (host only, between races)
+     * The room moves to the first round's track; every race after that is
+     * scored and the room moves on to the next track by itself.
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID of the player starting it
+     * @param {Object} request
+     * @param {string[]} request.trackIds - Track of each round, in order
+     * @param {number[]} request.points - Points for P1, P2, ... (defaults to 10/8/6/5/4/3/2/1)
+     * @param {string} request.name - Name of the championship
+     * @param {string} request.championshipId - Continue a saved championship instead
+     * @returns {Promise<Object>} Championship state
+     */
+    async startChampionship(roomId, playerId, { trackIds, points, name, championshipId } = {}) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        if (room.isPublic) {
+            throw new Error('Championships can only be run in private rooms');
+        }
+        
+        if (room.hostId !== playerId) {
+            throw new Error('Only the room host can start a championship');
+        }
+        
+        const race = this.roomRaces.get(roomId);
+        if (race && race.state !== RACE_STATES.LOBBY && race.state !== RACE_STATES.RESULTS) {
+            throw new Error('A championship cannot be started during a race');
+        }
+        
+        if (room.championship && !room.championship.isFinished()) {
+            throw new Error('A championship is already running in this room');
+        }
+        
+        let championship;
+        if (championshipId) {
+            const saved = this.highScoreManager ? await this.highScoreManager.getChampionship(championshipId) : null;
+            if (!saved) {
+                throw new Error(`Unknown championship: ${championshipId}`);
+            }
+            championship = Championship.fromJSON({ ...saved, roomId });
+            if (championship.isFinished()) {
+                throw new Error('That championship is already over');
+            }
+        } else {
+            if (!Array.isArray(trackIds) || trackIds.length < 2) {
+                throw new Error('A championship needs at least two rounds');
+            }
+            const unknown = trackIds.find(trackId => !this.trackRegistry.has(trackId));
+            if (unknown) {
+                throw new Error(`Unknown track: ${unknown}`);
+            }
+            
+            championship = new Championship({
+                name,
+                roomId,
+                // Canonical IDs so aliases compare equal on every client
+                trackIds: trackIds.map(trackId => this.trackRegistry.get(trackId).id),
+                points
+            });
+        }
+        
+        // The room may have been emptied while the saved championship loaded
+        if (!this.rooms.has(roomId)) {
+            throw new Error('Room not found');
+        }
+        
+        this.clearChampionshipTimer(room);
+        room.championship = championship;
+        room.lastActivity = Date.now();
+        console.log(`[${new Date().toISOString()}] [CHAMPIONSHIP] Room ${roomId} started ${championship.id} (round ${championship.rounds.length + 1} of ${championship.trackIds.length})`);
+        
+        this.saveChampionship(championship);
+        this.broadcastChampionship(room);
+        this.setRoomTrack(room, championship.getCurrentTrackId());
+        
+        return championship.getState();
+    }
+    
+    /**
+     * Stop a room's championship (host only); the standings stay saved
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID of the player ending it
+     */
+    endChampionship(roomId, playerId) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        if (room.hostId !== playerId) {
+            throw new Error('Only the room host can end the championship');
+        }
+        
+        if (!room.championship) {
+            throw new Error('No championship in this room');
+        }
+        
+        console.log(`[${new Date().toISOString()}] [CHAMPIONSHIP] Room ${roomId} ended ${room.championship.id}`);
+        this.clearChampionshipTimer(room);
+        room.championship = null;
+        this.broadcastChampionship(room);
+    }
+    
+    /**
+     * Score a finished race of a room's championship, then move the room on
+     * to the next round's track after a short intermission
+     * @param {Object} room - Room data
+     */
+    recordChampionshipRound(room) {
+        const championship = room.championship;
+        const race = this.roomRaces.get(room.id);
+        if (!championship || championship.isFinished() || !race || !race.results) return;
+        
+        const round = championship.recordRound(race.results);
+        console.log(`[${new Date().toISOString()}] [CHAMPIONSHIP] Room ${room.id} finished round ${round.round} of ${championship.trackIds.length}`);
+        
+        this.saveChampionship(championship);
+        
+        let nextRoundAt = null;
+        if (!championship.isFinished()) {
+            nextRoundAt = Date.now() + this.championshipIntermission;
+            this.clearChampionshipTimer(room);
+            room.championshipTimer = setTimeout(() => this.advanceChampionship(room.id), this.championshipIntermission);
+        }
+        this.broadcastChampionship(room, nextRoundAt);
+    }
+    
+    /**
+     * Load the next round's track in a championship room
+     * @param {string} roomId - Room ID
+     */
+    advanceChampionship(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+        
+        room.championshipTimer = null;
+        const trackId = room.championship ? room.championship.getCurrentTrackId() : null;
+        if (!trackId) return;
+        
+        this.setRoomTrack(room, trackId);
+        this.broadcastChampionship(room);
+    }
+    
+    /**
+     * Get the championship state of a room
+     * @param {string} roomId - Room ID
+     * @returns {Object|null} Championship state, or null if the room isn't running one
+     */
+    getChampionshipState(roomId) {
+        const room = this.rooms.get(roomId);
+        return room && room.championship ? room.championship.getState() : null;
+    }
+    
+    /**
+     * Send a room's championship standings to every member
+     * @param {Object} room - Room data
+     * @param {number} nextRoundAt - Server time the next round's track loads, if it's scheduled
+     */
+    broadcastChampionship(room, nextRoundAt = null) {
+        this.broadcastToRoom(room.id, 'championship-update', {
+            roomId: room.id,
+            championship: room.championship ? room.championship.getState() : null,
+            nextRoundAt,
+            serverTime: Date.now()
+        });
+    }
+    
+    saveChampionship(championship) {
+        if (!this.highScoreManager) return;
+        
+        this.highScoreManager.saveChampionship(championship).catch(error => {
+            console.error(`[${new Date().toISOString()}] [CHAMPIONSHIP] Failed to save ${championship.id}:`, error);
+        });
+    }
+    
+    clearChampionshipTimer(room) {
+        if (room.championshipTimer) {
+            clearTimeout(room.championshipTimer);
+            room.championshipTimer = null;
+        }
+    }
+    
+    /**
+     * Register a server AI player with its room and show it to the players there
+     * Called by the AIPlayerManager
+     * @param {string} roomId - Room ID
+     * @param {string} aiId - AI player ID
+     * @param {string} name - AI player name
+     * @param {string} carType - Car the AI player drives
+     */
+    addAIPlayerToRoom(roomId, aiId, name, carType) {
+        const room = this.rooms.get(roomId);
+        if (!room) return;
+        
+        room.aiPlayers.set(aiId, { id: aiId, name, isAI: true, carType });
+        this.broadcastToRoom(roomId, 'peer-joined', { id: aiId, name, carType });
+    }
+    
+    /**
+     * Take a server AI player out of its room
+     * Called by the AIPlayerManager
+     * @param {string} roomId - Room ID
+     * @param {string} aiId - AI player ID
+     */
+    removeAIPlayerFromRoom(roomId, aiId) {
+        const room = this.rooms.get(roomId);
+        if (!room || !room.aiPlayers.delete(aiId)) return;
+        
+        this.roomRaces.get(roomId)?.removePlayer(aiId);
+        this.roomItemManagers.get(roomId)?.heldItems.delete(aiId);
+        this.broadcastToRoom(roomId, 'peer-left', { peerId: aiId });
+    }
+    
+    /**
+     * Change a room's race rules (host only, between races)
+     * Respawns the room's items with the new item settings and tells every member
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID of the player asking for the change
+     * @param {Object} options - Options to change (see RoomOptions)
+     * @returns {Object} Room info
+     */
+    updateRoomOptions(roomId, playerId, options) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        if (room.isPublic) {
+            throw new Error('Public rooms always use the default rules');
+        }
+        
+        if (room.hostId !== playerId) {
+            throw new Error('Only the room host can change the race rules');
+        }
+        
+        const race = this.roomRaces.get(roomId);
+        if (race && race.state !== RACE_STATES.LOBBY && race.state !== RACE_STATES.RESULTS) {
+            throw new Error('The race rules cannot be changed during a race');
+        }
+        
+        room.options = normalizeRoomOptions(options, room.options);
+        room.lastActivity = Date.now();
+        
+        if (race) {
+            race.totalLaps = room.options.laps;
+            race.timeTrial = room.options.timeTrial;
+        }
+        
+        const itemManager = this.createItemManager(room);
+        console.log(`[${new Date().toISOString()}] [ROOM] Room ${roomId} rules changed:`, room.options);
+        
+        this.broadcastToRoom(roomId, 'room-options', { roomId, options: room.options });
+        this.broadcastToRoom(roomId, 'items-sync', itemManager.getAllItems());
+        
+        return this.getRoomInfo(room);
+    }
+    
+    /**
+     * Get the current race state of a room
+     * @param {string} roomId - Room ID
+     * @returns {Object|null} Race state, or null for rooms without races
+     */
+    getRaceState(roomId) {
+        const race = this.roomRaces.get(roomId);
+        return race ? race.getState() : null;
+    }
+    
+    /**
+     * Start a race in a room (host only, once every other player is ready)
+     * Every player in the room is asked to confirm they've loaded the track,
+     * then the server counts down to a shared start time
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID of the player starting the race
+     * @returns {Object} Race state
+     */
+    startRace(roomId, playerId) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        const race = this.roomRaces.get(roomId);
+        if (!race) {
+            throw new Error('Races can only be started in private rooms');
+        }
+        
+        if (room.hostId !== playerId) {
+            throw new Error('Only the room host can start the race');
+        }
+        
+        const players = Array.from(room.players.values());
+        const notReady = players.filter(player => player.id !== room.hostId && !player.ready);
+        if (notReady.length > 0) {
+            throw new Error(`Waiting for ${notReady.map(player => player.name).join(', ')} to get ready`);
+        }
+        
+        room.lastActivity = Date.now();
+        race.startReadyCheck(players);
+        
+        // Everyone readies up again for the next race
+        players.forEach(player => {
+            player.ready = false;
+        });
+        this.broadcastRoomPlayers(roomId);
+        
+        return race.getState();
+    }
+    
+    /**
+     * A player switched cars
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID
+     * @param {string} carType - Requested car type
+     * @returns {string} The car type the player now drives (unknown types fall back to the default car)
+     */
+    setPlayerCarType(roomId, playerId, carType) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        const player = room.players.get(playerId);
+        if (!player) {
+            throw new Error('Not in this room');
+        }
+        
+        player.carType = normalizeCarType(carType);
+        this.broadcastRoomPlayers(roomId);
+        return player.carType;
+    }
+    
+    /**
+     * A player toggled ready in the waiting room
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID
+     * @param {boolean} ready - Whether the player is ready to race
+     */
+    setPlayerReady(roomId, playerId, ready) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        if (!this.roomRaces.has(roomId)) {
+            throw new Error('Races can only be started in private rooms');
+        }
+        
+        const player = room.players.get(playerId);
+        if (!player) {
+            throw new Error('Not in this room');
+        }
+        
+        player.ready = !!ready;
+        player.lastActivity = Date.now();
+        room.lastActivity = Date.now();
+        this.broadcastRoomPlayers(roomId);
+    }
+    
+    /**
+     * Remove a player from a room (host only)
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID of the host
+     * @param {string} targetId - Socket ID of the player to remove
+     * @returns {Object} The removed player
+     */
+    kickPlayer(roomId, playerId, targetId) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        if (room.isPublic) {
+            throw new Error('Players cannot be removed from public rooms');
+        }
+        
+        if (room.hostId !== playerId) {
+            throw new Error('Only the room host can remove players');
+        }
+        
+        if (targetId === playerId) {
+            throw new Error('The host cannot remove themselves');
+        }
+        
+        const target = room.players.get(targetId);
+        if (!target) {
+            throw new Error('Player not found in this room');
+        }
+        
+        this.removePlayerFromRoom(roomId, targetId);
+        console.log(`[${new Date().toISOString()}] [ROOM] Host ${playerId} removed ${target.name} (${targetId}) from room ${roomId}`);
+        
+        return target;
+    }
+    
+    /**
+     * Hand the host role to another player in the room (host only)
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID of the current host
+     * @param {string} targetId - Socket ID of the new host
+     * @returns {Object} Room info
+     */
+    transferHost(roomId, playerId, targetId) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        if (room.isPublic) {
+            throw new Error('Public rooms have no host');
+        }
+        
+        if (room.hostId !== playerId) {
+            throw new Error('Only the room host can hand over the host role');
+        }
+        
+        if (!room.players.has(targetId)) {
+            throw new Error('Player not found in this room');
+        }
+        
+        room.hostId = targetId;
+        room.lastActivity = Date.now();
+        console.log(`[${new Date().toISOString()}] [ROOM] Room ${roomId} host is now ${targetId}`);
+        this.broadcastRoomPlayers(roomId);
+        
+        return this.getRoomInfo(room);
+    }
+    
+    /**
+     * The players of a room as shown in the waiting room
+     * @param {Object} room - Room data
+     * @returns {Object} { roomId, hostId, players: [{ id, name, ready, connected }], spectators }
+     */
+    getRoomPlayers(room) {
+        return {
+            roomId: room.id,
+            hostId: room.hostId || null,
+            players: Array.from(room.players.values()).map(player => ({
+                id: player.id,
+                name: player.name,
+                carType: player.carType,
+                ready: !!player.ready,
+                connected: !player.disconnectTimer
+            })),
+            spectators: room.spectators.size
+        };
+    }
+    
+    /**
+     * Send a private room's player list, ready flags and host to every member
+     * @param {string} roomId - Room ID
+     */
+    broadcastRoomPlayers(roomId) {
+        const room = this.rooms.get(roomId);
+        if (!room || room.isPublic) return;
+        
+        this.broadcastToRoom(roomId, 'room-players', this.getRoomPlayers(room));
+    }
+    
+    /**
+     * A player confirmed they're ready for the race
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID
+     * @returns {boolean} True if the player takes part in the ready check
+     */
+    markRaceReady(roomId, playerId) {
+        const race = this.roomRaces.get(roomId);
+        return race ? race.markReady(playerId) : false;
+    }
+    
+    /**
+     * A player passed a checkpoint or completed a lap
+     * Checked against the position of the player's last player-update.
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID
+     * @param {Object} progress - { lap, checkpoint }
+     * @returns {boolean} True if the progress was recorded
+     */
+    updateRaceProgress(roomId, playerId, progress) {
+        const room = this.rooms.get(roomId);
+        const race = this.roomRaces.get(roomId);
+        if (!room || !race) return false;
+        
+        return race.updateProgress(playerId, progress, this.getRacerPosition(room, playerId));
+    }
+    
+    /**
+     * Get the live order of a room's race
+     * @param {string} roomId - Room ID
+     * @returns {Array<Object>|null} Standings, or null when no race is running
+     */
+    getStandings(roomId) {
+        const room = this.rooms.get(roomId);
+        const race = this.roomRaces.get(roomId);
+        if (!room || !race || race.state !== RACE_STATES.RACING) {
+            return null;
+        }
+        
+        return race.getStandings(this.getTrack(roomId), racerId => this.getRacerPosition(room, racerId));
+    }
+    
+    /**
+     * Last known position of a player or AI opponent in a room
+     * @param {Object} room - Room data
+     * @param {string} racerId - Socket ID or AI ID
+     * @returns {number[]|Object|null} [x, y, z] for players, { x, y, z } for the AI
+     */
+    getRacerPosition(room, racerId) {
+        const player = room.players.get(racerId);
+        if (player) return player.position || null;
+        
+        const aiPlayer = this.aiPlayerManager ? this.aiPlayerManager.aiPlayers.get(racerId) : null;
+        return aiPlayer && aiPlayer.room === room.id ? aiPlayer.position : null;
+    }
+    
+    /**
+     * Report the progress of a room's AI opponents to its race
+     * (players report their own; the AI is driven by the server)
+     * @param {string} roomId - Room ID
+     * @param {RaceStateMachine} race - The room's race
+     */
+    updateAIRaceProgress(roomId, race) {
+        if (!this.aiPlayerManager || race.state !== RACE_STATES.RACING) return;
+        
+        this.aiPlayerManager.getRaceProgress(roomId).forEach(ai => {
+            if (ai.lap >= race.totalLaps) {
+                race.recordFinish(ai.id, ai.lapTimes);
+            } else {
+                race.updateProgress(ai.id, ai);
+            }
+        });
+    }
+    
+    /**
+     * Send the live standings of every running race to its room
+     */
+    updateStandings() {
+        if (!this.io) return;
+        
+        for (const [roomId, race] of this.roomRaces) {
+            this.updateAIRaceProgress(roomId, race);
+            
+            const standings = this.getStandings(roomId);
+            if (!standings) continue;
+            
+            // Sent twice a second, so not through broadcastToRoom (which logs every message)
+            this.io.to(roomId).emit('race-standings', { roomId, standings });
+        }
+    }
+    
+    /**
+     * A player finished the race
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID
+     * @param {number[]} lapTimes - The player's lap times in seconds
+     * @returns {Object|null} The player's finish, or null if it doesn't count
+     */
+    recordRaceFinish(roomId, playerId, lapTimes) {
+        const race = this.roomRaces.get(roomId);
+        return race ? race.recordFinish(playerId, lapTimes) : null;
+    }
+    
+    /**
+     * Delete a room and everything the server keeps for it
+     * @param {string} roomId - Room ID
+     */
+    deleteRoom(roomId) {
+        const race = this.roomRaces.get(roomId);
+        if (race) {
+            race.dispose();
+            this.roomRaces.delete(roomId);
+        }
+        this.aiPlayerManager?.removeAIPlayersFromRoom(roomId);
+        
+        const room = this.rooms.get(roomId);
+        if (room) {
+            this.clearChampionshipTimer(room);
+            room.players.forEach(player => this.clearDisconnectTimer(player));
+            room.spectators.forEach((_, spectatorId) => this.spectatorRooms.delete(spectatorId));
+        }
+        this.rooms.delete(roomId);
+        this.roomItemManagers.delete(roomId);
+    }
+    
+    /**
+     * Get the geometry of the track a room is racing on
+     * @param {string} roomId - Room ID
+     * @returns {TrackDefinition} The room's track (default track for unknown rooms)
+     */
+    getTrack(roomId) {
+        const room = this.rooms.get(roomId);
+        return this.trackRegistry.get(room ? room.trackId : DEFAULT_TRACK_ID);
+    }
+    
+    /**
+     * Change the track a room races on (host only)
+     * Respawns the room's items on the new track and tells every member to load it
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID of the player asking for the change
+     * @param {string} trackId - Requested track ID
+     * @returns {Object} Room info
+     */
+    changeRoomTrack(roomId, playerId, trackId) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        if (room.isPublic) {
+            throw new Error('Public rooms always race on the default track');
+        }
+        
+        if (room.hostId !== playerId) {
+            throw new Error('Only the room host can change the track');
+        }
+        
+        const race = this.roomRaces.get(roomId);
+        if (race && (race.state === RACE_STATES.COUNTDOWN || race.state === RACE_STATES.RACING)) {
+            throw new Error('The track cannot be changed during a race');
+        }
+        
+        if (room.championship && !room.championship.isFinished()) {
+            throw new Error('The championship picks the track of each round');
+        }
+        
+        if (!this.trackRegistry.has(trackId)) {
+            throw new Error(`Unknown track: ${trackId}`);
+        }
+        
+        this.setRoomTrack(room, trackId);
+        return this.getRoomInfo(room);
+    }
+    
+    /**
+     * Move a room to a track: respawn its items there and tell every member to load it
+     * @param {Object} room - Room data
+     * @param {string} trackId - A known track ID
+     */
+    setRoomTrack(room, trackId) {
+        // Store the canonical ID so aliases compare equal on every client
+        room.trackId = this.trackRegistry.get(trackId).id;
+        room.lastActivity = Date.now();
+        
+        const itemManager = this.createItemManager(room);
+        console.log(`[${new Date().toISOString()}] [ROOM] Room ${room.id} now racing on track ${room.trackId}`);
+        
+        this.broadcastToRoom(room.id, 'track-changed', { roomId: room.id, trackId: room.trackId });
+        this.broadcastToRoom(room.id, 'items-sync', itemManager.getAllItems());
+    }
+    
+    /**
+     * Check whether a state update was sent from the room's track
+     * Updates without a trackId come from older clients and are accepted
+     * @param {string} roomId - Room ID
+     * @param {string} trackId - Track ID the update was sent from
+     * @returns {boolean}
+     */
+    isRoomTrack(roomId, trackId) {
+        if (!trackId) return true;
+        return this.trackRegistry.has(trackId) && this.trackRegistry.get(trackId) === this.getTrack(roomId);
+    }
+    
+    /**
+     * Keep a host in the room: the first player to join, then the
+     * longest-connected player after the host leaves
+     * @param {Object} room - Room data
+     */
+    updateHost(room) {
+        if (room.hostId && room.players.has(room.hostId)) return;
+        
+        const [oldest] = Array.from(room.players.values()).sort((a, b) => a.joined - b.joined);
+        room.hostId = oldest ? oldest.id : null;
+    }
+    
     getRoom(roomId) {
         try {
             if (!roomId) {
@@ -143,7 +958,9 @@ export class RoomManager {
             id: playerId,
             name: playerName,
             joined: Date.now(),
-            lastActivity: Date.now()
+            lastActivity: Date.now(),
+            ready: false,
+            reconnectToken: uuidv4()
         };
         
         room.players.set(playerId, player);
@@ -157,14 +974,19 @@ export class RoomManager {
         const room = this.rooms.get(roomId);
         if (!room) return;
         
+        this.clearDisconnectTimer(room.players.get(playerId));
         room.players.delete(playerId);
         this.playerRooms.delete(playerId);
+        this.roomItemManagers.get(roomId)?.heldItems.delete(playerId);
         room.lastActivity = Date.now();
+        this.updateHost(room);
+        this.roomRaces.get(roomId)?.removePlayer(playerId);
         
         // Clean up empty rooms, but never delete the master room
         if (room.players.size === 0 && !room.isMasterRoom) {
-            this.rooms.delete(roomId);
-            this.roomItemManagers.delete(roomId);
+            this.deleteRoom(roomId);
+        } else {
+            this.broadcastRoomPlayers(roomId);
         }
         
         // If we deleted the master room by accident, recreate it
@@ -180,7 +1002,12 @@ export class RoomManager {
         }
     }
     
-    updatePlayerActivity(playerId) {
+    /**
+     * Mark a player as active
+     * @param {string} playerId - Socket ID
+     * @param {number[]} position - Position from the player's state update, if any ([x, y, z])
+     */
+    updatePlayerActivity(playerId, position = null) {
         const roomId = this.playerRooms.get(playerId);
         if (!roomId) return;
         
@@ -192,6 +1019,11 @@ export class RoomManager {
         
         player.lastActivity = Date.now();
         room.lastActivity = Date.now();
+        
+        // Kept for the live standings
+        if (position) {
+            player.position = position;
+        }
     }
     
     getPublicRooms() {
@@ -249,7 +1081,12 @@ export class RoomManager {
                 created: room.created,
                 lastActivity: room.lastActivity,
                 isPublic: room.isPublic,
-                isMasterRoom: room.isMasterRoom || false
+                isMasterRoom: room.isMasterRoom || false,
+                region: room.region || null,
+                spectators: room.spectators ? room.spectators.size : 0,
+                trackId: room.trackId,
+                hostId: room.hostId || null,
+                options: room.options
             };
         } catch (error) {
             console.error(`[${new Date().toISOString()}] Error in getRoomInfo:`, error);
@@ -276,6 +1113,12 @@ export class RoomManager {
             }
             
             if (now - room.lastActivity > inactivityThreshold) {
+                // Rooms created through the API may never have been joined
+                if (room.players.size === 0) {
+                    this.deleteRoom(roomId);
+                    continue;
+                }
+                
                 // Remove all players from the room
                 room.players.forEach((_, playerId) => {
                     this.removePlayerFromRoom(roomId, playerId);
@@ -298,7 +1141,7 @@ export class RoomManager {
         }
     }
 
-    joinRoom(socket, roomId = this.MASTER_ROOM_ID, playerName) {
+    joinRoom(socket, roomId = this.MASTER_ROOM_ID, playerName, trackId = DEFAULT_TRACK_ID, carType = null) {
         console.log(`[${new Date().toISOString()}] [ROOM] Player ${socket.id} joining room ${roomId}`);
         
         // Get the room or create it if it doesn't exist
@@ -311,16 +1154,19 @@ export class RoomManager {
                     players: new Map(),
                     created: Date.now(),
                     lastActivity: Date.now(),
-                    isPublic: roomId.startsWith('public-')
+                    isPublic: roomId.startsWith('public-'),
+                    trackId: this.trackRegistry.resolveTrackId(trackId),
+                    options: normalizeRoomOptions(),
+                    aiPlayers: new Map(),
+                    spectators: new Map()
                 };
                 this.rooms.set(roomId, room);
                 
                 // Create item manager for the room and spawn initial items
-                const itemManager = new ServerItemManager();
-                itemManager.initialSpawn();
-                this.roomItemManagers.set(roomId, itemManager);
+                this.createItemManager(room);
+                this.createRace(room);
                 
-                console.log(`[${new Date().toISOString()}] [ROOM] Created new room ${roomId}`);
+                console.log(`[${new Date().toISOString()}] [ROOM] Created new room ${roomId} on track ${room.trackId}`);
             } catch (error) {
                 console.error(`[${new Date().toISOString()}] [ROOM] Error creating room:`, error);
                 throw new Error(`Failed to create room: ${error.message}`);
@@ -339,6 +1185,7 @@ export class RoomManager {
             if (playerName) {
                 existingPlayer.name = playerName;
                 existingPlayer.lastActivity = Date.now();
+                this.broadcastRoomPlayers(roomId);
             }
             return room;
         }
@@ -347,15 +1194,20 @@ export class RoomManager {
         const player = {
             id: socket.id,
             name: playerName || 'New Player',
+            carType: normalizeCarType(carType),
             joined: Date.now(),
-            lastActivity: Date.now()
+            lastActivity: Date.now(),
+            ready: false,
+            reconnectToken: uuidv4()
         };
         
         room.players.set(socket.id, player);
         this.playerRooms.set(socket.id, roomId);
         room.lastActivity = Date.now();
+        this.updateHost(room);
         
         console.log(`[${new Date().toISOString()}] [ROOM] Room ${roomId} now has ${room.players.size} players`);
+        this.broadcastRoomPlayers(roomId);
 
         // Send current items to the joining player
         const itemManager = this.roomItemManagers.get(roomId);
@@ -372,28 +1224,319 @@ export class RoomManager {
         if (roomId) {
             const room = this.rooms.get(roomId);
             if (room) {
+                this.clearDisconnectTimer(room.players.get(socketId));
                 room.players.delete(socketId);
+                this.updateHost(room);
+                this.roomRaces.get(roomId)?.removePlayer(socketId);
                 if (room.players.size === 0 && roomId !== this.MASTER_ROOM_ID) {
-                    this.rooms.delete(roomId);
-                    this.roomItemManagers.delete(roomId);
+                    this.deleteRoom(roomId);
+                } else {
+                    this.broadcastRoomPlayers(roomId);
                 }
             }
             this.playerRooms.delete(socketId);
         }
     }
 
-    collectItem(roomId, itemId, socketId) {
-        console.log("collect-item")
+    /**
+     * Whether a room's race has started and not yet reached its results,
+     * so a player's race progress would be lost if they left
+     * @param {string} roomId - Room ID
+     * @returns {boolean}
+     */
+    isRaceUnderway(roomId) {
+        const state = this.roomRaces.get(roomId)?.state;
+        return state === RACE_STATES.COUNTDOWN || state === RACE_STATES.RACING || state === RACE_STATES.FINISHED;
+    }
+    
+    /**
+     * A player's connection dropped mid-race: hold their slot for the grace
+     * period so they can reconnect with their reconnect token. The room gets
+     * 'player-disconnected' now and 'peer-left' only once the grace period
+     * runs out. Outside a race there's no progress to keep, so no slot is held.
+     * @param {string} socketId - Socket ID of the dropped connection
+     * @returns {string|null} The room the player's slot is held in
+     */
+    disconnectPlayer(socketId) {
+        const roomId = this.playerRooms.get(socketId);
+        const room = roomId ? this.rooms.get(roomId) : null;
+        const player = room ? room.players.get(socketId) : null;
+        if (!player || !this.isRaceUnderway(roomId)) {
+            return null;
+        }
+        
+        this.clearDisconnectTimer(player);
+        player.disconnectTimer = setTimeout(() => {
+            console.log(`[${new Date().toISOString()}] [ROOM] Player ${player.id} did not reconnect to room ${roomId}`);
+            this.broadcastToRoom(roomId, 'peer-left', { peerId: player.id });
+            this.removePlayerFromRoom(roomId, player.id);
+        }, this.reconnectGracePeriod);
+        
+        this.broadcastToRoom(roomId, 'player-disconnected', {
+            peerId: player.id,
+            playerName: player.name,
+            gracePeriod: this.reconnectGracePeriod
+        });
+        this.broadcastRoomPlayers(roomId);
+        return roomId;
+    }
+    
+    /**
+     * Give a returning player back the slot their reconnect token belongs to
+     * The player keeps their name, host and ready status, car and race
+     * progress; only their socket ID changes. Only a slot held for a dropped
+     * connection can be reclaimed: a token can't take over a connected player.
+     * @param {Object} socket - The player's new socket
+     * @param {string} roomId - Room the player is rejoining
+     * @param {string} reconnectToken - Token from the player's last room-joined
+     * @returns {Object|null} { room, player, previousId }, or null if there's no slot to reclaim
+     */
+    reconnectPlayer(socket, roomId, reconnectToken) {
+        const room = this.rooms.get(roomId);
+        const player = this.findHeldSlot(room, reconnectToken);
+        if (!player) return null;
+        
+        const previousId = player.id;
+        this.clearDisconnectTimer(player);
+        
+        // Leave whatever room the new socket was in before
+        if (this.playerRooms.get(socket.id) !== roomId) {
+            this.removePlayerFromCurrentRoom(socket.id);
+        }
+        
+        room.players.delete(previousId);
+        this.playerRooms.delete(previousId);
+        
+        player.id = socket.id;
+        player.lastActivity = Date.now();
+        room.players.set(socket.id, player);
+        this.playerRooms.set(socket.id, roomId);
+        room.lastActivity = Date.now();
+        
+        if (room.hostId === previousId) {
+            room.hostId = socket.id;
+        }
+        this.roomRaces.get(roomId)?.replacePlayer(previousId, socket.id);
+        
+        const heldItems = this.roomItemManagers.get(roomId)?.heldItems;
+        if (heldItems && heldItems.has(previousId)) {
+            heldItems.set(socket.id, heldItems.get(previousId));
+            heldItems.delete(previousId);
+        }
+        
+        console.log(`[${new Date().toISOString()}] [ROOM] Player ${previousId} reconnected to room ${roomId} as ${socket.id}`);
+        this.broadcastRoomPlayers(roomId);
+        
+        const itemManager = this.roomItemManagers.get(roomId);
+        if (itemManager) {
+            socket.emit('items-sync', itemManager.getAllItems());
+        }
+        
+        return { room, player, previousId };
+    }
+    
+    /**
+     * Let someone watch a room without driving
+     * Spectators don't take a player slot, don't race and have no car;
+     * they only receive the room's broadcasts.
+     * @param {Object} socket - The spectator's socket
+     * @param {string} roomId - Room to watch
+     * @param {string} name - The spectator's name
+     * @returns {Object} Room data
+     */
+    addSpectator(socket, roomId, name) {
+        const room = this.rooms.get(roomId);
+        if (!room) {
+            throw new Error('Room not found');
+        }
+        
+        this.removeSpectator(socket.id);
+        room.spectators.set(socket.id, {
+            id: socket.id,
+            name: name || 'Spectator',
+            joined: Date.now()
+        });
+        this.spectatorRooms.set(socket.id, roomId);
+        socket.join(roomId);
+        
+        console.log(`[${new Date().toISOString()}] [ROOM] ${socket.id} is watching room ${roomId} (${room.spectators.size} spectators)`);
+        this.broadcastRoomPlayers(roomId);
+        
         const itemManager = this.roomItemManagers.get(roomId);
-        if (!itemManager) return null;
+        if (itemManager) {
+            socket.emit('items-sync', itemManager.getAllItems());
+        }
+        
+        return room;
+    }
+    
+    /**
+     * Stop watching a room
+     * @param {string} socketId - Socket ID of the spectator
+     * @returns {string|null} The room they were watching
+     */
+    removeSpectator(socketId) {
+        const roomId = this.spectatorRooms.get(socketId);
+        if (!roomId) return null;
+        
+        this.spectatorRooms.delete(socketId);
+        this.rooms.get(roomId)?.spectators.delete(socketId);
+        // Gone already if the spectator disconnected
+        this.io?.sockets.sockets.get(socketId)?.leave(roomId);
+        this.broadcastRoomPlayers(roomId);
+        return roomId;
+    }
+    
+    /**
+     * Whether a room still holds a slot for a reconnect token
+     * @param {string} roomId - Room ID
+     * @param {string} reconnectToken - Token from the player's last room-joined
+     * @returns {boolean}
+     */
+    hasReconnectSlot(roomId, reconnectToken) {
+        return !!this.findHeldSlot(this.rooms.get(roomId), reconnectToken);
+    }
+    
+    /**
+     * Find the player a reconnect token belongs to, if their connection
+     * dropped and the slot is being held for them
+     * @param {Object} room - Room data
+     * @param {string} reconnectToken - Token from the player's last room-joined
+     * @returns {Object|null} Player data
+     */
+    findHeldSlot(room, reconnectToken) {
+        if (!room || !reconnectToken) return null;
+        
+        const player = Array.from(room.players.values())
+            .find(player => player.reconnectToken === reconnectToken);
+        return player && player.disconnectTimer ? player : null;
+    }
+    
+    clearDisconnectTimer(player) {
+        if (player && player.disconnectTimer) {
+            clearTimeout(player.disconnectTimer);
+            player.disconnectTimer = null;
+        }
+    }
 
-        const item = itemManager.collectItem(itemId);
-        if (item) {
-            // Broadcast item collection to all players in the room
-            this.broadcastToRoom(roomId, 'item-collected', { itemId, collectedBy: socketId });
+    /**
+     * Give an item to the player who drove through it
+     * The first request wins; the player must hold no other item and be
+     * near the item by their last reported position
+     * @param {string} roomId - Room ID
+     * @param {string} itemId - Item ID
+     * @param {string} playerId - Socket ID (or AI ID) of the collector
+     * @returns {Object} The collected item
+     */
+    collectItem(roomId, itemId, playerId) {
+        const room = this.rooms.get(roomId);
+        const itemManager = this.roomItemManagers.get(roomId);
+        if (!room || !itemManager) {
+            throw new Error('Room not found');
         }
+        
+        const item = itemManager.pickUpItem(itemId, playerId, toPoint(this.getRacerPosition(room, playerId)));
+        
+        // Broadcast item collection to all players in the room
+        this.broadcastToRoom(roomId, 'item-collected', { itemId, type: item.type, collectedBy: playerId });
         return item;
     }
+    
+    /**
+     * Throw the banana or shell a player holds
+     * Everyone in the room, the thrower included, gets it as a projectile-spawned event
+     * @param {string} roomId - Room ID
+     * @param {string} playerId - Socket ID (or AI ID) of the thrower
+     * @param {Object} direction - Direction the car faces ({ x, z })
+     * @returns {Object} The projectile
+     */
+    useItem(roomId, playerId, direction) {
+        const room = this.rooms.get(roomId);
+        const itemManager = this.roomItemManagers.get(roomId);
+        if (!room || !itemManager) {
+            throw new Error('Room not found');
+        }
+        
+        const position = toPoint(this.getRacerPosition(room, playerId));
+        if (!position) {
+            throw new Error('Position unknown');
+        }
+        
+        const projectile = itemManager.throwItem(playerId, position, direction || {});
+        this.broadcastToRoom(roomId, 'projectile-spawned', projectile);
+        return projectile;
+    }
+    
+    /**
+     * Move every room's thrown items and announce what they hit
+     */
+    updateProjectiles() {
+        const now = Date.now();
+        const deltaTime = (now - this.lastProjectileUpdate) / 1000;
+        this.lastProjectileUpdate = now;
+        
+        for (const [roomId, itemManager] of this.roomItemManagers) {
+            if (itemManager.projectiles.size === 0) continue;
+            
+            const room = this.rooms.get(roomId);
+            if (!room) continue;
+            
+            const { hits, expired, moved } = itemManager.updateProjectiles(deltaTime, this.getItemTargets(room), now);
+            
+            hits.forEach(hit => this.applyItemHit(roomId, hit));
+            expired.forEach(projectileId => this.broadcastToRoom(roomId, 'projectile-removed', { projectileId }));
+            if (moved.length > 0) {
+                this.broadcastToRoom(roomId, 'projectiles-update', {
+                    projectiles: moved.map(({ id, position, velocity }) => ({ id, position, velocity }))
+                });
+            }
+        }
+    }
+    
+    /**
+     * Cars thrown items can hit: connected players and the room's AI
+     * @param {Object} room - Room data
+     * @returns {Array<Object>} [{ id, position: { x, y, z } }]
+     */
+    getItemTargets(room) {
+        const targets = Array.from(room.players.values())
+            .filter(player => player.position && !player.disconnectTimer)
+            .map(player => ({ id: player.id, position: toPoint(player.position) }));
+        
+        if (this.aiPlayerManager) {
+            this.aiPlayerManager.aiPlayers.forEach(aiPlayer => {
+                if (aiPlayer.room === room.id) {
+                    targets.push({ id: aiPlayer.id, position: aiPlayer.position });
+                }
+            });
+        }
+        return targets;
+    }
+    
+    /**
+     * Announce a hit; every client spins the car out with the same effect
+     * @param {string} roomId - Room ID
+     * @param {Object} hit - { projectile, targetId }
+     */
+    applyItemHit(roomId, { projectile, targetId }) {
+        const effect = HIT_EFFECTS[projectile.type];
+        
+        // The AI is driven here, so it slows down here
+        const aiPlayer = this.aiPlayerManager ? this.aiPlayerManager.aiPlayers.get(targetId) : null;
+        if (aiPlayer) {
+            aiPlayer.speed *= effect.speedFactor;
+        }
+        
+        console.log(`[${new Date().toISOString()}] [ITEMS] ${projectile.type} from ${projectile.throwerId} hit ${targetId} in room ${roomId}`);
+        this.broadcastToRoom(roomId, 'item-hit', {
+            projectileId: projectile.id,
+            type: projectile.type,
+            throwerId: projectile.throwerId,
+            targetId,
+            position: projectile.position,
+            effect
+        });
+    }
 
     removeOverlappingItem(roomId, itemId) {
         const itemManager = this.roomItemManagers.get(roomId);
@@ -460,4 +1603,15 @@ export class RoomManager {
         
         return true;
     }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Positions arrive as [x, y, z] from players' state updates and as { x, y, z } from the AI
+ * @returns {Object|null} { x, y, z }
+ */
+function toPoint(position) {
+    if (Array.isArray(position)) {
+        return { x: position[0], y: position[1], z: position[2] };
+    }
+    return position || null;
+}
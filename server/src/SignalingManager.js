@@ -1,7 +1,8 @@
 export class SignalingManager {
-    constructor(io, roomManager) {
+    constructor(io, roomManager, matchmaking = null) {
         this.io = io;
         this.roomManager = roomManager;
+        this.matchmaking = matchmaking;
         this.setupSocketHandlers();
     }
     
@@ -36,13 +37,34 @@ export class SignalingManager {
             
             socket.on('join-room', async (data) => {
                 try {
-                    let { roomId, playerName } = data;
+                    let { roomId, playerName, trackId, carType, reconnectToken, role } = data;
                     
                     // If roomId is undefined or null, use the master room
                     if (!roomId) {
                         roomId = this.roomManager.MASTER_ROOM_ID;
                     }
                     
+                    // Spectators watch without a car: no player slot, no peer-joined
+                    if (role === 'spectator') {
+                        const room = this.roomManager.addSpectator(socket, roomId, playerName);
+                        const peers = Array.from(room.players.values())
+                            .concat(Array.from(room.aiPlayers.values()))
+                            .map(player => ({ id: player.id, name: player.name, carType: player.carType }));
+                        
+                        socket.emit('room-joined', {
+                            roomId,
+                            role,
+                            trackId: room.trackId,
+                            hostId: room.hostId,
+                            options: room.options,
+                            race: this.roomManager.getRaceState(roomId),
+                            championship: this.roomManager.getChampionshipState(roomId),
+                            peers
+                        });
+                        this.log(socket.id, 'JOIN_ROOM', `Spectating room "${roomId}" with ${peers.length} racers`);
+                        return;
+                    }
+                    
                     // Check if player is already in the room
                     const existingRoomId = this.roomManager.playerRooms.get(socket.id);
                     if (existingRoomId === roomId) {
@@ -64,28 +86,54 @@ export class SignalingManager {
                     
                     this.log(socket.id, 'JOIN_ROOM', `Player "${playerName}" attempting to join room "${roomId}"`);
                     
-                    // Use joinRoom instead of addPlayerToRoom to handle both data and Socket.IO aspects
-                    const room = this.roomManager.joinRoom(socket, roomId, playerName);
-                    this.log(socket.id, 'JOIN_ROOM', `Player joined room successfully`);
-                    
-                    // Notify others in the room
-                    socket.to(roomId).emit('peer-joined', {
-                        peerId: socket.id,
-                        playerName: playerName
-                    });
-                    this.log(socket.id, 'JOIN_ROOM', `Other players notified about new peer`);
+                    // A returning player takes back their held slot instead of joining as a new peer
+                    const reconnected = this.roomManager.reconnectPlayer(socket, roomId, reconnectToken);
+                    let room;
+                    if (reconnected) {
+                        room = reconnected.room;
+                        this.log(socket.id, 'JOIN_ROOM', `Player reconnected, previously ${reconnected.previousId}`);
+                        
+                        socket.to(roomId).emit('player-reconnected', {
+                            previousId: reconnected.previousId,
+                            peerId: socket.id,
+                            playerName: reconnected.player.name
+                        });
+                    } else {
+                        // Use joinRoom instead of addPlayerToRoom to handle both data and Socket.IO aspects
+                        // trackId only applies when this join creates the room
+                        room = this.roomManager.joinRoom(socket, roomId, playerName, trackId, carType);
+                        this.log(socket.id, 'JOIN_ROOM', `Player joined room successfully`);
+                        
+                        // Notify others in the room
+                        socket.to(roomId).emit('peer-joined', {
+                            peerId: socket.id,
+                            playerName: playerName,
+                            carType: room.players.get(socket.id).carType
+                        });
+                        this.log(socket.id, 'JOIN_ROOM', `Other players notified about new peer`);
+                    }
                     
-                    // Get existing peers with their correct names
+                    // Get existing peers with their correct names (including AI opponents mid-race)
                     const peers = Array.from(room.players.entries())
+                        .concat(Array.from(room.aiPlayers.entries()))
                         .filter(([id, _]) => id !== socket.id)
                         .map(([id, player]) => ({
                             id: id,
-                            name: player.name
+                            name: player.name,
+                            carType: player.carType
                         }));
                         
                     // Send room info to the joining player
                     socket.emit('room-joined', {
                         roomId,
+                        trackId: room.trackId,
+                        hostId: room.hostId,
+                        options: room.options,
+                        race: this.roomManager.getRaceState(roomId),
+                        championship: this.roomManager.getChampionshipState(roomId),
+                        reconnectToken: room.players.get(socket.id).reconnectToken,
+                        reconnected: !!reconnected,
+                        playerName: room.players.get(socket.id).name,
                         peers
                     });
                     this.log(socket.id, 'JOIN_ROOM', `Room info sent to new player with ${peers.length} existing peers`);
@@ -99,20 +147,253 @@ export class SignalingManager {
                 }
             });
             
-            socket.on('disconnect', () => {
-                this.log(socket.id, 'DISCONNECT', '🔴 Client disconnected');
+            // Player looking for a public race; answered with 'match-found' once placed
+            socket.on('matchmaking-join', (data, callback = () => {}) => {
+                try {
+                    if (!this.matchmaking) {
+                        throw new Error('Matchmaking is not available');
+                    }
+                    
+                    const status = this.matchmaking.enqueue(socket, data || {});
+                    this.log(socket.id, 'MATCHMAKING', `Queue status: ${status.state}`);
+                    callback(status);
+                } catch (error) {
+                    this.log(socket.id, 'MATCHMAKING', `Queueing refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            socket.on('matchmaking-leave', (data, callback = () => {}) => {
+                const wasQueued = this.matchmaking ? this.matchmaking.dequeue(socket.id) : false;
+                this.log(socket.id, 'MATCHMAKING', wasQueued ? 'Left the queue' : 'Not in the queue');
+                callback({ left: wasQueued });
+            });
+            
+            // Host picks a new track for the room
+            socket.on('change-track', (data, callback = () => {}) => {
+                try {
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    this.log(socket.id, 'TRACK', `Requested track "${data && data.trackId}" for room "${roomId}"`);
+                    const room = this.roomManager.changeRoomTrack(roomId, socket.id, data && data.trackId);
+                    callback({ trackId: room.trackId });
+                } catch (error) {
+                    this.log(socket.id, 'TRACK', `Track change refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            // Host changes the room's race rules
+            socket.on('update-room-options', (data, callback = () => {}) => {
+                try {
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    this.log(socket.id, 'OPTIONS', `Requested rules for room "${roomId}"`);
+                    const room = this.roomManager.updateRoomOptions(roomId, socket.id, data && data.options);
+                    callback({ options: room.options });
+                } catch (error) {
+                    this.log(socket.id, 'OPTIONS', `Rules change refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            // Player switched cars; opponents show the new model and drive it with its spec
+            socket.on('set-car-type', (data, callback = () => {}) => {
+                try {
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    const carType = this.roomManager.setPlayerCarType(roomId, socket.id, data && data.carType);
+                    socket.to(roomId).emit('peer-car-changed', { peerId: socket.id, carType });
+                    this.log(socket.id, 'CAR', `Now driving the ${carType} car in room "${roomId}"`);
+                    callback({ carType });
+                } catch (error) {
+                    this.log(socket.id, 'CAR', `Car change refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            // Player toggles ready in the waiting room
+            socket.on('set-ready', (data, callback = () => {}) => {
                 try {
-                    // Find and remove player from their room
                     const roomId = this.roomManager.playerRooms.get(socket.id);
-                    if (roomId) {
-                        this.log(socket.id, 'DISCONNECT', `Removing player from room "${roomId}"`);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    const ready = !!(data && data.ready);
+                    this.roomManager.setPlayerReady(roomId, socket.id, ready);
+                    this.log(socket.id, 'LOBBY', `${ready ? 'Ready' : 'Not ready'} in room "${roomId}"`);
+                    callback({ ready });
+                } catch (error) {
+                    this.log(socket.id, 'LOBBY', `Ready change refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            // Host removes a player from the room
+            socket.on('kick-player', (data, callback = () => {}) => {
+                try {
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    this.log(socket.id, 'HOST', `Removing player "${data && data.playerId}" from room "${roomId}"`);
+                    const kicked = this.roomManager.kickPlayer(roomId, socket.id, data && data.playerId);
+                    
+                    // Take the player's socket out of the room so it stops getting the room's updates
+                    const kickedSocket = this.io.sockets.sockets.get(kicked.id);
+                    if (kickedSocket) {
+                        kickedSocket.leave(roomId);
+                        kickedSocket.emit('kicked', { roomId });
+                    }
+                    this.io.to(roomId).emit('peer-left', { peerId: kicked.id });
+                    
+                    callback({ playerId: kicked.id });
+                } catch (error) {
+                    this.log(socket.id, 'HOST', `Remove refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            // Host hands the host role to another player
+            socket.on('transfer-host', (data, callback = () => {}) => {
+                try {
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    this.log(socket.id, 'HOST', `Handing host of room "${roomId}" to "${data && data.playerId}"`);
+                    const room = this.roomManager.transferHost(roomId, socket.id, data && data.playerId);
+                    callback({ hostId: room.hostId });
+                } catch (error) {
+                    this.log(socket.id, 'HOST', `Host transfer refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            // Host starts a race: the server runs the ready check and the countdown
+            socket.on('start-race', (data, callback = () => {}) => {
+                try {
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    this.log(socket.id, 'RACE', `Starting race in room "${roomId}"`);
+                    const race = this.roomManager.startRace(roomId, socket.id);
+                    callback({ state: race.state });
+                } catch (error) {
+                    this.log(socket.id, 'RACE', `Race start refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            // Host starts a championship: a series of races across several tracks
+            socket.on('start-championship', async (data, callback = () => {}) => {
+                try {
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    this.log(socket.id, 'CHAMPIONSHIP', `Starting championship in room "${roomId}"`);
+                    const championship = await this.roomManager.startChampionship(roomId, socket.id, data || {});
+                    callback({ championship });
+                } catch (error) {
+                    this.log(socket.id, 'CHAMPIONSHIP', `Championship start refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            socket.on('end-championship', (data, callback = () => {}) => {
+                try {
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    this.log(socket.id, 'CHAMPIONSHIP', `Ending championship in room "${roomId}"`);
+                    this.roomManager.endChampionship(roomId, socket.id);
+                    callback({ ended: true });
+                } catch (error) {
+                    this.log(socket.id, 'CHAMPIONSHIP', `Championship end refused: ${error.message}`);
+                    callback({ error: error.message });
+                }
+            });
+            
+            // Player answered the ready check
+            socket.on('race-ready', () => {
+                const roomId = this.roomManager.playerRooms.get(socket.id);
+                if (!roomId) return;
+                
+                if (this.roomManager.markRaceReady(roomId, socket.id)) {
+                    this.log(socket.id, 'RACE', `Ready in room "${roomId}"`);
+                }
+            });
+            
+            // Player passed a checkpoint or completed a lap
+            // Answers whether the race took it, so the client resends a report that was turned down
+            socket.on('race-progress', (data, callback = () => {}) => {
+                const roomId = this.roomManager.playerRooms.get(socket.id);
+                if (!roomId || !data) {
+                    callback({ accepted: false });
+                    return;
+                }
+                
+                const accepted = this.roomManager.updateRaceProgress(roomId, socket.id, {
+                    lap: data.lap,
+                    checkpoint: data.checkpoint
+                });
+                callback({ accepted });
+            });
+            
+            // Player crossed the line on their last lap
+            socket.on('race-finish', (data) => {
+                const roomId = this.roomManager.playerRooms.get(socket.id);
+                if (!roomId) return;
+                
+                const finish = this.roomManager.recordRaceFinish(roomId, socket.id, data && data.lapTimes);
+                if (finish) {
+                    this.log(socket.id, 'RACE', `Finished P${finish.position} in ${finish.time.toFixed(3)}s`);
+                } else {
+                    this.log(socket.id, 'RACE', 'Finish ignored: no race in progress or laps not completed');
+                }
+            });
+            
+            socket.on('disconnect', (reason) => {
+                this.log(socket.id, 'DISCONNECT', `🔴 Client disconnected (${reason})`);
+                try {
+                    this.matchmaking?.dequeue(socket.id);
+                    
+                    const watchedRoomId = this.roomManager.removeSpectator(socket.id);
+                    if (watchedRoomId) {
+                        this.log(socket.id, 'DISCONNECT', `Stopped watching room "${watchedRoomId}"`);
                     }
                     
-                    this.roomManager.removePlayerFromCurrentRoom(socket.id);
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
                     
-                    // Notify others in all rooms
-                    this.io.emit('peer-left', { peerId: socket.id });
-                    this.log(socket.id, 'DISCONNECT', 'Other players notified about peer departure');
+                    // A connection that dropped mid-race gets its slot held, and the room hears
+                    // 'peer-left' only if the player doesn't come back; anyone else is gone now
+                    if (reason !== 'client namespace disconnect' && this.roomManager.disconnectPlayer(socket.id)) {
+                        this.log(socket.id, 'DISCONNECT', `Holding slot in room "${roomId}" for ${this.roomManager.reconnectGracePeriod / 1000}s`);
+                    } else {
+                        this.roomManager.removePlayerFromCurrentRoom(socket.id);
+                        if (roomId) {
+                            this.io.to(roomId).emit('peer-left', { peerId: socket.id });
+                            this.log(socket.id, 'DISCONNECT', `Removed player from room "${roomId}"`);
+                        }
+                    }
                     
                 } catch (error) {
                     this.log(socket.id, 'ERROR', `Error handling disconnect: ${error.message}`);
@@ -122,7 +403,7 @@ export class SignalingManager {
             // Handle game state updates
             socket.on('player-update', (data) => {
                 try {
-                    const { position, rotation, timestamp } = data;
+                    const { position, rotation, trackId, sequence, timestamp } = data;
                     
                     // Log position updates (1% of the time to avoid spam)
                     if (Math.random() < 0.01) {
@@ -133,8 +414,8 @@ export class SignalingManager {
                         });
                     }
                     
-                    // Update player's last activity
-                    this.roomManager.updatePlayerActivity(socket.id);
+                    // Update player's last activity and position
+                    this.roomManager.updatePlayerActivity(socket.id, position);
                     
                     // Get player's room
                     const roomId = this.roomManager.playerRooms.get(socket.id);
@@ -143,11 +424,18 @@ export class SignalingManager {
                         return;
                     }
                     
+                    // Drop updates sent from another track (e.g. while the room's track is changing)
+                    if (!this.roomManager.isRoomTrack(roomId, trackId)) {
+                        return;
+                    }
+                    
                     // Broadcast update to others in the room
                     socket.to(roomId).emit('peer-update', {
                         peerId: socket.id,
                         position,
                         rotation,
+                        trackId,
+                        sequence,
                         timestamp
                     });
                     
@@ -156,53 +444,38 @@ export class SignalingManager {
                 }
             });
 
-            // Handle banana throws
-            socket.on('banana-thrown', (data) => {
+            // Player drove through an item; the server decides who gets it
+            socket.on('collect-item', (data, callback = () => {}) => {
                 try {
-                    const { position, rotation, velocity, throwerId, timestamp } = data;
-                    
-                    this.log(socket.id, 'BANANA', `Player threw banana`, {
-                        position,
-                        rotation,
-                        velocity,
-                        throwerId
-                    });
-                    
-                    // Get player's room
                     const roomId = this.roomManager.playerRooms.get(socket.id);
                     if (!roomId) {
-                        this.log(socket.id, 'WARNING', 'Banana throw received but player not in any room');
-                        return;
+                        throw new Error('Not in a room');
                     }
                     
-                    // Broadcast banana throw to others in the room
-                    socket.to(roomId).emit('banana-thrown', {
-                        position,
-                        rotation,
-                        velocity,
-                        throwerId,
-                        timestamp
-                    });
-                    
+                    const item = this.roomManager.collectItem(roomId, data.itemId, socket.id);
+                    this.log(socket.id, 'ITEMS', `Item ${data.itemId} (${item.type}) collected`);
+                    callback({ item: { id: item.id, type: item.type } });
                 } catch (error) {
-                    this.log(socket.id, 'ERROR', `Error handling banana throw: ${error.message}`);
+                    this.log(socket.id, 'ITEMS', `Pickup of ${data && data.itemId} refused: ${error.message}`);
+                    callback({ error: error.message });
                 }
             });
-
-            socket.on('item-collected', (data) => {
-                const roomId = this.roomManager.getRoomForPlayer(socket.id);
-                if (!roomId) {
-                    this.log(socket.id, 'ERROR', 'Player not in a room');
-                    return;
-                }
-
-                const item = this.roomManager.collectItem(roomId, data.itemId, socket.id);
-                if (!item) {
-                    this.log(socket.id, 'ERROR', `Item ${data.itemId} not found or already collected`);
-                    return;
+            
+            // Player used their banana or shell; the server throws it and decides what it hits
+            socket.on('use-item', (data, callback = () => {}) => {
+                try {
+                    const roomId = this.roomManager.playerRooms.get(socket.id);
+                    if (!roomId) {
+                        throw new Error('Not in a room');
+                    }
+                    
+                    const [x, , z] = Array.isArray(data.direction) ? data.direction : [];
+                    const projectile = this.roomManager.useItem(roomId, socket.id, { x: Number(x), z: Number(z) });
+                    callback({ projectileId: projectile.id });
+                } catch (error) {
+                    this.log(socket.id, 'ITEMS', `Item use refused: ${error.message}`);
+                    callback({ error: error.message });
                 }
-
-                this.log(socket.id, 'ITEMS', `Item ${data.itemId} collected successfully`);
             });
             
             // Handle client detection of overlapping items
@@ -225,82 +498,6 @@ export class SignalingManager {
                 }
             });
 
-            // Handle banana collisions
-            socket.on('banana-collision', (data) => {
-                const roomId = this.roomManager.getRoomForPlayer(socket.id);
-                if (!roomId) return;
-                
-                // Broadcast the collision to all other players in the room
-                socket.to(roomId).emit('banana-collision', {
-                    bananaPosition: data.bananaPosition,
-                    collidedBy: socket.id
-                });
-            });
-
-            // Handle shell throws
-            socket.on('shell-thrown', (data) => {
-                try {
-                    const { position, rotation, velocity, throwerId, timestamp } = data;
-                    
-                    this.log(socket.id, 'SHELL', `Player threw shell`, {
-                        position,
-                        rotation,
-                        velocity,
-                        throwerId
-                    });
-                    
-                    // Get player's room
-                    const roomId = this.roomManager.playerRooms.get(socket.id);
-                    if (!roomId) {
-                        this.log(socket.id, 'WARNING', 'Shell throw received but player not in any room');
-                        return;
-                    }
-                    
-                    // Broadcast shell throw to others in the room
-                    socket.to(roomId).emit('shell-thrown', {
-                        position,
-                        rotation,
-                        velocity,
-                        throwerId,
-                        timestamp
-                    });
-                    
-                } catch (error) {
-                    this.log(socket.id, 'ERROR', `Error handling shell throw: ${error.message}`);
-                }
-            });
-
-            // Handle shell collisions
-            socket.on('shell-collision', (data) => {
-                try {
-                    const { position, hitCarId, throwerId, timestamp } = data;
-                    
-                    this.log(socket.id, 'SHELL', `Shell collision reported`, {
-                        position,
-                        hitCarId,
-                        throwerId
-                    });
-                    
-                    // Get player's room
-                    const roomId = this.roomManager.playerRooms.get(socket.id);
-                    if (!roomId) {
-                        this.log(socket.id, 'WARNING', 'Shell collision received but player not in any room');
-                        return;
-                    }
-                    
-                    // Broadcast shell collision to others in the room
-                    socket.to(roomId).emit('shell-collision', {
-                        position,
-                        hitCarId,
-                        throwerId,
-                        timestamp
-                    });
-                    
-                } catch (error) {
-                    this.log(socket.id, 'ERROR', `Error handling shell collision: ${error.message}`);
-                }
-            });
-
             // Add new handler for player name updates
             socket.on('player-name-update', (data) => {
                 try {
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TrackDefinition, TRACK_FORMAT_VERSION } from 'racingcart-shared/tracks/TrackDefinition.js';
+import { SILVERSTONE_LAYOUT } from 'racingcart-shared/tracks/SilverstoneLayout.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The client serves its data-driven tracks from public/tracks
+const DEFAULT_TRACKS_DIR = path.join(__dirname, '../../public/tracks');
+
+export const DEFAULT_TRACK_ID = 'default';
+
+/**
+ * Build a definition for a circular track
+ * (matches Track in src/js/track.js and CircularTrack: radius 100, width 20,
+ * finish line at (radius, 0), driven towards +z)
+ */
+function createCircularDefinition({ id, name, radius, width, controlPoints = 32 }) {
+    const centerline = [];
+    for (let i = 0; i < controlPoints; i++) {
+        const angle = (i / controlPoints) * Math.PI * 2;
+        centerline.push([Math.cos(angle) * radius, Math.sin(angle) * radius]);
+    }
+
+    return new TrackDefinition({
+        version: TRACK_FORMAT_VERSION,
+        id,
+        name,
+        centerline,
+        width,
+        checkpoints: [0.25, 0.5, 0.75]
+    });
+}
+
+/**
+ * Build a definition for a track the client draws from a 3D model
+ * The centerline runs from the finish line through each checkpoint and back,
+ * and each checkpoint sits where the centerline passes through it.
+ */
+function createLayoutDefinition({ id, name, width, start, checkpoints }) {
+    const base = {
+        version: TRACK_FORMAT_VERSION,
+        id,
+        name,
+        centerline: [start, ...checkpoints].map(point => [point.x, point.z]),
+        width
+    };
+    const route = new TrackDefinition(base);
+
+    return new TrackDefinition({
+        ...base,
+        checkpoints: checkpoints.map(point => route.project(point.x, point.z).u)
+    });
+}
+
+/**
+ * Server copy of the track geometry the client races on.
+ * Uses the shared TrackDefinition so centerlines, checkpoints and item
+ * spawn points are computed exactly the same way on both sides.
+ *
+ * Environment variables:
+ *   TRACKS_DIR - Directory with track JSON files (default: public/tracks)
+ */
+export class TrackRegistry {
+    constructor({ tracksDir = process.env.TRACKS_DIR || DEFAULT_TRACKS_DIR } = {}) {
+        this.tracks = new Map(); // trackId -> TrackDefinition
+
+        const circular = createCircularDefinition({ id: DEFAULT_TRACK_ID, name: 'Circular Track', radius: 100, width: 20 });
+        this.register(circular, ['track1', 'circular']);
+        this.register(createLayoutDefinition(SILVERSTONE_LAYOUT));
+
+        this.loadTrackFiles(tracksDir);
+    }
+
+    /**
+     * Register a track under its ID and any aliases
+     * @param {TrackDefinition} definition - Track geometry
+     * @param {string[]} aliases - Other IDs clients use for the same track
+     */
+    register(definition, aliases = []) {
+        [definition.id, ...aliases].forEach(trackId => this.tracks.set(trackId, definition));
+    }
+
+    /**
+     * Load every track JSON file in a directory (index.json is the client's track list)
+     * @param {string} tracksDir - Directory to read
+     */
+    loadTrackFiles(tracksDir) {
+        let files;
+        try {
+            files = fs.readdirSync(tracksDir).filter(file => file.endsWith('.json') && file !== 'index.json');
+        } catch (error) {
+            console.warn(`[${new Date().toISOString()}] [TRACKS] Could not read track directory ${tracksDir}: ${error.message}`);
+            return;
+        }
+
+        for (const file of files) {
+            try {
+                const data = JSON.parse(fs.readFileSync(path.join(tracksDir, file), 'utf8'));
+                this.register(new TrackDefinition(data));
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] [TRACKS] Skipping invalid track ${file}: ${error.message}`);
+            }
+        }
+
+        console.log(`[${new Date().toISOString()}] [TRACKS] Loaded ${files.length} track file(s) from ${tracksDir}`);
+    }
+
+    has(trackId) {
+        return this.tracks.has(trackId);
+    }
+
+    /**
+     * Get a track's geometry
+     * @param {string} trackId - Track ID
+     * @returns {TrackDefinition}
+     * @throws {Error} If the track isn't known
+     */
+    get(trackId) {
+        const track = this.tracks.get(trackId);
+        if (!track) {
+            throw new Error(`Unknown track: ${trackId}`);
+        }
+        return track;
+    }
+
+    /**
+     * Normalize a requested track ID to one the server knows
+     * @param {string} trackId - Requested track ID
+     * @returns {string} Known track ID
+     */
+    resolveTrackId(trackId) {
+        return trackId && this.tracks.has(trackId) ? trackId : DEFAULT_TRACK_ID;
+    }
+
+    /**
+     * List the known tracks (aliases excluded)
+     * @returns {Array<{id, name}>}
+     */
+    list() {
+        return Array.from(new Set(this.tracks.values())).map(track => ({ id: track.id, name: track.name }));
+    }
+}
@@ -7,10 +7,13 @@ import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { RoomManager } from './RoomManager.js';
 import { SignalingManager } from './SignalingManager.js';
+import { AIPlayerManager } from './AIPlayerManager.js';
+import { MatchmakingService } from './MatchmakingService.js';
 import { HighScoreManager } from './HighScoreManager.js';
+import { Championship } from './Championship.js';
 import { UserStatsManager } from './UserStatsManager.js';
 import { v4 as uuidv4 } from 'uuid';
-import { BinarySerializer } from './utils/BinarySerializer.js';
+import { PROTOCOL_VERSION, MESSAGE_TYPES, encodeMessage, decodeMessage } from 'racingcart-shared/utils/NetworkProtocol.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -63,7 +66,7 @@ app.use(cors({
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // High score submissions carry lap telemetry
 
 // Create Socket.IO server
 const io = new Server(httpServer, {
@@ -80,6 +83,19 @@ io.use((socket, next) => {
     sessionMiddleware(socket.request, {}, next);
 });
 
+// Turn away clients that speak another version of the binary protocol
+io.use((socket, next) => {
+    const clientVersion = socket.handshake.auth ? socket.handshake.auth.protocolVersion : undefined;
+    if (clientVersion === PROTOCOL_VERSION) {
+        return next();
+    }
+    
+    log(`Refused connection ${socket.id}: protocol version ${clientVersion}, server speaks ${PROTOCOL_VERSION}`);
+    const error = new Error('This version of the game is out of date. Please reload the page.');
+    error.data = { code: 'PROTOCOL_MISMATCH', serverVersion: PROTOCOL_VERSION };
+    next(error);
+});
+
 // Helper function to handle player updates (used by both binary and JSON handlers)
 function handlePlayerUpdate(socket, data) {
     const socketId = socket.id;
@@ -89,25 +105,37 @@ function handlePlayerUpdate(socket, data) {
         return;
     }
     
+    // Drop updates sent from another track (e.g. while the room's track is changing)
+    if (!roomManager.isRoomTrack(roomId, data.trackId)) {
+        return;
+    }
+    
     // Update last seen timestamp
-    roomManager.updatePlayerActivity(socketId);
+    roomManager.updatePlayerActivity(socketId, data.position);
     
-    // Forward the update to all other players in the room
-    // For binary messages, we can just forward the binary data directly
-    if (data._binary) {
-        socket.to(roomId).emit('peer-update-binary', data._binaryData);
-    } else {
-        // For regular JSON, serialize and send as binary for efficiency
-        const serializedData = BinarySerializer.serialize(data);
-        socket.to(roomId).emit('peer-update-binary', serializedData);
-    }
+    // Forward the update to all other players in the room, stamped with the sender's ID
+    socket.to(roomId).emit('peer-update-binary', encodeMessage(MESSAGE_TYPES.PEER_UPDATE, {
+        peerId: socketId,
+        position: data.position,
+        rotation: data.rotation,
+        trackId: data.trackId,
+        sequence: data.sequence,
+        timestamp: data.timestamp
+    }));
 }
 
 // Track socket connections for more accurate user counts
 io.on('connection', (socket) => {
     userStatsManager.handleSocketConnection(socket);
 
-    // Inside the io.on('connection', callback) setup - add binary event handlers
+    // Clock-sync handshake: clients time the round trip to work out our clock
+    // and stamp their car updates with it (see ServerClock)
+    socket.on('clock-sync', (callback) => {
+        if (typeof callback === 'function') {
+            callback(Date.now());
+        }
+    });
+
     socket.on('player-update-binary', (binaryData) => {
         try {
             // Skip if binaryData is null or undefined
@@ -116,58 +144,13 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // Convert to a Buffer or Uint8Array for consistent handling if it's ArrayBuffer
-            if (binaryData instanceof ArrayBuffer) {
-                console.debug(`[${new Date().toISOString()}] Converting ArrayBuffer to Buffer`);
-                binaryData = Buffer.from(binaryData);
-            }
-            
-            // Log type information for debugging
-            console.debug(`[${new Date().toISOString()}] Received binary data type:`, {
-                type: typeof binaryData,
-                constructor: binaryData.constructor ? binaryData.constructor.name : 'unknown',
-                length: binaryData.length || binaryData.byteLength || 'N/A',
-                isBuffer: Buffer.isBuffer(binaryData),
-                isArrayBuffer: binaryData instanceof ArrayBuffer,
-                isUint8Array: binaryData instanceof Uint8Array
-            });
-            
-            // Deserialize data regardless of format
-            const data = BinarySerializer.deserialize(binaryData);
-            
-            // Skip if data is invalid
-            if (!data || !data.peerId) {
-                console.error(`[${new Date().toISOString()}] Deserialized player update has invalid format:`, data);
+            const data = decodeMessage(binaryData);
+            if (data.type !== MESSAGE_TYPES.PLAYER_UPDATE) {
+                console.error(`[${new Date().toISOString()}] Unexpected message type ${data.type} in player-update-binary`);
                 return;
             }
             
-            // Find the room for this socket
-            const socketId = socket.id;
-            const roomId = roomManager.playerRooms.get(socketId);
-            
-            if (!roomId) {
-                console.debug(`[${new Date().toISOString()}] Socket ${socketId} not in any room, skipping update`);
-                return;
-            }
-            
-            // Add the binary data to be forwarded directly
-            data._binary = true;
-            
-            // Convert the original binary data to a Buffer if needed 
-            // (for consistent forwarding)
-            if (Buffer.isBuffer(binaryData) || binaryData instanceof Uint8Array) {
-                data._binaryData = binaryData;
-            } else {
-                // This should rarely happen as we've already handled ArrayBuffer above
-                console.warn(`[${new Date().toISOString()}] Converting unusual binary data format for forwarding`);
-                data._binaryData = Buffer.from(binaryData);
-            }
-            
-            // Forward to all other clients in the room
-            socket.to(roomId).emit('peer-update-binary', data._binaryData);
-            
-            // Update last seen timestamp
-            roomManager.updatePlayerActivity(socketId);
+            handlePlayerUpdate(socket, data);
         } catch (error) {
             console.error(`[${new Date().toISOString()}] Error processing binary player update:`, error);
         }
@@ -187,167 +170,20 @@ io.on('connection', (socket) => {
             console.error(`[${new Date().toISOString()}] Error processing JSON player update:`, error);
         }
     });
-
-    socket.on('banana-thrown-binary', (binaryData) => {
-        try {
-            // Skip if binaryData is null/undefined
-            if (!binaryData) {
-                console.error(`[${new Date().toISOString()}] Received invalid binary data in banana-thrown-binary`);
-                return;
-            }
-            
-            const data = BinarySerializer.deserialize(binaryData);
-            
-            // Skip if data is invalid
-            if (!data) {
-                console.error(`[${new Date().toISOString()}] Deserialized banana throw has invalid format`);
-                return;
-            }
-            
-            const roomId = roomManager.playerRooms.get(socket.id);
-            
-            if (roomId) {
-                // Forward to all other clients in room
-                socket.to(roomId).emit('banana-thrown-binary', binaryData);
-                
-                // Also handle server-side banana logic
-                const itemManager = roomManager.roomItemManagers.get(roomId);
-                if (itemManager) {
-                    itemManager.handleThrownBanana(roomId, data);
-                }
-            }
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] Error processing binary banana throw:`, error);
-        }
-    });
-
-    socket.on('shell-thrown-binary', (binaryData) => {
-        try {
-            // Skip if binaryData is null/undefined
-            if (!binaryData) {
-                console.error(`[${new Date().toISOString()}] Received invalid binary data in shell-thrown-binary`);
-                return;
-            }
-            
-            const data = BinarySerializer.deserialize(binaryData);
-            
-            // Skip if data is invalid
-            if (!data) {
-                console.error(`[${new Date().toISOString()}] Deserialized shell throw has invalid format`);
-                return;
-            }
-            
-            const roomId = roomManager.playerRooms.get(socket.id);
-            
-            if (roomId) {
-                // Forward to all other clients in room
-                socket.to(roomId).emit('shell-thrown-binary', binaryData);
-                
-                // Also handle server-side shell logic
-                const itemManager = roomManager.roomItemManagers.get(roomId);
-                if (itemManager) {
-                    itemManager.handleThrownShell(roomId, data);
-                }
-            }
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] Error processing binary shell throw:`, error);
-        }
-    });
-
-    socket.on('shell-collision-binary', (binaryData) => {
-        try {
-            // Skip if binaryData is null/undefined
-            if (!binaryData) {
-                console.error(`[${new Date().toISOString()}] Received invalid binary data in shell-collision-binary`);
-                return;
-            }
-            
-            const data = BinarySerializer.deserialize(binaryData);
-            
-            // Skip if data is invalid
-            if (!data) {
-                console.error(`[${new Date().toISOString()}] Deserialized shell collision has invalid format`);
-                return;
-            }
-            
-            const roomId = roomManager.playerRooms.get(socket.id);
-            
-            if (roomId) {
-                // Forward to all other clients in room
-                socket.to(roomId).emit('shell-collision-binary', binaryData);
-            }
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] Error processing binary shell collision:`, error);
-        }
-    });
-
-    socket.on('ai-car-update-binary', (binaryData) => {
-        try {
-            // Skip if binaryData is null/undefined
-            if (!binaryData) {
-                console.error(`[${new Date().toISOString()}] Received invalid binary data in ai-car-update-binary`);
-                return;
-            }
-            
-            const data = BinarySerializer.deserialize(binaryData);
-            
-            // Skip if data is invalid
-            if (!data) {
-                console.error(`[${new Date().toISOString()}] Deserialized AI car update has invalid format`);
-                return;
-            }
-            
-            const socketId = socket.id;
-            const roomId = roomManager.playerRooms.get(socketId);
-            
-            if (!roomId) {
-                return;
-            }
-            
-            // Forward to other clients in the room as a binary message
-            socket.to(roomId).emit('ai-car-update-binary', binaryData);
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] Error processing binary AI car update:`, error);
-        }
-    });
-
-    socket.on('ai-cars-batch-update-binary', (binaryData) => {
-        try {
-            // Skip if binaryData is null/undefined
-            if (!binaryData) {
-                console.error(`[${new Date().toISOString()}] Received invalid binary data in ai-cars-batch-update-binary`);
-                return;
-            }
-            
-            const data = BinarySerializer.deserialize(binaryData);
-            
-            // Skip if data is invalid
-            if (!data) {
-                console.error(`[${new Date().toISOString()}] Deserialized AI cars batch update has invalid format`);
-                return;
-            }
-            
-            const socketId = socket.id;
-            const roomId = roomManager.playerRooms.get(socketId);
-            
-            if (!roomId) {
-                return;
-            }
-            
-            // Forward the batch update to all other clients in the room
-            socket.to(roomId).emit('ai-cars-batch-update-binary', binaryData);
-            
-            // We could add server-side validation or processing here if needed
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] Error processing AI cars batch update:`, error);
-        }
-    });
 });
 
 // Initialize managers
 const roomManager = new RoomManager(io);
-const signalingManager = new SignalingManager(io, roomManager);
-const highScoreManager = new HighScoreManager();
+const matchmaking = new MatchmakingService(roomManager);
+const signalingManager = new SignalingManager(io, roomManager, matchmaking);
+roomManager.aiPlayerManager = new AIPlayerManager(roomManager);
+const highScoreManager = new HighScoreManager({ trackRegistry: roomManager.trackRegistry });
+roomManager.highScoreManager = highScoreManager;
+
+highScoreManager.ready.catch(error => {
+    log(`Failed to load high score storage: ${error.message}`);
+    process.exit(1);
+});
 
 // Log all requests
 app.use((req, res, next) => {
@@ -361,7 +197,8 @@ app.get('/api/status', (req, res) => {
     res.json({ 
         status: 'ok', 
         timestamp: new Date().toISOString(),
-        masterRoomId: roomManager.getRoom(roomManager.MASTER_ROOM_ID).id 
+        masterRoomId: roomManager.getRoom(roomManager.MASTER_ROOM_ID).id,
+        matchmaking: matchmaking.getStats()
     });
 });
 
@@ -537,10 +374,30 @@ app.get('/api/rooms', (req, res) => {
 });
 
 app.post('/api/rooms', (req, res) => {
-    const { playerName } = req.body;
+    const { playerName, isPrivate, trackId, options } = req.body;
+    
+    // Private rooms are created on the track and with the rules the host picked; players join them over the socket
+    if (isPrivate) {
+        if (trackId && !roomManager.trackRegistry.has(trackId)) {
+            return res.status(400).json({ error: `Unknown track: ${trackId}` });
+        }
+        
+        const roomId = req.body.roomId && req.body.roomId.startsWith('private-')
+            ? req.body.roomId
+            : `private-${uuidv4()}`;
+        log(`Creating private room ${roomId} for ${playerName} on track ${trackId || 'default'}`);
+        try {
+            const room = roomManager.createRoom(roomId, null, trackId, options);
+            return res.status(201).json(room);
+        } catch (error) {
+            log(`Error creating private room: ${error.message}`);
+            return res.status(409).json({ error: error.message });
+        }
+    }
+    
     log(`Adding player ${playerName} to master room`);
     try {
-        // Always add to master room, ignore any roomId in the request
+        // Public players always go to the master room, ignore any roomId in the request
         const room = roomManager.getRoom(roomManager.MASTER_ROOM_ID);
         const updatedRoom = roomManager.addPlayerToRoom(roomManager.MASTER_ROOM_ID, req.body.playerId || uuidv4(), playerName);
         log(`Player added successfully to master room. Total players: ${room.players.size}`);
@@ -565,16 +422,28 @@ app.get('/api/rooms/:roomId', (req, res) => {
 });
 
 // High Score endpoints
-app.get('/api/highscores', (req, res) => {
-    const trackId = req.query.trackId;
-    log(`Fetching high scores${trackId ? ` for track ${trackId}` : ' for all tracks'}`);
+app.get('/api/highscores', async (req, res) => {
+    const { trackId, around } = req.query;
+    const period = req.query.period || 'alltime';
+    log(`Fetching ${period} high scores${trackId ? ` for track ${trackId}` : ' for all tracks'}${around ? ` around ${around}` : ''}`);
+    
+    if (!highScoreManager.isValidPeriod(period)) {
+        return res.status(400).json({ error: `Unknown period: ${period}` });
+    }
     
     try {
-        if (trackId) {
-            const scores = highScoreManager.getTopScores(trackId);
+        if (around) {
+            if (!trackId) {
+                return res.status(400).json({ error: 'trackId is required when using around' });
+            }
+            const range = Math.min(Math.max(parseInt(req.query.range, 10) || 2, 0), 10);
+            const result = await highScoreManager.getScoresAround(trackId, around, range, period);
+            res.json(result);
+        } else if (trackId) {
+            const scores = await highScoreManager.getTopScores(trackId, 10, period);
             res.json(scores);
         } else {
-            const allScores = highScoreManager.getAllHighScores();
+            const allScores = await highScoreManager.getAllHighScores(10, period);
             res.json(allScores);
         }
     } catch (error) {
@@ -629,6 +498,56 @@ app.get('/api/players', (req, res) => {
     }
 });
 
+// Personal bests and score history for a player
+app.get('/api/players/:name/scores', async (req, res) => {
+    const { name } = req.params;
+    const { trackId } = req.query;
+    log(`Fetching scores for player ${name}${trackId ? ` on track ${trackId}` : ''}`);
+    
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const result = await highScoreManager.getPlayerScores(name, { trackId, limit });
+        res.json(result);
+    } catch (error) {
+        log(`Error fetching player scores: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Ghost lap of the current track record
+app.get('/api/ghosts/:trackId', async (req, res) => {
+    const { trackId } = req.params;
+    log(`Fetching ghost for track ${trackId}`);
+    
+    try {
+        const ghost = await highScoreManager.getGhost(trackId);
+        if (!ghost) {
+            return res.status(404).json({ error: 'No ghost for this track' });
+        }
+        res.json(ghost);
+    } catch (error) {
+        log(`Error fetching ghost: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Championship standings, including finished championships
+app.get('/api/championships/:id', async (req, res) => {
+    const { id } = req.params;
+    log(`Fetching championship ${id}`);
+    
+    try {
+        const saved = await highScoreManager.getChampionship(id);
+        if (!saved) {
+            return res.status(404).json({ error: 'Championship not found' });
+        }
+        res.json(Championship.fromJSON(saved).getState());
+    } catch (error) {
+        log(`Error fetching championship: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Add a more detailed debug endpoint for admins
 app.get('/api/debug/rooms', (req, res) => {
     try {
@@ -784,8 +703,13 @@ httpServer.listen(PORT, () => {
 // Handle server shutdown
 process.on('SIGTERM', () => {
     log('SIGTERM received. Shutting down gracefully...');
-    httpServer.close(() => {
+    httpServer.close(async () => {
         log('Server closed');
+        try {
+            await highScoreManager.close();
+        } catch (error) {
+            log(`Error closing high score store: ${error.message}`);
+        }
         process.exit(0);
     });
 }); 
\ No newline at end of file
@@ -0,0 +1,351 @@
+/**
+ * Storage interface for high scores.
+ *
+ * Scores are plain objects:
+ *   { name, time, trackId, timestamp, email, verified }
+ *
+ * Adapters keep the full score history; callers decide how many scores to
+ * show by passing a limit to the query methods.
+ *
+ * Time-windowed boards (e.g. 'daily', 'weekly') live in separate period
+ * tables tagged with a period key. Resetting a period empties its table and
+ * stores the new key, so a restart can tell whether a reset was missed.
+ *
+ * Each track also keeps one ghost: the recorded lap of its current record,
+ *   { name, time, trackId, timestamp, samples: [[t, x, y, z, rotation], ...] }
+ *
+ * Championships are stored by ID with the results of every round raced,
+ *   { id, name, roomId, trackIds, points, rounds, created }
+ */
+// Time-windowed boards kept next to the all-time board
+export const LEADERBOARD_PERIODS = ['daily', 'weekly'];
+
+export class HighScoreStore {
+    /**
+     * Open the backing storage and load any existing scores
+     * @returns {Promise<void>}
+     */
+    async load() {
+        throw new Error(`${this.constructor.name} does not implement load()`);
+    }
+
+    /**
+     * Persist a new score
+     * @param {Object} score - Score to insert
+     * @returns {Promise<Object>} The stored score
+     */
+    async insertScore(score) {
+        throw new Error(`${this.constructor.name} does not implement insertScore()`);
+    }
+
+    /**
+     * Get the fastest scores for a track
+     * @param {string} trackId - Track identifier
+     * @param {number} limit - Maximum number of scores to return
+     * @param {number} offset - Number of faster scores to skip
+     * @returns {Promise<Object[]>} Scores sorted by time (ascending)
+     */
+    async getTopScores(trackId, limit = 10, offset = 0) {
+        throw new Error(`${this.constructor.name} does not implement getTopScores()`);
+    }
+
+    /**
+     * Get all scores set by a player
+     * @param {string} name - Player name
+     * @param {Object} options - Optional { trackId, limit }
+     * @returns {Promise<Object[]>} Scores sorted by time (ascending)
+     */
+    async getScoresByPlayer(name, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement getScoresByPlayer()`);
+    }
+
+    /**
+     * Get the 1-based rank a lap time would have on a track
+     * @param {string} trackId - Track identifier
+     * @param {number} time - Lap time in seconds
+     * @returns {Promise<number>}
+     */
+    async getRank(trackId, time) {
+        throw new Error(`${this.constructor.name} does not implement getRank()`);
+    }
+
+    /**
+     * Get all track IDs that have scores
+     * @returns {Promise<string[]>}
+     */
+    async getTrackIds() {
+        throw new Error(`${this.constructor.name} does not implement getTrackIds()`);
+    }
+
+    /**
+     * Get every stored score (used for migrations)
+     * @returns {Promise<Object[]>}
+     */
+    async getAllScores() {
+        throw new Error(`${this.constructor.name} does not implement getAllScores()`);
+    }
+
+    /**
+     * Add many scores, skipping any the store already holds
+     * @param {Object[]} scores - Scores to import
+     * @returns {Promise<number>} Number of scores actually added
+     */
+    async importScores(scores) {
+        const existing = new Set((await this.getAllScores()).map(scoreKey));
+        let inserted = 0;
+        for (const score of scores) {
+            const key = scoreKey(score);
+            if (existing.has(key)) continue;
+
+            existing.add(key);
+            await this.insertScore(score);
+            inserted++;
+        }
+        return inserted;
+    }
+
+    /**
+     * Copy in a period board, unless this store already holds a later window of it
+     * @param {string} period - Period name
+     * @param {Object} board - { periodKey, scores }
+     * @returns {Promise<number>} Number of scores actually added
+     */
+    async importPeriod(period, { periodKey = null, scores = [] }) {
+        const currentKey = await this.getPeriodKey(period);
+        if (periodKey && currentKey !== periodKey) {
+            // Keys are dates (YYYY-MM-DD), so they sort as strings
+            if (currentKey && currentKey > periodKey) return 0;
+            await this.resetPeriod(period, periodKey);
+        }
+
+        const existing = new Set((await this.getAllPeriodScores(period)).map(scoreKey));
+        let inserted = 0;
+        for (const score of scores) {
+            const key = scoreKey(score);
+            if (existing.has(key)) continue;
+
+            existing.add(key);
+            await this.insertPeriodScore(period, score);
+            inserted++;
+        }
+        return inserted;
+    }
+
+    /**
+     * Copy in ghost laps, each only if it beats the track's current ghost
+     * @param {Object[]} ghosts - Ghosts to import
+     * @returns {Promise<number>} Number of ghosts actually stored
+     */
+    async importGhosts(ghosts) {
+        let saved = 0;
+        for (const ghost of ghosts) {
+            const current = await this.getGhost(ghost.trackId);
+            if (current && current.time <= ghost.time) continue;
+
+            await this.saveGhost(ghost.trackId, ghost);
+            saved++;
+        }
+        return saved;
+    }
+
+    /**
+     * Copy in championships, each unless this store has raced as many of its rounds
+     * @param {Object[]} championships - Championships to import
+     * @returns {Promise<number>} Number of championships actually stored
+     */
+    async importChampionships(championships) {
+        let saved = 0;
+        for (const championship of championships) {
+            const current = await this.getChampionship(championship.id);
+            if (current && current.rounds.length >= championship.rounds.length) continue;
+
+            await this.saveChampionship(championship);
+            saved++;
+        }
+        return saved;
+    }
+
+    /**
+     * Everything the store holds, to copy into another store with importData()
+     * @returns {Promise<Object>} { scores, periods: { [period]: { periodKey, scores } }, ghosts, championships }
+     */
+    async exportData() {
+        const periods = {};
+        for (const period of LEADERBOARD_PERIODS) {
+            periods[period] = {
+                periodKey: await this.getPeriodKey(period),
+                scores: await this.getAllPeriodScores(period)
+            };
+        }
+
+        return {
+            scores: await this.getAllScores(),
+            periods,
+            ghosts: await this.getAllGhosts(),
+            championships: await this.getAllChampionships()
+        };
+    }
+
+    /**
+     * Copy in what another store exported. Safe to repeat: data already
+     * present is skipped.
+     * @param {Object} data - As returned by exportData()
+     * @returns {Promise<Object>} How much of each kind was added: { scores, periodScores, ghosts, championships }
+     */
+    async importData(data) {
+        let periodScores = 0;
+        for (const [period, board] of Object.entries(data.periods || {})) {
+            periodScores += await this.importPeriod(period, board);
+        }
+
+        return {
+            scores: await this.importScores(data.scores || []),
+            periodScores,
+            ghosts: await this.importGhosts(data.ghosts || []),
+            championships: await this.importChampionships(data.championships || [])
+        };
+    }
+
+    /**
+     * Add a score to a period board
+     * @param {string} period - Period name (e.g. 'daily')
+     * @param {Object} score - Score to insert
+     * @returns {Promise<Object>} The stored score
+     */
+    async insertPeriodScore(period, score) {
+        throw new Error(`${this.constructor.name} does not implement insertPeriodScore()`);
+    }
+
+    /**
+     * Get the fastest scores for a track on a period board
+     * @param {string} period - Period name
+     * @param {string} trackId - Track identifier
+     * @param {number} limit - Maximum number of scores to return
+     * @param {number} offset - Number of faster scores to skip
+     * @returns {Promise<Object[]>} Scores sorted by time (ascending)
+     */
+    async getPeriodTopScores(period, trackId, limit = 10, offset = 0) {
+        throw new Error(`${this.constructor.name} does not implement getPeriodTopScores()`);
+    }
+
+    /**
+     * Get a player's scores on a period board
+     * @param {string} period - Period name
+     * @param {string} name - Player name
+     * @param {Object} options - Optional { trackId, limit }
+     * @returns {Promise<Object[]>} Scores sorted by time (ascending)
+     */
+    async getPeriodScoresByPlayer(period, name, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement getPeriodScoresByPlayer()`);
+    }
+
+    /**
+     * Get the 1-based rank a lap time would have on a track's period board
+     * @param {string} period - Period name
+     * @param {string} trackId - Track identifier
+     * @param {number} time - Lap time in seconds
+     * @returns {Promise<number>}
+     */
+    async getPeriodRank(period, trackId, time) {
+        throw new Error(`${this.constructor.name} does not implement getPeriodRank()`);
+    }
+
+    /**
+     * Get all track IDs that have scores on a period board
+     * @param {string} period - Period name
+     * @returns {Promise<string[]>}
+     */
+    async getPeriodTrackIds(period) {
+        throw new Error(`${this.constructor.name} does not implement getPeriodTrackIds()`);
+    }
+
+    /**
+     * Get every score on a period board (used for migrations)
+     * @param {string} period - Period name
+     * @returns {Promise<Object[]>}
+     */
+    async getAllPeriodScores(period) {
+        throw new Error(`${this.constructor.name} does not implement getAllPeriodScores()`);
+    }
+
+    /**
+     * Get the key of the window a period board currently holds
+     * @param {string} period - Period name
+     * @returns {Promise<string|null>} Period key or null if never set
+     */
+    async getPeriodKey(period) {
+        throw new Error(`${this.constructor.name} does not implement getPeriodKey()`);
+    }
+
+    /**
+     * Empty a period board and start a new window
+     * @param {string} period - Period name
+     * @param {string} periodKey - Key of the new window
+     */
+    async resetPeriod(period, periodKey) {
+        throw new Error(`${this.constructor.name} does not implement resetPeriod()`);
+    }
+
+    /**
+     * Store the ghost lap for a track, replacing the previous one
+     * @param {string} trackId - Track identifier
+     * @param {Object} ghost - Ghost to store
+     * @returns {Promise<Object>} The stored ghost
+     */
+    async saveGhost(trackId, ghost) {
+        throw new Error(`${this.constructor.name} does not implement saveGhost()`);
+    }
+
+    /**
+     * Get the ghost lap for a track
+     * @param {string} trackId - Track identifier
+     * @returns {Promise<Object|null>} Ghost or null if the track has none
+     */
+    async getGhost(trackId) {
+        throw new Error(`${this.constructor.name} does not implement getGhost()`);
+    }
+
+    /**
+     * Get the ghost lap of every track (used for migrations)
+     * @returns {Promise<Object[]>}
+     */
+    async getAllGhosts() {
+        throw new Error(`${this.constructor.name} does not implement getAllGhosts()`);
+    }
+
+    /**
+     * Store a championship, replacing any earlier save of it
+     * @param {Object} championship - Championship to store (see Championship.toJSON)
+     * @returns {Promise<Object>} The stored championship
+     */
+    async saveChampionship(championship) {
+        throw new Error(`${this.constructor.name} does not implement saveChampionship()`);
+    }
+
+    /**
+     * Get a stored championship
+     * @param {string} id - Championship ID
+     * @returns {Promise<Object|null>} Championship or null if there's none with this ID
+     */
+    async getChampionship(id) {
+        throw new Error(`${this.constructor.name} does not implement getChampionship()`);
+    }
+
+    /**
+     * Get every stored championship (used for migrations)
+     * @returns {Promise<Object[]>}
+     */
+    async getAllChampionships() {
+        throw new Error(`${this.constructor.name} does not implement getAllChampionships()`);
+    }
+
+    /**
+     * Release any resources held by the store
+     */
+    async close() {}
+}
+
+// Scores count as the same when all of these match (as in the SQLite unique index)
+function scoreKey(score) {
+    return [score.trackId, score.name, score.time, score.timestamp].join('|');
+}
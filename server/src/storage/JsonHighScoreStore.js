@@ -0,0 +1,260 @@
+import fs from 'fs';
+import path from 'path';
+import { HighScoreStore } from './HighScoreStore.js';
+
+/**
+ * Stores high scores in a JSON file keyed by track ID.
+ * Period boards, ghosts and championships go to sibling files
+ * (highscores-daily.json, highscores-ghosts.json, ...).
+ * Writes are serialized through a queue and replace the file atomically,
+ * so concurrent submissions can't interleave partial writes.
+ */
+export class JsonHighScoreStore extends HighScoreStore {
+    constructor({ filePath }) {
+        super();
+        this.filePath = filePath;
+        this.scores = {};
+        this.periods = new Map(); // period -> { periodKey, scores }
+        this.ghosts = null; // trackId -> ghost, loaded on first use
+        this.championships = null; // id -> championship, loaded on first use
+        this.writeQueue = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = await fs.promises.readFile(this.filePath, 'utf8');
+            this.scores = JSON.parse(data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading high scores:', error);
+            }
+            this.scores = {};
+        }
+    }
+
+    async insertScore(score) {
+        if (!this.scores[score.trackId]) {
+            this.scores[score.trackId] = [];
+        }
+        this.scores[score.trackId].push(score);
+
+        await this.save();
+        return score;
+    }
+
+    async getTopScores(trackId, limit = 10, offset = 0) {
+        return sortByTime(this.scores[trackId] || []).slice(offset, offset + limit);
+    }
+
+    async getScoresByPlayer(name, { trackId, limit } = {}) {
+        const trackIds = trackId ? [trackId] : Object.keys(this.scores);
+        const scores = trackIds.flatMap(id => (this.scores[id] || []).filter(score => score.name === name));
+        const sorted = sortByTime(scores);
+        return limit ? sorted.slice(0, limit) : sorted;
+    }
+
+    async getRank(trackId, time) {
+        const faster = (this.scores[trackId] || []).filter(score => score.time < time);
+        return faster.length + 1;
+    }
+
+    async getTrackIds() {
+        return Object.keys(this.scores);
+    }
+
+    async getAllScores() {
+        return Object.values(this.scores).flat();
+    }
+
+    async insertPeriodScore(period, score) {
+        const board = await this.loadPeriod(period);
+        if (!board.scores[score.trackId]) {
+            board.scores[score.trackId] = [];
+        }
+        board.scores[score.trackId].push(score);
+
+        await this.savePeriod(period);
+        return score;
+    }
+
+    async getPeriodTopScores(period, trackId, limit = 10, offset = 0) {
+        const board = await this.loadPeriod(period);
+        return sortByTime(board.scores[trackId] || []).slice(offset, offset + limit);
+    }
+
+    async getPeriodScoresByPlayer(period, name, { trackId, limit } = {}) {
+        const board = await this.loadPeriod(period);
+        const trackIds = trackId ? [trackId] : Object.keys(board.scores);
+        const scores = trackIds.flatMap(id => (board.scores[id] || []).filter(score => score.name === name));
+        const sorted = sortByTime(scores);
+        return limit ? sorted.slice(0, limit) : sorted;
+    }
+
+    async getPeriodRank(period, trackId, time) {
+        const board = await this.loadPeriod(period);
+        const faster = (board.scores[trackId] || []).filter(score => score.time < time);
+        return faster.length + 1;
+    }
+
+    async getPeriodTrackIds(period) {
+        const board = await this.loadPeriod(period);
+        return Object.keys(board.scores);
+    }
+
+    async getAllPeriodScores(period) {
+        const board = await this.loadPeriod(period);
+        return Object.values(board.scores).flat();
+    }
+
+    async getPeriodKey(period) {
+        const board = await this.loadPeriod(period);
+        return board.periodKey;
+    }
+
+    async resetPeriod(period, periodKey) {
+        this.periods.set(period, { periodKey, scores: {} });
+        await this.savePeriod(period);
+    }
+
+    async saveGhost(trackId, ghost) {
+        const ghosts = await this.loadGhosts();
+        ghosts[trackId] = ghost;
+
+        await this.enqueueWrite(this.getSiblingFilePath('ghosts'), () => this.ghosts);
+        return ghost;
+    }
+
+    async getGhost(trackId) {
+        const ghosts = await this.loadGhosts();
+        return ghosts[trackId] || null;
+    }
+
+    async getAllGhosts() {
+        const ghosts = await this.loadGhosts();
+        return Object.values(ghosts);
+    }
+
+    async saveChampionship(championship) {
+        const championships = await this.loadChampionships();
+        championships[championship.id] = championship;
+
+        await this.enqueueWrite(this.getSiblingFilePath('championships'), () => this.championships);
+        return championship;
+    }
+
+    async getChampionship(id) {
+        const championships = await this.loadChampionships();
+        return championships[id] || null;
+    }
+
+    async getAllChampionships() {
+        const championships = await this.loadChampionships();
+        return Object.values(championships);
+    }
+
+    /**
+     * Load the ghosts file the first time it's used
+     */
+    async loadGhosts() {
+        if (!this.ghosts) {
+            let ghosts = {};
+            try {
+                const data = await fs.promises.readFile(this.getSiblingFilePath('ghosts'), 'utf8');
+                ghosts = JSON.parse(data);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('Error loading ghosts:', error);
+                }
+            }
+            // Another caller may have loaded it while we were reading
+            if (!this.ghosts) {
+                this.ghosts = ghosts;
+            }
+        }
+        return this.ghosts;
+    }
+
+    /**
+     * Load the championships file the first time it's used
+     */
+    async loadChampionships() {
+        if (!this.championships) {
+            let championships = {};
+            try {
+                const data = await fs.promises.readFile(this.getSiblingFilePath('championships'), 'utf8');
+                championships = JSON.parse(data);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error('Error loading championships:', error);
+                }
+            }
+            // Another caller may have loaded it while we were reading
+            if (!this.championships) {
+                this.championships = championships;
+            }
+        }
+        return this.championships;
+    }
+
+    /**
+     * Load a period board from disk the first time it's used
+     */
+    async loadPeriod(period) {
+        if (!this.periods.has(period)) {
+            let board = { periodKey: null, scores: {} };
+            try {
+                const data = await fs.promises.readFile(this.getSiblingFilePath(period), 'utf8');
+                board = JSON.parse(data);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.error(`Error loading ${period} high scores:`, error);
+                }
+            }
+            // Another caller may have loaded it while we were reading
+            if (!this.periods.has(period)) {
+                this.periods.set(period, board);
+            }
+        }
+        return this.periods.get(period);
+    }
+
+    getSiblingFilePath(suffix) {
+        const { dir, name, ext } = path.parse(this.filePath);
+        return path.join(dir, `${name}-${suffix}${ext || '.json'}`);
+    }
+
+    /**
+     * Queue a write of the in-memory scores to disk
+     */
+    save() {
+        return this.enqueueWrite(this.filePath, () => this.scores);
+    }
+
+    savePeriod(period) {
+        return this.enqueueWrite(this.getSiblingFilePath(period), () => this.periods.get(period));
+    }
+
+    enqueueWrite(filePath, getData) {
+        const write = this.writeQueue.then(() => this.writeFile(filePath, getData()));
+        // Keep the queue alive even if this write fails
+        this.writeQueue = write.catch(error => {
+            console.error('Error saving high scores:', error);
+        });
+        return write;
+    }
+
+    async writeFile(filePath, data) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async close() {
+        await this.writeQueue;
+    }
+}
+
+function sortByTime(scores) {
+    return [...scores].sort((a, b) => a.time - b.time);
+}
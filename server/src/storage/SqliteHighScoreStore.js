@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import { HighScoreStore } from './HighScoreStore.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS scores (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        track_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        time REAL NOT NULL,
+        timestamp INTEGER NOT NULL,
+        email TEXT,
+        verified INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_scores_track_time ON scores (track_id, time);
+    CREATE INDEX IF NOT EXISTS idx_scores_name ON scores (name);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_scores_unique ON scores (track_id, name, time, timestamp);
+
+    CREATE TABLE IF NOT EXISTS period_scores (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        period TEXT NOT NULL,
+        track_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        time REAL NOT NULL,
+        timestamp INTEGER NOT NULL,
+        email TEXT,
+        verified INTEGER NOT NULL DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS idx_period_scores_track_time ON period_scores (period, track_id, time);
+
+    CREATE TABLE IF NOT EXISTS periods (
+        period TEXT PRIMARY KEY,
+        period_key TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS ghosts (
+        track_id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        time REAL NOT NULL,
+        timestamp INTEGER NOT NULL,
+        samples TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS championships (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated INTEGER NOT NULL
+    );
+`;
+
+/**
+ * Stores high scores in an embedded SQLite database (via better-sqlite3).
+ * SQLite serializes writes itself, so no extra locking is needed here.
+ */
+export class SqliteHighScoreStore extends HighScoreStore {
+    constructor({ filePath }) {
+        super();
+        this.filePath = filePath;
+        this.db = null;
+        this.statements = null;
+    }
+
+    async load() {
+        let Database;
+        try {
+            ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+            throw new Error('SQLite high score storage requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            insert: this.db.prepare(`
+                INSERT OR IGNORE INTO scores (track_id, name, time, timestamp, email, verified)
+                VALUES (@trackId, @name, @time, @timestamp, @email, @verified)
+            `),
+            topScores: this.db.prepare(`
+                SELECT * FROM scores WHERE track_id = ? ORDER BY time ASC, timestamp ASC LIMIT ? OFFSET ?
+            `),
+            byPlayer: this.db.prepare(`
+                SELECT * FROM scores WHERE name = ? ORDER BY time ASC, timestamp ASC LIMIT ?
+            `),
+            byPlayerOnTrack: this.db.prepare(`
+                SELECT * FROM scores WHERE name = ? AND track_id = ? ORDER BY time ASC, timestamp ASC LIMIT ?
+            `),
+            fasterCount: this.db.prepare(`
+                SELECT COUNT(*) AS count FROM scores WHERE track_id = ? AND time < ?
+            `),
+            trackIds: this.db.prepare('SELECT DISTINCT track_id FROM scores'),
+            all: this.db.prepare('SELECT * FROM scores ORDER BY track_id, time ASC'),
+            insertPeriod: this.db.prepare(`
+                INSERT INTO period_scores (period, track_id, name, time, timestamp, email, verified)
+                VALUES (@period, @trackId, @name, @time, @timestamp, @email, @verified)
+            `),
+            periodTopScores: this.db.prepare(`
+                SELECT * FROM period_scores WHERE period = ? AND track_id = ? ORDER BY time ASC, timestamp ASC LIMIT ? OFFSET ?
+            `),
+            periodByPlayer: this.db.prepare(`
+                SELECT * FROM period_scores WHERE period = ? AND name = ? ORDER BY time ASC, timestamp ASC LIMIT ?
+            `),
+            periodByPlayerOnTrack: this.db.prepare(`
+                SELECT * FROM period_scores WHERE period = ? AND name = ? AND track_id = ? ORDER BY time ASC, timestamp ASC LIMIT ?
+            `),
+            periodFasterCount: this.db.prepare(`
+                SELECT COUNT(*) AS count FROM period_scores WHERE period = ? AND track_id = ? AND time < ?
+            `),
+            periodTrackIds: this.db.prepare('SELECT DISTINCT track_id FROM period_scores WHERE period = ?'),
+            allPeriod: this.db.prepare('SELECT * FROM period_scores WHERE period = ? ORDER BY track_id, time ASC'),
+            periodKey: this.db.prepare('SELECT period_key FROM periods WHERE period = ?'),
+            clearPeriod: this.db.prepare('DELETE FROM period_scores WHERE period = ?'),
+            setPeriodKey: this.db.prepare(`
+                INSERT INTO periods (period, period_key) VALUES (?, ?)
+                ON CONFLICT(period) DO UPDATE SET period_key = excluded.period_key
+            `),
+            saveGhost: this.db.prepare(`
+                INSERT OR REPLACE INTO ghosts (track_id, name, time, timestamp, samples)
+                VALUES (@trackId, @name, @time, @timestamp, @samples)
+            `),
+            ghost: this.db.prepare('SELECT * FROM ghosts WHERE track_id = ?'),
+            allGhosts: this.db.prepare('SELECT * FROM ghosts ORDER BY track_id'),
+            saveChampionship: this.db.prepare(`
+                INSERT OR REPLACE INTO championships (id, data, updated) VALUES (?, ?, ?)
+            `),
+            championship: this.db.prepare('SELECT data FROM championships WHERE id = ?'),
+            allChampionships: this.db.prepare('SELECT data FROM championships ORDER BY id')
+        };
+    }
+
+    async insertScore(score) {
+        this.statements.insert.run(scoreToRow(score));
+        return score;
+    }
+
+    async getTopScores(trackId, limit = 10, offset = 0) {
+        return this.statements.topScores.all(trackId, limit, offset).map(rowToScore);
+    }
+
+    async getScoresByPlayer(name, { trackId, limit = -1 } = {}) {
+        const rows = trackId
+            ? this.statements.byPlayerOnTrack.all(name, trackId, limit)
+            : this.statements.byPlayer.all(name, limit);
+        return rows.map(rowToScore);
+    }
+
+    async getRank(trackId, time) {
+        return this.statements.fasterCount.get(trackId, time).count + 1;
+    }
+
+    async getTrackIds() {
+        return this.statements.trackIds.all().map(row => row.track_id);
+    }
+
+    async getAllScores() {
+        return this.statements.all.all().map(rowToScore);
+    }
+
+    async insertPeriodScore(period, score) {
+        this.statements.insertPeriod.run({ period, ...scoreToRow(score) });
+        return score;
+    }
+
+    async getPeriodTopScores(period, trackId, limit = 10, offset = 0) {
+        return this.statements.periodTopScores.all(period, trackId, limit, offset).map(rowToScore);
+    }
+
+    async getPeriodScoresByPlayer(period, name, { trackId, limit = -1 } = {}) {
+        const rows = trackId
+            ? this.statements.periodByPlayerOnTrack.all(period, name, trackId, limit)
+            : this.statements.periodByPlayer.all(period, name, limit);
+        return rows.map(rowToScore);
+    }
+
+    async getPeriodRank(period, trackId, time) {
+        return this.statements.periodFasterCount.get(period, trackId, time).count + 1;
+    }
+
+    async getPeriodTrackIds(period) {
+        return this.statements.periodTrackIds.all(period).map(row => row.track_id);
+    }
+
+    async getAllPeriodScores(period) {
+        return this.statements.allPeriod.all(period).map(rowToScore);
+    }
+
+    async getPeriodKey(period) {
+        const row = this.statements.periodKey.get(period);
+        return row ? row.period_key : null;
+    }
+
+    async resetPeriod(period, periodKey) {
+        this.db.transaction(() => {
+            this.statements.clearPeriod.run(period);
+            this.statements.setPeriodKey.run(period, periodKey);
+        })();
+    }
+
+    async saveGhost(trackId, ghost) {
+        this.statements.saveGhost.run({
+            trackId,
+            name: ghost.name,
+            time: ghost.time,
+            timestamp: ghost.timestamp,
+            samples: JSON.stringify(ghost.samples)
+        });
+        return ghost;
+    }
+
+    async getGhost(trackId) {
+        const row = this.statements.ghost.get(trackId);
+        return row ? rowToGhost(row) : null;
+    }
+
+    async getAllGhosts() {
+        return this.statements.allGhosts.all().map(rowToGhost);
+    }
+
+    async saveChampionship(championship) {
+        this.statements.saveChampionship.run(championship.id, JSON.stringify(championship), Date.now());
+        return championship;
+    }
+
+    async getChampionship(id) {
+        const row = this.statements.championship.get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async getAllChampionships() {
+        return this.statements.allChampionships.all().map(row => JSON.parse(row.data));
+    }
+
+    /**
+     * Insert many scores in a single transaction, skipping duplicates
+     * @param {Object[]} scores - Scores to import
+     * @returns {Promise<number>} Number of rows actually inserted
+     */
+    async importScores(scores) {
+        const importAll = this.db.transaction(rows => {
+            let inserted = 0;
+            for (const score of rows) {
+                inserted += this.statements.insert.run(scoreToRow(score)).changes;
+            }
+            return inserted;
+        });
+        return importAll(scores);
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+function scoreToRow(score) {
+    return {
+        trackId: score.trackId,
+        name: score.name,
+        time: score.time,
+        timestamp: score.timestamp,
+        email: score.email || null,
+        verified: score.verified ? 1 : 0
+    };
+}
+
+function rowToScore(row) {
+    return {
+        name: row.name,
+        time: row.time,
+        trackId: row.track_id,
+        timestamp: row.timestamp,
+        email: row.email,
+        verified: row.verified === 1
+    };
+}
+
+function rowToGhost(row) {
+    return {
+        name: row.name,
+        time: row.time,
+        trackId: row.track_id,
+        timestamp: row.timestamp,
+        samples: JSON.parse(row.samples)
+    };
+}
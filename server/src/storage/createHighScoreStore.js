@@ -0,0 +1,32 @@
+import path from 'path';
+import { JsonHighScoreStore } from './JsonHighScoreStore.js';
+import { SqliteHighScoreStore } from './SqliteHighScoreStore.js';
+
+/**
+ * Create the high score store selected by configuration.
+ *
+ * Environment variables:
+ *   HIGHSCORE_STORE - 'json' (default) or 'sqlite'
+ *   HIGHSCORE_PATH  - Optional file path for the selected store
+ *
+ * @param {Object} options - { type, dataPath, filePath } overrides
+ * @returns {HighScoreStore}
+ */
+export function createHighScoreStore(options = {}) {
+    const type = (options.type || process.env.HIGHSCORE_STORE || 'json').toLowerCase();
+    const dataPath = options.dataPath;
+    const filePath = options.filePath || process.env.HIGHSCORE_PATH;
+
+    switch (type) {
+        case 'json':
+            return new JsonHighScoreStore({
+                filePath: filePath || path.join(dataPath, 'highscores.json')
+            });
+        case 'sqlite':
+            return new SqliteHighScoreStore({
+                filePath: filePath || path.join(dataPath, 'highscores.db')
+            });
+        default:
+            throw new Error(`Unknown high score store: ${type}`);
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * How each car type drives. Shared by the client, which applies the spec
+ * to the player's car, and the server, whose AI opponents drive to the
+ * spec of their car type.
+ */
+
+export const DEFAULT_CAR_TYPE = 'classic';
+
+export const CAR_SPECS = {
+    classic: {
+        name: 'Classic Car',
+        icon: '🚗',
+        topSpeed: 55.28,            // m/s (199 km/h)
+        acceleration: 50,           // m/s² from standstill
+        accelerationFalloff: 0.3,   // Share of the acceleration lost by top speed
+        grip: 0.8,                  // 0-1: how quickly the car takes the steering
+        turnRate: Math.PI * 0.6,    // rad/s at top speed
+        weight: 1.0,                // Relative to the classic car: heavier cars bounce less
+        boostMultiplier: 1.41       // Speed factor during a speed boost
+    },
+    tesla: {
+        name: 'Model 3',
+        icon: '🚙',
+        topSpeed: 52.78,            // 190 km/h
+        acceleration: 65,           // Instant torque off the line...
+        accelerationFalloff: 0.6,   // ...that fades at speed
+        grip: 0.85,
+        turnRate: Math.PI * 0.55,
+        weight: 1.3,
+        boostMultiplier: 1.35
+    },
+    f1: {
+        name: 'Formula 1',
+        icon: '🏎️',
+        topSpeed: 63.89,            // 230 km/h
+        acceleration: 45,
+        accelerationFalloff: 0.1,   // Keeps pulling all the way up
+        grip: 0.95,
+        turnRate: Math.PI * 0.65,
+        weight: 0.7,
+        boostMultiplier: 1.5
+    }
+};
+
+/**
+ * Make a car type safe to use (unknown types drive as the default car)
+ * @param {string} carType - Requested car type
+ * @returns {string} A key of CAR_SPECS
+ */
+export function normalizeCarType(carType) {
+    return Object.prototype.hasOwnProperty.call(CAR_SPECS, carType) ? carType : DEFAULT_CAR_TYPE;
+}
+
+export function getCarSpec(carType) {
+    return CAR_SPECS[normalizeCarType(carType)];
+}
+
+/**
+ * Engine acceleration at a given speed: full at standstill, falling off
+ * linearly towards top speed
+ * @param {Object} spec - Car spec
+ * @param {number} speed - Current forward speed (m/s)
+ * @returns {number} Acceleration (m/s²)
+ */
+export function getAccelerationAt(spec, speed) {
+    const speedRatio = Math.min(Math.max(speed / spec.topSpeed, 0), 1);
+    return spec.acceleration * (1 - spec.accelerationFalloff * speedRatio);
+}
+
+/**
+ * Ratings of a car for the car picker, each 0-1 relative to the best car
+ * in the table (weight: the heaviest)
+ * @param {string} carType - Car type
+ * @returns {Array<Object>} [{ label, value }]
+ */
+export function getCarRatings(carType) {
+    const specs = Object.values(CAR_SPECS);
+    const averageAcceleration = spec => spec.acceleration * (1 - spec.accelerationFalloff / 2);
+    const rate = (spec, measure) => measure(spec) / Math.max(...specs.map(measure));
+
+    const spec = getCarSpec(carType);
+    return [
+        { label: 'Speed', value: rate(spec, other => other.topSpeed) },
+        { label: 'Accel', value: rate(spec, averageAcceleration) },
+        { label: 'Handling', value: rate(spec, other => other.grip * other.turnRate) },
+        { label: 'Weight', value: rate(spec, other => other.weight) }
+    ];
+}
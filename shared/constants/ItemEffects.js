@@ -0,0 +1,35 @@
+/**
+ * How thrown items fly and what they do to the car they hit.
+ * Shared by the client and the server: in multiplayer the server moves
+ * the items and decides the hits, in single player the client does.
+ */
+
+export const THROWN_ITEMS = {
+    banana: {
+        speed: 0,          // Dropped on the track
+        throwOffset: -4,   // Distance in front of the car (negative: behind it)
+        height: 0.3,
+        hitRadius: 3,
+        lifetime: 30000    // Milliseconds before it disappears
+    },
+    shell: {
+        speed: 80,
+        throwOffset: 4,
+        height: 1.5,
+        hitRadius: 3,
+        lifetime: 10000
+    }
+};
+
+export const HIT_EFFECTS = {
+    banana: {
+        spinDuration: 1000,       // Milliseconds
+        spinAmount: Math.PI * 2,  // One full spin
+        speedFactor: 0.3          // Speed kept after the hit
+    },
+    shell: {
+        spinDuration: 2000,
+        spinAmount: Math.PI * 4,
+        speedFactor: 0.2
+    }
+};
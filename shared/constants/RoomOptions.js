@@ -0,0 +1,68 @@
+/**
+ * Race rules of a private room, set by the host in the waiting room.
+ * Shared by the client and the server so both sides agree on the
+ * defaults and on what counts as a valid setting.
+ */
+
+export const ITEM_TYPES = ['speedBoost', 'banana', 'shell'];
+
+// Milliseconds between item spawns on the server
+export const ITEM_SPAWN_RATES = {
+    low: 4000,
+    normal: 2000,
+    high: 1000
+};
+
+export const AI_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export const MIN_LAPS = 1;
+export const MAX_LAPS = 10;
+export const MAX_AI_OPPONENTS = 7;
+
+export const DEFAULT_ROOM_OPTIONS = {
+    laps: 3,
+    itemTypes: [...ITEM_TYPES],
+    itemSpawnRate: 'normal',
+    aiCount: 0,
+    aiDifficulty: 'medium',
+    collisions: true,
+    timeTrial: false
+};
+
+function clampInteger(value, min, max, fallback) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, Math.round(number)));
+}
+
+/**
+ * Fill in and clamp room options
+ * Unknown or invalid values fall back to the current options. A time trial
+ * is raced alone against the clock: no items, no AI and no collisions.
+ * @param {Object} options - Requested options (may be partial)
+ * @param {Object} current - Options to keep for anything not requested
+ * @returns {Object} Complete, valid options
+ */
+export function normalizeRoomOptions(options = {}, current = DEFAULT_ROOM_OPTIONS) {
+    options = options || {};
+
+    const normalized = {
+        laps: clampInteger(options.laps, MIN_LAPS, MAX_LAPS, current.laps),
+        itemTypes: Array.isArray(options.itemTypes)
+            ? ITEM_TYPES.filter(type => options.itemTypes.includes(type))
+            : [...current.itemTypes],
+        itemSpawnRate: ITEM_SPAWN_RATES[options.itemSpawnRate] ? options.itemSpawnRate : current.itemSpawnRate,
+        aiCount: clampInteger(options.aiCount, 0, MAX_AI_OPPONENTS, current.aiCount),
+        aiDifficulty: AI_DIFFICULTIES.includes(options.aiDifficulty) ? options.aiDifficulty : current.aiDifficulty,
+        collisions: typeof options.collisions === 'boolean' ? options.collisions : current.collisions,
+        timeTrial: typeof options.timeTrial === 'boolean' ? options.timeTrial : current.timeTrial
+    };
+
+    if (normalized.timeTrial) {
+        normalized.itemTypes = [];
+        normalized.aiCount = 0;
+        normalized.collisions = false;
+    }
+
+    return normalized;
+}
@@ -0,0 +1,21 @@
+/**
+ * SilverstoneLayout - Race geometry of the Silverstone circuit
+ *
+ * The circuit itself is drawn from a 3D model (see SilverstoneTrack), which
+ * the server can't load. These are the points the race is scored on, shared
+ * so the server checks laps against the same start line and checkpoints
+ * the client drives through. Coordinates are world x/z in meters.
+ */
+
+export const SILVERSTONE_LAYOUT = {
+  id: 'silverstone',
+  name: 'Silverstone Circuit',
+  width: 25, // Matches the size of the client's checkpoint boxes
+  start: { x: 17.23, z: 200.07 }, // Finish line; cars set off east (+x)
+  checkpoints: [
+    { x: 100, z: 200 }, // After the start line
+    { x: 200, z: 300 }, // Into the first corner
+    { x: 100, z: 300 }, // Mid track
+    { x: 0, z: 250 }    // Coming back toward the finish line
+  ]
+};
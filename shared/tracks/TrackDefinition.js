@@ -0,0 +1,389 @@
+/**
+ * TrackDefinition - Data-driven track description
+ *
+ * Tracks can be described in JSON and dropped into `public/tracks/<id>.json`:
+ *
+ *   {
+ *     "version": 1,
+ *     "id": "lakeside",
+ *     "name": "Lakeside Loop",
+ *     "description": "...",
+ *     "centerline": [[x, z], [x, y, z], ...],   // closed Catmull-Rom spline control points
+ *     "width": 20,                                // or [{ "u": 0, "width": 20 }, ...]
+ *     "checkpoints": [0.25, 0.5, 0.75],           // positions along the lap (0-1); 0 is the finish line
+ *     "startGrid": { "u": 0.99, "rows": 4, "columns": 2, "spacing": 8 },
+ *     "itemSpawns": [{ "u": 0.1, "offset": -3, "type": "random" }],
+ *     "scenery": [{ "type": "tree|palm|grandstand|mountains", "x": 0, "z": 0, "rotation": 0, "width": 40 }],
+ *     "theme": { "roadColor": "#555555", "groundColor": "#336633", "skyColor": "#87ceeb", ... }
+ *   }
+ *
+ * `u` is the normalized distance along the centerline, so positions stay
+ * valid when control points are moved. This module has no Three.js
+ * dependency so the same geometry can be computed anywhere.
+ */
+
+export const TRACK_FORMAT_VERSION = 1;
+
+const DEFAULT_THEME = {
+  roadColor: '#555555',
+  curbColor: '#cc0000',
+  groundColor: '#336633',
+  skyColor: '#87ceeb',
+  wallColor: '#dddddd',
+  groundSize: 800
+};
+
+const SCENERY_TYPES = ['tree', 'palm', 'grandstand', 'mountains'];
+const ITEM_TYPES = ['random', 'speedBoost', 'banana', 'shell'];
+
+export class TrackDefinition {
+  /**
+   * @param {object} data - Parsed track JSON
+   * @throws {Error} If the definition is invalid
+   */
+  constructor(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Track definition must be an object');
+    }
+    if (data.version !== TRACK_FORMAT_VERSION) {
+      throw new Error(`Unsupported track format version: ${data.version}`);
+    }
+    if (typeof data.id !== 'string' || !/^[a-z0-9_-]+$/i.test(data.id)) {
+      throw new Error('Track definition needs an id (letters, numbers, - and _)');
+    }
+
+    this.version = data.version;
+    this.id = data.id;
+    this.name = data.name || data.id;
+    this.description = data.description || '';
+    this.totalLaps = data.totalLaps || 3;
+
+    this.controlPoints = parseCenterline(data.centerline);
+    this.widthProfile = parseWidthProfile(data.width);
+    this.checkpoints = parseFractions(data.checkpoints || [0.25, 0.5, 0.75], 'checkpoints');
+
+    const startGrid = data.startGrid || {};
+    this.startGrid = {
+      u: wrapFraction(startGrid.u !== undefined ? startGrid.u : 0.99),
+      rows: startGrid.rows || 4,
+      columns: startGrid.columns || 2,
+      spacing: startGrid.spacing || 8
+    };
+
+    this.itemSpawns = (data.itemSpawns || []).map((spawn, index) => {
+      if (!Number.isFinite(spawn.u)) {
+        throw new Error(`Item spawn ${index} needs a position (u)`);
+      }
+      const type = spawn.type || 'random';
+      if (!ITEM_TYPES.includes(type)) {
+        throw new Error(`Unknown item type "${type}" at item spawn ${index}`);
+      }
+      return { u: wrapFraction(spawn.u), offset: spawn.offset || 0, type };
+    });
+
+    this.scenery = (data.scenery || []).map((item, index) => {
+      if (!SCENERY_TYPES.includes(item.type)) {
+        throw new Error(`Unknown scenery type "${item.type}" at scenery ${index}`);
+      }
+      if (item.type !== 'mountains' && (!Number.isFinite(item.x) || !Number.isFinite(item.z))) {
+        throw new Error(`Scenery ${index} needs x and z coordinates`);
+      }
+      return { rotation: 0, width: 40, ...item };
+    });
+
+    this.theme = { ...DEFAULT_THEME, ...(data.theme || {}) };
+
+    // Sample the spline once; everything else works off these samples
+    this.samples = this.sampleCenterline(data.samplesPerSegment || 16);
+    this.length = this.samples[this.samples.length - 1].distance;
+    this.samples.forEach(sample => {
+      sample.u = sample.distance / this.length;
+      sample.width = this.getWidthAt(sample.u);
+    });
+  }
+
+  /**
+   * Fetch and parse a track definition
+   * @param {string} url - URL of the track JSON
+   * @returns {Promise<TrackDefinition>}
+   */
+  static async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load track ${url}: ${response.statusText}`);
+    }
+    return new TrackDefinition(await response.json());
+  }
+
+  /**
+   * Convert back to the JSON format
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      version: this.version,
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      totalLaps: this.totalLaps,
+      centerline: this.controlPoints.map(p => (p.y ? [p.x, p.y, p.z] : [p.x, p.z])),
+      width: this.widthProfile.length === 1 ? this.widthProfile[0].width : this.widthProfile,
+      checkpoints: this.checkpoints,
+      startGrid: this.startGrid,
+      itemSpawns: this.itemSpawns,
+      scenery: this.scenery,
+      theme: this.theme
+    };
+  }
+
+  /**
+   * Walk the closed Catmull-Rom spline through the control points
+   * @param {number} samplesPerSegment - Samples between two control points
+   * @returns {Array<{x, y, z, distance}>} Samples with cumulative distance; the last one closes the loop
+   */
+  sampleCenterline(samplesPerSegment) {
+    const points = this.controlPoints;
+    const count = points.length;
+    const samples = [];
+    let distance = 0;
+
+    for (let i = 0; i < count; i++) {
+      const p0 = points[(i - 1 + count) % count];
+      const p1 = points[i];
+      const p2 = points[(i + 1) % count];
+      const p3 = points[(i + 2) % count];
+
+      for (let step = 0; step < samplesPerSegment; step++) {
+        const point = catmullRom(p0, p1, p2, p3, step / samplesPerSegment);
+        if (samples.length > 0) {
+          const previous = samples[samples.length - 1];
+          distance += Math.hypot(point.x - previous.x, point.z - previous.z);
+        }
+        samples.push({ ...point, distance });
+      }
+    }
+
+    // Close the loop back at the first sample
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    distance += Math.hypot(first.x - last.x, first.z - last.z);
+    samples.push({ x: first.x, y: first.y, z: first.z, distance });
+
+    return samples;
+  }
+
+  /**
+   * Get the track width at a position along the lap
+   * @param {number} u - Normalized distance (0-1)
+   * @returns {number}
+   */
+  getWidthAt(u) {
+    const profile = this.widthProfile;
+    if (profile.length === 1) {
+      return profile[0].width;
+    }
+
+    u = wrapFraction(u);
+    for (let i = 0; i < profile.length; i++) {
+      const current = profile[i];
+      const next = profile[(i + 1) % profile.length];
+      const end = next.u > current.u ? next.u : next.u + 1;
+      const position = u >= current.u ? u : u + 1;
+      if (position >= current.u && position <= end) {
+        const alpha = end > current.u ? (position - current.u) / (end - current.u) : 0;
+        return current.width + (next.width - current.width) * alpha;
+      }
+    }
+    return profile[0].width;
+  }
+
+  /**
+   * Get the centerline point, direction and width at a position along the lap
+   * @param {number} u - Normalized distance (0-1)
+   * @returns {{x, y, z, tangentX, tangentZ, width, u}}
+   */
+  getPointAt(u) {
+    u = wrapFraction(u);
+    const target = u * this.length;
+    const samples = this.samples;
+
+    // Binary search for the segment containing the target distance
+    let low = 0;
+    let high = samples.length - 1;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (samples[mid].distance <= target) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+
+    const a = samples[low];
+    const b = samples[high];
+    const segmentLength = b.distance - a.distance;
+    const alpha = segmentLength > 0 ? (target - a.distance) / segmentLength : 0;
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    const tangentLength = Math.hypot(dx, dz) || 1;
+
+    return {
+      x: a.x + dx * alpha,
+      y: a.y + (b.y - a.y) * alpha,
+      z: a.z + dz * alpha,
+      tangentX: dx / tangentLength,
+      tangentZ: dz / tangentLength,
+      width: this.getWidthAt(u),
+      u
+    };
+  }
+
+  /**
+   * Get a point offset sideways from the centerline
+   * Positive offsets are to the right of the driving direction.
+   * @param {number} u - Normalized distance (0-1)
+   * @param {number} offset - Lateral offset in meters
+   */
+  getOffsetPointAt(u, offset) {
+    const point = this.getPointAt(u);
+    return {
+      ...point,
+      x: point.x - point.tangentZ * offset,
+      z: point.z + point.tangentX * offset
+    };
+  }
+
+  /**
+   * Find the closest point on the centerline
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {{u, distance, width}} Position along the lap, distance from the centerline and width there
+   */
+  project(x, z) {
+    const samples = this.samples;
+    let best = { u: 0, distance: Infinity, width: samples[0].width };
+
+    for (let i = 0; i < samples.length - 1; i++) {
+      const a = samples[i];
+      const b = samples[i + 1];
+      const dx = b.x - a.x;
+      const dz = b.z - a.z;
+      const lengthSquared = dx * dx + dz * dz;
+      const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((x - a.x) * dx + (z - a.z) * dz) / lengthSquared))
+        : 0;
+      const distance = Math.hypot(x - (a.x + dx * t), z - (a.z + dz * t));
+
+      if (distance < best.distance) {
+        const u = (a.distance + (b.distance - a.distance) * t) / this.length;
+        best = { u, distance, width: a.width + (b.width - a.width) * t };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Check whether a world position is on the road surface
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {boolean}
+   */
+  isOnTrack(x, z) {
+    const { distance, width } = this.project(x, z);
+    return distance <= width / 2;
+  }
+
+  /**
+   * Get the start grid slots behind the start line, pole position first
+   * @returns {Array<{x, y, z, rotation}>}
+   */
+  getStartGridSlots() {
+    const { u, rows, columns, spacing } = this.startGrid;
+    const slots = [];
+
+    for (let row = 0; row < rows; row++) {
+      const slotU = u - (row * spacing) / this.length;
+      const point = this.getPointAt(slotU);
+      const laneWidth = point.width / (columns + 1);
+
+      for (let column = 0; column < columns; column++) {
+        const offset = (column + 1) * laneWidth - point.width / 2;
+        const slot = this.getOffsetPointAt(slotU, offset);
+        slots.push({
+          x: slot.x,
+          y: slot.y,
+          z: slot.z,
+          rotation: Math.atan2(point.tangentX, point.tangentZ)
+        });
+      }
+    }
+
+    return slots;
+  }
+}
+
+function parseCenterline(centerline) {
+  if (!Array.isArray(centerline) || centerline.length < 4) {
+    throw new Error('Track centerline needs at least 4 control points');
+  }
+
+  return centerline.map((point, index) => {
+    const values = Array.isArray(point) ? point : [point.x, point.y || 0, point.z];
+    const [x, y, z] = values.length === 2 ? [values[0], 0, values[1]] : values;
+    if (![x, y, z].every(Number.isFinite)) {
+      throw new Error(`Invalid centerline point at index ${index}`);
+    }
+    return { x, y, z };
+  });
+}
+
+function parseWidthProfile(width) {
+  if (width === undefined) {
+    return [{ u: 0, width: 20 }];
+  }
+  if (Number.isFinite(width)) {
+    if (width <= 0) throw new Error('Track width must be positive');
+    return [{ u: 0, width }];
+  }
+  if (!Array.isArray(width) || width.length === 0) {
+    throw new Error('Track width must be a number or a list of { u, width } keys');
+  }
+
+  return width
+    .map((key, index) => {
+      if (!Number.isFinite(key.u) || !Number.isFinite(key.width) || key.width <= 0) {
+        throw new Error(`Invalid width key at index ${index}`);
+      }
+      return { u: wrapFraction(key.u), width: key.width };
+    })
+    .sort((a, b) => a.u - b.u);
+}
+
+function parseFractions(values, name) {
+  if (!Array.isArray(values) || !values.every(Number.isFinite)) {
+    throw new Error(`Track ${name} must be a list of positions between 0 and 1`);
+  }
+  return values.map(wrapFraction).sort((a, b) => a - b);
+}
+
+function wrapFraction(u) {
+  return ((u % 1) + 1) % 1;
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  const blend = (a, b, c, d) => 0.5 * (
+    2 * b +
+    (-a + c) * t +
+    (2 * a - 5 * b + 4 * c - d) * t2 +
+    (-a + 3 * b - 3 * c + d) * t3
+  );
+
+  return {
+    x: blend(p0.x, p1.x, p2.x, p3.x),
+    y: blend(p0.y, p1.y, p2.y, p3.y),
+    z: blend(p0.z, p1.z, p2.z, p3.z)
+  };
+}
@@ -0,0 +1,205 @@
+/**
+ * Binary format of the high-rate multiplayer messages (car state updates).
+ * Shared by the client and the server so both sides agree on the layout.
+ *
+ * Every message starts with a one-byte message type, followed by the fields
+ * of that type's schema in order. Positions are quantized to 5 cm steps in
+ * 32 bits and angles to 16 bits, which is plenty for remote cars that are
+ * interpolated anyway. A position too far out to fit is refused rather than
+ * moved.
+ *
+ * A car's updates are numbered (sequence, wrapping at 65536) so the receiver
+ * can tell repeats and gaps apart, and stamped with the server's clock (see
+ * ServerClock) so every receiver can place them on the same timeline.
+ *
+ * Bump PROTOCOL_VERSION whenever a schema changes: the server turns away
+ * clients that speak another version when they connect.
+ */
+
+export const PROTOCOL_VERSION = 3;
+
+export const MESSAGE_TYPES = {
+    PLAYER_UPDATE: 1, // Client -> server: our car's state
+    PEER_UPDATE: 2    // Server -> clients: another player's car state
+};
+
+const POSITION_SCALE = 20; // Steps per unit: 5 cm, within ±107 million units of the origin
+const MAX_POSITION_STEPS = 2147483647;
+const ANGLE_SCALE = 32767 / Math.PI;
+const MAX_STRING_BYTES = 255;
+
+// Encoding of each kind of field: its size in bytes, how to write and how to read it
+const FIELD_TYPES = {
+    vec3: {
+        size: () => 12,
+        write(view, offset, value) {
+            const [x, y, z] = Array.isArray(value) ? value : [value.x, value.y, value.z];
+            view.setInt32(offset, quantizePosition(x));
+            view.setInt32(offset + 4, quantizePosition(y));
+            view.setInt32(offset + 8, quantizePosition(z));
+            return 12;
+        },
+        read(view, offset) {
+            return [
+                [
+                    view.getInt32(offset) / POSITION_SCALE,
+                    view.getInt32(offset + 4) / POSITION_SCALE,
+                    view.getInt32(offset + 8) / POSITION_SCALE
+                ],
+                12
+            ];
+        }
+    },
+    angle: {
+        size: () => 2,
+        write(view, offset, value) {
+            view.setInt16(offset, quantize(wrapAngle(value), ANGLE_SCALE));
+            return 2;
+        },
+        read(view, offset) {
+            return [view.getInt16(offset) / ANGLE_SCALE, 2];
+        }
+    },
+    uint16: {
+        size: () => 2,
+        write(view, offset, value) {
+            view.setUint16(offset, (Number(value) || 0) & 0xffff);
+            return 2;
+        },
+        read(view, offset) {
+            return [view.getUint16(offset), 2];
+        }
+    },
+    time: {
+        size: () => 8,
+        write(view, offset, value) {
+            view.setFloat64(offset, Number(value) || 0);
+            return 8;
+        },
+        read(view, offset) {
+            return [view.getFloat64(offset), 8];
+        }
+    },
+    string: {
+        // Length byte plus UTF-8 bytes; an empty string reads back as null
+        size: value => 1 + encodeString(value).length,
+        write(view, offset, value) {
+            const bytes = encodeString(value);
+            view.setUint8(offset, bytes.length);
+            new Uint8Array(view.buffer, view.byteOffset + offset + 1, bytes.length).set(bytes);
+            return 1 + bytes.length;
+        },
+        read(view, offset) {
+            const length = view.getUint8(offset);
+            const bytes = new Uint8Array(view.buffer, view.byteOffset + offset + 1, length);
+            return [length > 0 ? textDecoder.decode(bytes) : null, 1 + length];
+        }
+    }
+};
+
+// Fields of each message type, in the order they are written
+const SCHEMAS = {
+    [MESSAGE_TYPES.PLAYER_UPDATE]: [
+        ['position', 'vec3'],
+        ['rotation', 'angle'],
+        ['trackId', 'string'],
+        ['sequence', 'uint16'],
+        ['timestamp', 'time']
+    ],
+    [MESSAGE_TYPES.PEER_UPDATE]: [
+        ['peerId', 'string'],
+        ['position', 'vec3'],
+        ['rotation', 'angle'],
+        ['trackId', 'string'],
+        ['sequence', 'uint16'],
+        ['timestamp', 'time']
+    ]
+};
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encode a message
+ * @param {number} type - One of MESSAGE_TYPES
+ * @param {Object} data - The message's fields (see SCHEMAS); positions as [x, y, z] or { x, y, z }
+ * @returns {Uint8Array} Binary message
+ * @throws {Error} If the message type is unknown or a position is out of range
+ */
+export function encodeMessage(type, data) {
+    const schema = SCHEMAS[type];
+    if (!schema) {
+        throw new Error(`Unknown message type ${type}`);
+    }
+
+    const size = schema.reduce((total, [name, fieldType]) => total + FIELD_TYPES[fieldType].size(data[name]), 1);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint8(0, type);
+    let offset = 1;
+    schema.forEach(([name, fieldType]) => {
+        offset += FIELD_TYPES[fieldType].write(view, offset, data[name]);
+    });
+    return bytes;
+}
+
+/**
+ * Decode a message
+ * @param {Uint8Array|ArrayBuffer} binaryData - Binary message (a Node Buffer is a Uint8Array)
+ * @returns {Object} { type, ...fields }
+ * @throws {Error} If the message type is unknown or the message is cut short
+ */
+export function decodeMessage(binaryData) {
+    const view = binaryData instanceof ArrayBuffer
+        ? new DataView(binaryData)
+        : new DataView(binaryData.buffer, binaryData.byteOffset, binaryData.byteLength);
+
+    if (view.byteLength === 0) {
+        throw new Error('Empty message');
+    }
+
+    const type = view.getUint8(0);
+    const schema = SCHEMAS[type];
+    if (!schema) {
+        throw new Error(`Unknown message type ${type}`);
+    }
+
+    const message = { type };
+    let offset = 1;
+    try {
+        schema.forEach(([name, fieldType]) => {
+            const [value, size] = FIELD_TYPES[fieldType].read(view, offset);
+            message[name] = value;
+            offset += size;
+        });
+    } catch (error) {
+        // DataView and Uint8Array throw RangeErrors past the end
+        throw new Error(`Truncated message of type ${type}`);
+    }
+    return message;
+}
+
+function quantizePosition(value) {
+    const steps = Math.round((Number(value) || 0) * POSITION_SCALE);
+    if (Math.abs(steps) > MAX_POSITION_STEPS) {
+        throw new Error(`Position ${value} is out of range`);
+    }
+    return steps;
+}
+
+function quantize(value, scale) {
+    const number = Math.round((Number(value) || 0) * scale);
+    return Math.max(-32768, Math.min(32767, number));
+}
+
+// Bring an angle into [-π, π]
+function wrapAngle(angle) {
+    const number = Number(angle) || 0;
+    return number - Math.PI * 2 * Math.round(number / (Math.PI * 2));
+}
+
+function encodeString(value) {
+    const bytes = textEncoder.encode(value ? String(value) : '');
+    return bytes.length > MAX_STRING_BYTES ? bytes.slice(0, MAX_STRING_BYTES) : bytes;
+}
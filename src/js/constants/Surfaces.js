@@ -0,0 +1,25 @@
+/**
+ * What the ground under a car does to it.
+ *
+ * grip scales how much sideways force the tires can give (1 = dry asphalt),
+ * drag is the share of the car's speed lost per second to the surface on
+ * top of the normal rolling deceleration.
+ */
+
+export const SURFACES = {
+    asphalt: {
+        name: 'asphalt',
+        grip: 1.0,
+        drag: 0
+    },
+    dirt: {
+        name: 'dirt',     // Grass and dirt beside the road
+        grip: 0.55,
+        drag: 1.2         // Settles the classic car at about 60% of its top speed
+    },
+    speedStripe: {
+        name: 'speedStripe', // Dirt patches across the road of the circular track
+        grip: 0.7,
+        drag: 2.0
+    }
+};
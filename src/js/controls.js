@@ -332,6 +332,9 @@ export class Controls {
             case 'e':
                 this.car.useItem();
                 break;
+            case 'shift':
+                this.car.handbrake(true);
+                break;
         }
     }
     
@@ -358,6 +361,9 @@ export class Controls {
             case ' ':
                 this.car.brake(false);
                 break;
+            case 'shift':
+                this.car.handbrake(false);
+                break;
         }
     }
 
@@ -0,0 +1,730 @@
+import * as THREE from 'three';
+import { Car } from '../entities/car/Car';
+import { Controls } from '../controls';
+import { SplineTrack } from '../tracks/SplineTrack.js';
+import { TrackDefinition, TRACK_FORMAT_VERSION } from 'racingcart-shared/tracks/TrackDefinition.js';
+import { TrackFactory } from '../tracks/TrackFactory.js';
+import { TrackEditorUI } from '../ui/TrackEditorUI.js';
+import { simulationClock } from '../utils/SimulationClock.js';
+
+export const EDITOR_TOOLS = ['points', 'checkpoints', 'start', 'items', 'grandstands'];
+
+const DRAFT_STORAGE_KEY = 'racingcart_track_editor_draft';
+const REBUILD_INTERVAL = 100; // ms between preview rebuilds while dragging
+const MIN_CONTROL_POINTS = 4;
+const ITEM_COLORS = {
+    random: 0xffffff,
+    speedBoost: 0xffcc00,
+    banana: 0xebc334,
+    shell: 0xff0000
+};
+
+/**
+ * In-browser track editor (open with `?editor` or `?editor=<trackId>`).
+ * Edits a track definition JSON, previews it live as a SplineTrack and
+ * lets you test-drive it before exporting the file to public/tracks/.
+ *
+ * The editor also stands in for the game as the preview track's lap
+ * counter, so laps driven in test mode are timed.
+ */
+export class TrackEditor {
+    constructor() {
+        this.data = null;
+        this.definition = null;
+        this.previewTrack = null;
+        this.error = null;
+
+        this.tool = 'points';
+        this.itemType = 'random';
+        this.handles = [];
+        this.markers = [];
+        this.dragIndex = -1;
+        this.pan = null;
+        this.lastRebuildTime = 0;
+        this.rebuildPending = false;
+
+        // Top-down editing camera
+        this.cameraTarget = new THREE.Vector3();
+        this.cameraHeight = 350;
+
+        // Test drive state (also read by BaseTrack.checkLapProgress)
+        this.isTestDriving = false;
+        this.testCar = null;
+        this.controls = null;
+        this.lastCheckpointPassed = -1;
+        this.hasPassedFinishLine = false;
+        this.currentLap = 0;
+        this.lapStartTime = 0;
+        this.lastLapTime = null;
+        this.bestLapTime = null;
+
+        this.clock = new THREE.Clock();
+        this.raycaster = new THREE.Raycaster();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+    }
+
+    /**
+     * Set up the scene and load the track to edit
+     * @param {string} [trackId] - Data-driven track to open; defaults to the saved draft
+     */
+    async init(trackId) {
+        this.scene = new THREE.Scene();
+        this.scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+        directionalLight.position.set(200, 500, 300);
+        this.scene.add(directionalLight);
+
+        this.camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 3000);
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.domElement.style.position = 'fixed';
+        this.renderer.domElement.style.top = '0';
+        this.renderer.domElement.style.left = '0';
+        document.body.appendChild(this.renderer.domElement);
+
+        this.handleGroup = new THREE.Group();
+        this.handleGroup.name = 'editor_handles';
+        this.scene.add(this.handleGroup);
+
+        this.ui = new TrackEditorUI(this);
+        this.ui.show();
+
+        this.setupInput();
+        window.addEventListener('resize', () => this.onWindowResize());
+
+        await this.open(trackId);
+        this.animate();
+        return this;
+    }
+
+    /**
+     * Load the track to start from: a track file, the saved draft or a default oval
+     * @param {string} [trackId] - Data-driven track ID
+     */
+    async open(trackId) {
+        let data = null;
+
+        if (trackId) {
+            try {
+                data = (await TrackFactory.loadTrackDefinition(trackId)).toJSON();
+            } catch (error) {
+                console.error(`[EDITOR] Could not load track ${trackId}:`, error);
+                this.ui.showMessage(`Could not load ${trackId}: ${error.message}`);
+            }
+        }
+
+        if (!data) {
+            data = this.loadDraft();
+        }
+
+        try {
+            this.load(data || createDefaultTrack());
+        } catch (error) {
+            console.warn('[EDITOR] Saved draft is not a valid track, starting a new one:', error);
+            this.load(createDefaultTrack());
+        }
+    }
+
+    newTrack() {
+        this.load(createDefaultTrack());
+    }
+
+    /**
+     * Replace the edited track
+     * @param {object} data - Track definition JSON
+     * @throws {Error} If the definition is invalid
+     */
+    load(data) {
+        const definition = new TrackDefinition(data);
+        this.data = structuredClone(definition.toJSON());
+        this.rebuild();
+
+        // Frame the whole track
+        const xs = definition.controlPoints.map(p => p.x);
+        const zs = definition.controlPoints.map(p => p.z);
+        this.cameraTarget.set((Math.min(...xs) + Math.max(...xs)) / 2, 0, (Math.min(...zs) + Math.max(...zs)) / 2);
+        this.cameraHeight = THREE.MathUtils.clamp(Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...zs) - Math.min(...zs)) * 1.1, 80, 1500);
+    }
+
+    /**
+     * Rebuild the definition and live preview from the edited JSON.
+     * An invalid edit keeps the last good preview and reports the error.
+     */
+    rebuild() {
+        this.rebuildPending = false;
+        this.lastRebuildTime = performance.now();
+
+        let definition;
+        try {
+            definition = new TrackDefinition(this.data);
+            this.error = null;
+        } catch (error) {
+            this.error = error.message;
+            this.ui.refresh();
+            return;
+        }
+
+        // Edit a normalized copy so a bad edit can't leak into the definition
+        this.definition = definition;
+        this.data = structuredClone(definition.toJSON());
+
+        if (this.previewTrack) {
+            this.previewTrack.cleanup();
+        }
+        this.previewTrack = new SplineTrack(this.scene, this, { definition });
+        this.previewTrack.debug.showCheckpoints = true;
+        this.previewTrack.init();
+
+        this.updateHandles();
+        this.saveDraft();
+        this.ui.refresh();
+    }
+
+    /**
+     * Rebuild soon, at most every REBUILD_INTERVAL ms (used while dragging)
+     */
+    scheduleRebuild() {
+        this.rebuildPending = true;
+    }
+
+    /**
+     * Recreate the control point handles and item spawn markers
+     */
+    updateHandles() {
+        this.handleGroup.children.slice().forEach(child => {
+            this.handleGroup.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+        this.handles = [];
+        this.markers = [];
+
+        if (this.isTestDriving) return;
+
+        this.definition.controlPoints.forEach((point, index) => {
+            const handle = new THREE.Mesh(
+                new THREE.SphereGeometry(2.5, 16, 12),
+                new THREE.MeshBasicMaterial({ color: index === 0 ? 0xff3333 : (index === this.dragIndex ? 0xffffff : 0xffdd00) })
+            );
+            handle.position.set(point.x, point.y + 1.5, point.z);
+            handle.userData.controlPointIndex = index;
+            this.handleGroup.add(handle);
+            this.handles.push(handle);
+        });
+
+        this.definition.itemSpawns.forEach(spawn => {
+            const point = this.definition.getOffsetPointAt(spawn.u, spawn.offset);
+            const marker = new THREE.Mesh(
+                new THREE.BoxGeometry(1.5, 1.5, 1.5),
+                new THREE.MeshBasicMaterial({ color: ITEM_COLORS[spawn.type] })
+            );
+            marker.position.set(point.x, point.y + 1, point.z);
+            marker.rotation.y = Math.PI / 4;
+            this.handleGroup.add(marker);
+            this.markers.push(marker);
+        });
+    }
+
+    setTool(tool) {
+        if (EDITOR_TOOLS.includes(tool)) {
+            this.tool = tool;
+            this.ui.refresh();
+        }
+    }
+
+    setItemType(type) {
+        this.itemType = type;
+    }
+
+    /**
+     * Set one width for the whole track (replaces any width profile)
+     * @param {number} width - Road width in meters
+     */
+    setWidth(width) {
+        if (!Number.isFinite(width) || width <= 0) return;
+        this.data.width = width;
+        this.scheduleRebuild();
+    }
+
+    setInfo({ id, name }) {
+        if (id !== undefined) this.data.id = id;
+        if (name !== undefined) this.data.name = name;
+        this.rebuild();
+    }
+
+    setupInput() {
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointerdown', (event) => this.onPointerDown(event));
+        canvas.addEventListener('pointermove', (event) => this.onPointerMove(event));
+        canvas.addEventListener('pointerup', (event) => this.onPointerUp(event));
+        canvas.addEventListener('contextmenu', (event) => event.preventDefault());
+        canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            this.cameraHeight = THREE.MathUtils.clamp(this.cameraHeight * (event.deltaY > 0 ? 1.1 : 0.9), 40, 1500);
+        }, { passive: false });
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && this.isTestDriving) {
+                this.stopTestDrive();
+            }
+        });
+    }
+
+    /**
+     * Aim the raycaster at the pointer
+     */
+    setPointer(event) {
+        const pointer = new THREE.Vector2(
+            (event.clientX / window.innerWidth) * 2 - 1,
+            -(event.clientY / window.innerHeight) * 2 + 1
+        );
+        this.raycaster.setFromCamera(pointer, this.camera);
+    }
+
+    /**
+     * Get the point on the ground under the pointer
+     * @returns {THREE.Vector3|null}
+     */
+    getGroundPoint(event) {
+        this.setPointer(event);
+        return this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
+    }
+
+    onPointerDown(event) {
+        if (this.isTestDriving || !this.definition) return;
+
+        // Right button pans the view
+        if (event.button === 2) {
+            this.pan = { x: event.clientX, y: event.clientY };
+            return;
+        }
+        if (event.button !== 0) return;
+
+        this.setPointer(event);
+        const hit = this.raycaster.intersectObjects(this.handles)[0];
+        const handleIndex = hit ? hit.object.userData.controlPointIndex : -1;
+        const point = this.getGroundPoint(event);
+        if (!point) return;
+
+        switch (this.tool) {
+            case 'points':
+                if (handleIndex >= 0 && event.shiftKey) {
+                    this.removeControlPoint(handleIndex);
+                } else if (handleIndex >= 0) {
+                    this.dragIndex = handleIndex;
+                    this.renderer.domElement.setPointerCapture(event.pointerId);
+                    this.updateHandles();
+                } else {
+                    this.insertControlPoint(point);
+                }
+                break;
+            case 'checkpoints':
+                event.shiftKey ? this.removeCheckpoint(point) : this.addCheckpoint(point);
+                break;
+            case 'start':
+                this.setStartLine(handleIndex >= 0 ? handleIndex : findNearestIndex(
+                    this.definition.controlPoints,
+                    controlPoint => Math.hypot(controlPoint.x - point.x, controlPoint.z - point.z)
+                ));
+                break;
+            case 'items':
+                event.shiftKey ? this.removeItemSpawn(point) : this.addItemSpawn(point);
+                break;
+            case 'grandstands':
+                event.shiftKey ? this.removeGrandstand(point) : this.addGrandstand(point);
+                break;
+        }
+    }
+
+    onPointerMove(event) {
+        if (this.pan) {
+            // Move the view by the distance the pointer travelled on the ground
+            const scale = this.cameraHeight / window.innerHeight;
+            this.cameraTarget.x -= (event.clientX - this.pan.x) * scale;
+            this.cameraTarget.z -= (event.clientY - this.pan.y) * scale;
+            this.pan = { x: event.clientX, y: event.clientY };
+            return;
+        }
+
+        if (this.dragIndex < 0) return;
+
+        const point = this.getGroundPoint(event);
+        if (!point) return;
+
+        const current = this.data.centerline[this.dragIndex];
+        this.data.centerline[this.dragIndex] = current.length === 3
+            ? [round(point.x), current[1], round(point.z)]
+            : [round(point.x), round(point.z)];
+
+        this.handles[this.dragIndex].position.set(point.x, this.handles[this.dragIndex].position.y, point.z);
+        this.scheduleRebuild();
+    }
+
+    onPointerUp(event) {
+        this.pan = null;
+        if (this.dragIndex >= 0) {
+            this.dragIndex = -1;
+            this.renderer.domElement.releasePointerCapture(event.pointerId);
+            this.rebuild();
+        }
+    }
+
+    /**
+     * Get the position of each control point along the lap
+     * @returns {number[]} u of every control point (the first is 0)
+     */
+    getControlPointPositions() {
+        return this.definition.controlPoints.map(point => this.definition.project(point.x, point.z).u);
+    }
+
+    /**
+     * Add a control point in the segment closest to the clicked point
+     */
+    insertControlPoint(point) {
+        const { u } = this.definition.project(point.x, point.z);
+        const positions = this.getControlPointPositions();
+        let index = positions.findIndex((position, i) => i > 0 && position > u);
+        if (index < 0) index = positions.length;
+
+        this.data.centerline.splice(index, 0, [round(point.x), round(point.z)]);
+        this.rebuild();
+    }
+
+    removeControlPoint(index) {
+        if (this.data.centerline.length <= MIN_CONTROL_POINTS) {
+            this.ui.showMessage(`A track needs at least ${MIN_CONTROL_POINTS} control points`);
+            return;
+        }
+        this.data.centerline.splice(index, 1);
+        this.rebuild();
+    }
+
+    /**
+     * Check that a clicked point is on (or right next to) the road
+     * @returns {{u, distance, width}|null} Projection onto the centerline
+     */
+    projectOntoRoad(point) {
+        const projection = this.definition.project(point.x, point.z);
+        return projection.distance <= projection.width / 2 + 5 ? projection : null;
+    }
+
+    addCheckpoint(point) {
+        const projection = this.projectOntoRoad(point);
+        if (!projection) return;
+        this.data.checkpoints.push(roundFraction(projection.u));
+        this.rebuild();
+    }
+
+    removeCheckpoint(point) {
+        const { u } = this.definition.project(point.x, point.z);
+        const index = findNearestIndex(this.data.checkpoints, checkpoint => lapDistance(checkpoint, u));
+        if (index >= 0) {
+            this.data.checkpoints.splice(index, 1);
+            this.rebuild();
+        }
+    }
+
+    addItemSpawn(point) {
+        const projection = this.projectOntoRoad(point);
+        if (!projection) return;
+
+        // Signed distance to the right of the driving direction
+        const center = this.definition.getPointAt(projection.u);
+        const offset = -(point.x - center.x) * center.tangentZ + (point.z - center.z) * center.tangentX;
+
+        this.data.itemSpawns.push({ u: roundFraction(projection.u), offset: round(offset), type: this.itemType });
+        this.rebuild();
+    }
+
+    removeItemSpawn(point) {
+        const index = findNearestIndex(this.data.itemSpawns, spawn => {
+            const position = this.definition.getOffsetPointAt(spawn.u, spawn.offset);
+            return Math.hypot(position.x - point.x, position.z - point.z);
+        });
+        if (index >= 0) {
+            this.data.itemSpawns.splice(index, 1);
+            this.rebuild();
+        }
+    }
+
+    /**
+     * Place a grandstand facing the nearest part of the track
+     */
+    addGrandstand(point) {
+        const projection = this.definition.project(point.x, point.z);
+        if (projection.distance < projection.width / 2 + 8) {
+            this.ui.showMessage('Grandstands need to be placed beside the road');
+            return;
+        }
+
+        const center = this.definition.getPointAt(projection.u);
+        const rotation = Math.atan2(center.x - point.x, center.z - point.z);
+        this.data.scenery.push({ type: 'grandstand', x: round(point.x), z: round(point.z), rotation: round(rotation, 3), width: 40 });
+        this.rebuild();
+    }
+
+    removeGrandstand(point) {
+        const index = findNearestIndex(this.data.scenery, item => (
+            item.type === 'grandstand' ? Math.hypot(item.x - point.x, item.z - point.z) : Infinity
+        ));
+        if (index >= 0 && this.data.scenery[index].type === 'grandstand') {
+            this.data.scenery.splice(index, 1);
+            this.rebuild();
+        }
+    }
+
+    /**
+     * Move the start/finish line to a control point.
+     * The centerline is rotated so that point comes first; every lap
+     * position shifts with it so checkpoints and items stay in place.
+     * @param {number} index - Control point index
+     */
+    setStartLine(index) {
+        if (index <= 0) return;
+
+        const start = this.getControlPointPositions()[index];
+        const shift = u => roundFraction(wrap(u - start));
+
+        this.data.centerline = [...this.data.centerline.slice(index), ...this.data.centerline.slice(0, index)];
+        this.data.checkpoints = this.data.checkpoints.map(shift);
+        this.data.itemSpawns = this.data.itemSpawns.map(spawn => ({ ...spawn, u: shift(spawn.u) }));
+        if (Array.isArray(this.data.width)) {
+            this.data.width = this.data.width.map(key => ({ ...key, u: shift(key.u) }));
+        }
+        this.rebuild();
+    }
+
+    /**
+     * Drive the track the other way round, keeping the start/finish line
+     */
+    reverseDirection() {
+        const [first, ...rest] = this.data.centerline;
+        const flip = u => roundFraction(wrap(1 - u));
+
+        this.data.centerline = [first, ...rest.reverse()];
+        this.data.checkpoints = this.data.checkpoints.map(flip);
+        this.data.itemSpawns = this.data.itemSpawns.map(spawn => ({ ...spawn, u: flip(spawn.u), offset: -spawn.offset }));
+        if (Array.isArray(this.data.width)) {
+            this.data.width = this.data.width.map(key => ({ ...key, u: flip(key.u) }));
+        }
+        this.rebuild();
+    }
+
+    /**
+     * Put a car on the start grid and drive the previewed track
+     */
+    startTestDrive() {
+        if (!this.previewTrack || this.isTestDriving) return;
+
+        this.isTestDriving = true;
+        this.updateHandles();
+
+        this.testCar = new Car({ scene: this.scene, track: this.previewTrack });
+        const start = this.previewTrack.getStartPosition();
+        this.testCar.setPosition(start.position);
+        this.testCar.setRotation(start.rotation);
+        this.testCar.direction = new THREE.Vector3(Math.sin(start.rotation), 0, Math.cos(start.rotation));
+
+        if (this.controls) {
+            this.controls.car = this.testCar;
+        } else {
+            this.controls = new Controls(this.testCar);
+        }
+
+        // Fresh lap state; the preview track re-arms its own start cooldown
+        this.previewTrack.initialLapCheck = undefined;
+        this.lastCheckpointPassed = -1;
+        this.hasPassedFinishLine = false;
+        this.currentLap = 0;
+        this.lapStartTime = simulationClock.now();
+        this.lastLapTime = null;
+        this.bestLapTime = null;
+
+        this.ui.refresh();
+    }
+
+    stopTestDrive() {
+        if (!this.isTestDriving) return;
+
+        this.isTestDriving = false;
+        if (this.testCar) {
+            this.testCar.disableControls();
+            this.testCar.dispose();
+            this.testCar = null;
+        }
+
+        this.updateHandles();
+        this.ui.refresh();
+    }
+
+    /**
+     * Lap counting hook used by BaseTrack.checkLapProgress
+     */
+    hasPassedAllRequiredCheckpoints() {
+        return this.lastCheckpointPassed === this.previewTrack.checkpoints.length - 1;
+    }
+
+    /**
+     * Lap completion hook used by BaseTrack.checkLapProgress
+     */
+    onLapComplete() {
+        const now = simulationClock.now();
+        this.lastLapTime = now - this.lapStartTime;
+        if (this.bestLapTime === null || this.lastLapTime < this.bestLapTime) {
+            this.bestLapTime = this.lastLapTime;
+        }
+        this.lapStartTime = now;
+        this.lastCheckpointPassed = -1;
+        this.ui.refresh();
+    }
+
+    /**
+     * Save the edited track as <id>.json, ready for public/tracks/
+     */
+    exportDefinition() {
+        if (this.error) {
+            this.ui.showMessage(`Fix the track before exporting: ${this.error}`);
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(this.data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.data.id}.json`;
+        document.body.appendChild(link);
+        link.click();
+
+        // Clean up
+        setTimeout(() => {
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+
+    /**
+     * Open a track definition picked by the user
+     * @param {File} file - Track JSON file
+     */
+    async importDefinition(file) {
+        try {
+            this.stopTestDrive();
+            this.load(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('[EDITOR] Failed to import track:', error);
+            this.ui.showMessage(`Could not load track: ${error.message}`);
+        }
+    }
+
+    loadDraft() {
+        try {
+            const draft = localStorage.getItem(DRAFT_STORAGE_KEY);
+            return draft ? JSON.parse(draft) : null;
+        } catch (error) {
+            console.warn('[EDITOR] Ignoring unreadable draft:', error);
+            return null;
+        }
+    }
+
+    saveDraft() {
+        try {
+            localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('[EDITOR] Could not save draft:', error);
+        }
+    }
+
+    updateCamera() {
+        if (this.isTestDriving && this.testCar) {
+            const position = this.testCar.getPosition();
+            const direction = this.testCar.getDirection();
+            this.camera.position.set(position.x - direction.x * 15, position.y + 7, position.z - direction.z * 15);
+            this.camera.lookAt(position.x + direction.x * 10, position.y + 2, position.z + direction.z * 10);
+            return;
+        }
+
+        // Look down at the track, tilted slightly so heights stay readable
+        this.camera.position.set(this.cameraTarget.x, this.cameraHeight, this.cameraTarget.z + this.cameraHeight * 0.35);
+        this.camera.lookAt(this.cameraTarget);
+    }
+
+    animate() {
+        requestAnimationFrame(() => this.animate());
+
+        const delta = Math.min(this.clock.getDelta(), 0.1);
+
+        if (this.rebuildPending && performance.now() - this.lastRebuildTime >= REBUILD_INTERVAL) {
+            this.rebuild();
+        }
+
+        // The test car drives in the same fixed steps as in a race
+        if (this.isTestDriving && this.testCar) {
+            const alpha = simulationClock.advance(delta, step => this.testCar.update(step));
+            this.testCar.interpolateVisuals(alpha);
+            this.ui.updateLapTimer(simulationClock.now() - this.lapStartTime);
+        }
+
+        this.updateCamera();
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    onWindowResize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+}
+
+/**
+ * Starting point for a new track: a plain oval
+ */
+function createDefaultTrack() {
+    const centerline = [];
+    for (let i = 0; i < 8; i++) {
+        const angle = (i / 8) * Math.PI * 2;
+        centerline.push([round(Math.sin(angle) * 120), round(Math.cos(angle) * 70)]);
+    }
+
+    return {
+        version: TRACK_FORMAT_VERSION,
+        id: 'new-track',
+        name: 'New Track',
+        centerline,
+        width: 20,
+        checkpoints: [0.25, 0.5, 0.75]
+    };
+}
+
+function findNearestIndex(list, getDistance) {
+    let nearest = -1;
+    let nearestDistance = Infinity;
+    list.forEach((entry, index) => {
+        const distance = getDistance(entry);
+        if (distance < nearestDistance) {
+            nearest = index;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
+
+function lapDistance(a, b) {
+    const difference = Math.abs(a - b);
+    return Math.min(difference, 1 - difference);
+}
+
+function wrap(u) {
+    return ((u % 1) + 1) % 1;
+}
+
+function round(value, decimals = 1) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function roundFraction(u) {
+    return round(u, 4) % 1;
+}
@@ -1,5 +1,8 @@
 import * as THREE from 'three';
-import { Car } from '../car.js';
+import { Car } from './car/Car.js';
+import { CAR_SPECS, DEFAULT_CAR_TYPE, getCarSpec } from 'racingcart-shared/constants/CarSpecs.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { simulationClock } from '../utils/SimulationClock.js';
 
 /**
  * Class representing an AI-controlled car
@@ -13,6 +16,7 @@ export class AICar extends Car {
      * @param {string} options.difficulty - AI difficulty: 'easy', 'medium', or 'hard'
      * @param {Object} options.track - The track the AI will race on
      * @param {Object} options.game - Reference to the game object
+     * @param {SeededRandom} options.random - The race's random numbers, for the car's driving quirks
      */
     constructor(options = {}) {
         // Ensure playerName from aiName is properly passed to Car class
@@ -37,12 +41,13 @@ export class AICar extends Car {
         this.difficulty = options.difficulty || 'hard';
         this.track = options.track;
         this.game = options.game;
+        this.random = options.random || new SeededRandom();
         
         // AI performance factors based on difficulty
         this.setupDifficulty();
         
         // Initialize AI control inputs with default values to start moving immediately
-        this.steering = (Math.random() * 0.2 - 0.1);  // Small random initial steering
+        this.steering = this.random.range(-0.1, 0.1);  // Small random initial steering
         this.throttle = 0.7;                          // Start with 70% throttle
         this.targetSpeed = this.maxSpeed * 0.5;       // Target 50% of max speed initially
         this.speed = 3;                               // Start with some initial speed
@@ -130,19 +135,25 @@ export class AICar extends Car {
         this.braking = baseParams.braking * multipliers.braking;
         this.turnResponsiveness = baseParams.turnResponsiveness * multipliers.turnResponsiveness;
         
+        // The base parameters are for the classic car; other car types are faster or quicker off the line
+        const spec = getCarSpec(this.carType);
+        const baseSpec = CAR_SPECS[DEFAULT_CAR_TYPE];
+        this.maxSpeed *= spec.topSpeed / baseSpec.topSpeed;
+        this.acceleration *= spec.acceleration / baseSpec.acceleration;
+        
         // Common properties - reduce drag for less deceleration
         this.drag = 0.25;  // Reduced from 0.3 for less natural deceleration
         
         // Add a small random variation to each car (±5% max) for more natural driving
         // This creates small differences between cars of the same difficulty
-        const randomVariation = () => 1 + (Math.random() * 0.1 - 0.05);
+        const randomVariation = () => this.random.range(0.95, 1.05);
         this.maxSpeed *= randomVariation();
         this.acceleration *= randomVariation();
         this.braking *= randomVariation();
         
         // Give each car a slightly different driving style
         // Some cars might be better at cornering, others at straight-line speed
-        const drivingStyle = Math.random();
+        const drivingStyle = this.random.next();
         if (drivingStyle > 0.6) { // Increased chance of cornering specialists
             // Better cornering car
             this.turnResponsiveness *= 1.15;
@@ -174,8 +185,8 @@ export class AICar extends Car {
             this.position.copy(this.track.startPosition);
             
             // Add a slight offset to avoid collisions with player cars
-            this.position.x += (Math.random() - 0.5) * 2;
-            this.position.z += (Math.random() - 0.5) * 2;
+            this.position.x += this.random.range(-1, 1);
+            this.position.z += this.random.range(-1, 1);
             
             // ALWAYS use tangential direction for clockwise movement
             // For clockwise, we need to face left (-PI/2) at the start
@@ -262,6 +273,8 @@ export class AICar extends Car {
      * @param {number} deltaTime - Time elapsed since last update in seconds
      */
     update(deltaTime) {
+        this.startStep();
+        
         // Skip processing if delta time is too high (likely tab was inactive)
         if (deltaTime > 0.1) {
             return;
@@ -317,10 +330,12 @@ export class AICar extends Car {
         this.position.add(movement);
 
         // Check track boundaries - optimize with less frequent checks
-        if (!this._lastBoundaryCheck || performance.now() - this._lastBoundaryCheck > 100) {
+        if (!this._lastBoundaryCheck || simulationClock.now() - this._lastBoundaryCheck > 100) {
             this.checkTrackBoundaries();
-            this._lastBoundaryCheck = performance.now();
+            this._lastBoundaryCheck = simulationClock.now();
         }
+        
+        this.updateSpeedBoost();
 
         // Update car model position and rotation
         if (this.model) {
@@ -400,7 +415,7 @@ export class AICar extends Car {
         this.steering = rotationDiff;
         
         // For performance, throttle waypoint checks
-        const now = performance.now();
+        const now = simulationClock.now();
         if (!this._lastWaypointCheck || now - this._lastWaypointCheck > 500) {
             this._lastWaypointCheck = now;
             
@@ -426,7 +441,7 @@ export class AICar extends Car {
             
             // Throw bananas occasionally if we have them and we're allowed
             if (this.currentItem === 'banana' && this.canThrowBananas) {
-                if (Math.random() < 0.1 * this.aggressiveness) {
+                if (this.random.next() < 0.1 * this.aggressiveness) {
                     this.useItem();
                     return;
                 }
@@ -541,7 +556,7 @@ export class AICar extends Car {
     // Override handleCollision method from Car class
     handleCollision() {
         // Throttle collisions to prevent rapid repeated handling
-        const now = performance.now();
+        const now = simulationClock.now();
         if (!this.lastCollisionTime) this.lastCollisionTime = 0;
         if (now - this.lastCollisionTime < 300) { // Reduced from 500ms to 300ms
             return;
@@ -666,7 +681,7 @@ export class AICar extends Car {
         if (!this.track) return false;
         
         // Skip frequent checks if we just handled a collision
-        const now = performance.now();
+        const now = simulationClock.now();
         if (this.lastCollisionTime && (now - this.lastCollisionTime < 300)) {
             return false;
         }
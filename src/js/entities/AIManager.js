@@ -1,9 +1,13 @@
 import * as THREE from 'three';
 import { AICar } from './AICar.js';
+import { CAR_SPECS } from 'racingcart-shared/constants/CarSpecs.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { simulationClock } from '../utils/SimulationClock.js';
 
 export class AIManager {
     constructor(game) {
         this.game = game;
+        this.random = game.random || new SeededRandom(); // The race's random numbers
         this.aiCars = [];
         this.aiNames = [
             'Speedy', 'Racer', 'Turbo', 'Bolt', 'Flash', 'Zoom', 'Dash',
@@ -14,8 +18,8 @@ export class AIManager {
         this.isEnabled = false;
         this.isMultiplayer = false;
         
-        // Timer for periodic AI car updates
-        this.updateInterval = null;
+        // Race time (seconds) since the last periodic check of the AI cars
+        this.timeSinceCheck = 0;
         
         // Debug settings
         this.showDebugVisuals = false;
@@ -160,11 +164,7 @@ export class AIManager {
     
     enable() {
         this.isEnabled = true;
-        
-        // Start update loop
-        if (!this.updateInterval) {
-            this.updateInterval = setInterval(() => this.updateAICars(), 500);
-        }
+        this.timeSinceCheck = 0;
         
         console.log('[AI] AIManager enabled');
     }
@@ -172,12 +172,6 @@ export class AIManager {
     disable() {
         this.isEnabled = false;
         
-        // Clear update interval
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
-        }
-        
         // Remove all AI cars
         this.removeAllAICars();
         
@@ -187,7 +181,7 @@ export class AIManager {
     updateAICars() {
         if (!this.isEnabled) return;
         
-        // This is called periodically to manage AI cars
+        // This is called every half second of race time (see update) to manage AI cars
         // Check if any AI cars have fallen off the track or are stuck
         this.checkForStuckAICars();
         
@@ -211,13 +205,14 @@ export class AIManager {
             scene: this.game.scene,
             track: this.game.track,
             game: this.game,  // Add game reference for multiplayer
+            random: this.random,
             aiName: this.getRandomAIName(),
             playerName: null, // Default to null, will be set from aiName if not provided
             difficulty: 'medium',
             carType: this.getRandomCarType(),
             canUseItems: true,
             canThrowBananas: !this.isMultiplayer,  // Disable banana throwing in multiplayer
-            aggressiveness: 0.5 + Math.random() * 0.5,  // 0.5 to 1.0
+            aggressiveness: this.random.range(0.5, 1.0),
             positionOffset: { x: 0, z: -10 },  // Default offset behind start line
             color: 0xFF0000,  // Default to red if no color specified
             stayOnTrack: true  // Enable track boundary handling
@@ -465,8 +460,8 @@ export class AIManager {
             }
             
             // Pick random difficulty and car type
-            const randomDifficulty = difficulty[Math.floor(Math.random() * difficulty.length)];
-            const randomCarType = carTypes[Math.floor(Math.random() * carTypes.length)];
+            const randomDifficulty = this.random.pick(difficulty);
+            const randomCarType = this.random.pick(carTypes);
             
             // Calculate position offset based on index
             // Create a grid-like pattern behind the starting line
@@ -508,12 +503,11 @@ export class AIManager {
         }
         
         // Pick a random available name
-        return availableNames[Math.floor(Math.random() * availableNames.length)];
+        return this.random.pick(availableNames);
     }
     
     getRandomCarType() {
-        const carTypes = ['classic', 'tesla', 'f1'];
-        return carTypes[Math.floor(Math.random() * carTypes.length)];
+        return this.random.pick(Object.keys(CAR_SPECS));
     }
     
     checkForStuckAICars() {
@@ -560,13 +554,13 @@ export class AIManager {
         // Initialize position tracking if needed
         if (!aiCar.lastCheckedPosition) {
             aiCar.lastCheckedPosition = aiCar.position.clone();
-            aiCar.lastMovementTime = performance.now();
+            aiCar.lastMovementTime = simulationClock.now();
             aiCar.stuckCheckCount = 0;
             return false;
         }
         
         const distance = aiCar.position.distanceTo(aiCar.lastCheckedPosition);
-        const now = performance.now();
+        const now = simulationClock.now();
         const timeSinceLastCheck = now - aiCar.lastMovementTime;
         
         // Update position less frequently (every 2 seconds) to avoid excessive updates
@@ -595,7 +589,7 @@ export class AIManager {
     resetAICarPosition(aiCar) {
         // Reset to a random waypoint
         if (aiCar.waypoints && aiCar.waypoints.length) {
-            const randomWaypointIndex = Math.floor(Math.random() * aiCar.waypoints.length);
+            const randomWaypointIndex = this.random.int(aiCar.waypoints.length);
             const waypoint = aiCar.waypoints[randomWaypointIndex];
             
             // Position slightly above waypoint to avoid collisions
@@ -640,7 +634,7 @@ export class AIManager {
                 // Pickup range is quite generous for AI
                 if (distanceToItem < 4) {
                     // 50% chance to pick up the item when in range
-                    if (Math.random() < 0.5) {
+                    if (this.random.next() < 0.5) {
                         // Simulate item pickup
                         aiCar.pickupItem({
                             type: item.type,
@@ -707,6 +701,13 @@ export class AIManager {
                 aiCar.update(deltaTime);
             }
         }
+        
+        // Less urgent checks only every half second
+        this.timeSinceCheck += deltaTime;
+        if (this.timeSinceCheck >= 0.5) {
+            this.timeSinceCheck -= 0.5;
+            this.updateAICars();
+        }
     }
     
     // Check if AI car is outside track boundaries with optimized performance
@@ -750,9 +751,9 @@ export class AIManager {
         
         // Position at a random offset from start
         const offset = new THREE.Vector3(
-            (Math.random() * 10 - 5),  // Random x offset
+            this.random.range(-5, 5),   // Random x offset
             0,
-            -15 - Math.random() * 10   // Behind start line
+            this.random.range(-25, -15) // Behind start line
         );
         
         // Rotate offset based on start rotation
@@ -949,7 +950,7 @@ export class AIManager {
         }, 100);
         
         // Apply a smaller speed boost (3-8%) for better control
-        const speedBoost = 1.03 + (Math.random() * 0.05);
+        const speedBoost = this.random.range(1.03, 1.08);
         aiCar.maxSpeed *= speedBoost;
         
         console.log(`[AI] Configured ${aiCar.playerName} with center bias: ${aiCar.trackCenterBias.toFixed(2)}, boundary awareness: ${aiCar.boundaryAwareness.toFixed(2)}, speed boost: ${(speedBoost*100-100).toFixed(1)}%`);
@@ -1,104 +1,308 @@
 import * as THREE from 'three';
+import { normalizeCarType } from 'racingcart-shared/constants/CarSpecs.js';
 import { CarPhysics } from './components/CarPhysics';
 import { CarVisuals } from './components/CarVisuals';
 import { CarControls } from './components/CarControls';
 import { CarItems } from './components/CarItems';
 import { CarCollision } from './components/CarCollision';
 import { CarEffects } from './components/CarEffects';
+import { CarNetwork } from './components/CarNetwork';
 
+/**
+ * A car in the race: the player's, an AI driver's (AICar) or another
+ * player's (remote). Its behaviour lives in components:
+ *
+ * - physics: speed, steering, tire grip, surfaces, bounces and spin-outs
+ * - controls: what the driver is pressing
+ * - collision: walls and other cars
+ * - effects: speed boost, exhaust and camera shake
+ * - items: the item the car holds
+ * - visuals: model, wheels, name tag and drawing between simulation steps
+ * - network: following a remote car's updates
+ *
+ * The car keeps its pose (position, rotation, direction) and a flat API
+ * over the components, which is what the rest of the game uses.
+ */
 export class Car {
-    constructor(scene, track, isRemote = false) {
-        this.carInstanceId = Math.random().toString(36).substring(2, 10);
+    /**
+     * @param {Object|THREE.Scene} sceneOrOptions - Options, or the scene (with the track and isRemote after it)
+     * @param {THREE.Scene} sceneOrOptions.scene - Scene to add the car to (none: no mesh is built)
+     * @param {Object} sceneOrOptions.track - Track the car drives on (may be null)
+     * @param {boolean} sceneOrOptions.isRemote - Another player's car, moved by their updates
+     * @param {boolean} sceneOrOptions.isAI - An AI driver's car
+     * @param {string} sceneOrOptions.carType - Car type (see CAR_SPECS)
+     * @param {number} sceneOrOptions.color - Body color
+     * @param {string} sceneOrOptions.playerName - Name on the name tag
+     * @param {string} sceneOrOptions.carInstanceId - ID of the car (a new one if not given)
+     * @param {number} sceneOrOptions.renderDelay - Remote car: updates kept in hand to move smoothly (ms)
+     */
+    constructor(sceneOrOptions, track, isRemote = false) {
+        let scene, options = {};
+        if (sceneOrOptions && typeof sceneOrOptions === 'object' && !(sceneOrOptions instanceof THREE.Scene)) {
+            options = sceneOrOptions;
+            scene = options.scene;
+            track = options.track;
+            isRemote = options.isRemote !== undefined ? options.isRemote : false;
+        } else {
+            scene = sceneOrOptions;
+        }
+
+        this.carInstanceId = options.carInstanceId || Math.random().toString(36).substring(2, 10);
+
         this.scene = scene;
         this.track = track;
         this.isRemote = isRemote;
-        
-        // Initialize components
+        this.isAI = !!options.isAI;
+        this.carType = normalizeCarType(options.carType);
+        this.mesh = null;
+        this.wheels = [];
+
+        // Pose
+        const startRadius = this.track && this.track.trackRadius !== undefined ? this.track.trackRadius : 0;
+        this.position = new THREE.Vector3(startRadius, 0.5, 0);
+        this.previousPosition = this.position.clone();
+        this.direction = new THREE.Vector3(0, 0, 1);
+        this.rotation = 0;
+
+        // Where the car was before the last simulation step; it's drawn in between
+        this.stepStartPosition = this.position.clone();
+        this.stepStartRotation = 0;
+
+        // AI and remote cars don't take the name stored for the local player
+        if (options.playerName) {
+            this.playerName = options.playerName;
+        } else if (!isRemote && !this.isAI) {
+            this.playerName = localStorage.getItem('playerName') || 'Player';
+        } else {
+            this.playerName = 'Player';
+        }
+
         this.physics = new CarPhysics(this);
-        this.visuals = new CarVisuals(this);
         this.controls = new CarControls(this);
-        this.items = new CarItems(this);
         this.collision = new CarCollision(this);
         this.effects = new CarEffects(this);
-        
-        // Initialize state
-        this.position = new THREE.Vector3(this.track.trackRadius, 0.5, 0);
-        this.previousPosition = this.position.clone();
-        this.direction = new THREE.Vector3(0, 0, 1);
-        this.rotation = 0;
-        
-        // Create the car mesh
-        this.visuals.createCar();
+        this.items = new CarItems(this);
+        this.visuals = new CarVisuals(this, options.color);
+        this.network = new CarNetwork(this, options.renderDelay);
+
+        // Called after an update that moved the car noticeably
+        this.onStateChange = null;
+        this.isColliding = false;
+        this.controlsEnabled = true;
+        this.initialized = false;
+
+        if (this.scene) {
+            this.meshReady = this.visuals.createCar();
+        }
+    }
+
+    /**
+     * Wait until the car's mesh is built (the F1 model loads first)
+     * @returns {Promise<Car>}
+     */
+    async init() {
+        if (this.initialized) return this;
+
+        if (this.scene) {
+            if (!this.meshReady) {
+                this.meshReady = this.visuals.createCar();
+            }
+            await this.meshReady;
+        }
+
+        this.initialized = true;
+        return this;
     }
 
+    /**
+     * One simulation step
+     * @param {number} delta - Step length (seconds)
+     */
     update(delta) {
+        this.startStep();
+        if (!this.controlsEnabled) return;
+
         if (this.isRemote) {
+            this.network.update();
             this.visuals.updateVisuals();
             return;
         }
 
-        const previousPosition = this.position.clone();
-        const previousRotation = this.rotation;
-        const previousSpeed = this.physics.speed;
+        if (this.physics.isSpinning) {
+            this.physics.updateSpin();
+        } else {
+            const previousPosition = this.position.clone();
+            const previousRotation = this.rotation;
+            const previousSpeed = this.physics.speed;
 
-        this.previousPosition.copy(this.position);
+            this.previousPosition.copy(this.position);
+            this.physics.update(delta);
+            this.controls.update();
 
-        // Update components
-        this.physics.update(delta);
-        this.controls.update();
-        this.items.update();
-        
-        // Check collisions
-        if (this.track.checkCollision(this.position)) {
-            this.collision.handleCollision();
-        }
-        
-        // Update track-related logic if track exists
-        if (this.track) {
-            // Updated to call with position and direction parameters
-            this.track.checkLapProgress(this.position, this.direction);
+            if (this.track) {
+                if (this.track.checkCollision(this.position)) {
+                    this.handleCollision();
+                }
+                this.track.checkLapProgress(this.position, this.direction);
+            }
+
+            this.notifyStateChangeIfNeeded(previousPosition, previousRotation, previousSpeed);
         }
 
-        // Notify of state changes
-        this.notifyStateChangeIfNeeded(previousPosition, previousRotation, previousSpeed);
-        
-        // Update visuals
+        this.effects.update(delta);
         this.visuals.updateVisuals();
     }
 
     notifyStateChangeIfNeeded(previousPosition, previousRotation, previousSpeed) {
         if (!this.onStateChange) return;
-        
-        const positionChanged = !previousPosition.equals(this.position);
-        const rotationChanged = previousRotation !== this.rotation;
-        const speedChanged = previousSpeed !== this.physics.speed;
-        
+
+        // Tiny movements don't count
+        const positionChanged = previousPosition.distanceTo(this.position) > 0.05;
+        const rotationChanged = Math.abs(previousRotation - this.rotation) > 0.01;
+        const speedChanged = Math.abs(previousSpeed - this.physics.speed) > 0.5;
+
         if (positionChanged || rotationChanged || speedChanged) {
             this.onStateChange();
         }
     }
 
-    updateRemoteState(position, rotation) {
+    // Remember where the car is before a simulation step
+    startStep() {
+        this.stepStartPosition.copy(this.position);
+        this.stepStartRotation = this.rotation;
+    }
+
+    interpolateVisuals(alpha) { this.visuals.interpolateVisuals(alpha); }
+    updateVisuals() { this.visuals.updateVisuals(); }
+    updateWheels() { this.visuals.updateWheels(); }
+
+    /**
+     * Set the car's position
+     * @param {THREE.Vector3} position - New position for the car
+     */
+    setPosition(position) {
         this.position.copy(position);
-        this.rotation = rotation;
-        this.direction.x = Math.sin(rotation);
-        this.direction.z = Math.cos(rotation);
-        this.visuals.updateVisuals();
+        this.previousPosition = this.position.clone();
+        this.stepStartPosition.copy(this.position);
+        if (this.mesh) this.mesh.position.copy(this.position);
+    }
+
+    /**
+     * Set the car's rotation
+     * @param {number} rotationY - Y rotation in radians
+     */
+    setRotation(rotationY) {
+        this.rotation = rotationY;
+        this.stepStartRotation = rotationY;
+        if (this.mesh) this.mesh.rotation.y = rotationY;
+        this.direction.set(Math.sin(rotationY), 0, Math.cos(rotationY));
+    }
+
+    // Standing still with nothing pressed
+    reset() {
+        this.physics.stop();
+        this.controls.release();
+        this.isColliding = false;
+    }
+
+    disableControls() {
+        this.controlsEnabled = false;
+        this.controls.release();
+        this.physics.stop();
+    }
+
+    enableControls() {
+        this.controlsEnabled = true;
+    }
+
+    // Take the car and its exhaust out of the scene
+    dispose() {
+        this.effects.deactivateSpeedBoost();
+        this.effects.disposeExhaust();
+        this.items.hideItemIndicator();
+        this.visuals.removeMesh();
     }
 
-    // Delegate methods to components
-    setCarType(type) { this.visuals.setCarType(type); }
+    /**
+     * A remote car's position from its player (see CarNetwork)
+     * @param {THREE.Vector3} position - Where the car was
+     * @param {number} rotation - Its heading (radians)
+     * @param {number} timestamp - Server time it was sent (ms)
+     * @param {number} sequence - Number of the update
+     */
+    updateRemoteState(position, rotation, timestamp, sequence) {
+        this.network.updateRemoteState(position, rotation, timestamp, sequence);
+    }
+
+    // Looks
+    setCarType(type) {
+        this.carType = normalizeCarType(type);
+        this.physics.applyCarSpec();
+        this.meshReady = this.visuals.createCar();
+    }
     setCarColor(color) { this.visuals.setCarColor(color); }
     setPlayerName(name) { this.visuals.setPlayerName(name); }
-    
+
     // Control methods
     accelerate(accelerating) { this.controls.accelerate(accelerating); }
     brake(braking) { this.controls.brake(braking); }
     reverse(reversing) { this.controls.reverse(reversing); }
     turnLeft(turning) { this.controls.turnLeft(turning); }
     turnRight(turning) { this.controls.turnRight(turning); }
-    
+    handbrake(pulled) { this.controls.handbrake(pulled); }
+
+    // Collisions
+    handleCollision() { this.collision.handleCollision(); }
+    handleCarContact(otherPosition, otherWeight) { this.collision.handleCarContact(otherPosition, otherWeight); }
+
+    /**
+     * Spin out after an item hit (see HIT_EFFECTS)
+     * @param {number} duration - Milliseconds
+     * @param {number} amount - Radians
+     */
+    spinOut(duration, amount) { this.physics.startSpin(duration, amount); }
+
+    // Speed boost
+    applySpeedBoost() { this.effects.applySpeedBoost(); }
+    activateSpeedBoost() { this.effects.activateSpeedBoost(); }
+    updateSpeedBoost() { this.effects.updateSpeedBoost(); }
+
     // Item methods
     useItem() { this.items.useItem(); }
     pickupItem() { this.items.pickupItem(); }
-} 
\ No newline at end of file
+
+    getPosition() {
+        return this.mesh ? this.mesh.position : this.position;
+    }
+
+    getRotation() {
+        return this.mesh ? this.mesh.rotation.y : this.rotation;
+    }
+
+    getDirection() { return this.direction; }
+    getSpeed() { return this.physics.getSpeed(); }
+    getAbsoluteSpeed() { return this.physics.getAbsoluteSpeed(); }
+    isInReverse() { return this.physics.isInReverse(); }
+
+    // Component state the game reads and writes directly
+    get speed() { return this.physics.speed; }
+    set speed(value) { this.physics.speed = value; }
+    get maxSpeed() { return this.physics.maxSpeed; }
+    set maxSpeed(value) { this.physics.maxSpeed = value; }
+    get acceleration() { return this.physics.acceleration; }
+    set acceleration(value) { this.physics.acceleration = value; }
+    get lateralSpeed() { return this.physics.lateralSpeed; }
+    set lateralSpeed(value) { this.physics.lateralSpeed = value; }
+    get velocity() { return this.physics.velocity; }
+    get weight() { return this.physics.weight; }
+    get spec() { return this.physics.spec; }
+    get surface() { return this.physics.surface; }
+    get isSliding() { return this.physics.isSliding; }
+    get isSpinning() { return this.physics.isSpinning; }
+    get speedBoostActive() { return this.effects.speedBoostActive; }
+    get currentItem() { return this.items.currentItem; }
+    set currentItem(value) { this.items.currentItem = value; }
+    get carColor() { return this.visuals.carColor; }
+    get nameTag() { return this.visuals.nameTag; }
+    set nameTag(value) { this.visuals.nameTag = value; }
+}
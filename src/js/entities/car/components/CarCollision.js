@@ -1,17 +1,40 @@
 export class CarCollision {
     constructor(car) {
         this.car = car;
+        this.lastNotificationTime = 0;
+        this.notificationCooldown = 1000; // ms between collision notifications
     }
 
+    // Off the road into a wall: back onto the track, slowed down and bounced off
     handleCollision() {
-        const currentSpeed = this.car.physics.speed;
-        const isReversing = this.car.physics.isInReverse();
-        
-        this.reduceSpeedAfterCollision(isReversing);
-        this.applyBounceEffect(currentSpeed);
-        this.showCollisionFeedback(currentSpeed);
+        const normal = this.getCollisionNormal();
+
+        // Reposition the car slightly away from the wall
+        this.car.position.add(normal.clone().multiplyScalar(0.5));
+
+        // The wall stops any slide
+        this.reduceSpeedAfterCollision(this.car.physics.isInReverse());
+        this.car.physics.lateralSpeed = 0;
+        this.car.physics.applyBounce(normal);
+
+        this.showCollisionFeedback(this.car.physics.speed);
     }
-    
+
+    // Which way leads back onto the road
+    getCollisionNormal() {
+        const track = this.car.track;
+        if (typeof track.getCollisionNormal === 'function') {
+            return track.getCollisionNormal(this.car.position);
+        }
+
+        // Circular track centred on the origin: inwards from the outer wall, outwards from the inner one
+        const normal = this.car.position.clone().setY(0).normalize();
+        if (this.car.position.length() > track.trackRadius) {
+            normal.negate();
+        }
+        return normal;
+    }
+
     reduceSpeedAfterCollision(isReversing) {
         if (isReversing) {
             this.car.physics.speed = 0;
@@ -19,21 +42,32 @@ export class CarCollision {
             this.car.physics.speed *= 0.3;
         }
     }
-    
-    applyBounceEffect(currentSpeed) {
-        const bounceDirection = this.car.direction.clone().negate();
-        this.car.physics.applyBounce(bounceDirection, 0.5);
+
+    // Bump off another car: pushed away from it, losing some speed
+    // A heavier car pushes us further, a lighter one less
+    handleCarContact(otherPosition, otherWeight = 1) {
+        const normal = this.car.position.clone().sub(otherPosition).setY(0);
+        if (normal.lengthSq() === 0) return;
+        normal.normalize();
+
+        this.car.position.add(normal.clone().multiplyScalar(0.5));
+        this.car.physics.speed *= 0.7;
+        this.car.physics.applyBounce(normal, otherWeight);
     }
-    
+
     showCollisionFeedback(speed) {
         this.showCollisionNotification(speed);
-        
+
         if (Math.abs(speed) > 5) {
             this.car.effects.shakeCamera(speed / this.car.physics.maxSpeed);
         }
     }
-    
+
     showCollisionNotification(speed) {
+        const now = performance.now();
+        if (now - this.lastNotificationTime < this.notificationCooldown) return;
+        this.lastNotificationTime = now;
+
         let container = document.getElementById('collision-notifications');
         if (!container) {
             container = document.createElement('div');
@@ -45,6 +79,11 @@ export class CarCollision {
             document.body.appendChild(container);
         }
 
+        // Only the latest collision is shown
+        while (container.firstChild) {
+            container.removeChild(container.firstChild);
+        }
+
         const notification = document.createElement('div');
         notification.style.backgroundColor = 'rgba(255, 0, 0, 0.8)';
         notification.style.color = 'white';
@@ -55,7 +94,7 @@ export class CarCollision {
         notification.style.fontSize = '16px';
         notification.style.fontWeight = 'bold';
         notification.style.transition = 'opacity 0.5s';
-        
+
         const impact = Math.abs(speed);
         let message = 'Light bump!';
         if (impact > 20) {
@@ -63,19 +102,21 @@ export class CarCollision {
         } else if (impact > 10) {
             message = 'Medium collision!';
         }
-        
+
         notification.textContent = `${message} (${Math.round(impact * 3.6)} km/h)`;
-        
+
         container.appendChild(notification);
-        
+
         setTimeout(() => {
             notification.style.opacity = '0';
             setTimeout(() => {
-                container.removeChild(notification);
-                if (container.children.length === 0) {
-                    document.body.removeChild(container);
+                if (notification.parentNode) {
+                    notification.parentNode.removeChild(notification);
+                }
+                if (container.children.length === 0 && container.parentNode) {
+                    container.parentNode.removeChild(container);
                 }
             }, 500);
         }, 2000);
     }
-} 
\ No newline at end of file
+}
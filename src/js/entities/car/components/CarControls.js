@@ -8,6 +8,7 @@ export class CarControls {
         this.isReversing = false;
         this.isTurningLeft = false;
         this.isTurningRight = false;
+        this.isHandbraking = false;
         this.reverseTimer = 0;
     }
 
@@ -18,6 +19,17 @@ export class CarControls {
         }
     }
 
+    // Let go of everything
+    release() {
+        this.isAccelerating = false;
+        this.isBraking = false;
+        this.isReversing = false;
+        this.isTurningLeft = false;
+        this.isTurningRight = false;
+        this.isHandbraking = false;
+        this.reverseTimer = 0;
+    }
+
     accelerate(accelerating) {
         this.isAccelerating = accelerating;
     }
@@ -41,6 +53,10 @@ export class CarControls {
         this.isTurningRight = turning;
     }
 
+    handbrake(pulled) {
+        this.isHandbraking = pulled;
+    }
+
     createMobileControls() {
         // Create container for mobile controls
         const controlsContainer = document.createElement('div');
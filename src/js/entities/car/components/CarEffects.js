@@ -1,15 +1,32 @@
 import * as THREE from 'three';
+import { simulationClock } from '../../../utils/SimulationClock.js';
 
 export class CarEffects {
     constructor(car) {
         this.car = car;
-        
-        // Speed boost properties
+
+        // Speed boost properties (the speed factor is the car spec's boostMultiplier)
         this.speedBoostActive = false;
-        this.speedBoostFactor = 2.0;
         this.speedBoostDuration = 3000;
-        this.speedBoostTimeout = null;
+        this.speedBoostEndTime = 0; // Race time (simulationClock) the boost runs out
         this.boostParticles = null;
+
+        // Exhaust cloud properties
+        this.exhaustCloud = null;
+        this.exhaustParticles = [];
+        this.exhaustLastEmit = 0;
+        this.exhaustEmitInterval = 120;
+        this.exhaustParticleLifetime = 1200;
+        this.smokeTexture = this.createSmokeTexture();
+    }
+
+    update(delta) {
+        this.updateSpeedBoost();
+        this.updateExhaustCloud(delta);
+
+        if (this.boostParticles) {
+            this.boostParticles.rotation.y += 0.02;
+        }
     }
 
     applySpeedBoost() {
@@ -19,45 +36,42 @@ export class CarEffects {
             this.activateSpeedBoost();
         }
     }
-    
+
     activateSpeedBoost() {
+        this.deactivateSpeedBoost();
         this.speedBoostActive = true;
-        this.speedBoostFactor = 1.41;
-        
+
         this.showBoostEffect();
         this.showSpeedBoostIndicator();
-        
-        this.speedBoostTimeout = setTimeout(() => {
-            this.deactivateSpeedBoost();
-        }, this.speedBoostDuration);
+
+        this.speedBoostEndTime = simulationClock.now() + this.speedBoostDuration;
     }
-    
+
     extendSpeedBoost() {
-        if (this.speedBoostTimeout) {
-            clearTimeout(this.speedBoostTimeout);
-        }
-        
-        this.speedBoostTimeout = setTimeout(() => {
+        this.speedBoostEndTime = simulationClock.now() + this.speedBoostDuration;
+    }
+
+    // End the speed boost once its time is up
+    updateSpeedBoost() {
+        if (this.speedBoostActive && simulationClock.now() >= this.speedBoostEndTime) {
             this.deactivateSpeedBoost();
-        }, this.speedBoostDuration);
+        }
     }
-    
+
     deactivateSpeedBoost() {
         this.speedBoostActive = false;
-        this.speedBoostFactor = 1.0;
-        
+
         this.hideBoostEffect();
         this.hideSpeedBoostIndicator();
-        
-        if (this.speedBoostTimeout) {
-            clearTimeout(this.speedBoostTimeout);
-            this.speedBoostTimeout = null;
-        }
+
+        this.speedBoostEndTime = 0;
     }
 
     showBoostEffect() {
         if (!this.car.mesh) return;
 
+        this.hideBoostEffect();
+
         const particleCount = 50;
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(particleCount * 3);
@@ -83,11 +97,8 @@ export class CarEffects {
 
     hideBoostEffect() {
         if (this.boostParticles) {
-            if (this.car.mesh) {
-                this.car.mesh.remove(this.boostParticles);
-            }
-            if (this.car.scene) {
-                this.car.scene.remove(this.boostParticles);
+            if (this.boostParticles.parent) {
+                this.boostParticles.parent.remove(this.boostParticles);
             }
             this.boostParticles.geometry.dispose();
             this.boostParticles.material.dispose();
@@ -111,6 +122,195 @@ export class CarEffects {
         }
     }
 
+    // Soft round puff used by the exhaust particles
+    createSmokeTexture() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 128;
+
+        const context = canvas.getContext('2d');
+        const gradient = context.createRadialGradient(
+            canvas.width / 2,
+            canvas.height / 2,
+            0,
+            canvas.width / 2,
+            canvas.height / 2,
+            canvas.width / 2
+        );
+
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+        gradient.addColorStop(0.2, 'rgba(240, 240, 240, 0.9)');
+        gradient.addColorStop(0.5, 'rgba(200, 200, 200, 0.7)');
+        gradient.addColorStop(0.8, 'rgba(180, 180, 180, 0.3)');
+        gradient.addColorStop(1, 'rgba(180, 180, 180, 0)');
+
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    updateExhaustCloud(delta) {
+        if (!this.exhaustCloud) {
+            this.exhaustCloud = new THREE.Group();
+            this.car.scene.add(this.exhaustCloud);
+        }
+
+        // Low down, behind the car
+        const behindCar = new THREE.Vector3(
+            -Math.sin(this.car.rotation) * 2.5,
+            0,
+            -Math.cos(this.car.rotation) * 2.5
+        );
+
+        const exhaustPosition = this.car.position.clone().add(behindCar);
+        exhaustPosition.y += 0.3;
+        this.exhaustCloud.position.copy(exhaustPosition);
+
+        const now = Date.now();
+        const speed = this.car.physics.speed;
+
+        if (this.speedBoostActive) {
+            // A boosted car spits out fire, more and more often
+            if (now - this.exhaustLastEmit > this.exhaustEmitInterval / 3) {
+                const particleCount = 2 + Math.floor(Math.random() * 3);
+                for (let i = 0; i < particleCount; i++) {
+                    this.emitBoostExhaustParticle();
+                }
+                this.exhaustLastEmit = now;
+            }
+        } else if (now - this.exhaustLastEmit > this.exhaustEmitInterval &&
+                   (Math.abs(speed) > 5 || this.car.controls.isAccelerating)) {
+            // Mostly one puff, sometimes a second at high speed
+            const particleCount = Math.random() < 0.7 ? 1 : 1 + Math.floor(Math.min(Math.abs(speed) / 30, 1));
+            for (let i = 0; i < particleCount; i++) {
+                this.emitExhaustParticle();
+            }
+            this.exhaustLastEmit = now;
+        }
+
+        for (let i = this.exhaustParticles.length - 1; i >= 0; i--) {
+            const particle = this.exhaustParticles[i];
+            const age = now - particle.userData.creationTime;
+            const progress = age / particle.userData.lifetime;
+
+            if (progress >= 1) {
+                this.exhaustCloud.remove(particle);
+                this.exhaustParticles.splice(i, 1);
+                particle.material.dispose();
+                continue;
+            }
+
+            particle.position.add(particle.userData.velocity);
+
+            // Spreads out more than it rises
+            const scaleX = particle.userData.initialScale +
+                         (particle.userData.finalScaleX - particle.userData.initialScale) * progress;
+            const scaleY = particle.userData.initialScale +
+                         (particle.userData.finalScaleY - particle.userData.initialScale) * progress;
+            particle.scale.set(scaleX, scaleY, 1);
+
+            particle.material.opacity = particle.userData.initialOpacity * (1 - (progress * progress * 1.5));
+
+            // Boost fire goes from orange to a dark red
+            if (particle.userData.isBoostParticle) {
+                const color = new THREE.Color();
+                if (progress < 0.3) {
+                    color.setRGB(0.8, 0.3, 0.1);
+                } else if (progress < 0.6) {
+                    color.setRGB(0.8 - (progress - 0.3), 0.3 - (progress - 0.3) * 0.5, 0.1);
+                } else {
+                    color.setRGB(0.6 - (progress - 0.6) * 0.6, 0.15 - (progress - 0.6) * 0.15, 0);
+                }
+                particle.material.color.copy(color);
+            }
+        }
+    }
+
+    emitBoostExhaustParticle() {
+        const spriteMaterial = new THREE.SpriteMaterial({
+            map: this.smokeTexture,
+            transparent: true,
+            opacity: 0.7,
+            color: 0xcc3300,
+            blending: THREE.AdditiveBlending
+        });
+        const sprite = new THREE.Sprite(spriteMaterial);
+
+        const initialScale = 0.6 + Math.random() * 0.4;
+        sprite.scale.set(initialScale, initialScale, initialScale);
+        sprite.position.set(
+            (Math.random() - 0.5) * 0.3,
+            Math.random() * 0.1,
+            (Math.random() - 0.5) * 0.3
+        );
+
+        sprite.userData = {
+            creationTime: Date.now(),
+            lifetime: this.exhaustParticleLifetime * 0.7,
+            initialScale: initialScale,
+            finalScaleX: initialScale * 3 + Math.random(),
+            finalScaleY: initialScale * 2 + Math.random(),
+            initialOpacity: 0.7 + Math.random() * 0.2,
+            velocity: new THREE.Vector3(
+                (Math.random() - 0.5) * 0.03,
+                0.005 + Math.random() * 0.01,
+                -0.02 - Math.random() * 0.03
+            ),
+            isBoostParticle: true
+        };
+        sprite.material.opacity = sprite.userData.initialOpacity;
+
+        this.exhaustCloud.add(sprite);
+        this.exhaustParticles.push(sprite);
+    }
+
+    emitExhaustParticle() {
+        const spriteMaterial = new THREE.SpriteMaterial({
+            map: this.smokeTexture,
+            transparent: true,
+            opacity: 0.4,
+            color: 0xcccccc
+        });
+        const sprite = new THREE.Sprite(spriteMaterial);
+
+        const initialScale = 0.4 + Math.random() * 0.3;
+        sprite.scale.set(initialScale, initialScale, initialScale);
+        sprite.position.set(
+            (Math.random() - 0.5) * 0.4,
+            Math.random() * 0.15,
+            (Math.random() - 0.5) * 0.4
+        );
+
+        sprite.userData = {
+            creationTime: Date.now(),
+            lifetime: this.exhaustParticleLifetime + Math.random() * 200,
+            initialScale: initialScale,
+            finalScaleX: initialScale * 2.5 + Math.random(),
+            finalScaleY: initialScale * 1.2 + Math.random(),
+            initialOpacity: 0.35 + Math.random() * 0.15,
+            velocity: new THREE.Vector3(
+                (Math.random() - 0.5) * 0.02,
+                0.002 + Math.random() * 0.005,
+                -0.008 - Math.random() * 0.012
+            )
+        };
+        sprite.material.opacity = sprite.userData.initialOpacity;
+
+        this.exhaustCloud.add(sprite);
+        this.exhaustParticles.push(sprite);
+    }
+
+    // Take the exhaust cloud out of the scene
+    disposeExhaust() {
+        if (!this.exhaustCloud) return;
+
+        this.exhaustParticles.forEach(particle => particle.material.dispose());
+        this.exhaustParticles = [];
+        this.car.scene.remove(this.exhaustCloud);
+        this.exhaustCloud = null;
+    }
+
     shakeCamera(intensity) {
         const camera = this.car.scene.getObjectByProperty('type', 'PerspectiveCamera');
         if (camera) {
@@ -120,10 +320,10 @@ export class CarEffects {
                 (Math.random() - 0.5) * intensity
             );
             camera.position.add(shake);
-            
+
             setTimeout(() => {
                 camera.position.sub(shake);
             }, 100);
         }
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,177 @@
+import * as THREE from 'three';
+import { serverClock } from '../../../utils/ServerClock.js';
+
+export const DEFAULT_RENDER_DELAY = 100; // ms of updates kept in hand to draw a remote car smoothly
+
+const MAX_EXTRAPOLATION = 250;  // ms a car keeps moving on its own when updates stop
+const MAX_SNAPSHOTS = 60;       // Plenty for a second of updates
+const TELEPORT_DISTANCE = 10;   // Snapshots further apart than this are jumped between
+
+/**
+ * Moves a remote car along the positions its player sends (snapshots).
+ *
+ * Each snapshot is stamped with the server's clock when it was sent, and
+ * how long snapshots take to arrive (transitDelay) is averaged as they come
+ * in. The car is drawn that long plus renderDelay in the past, in between
+ * the two snapshots that bracket that moment, so it moves smoothly however
+ * unevenly they arrive. When that moment is past the newest snapshot
+ * (updates went missing) the car carries on at its last velocity, for
+ * MAX_EXTRAPOLATION at most, and then waits where it is.
+ */
+export class CarNetwork {
+    /**
+     * @param {Car} car - The remote car
+     * @param {number} renderDelay - Updates kept in hand on top of their transit time (ms)
+     */
+    constructor(car, renderDelay = DEFAULT_RENDER_DELAY) {
+        this.car = car;
+        this.renderDelay = renderDelay;
+
+        this.snapshots = []; // { time, sequence, position, rotation }, oldest first
+        this.transitDelay = 0; // Average time from a snapshot's stamp to its arrival (ms)
+        this.lastSequence = null;
+        this.receivedUpdates = 0;
+        this.lostUpdates = 0;
+        this.isExtrapolating = false;
+    }
+
+    update() {
+        // Until its first update the car stays where it was put
+        if (this.snapshots.length === 0) return;
+
+        const renderTime = this.getRenderTime();
+        const snapshots = this.snapshots;
+
+        // Only the last snapshot before the render time is still needed from the past
+        while (snapshots.length > 2 && snapshots[1].time <= renderTime) {
+            snapshots.shift();
+        }
+
+        const first = snapshots[0];
+        const last = snapshots[snapshots.length - 1];
+
+        // Still filling up, or a single snapshot: show it as it is
+        if (renderTime <= first.time || snapshots.length === 1) {
+            this.isExtrapolating = false;
+            this.applyPose(first.position, first.rotation);
+            return;
+        }
+
+        if (renderTime < last.time) {
+            this.isExtrapolating = false;
+            this.interpolate(first, snapshots[1], renderTime);
+        } else {
+            this.extrapolate(snapshots[snapshots.length - 2], last, renderTime);
+        }
+    }
+
+    // The moment of the player's driving the car is drawn at (server time)
+    getRenderTime() {
+        return serverClock.now() - this.transitDelay - this.renderDelay;
+    }
+
+    interpolate(from, to, renderTime) {
+        const span = to.time - from.time;
+        let t = span > 0 ? (renderTime - from.time) / span : 1;
+
+        // A respawn or reset, not driving: jump rather than slide across the track
+        if (from.position.distanceTo(to.position) > TELEPORT_DISTANCE) {
+            t = 0;
+        }
+
+        const position = new THREE.Vector3().lerpVectors(from.position, to.position, t);
+        this.applyPose(position, from.rotation + shortestAngle(from.rotation, to.rotation) * t);
+    }
+
+    // Carry on from the last two snapshots, for a while
+    extrapolate(previous, last, renderTime) {
+        if (!this.isExtrapolating) {
+            this.isExtrapolating = true;
+            console.log('[CAR-REMOTE] Updates are late, extrapolating');
+        }
+
+        const span = last.time - previous.time;
+        const ahead = Math.min(renderTime - last.time, MAX_EXTRAPOLATION);
+        if (span <= 0 || previous.position.distanceTo(last.position) > TELEPORT_DISTANCE) {
+            this.applyPose(last.position, last.rotation);
+            return;
+        }
+
+        const t = ahead / span;
+        const position = last.position.clone().sub(previous.position).multiplyScalar(t).add(last.position);
+        this.applyPose(position, last.rotation + shortestAngle(previous.rotation, last.rotation) * t);
+    }
+
+    applyPose(position, rotation) {
+        const car = this.car;
+        car.position.copy(position);
+        car.rotation = rotation;
+        car.direction.set(Math.sin(rotation), 0, Math.cos(rotation));
+    }
+
+    /**
+     * A snapshot from the car's player
+     * @param {THREE.Vector3} position - Where the car was
+     * @param {number} rotation - Its heading (radians)
+     * @param {number} timestamp - Server time it was sent (ms); arrival time if not known
+     * @param {number} sequence - Number of the update (wraps at 65536), if it has one
+     */
+    updateRemoteState(position, rotation, timestamp, sequence) {
+        const now = serverClock.now();
+        const time = Number.isFinite(timestamp) ? timestamp : now;
+
+        if (Number.isInteger(sequence)) {
+            if (this.snapshots.some(snapshot => snapshot.sequence === sequence)) return;
+
+            // Count the updates that were skipped
+            if (this.lastSequence !== null) {
+                const gap = (sequence - this.lastSequence) & 0xffff;
+                if (gap < 0x8000) {
+                    this.lostUpdates += gap - 1;
+                    this.lastSequence = sequence;
+                } else if (this.lostUpdates > 0) {
+                    this.lostUpdates--; // Late, not lost
+                }
+            } else {
+                this.lastSequence = sequence;
+            }
+        }
+
+        // A steady average: a single slow update shouldn't jerk the car back.
+        // A sender whose clock is off (not synced yet) just seems to take longer.
+        const transitDelay = now - time;
+        this.transitDelay = this.receivedUpdates === 0
+            ? transitDelay
+            : this.transitDelay + (transitDelay - this.transitDelay) * 0.05;
+
+        // Too late to be drawn: the car is already past it
+        if (this.snapshots.length > 0 && time < this.snapshots[0].time && time < this.getRenderTime()) return;
+
+        const snapshot = {
+            time,
+            sequence,
+            position: new THREE.Vector3(position.x, position.y, position.z),
+            rotation
+        };
+
+        // Updates can overtake each other on the way: keep the buffer in time order
+        let index = this.snapshots.length;
+        while (index > 0 && this.snapshots[index - 1].time > time) {
+            index--;
+        }
+        this.snapshots.splice(index, 0, snapshot);
+        if (this.snapshots.length > MAX_SNAPSHOTS) this.snapshots.shift();
+
+        this.receivedUpdates++;
+        if (this.receivedUpdates % 1000 === 0) {
+            console.log(`[CAR-REMOTE] Network stats: ${this.receivedUpdates} updates, ${this.lostUpdates} lost, transit ${this.transitDelay.toFixed(0)}ms, render delay ${this.renderDelay}ms`);
+        }
+    }
+}
+
+// How far to turn from one heading to another, the shortest way round
+function shortestAngle(from, to) {
+    let difference = to - from;
+    difference -= Math.PI * 2 * Math.round(difference / (Math.PI * 2));
+    return difference;
+}
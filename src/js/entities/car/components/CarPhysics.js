@@ -1,28 +1,56 @@
 import * as THREE from 'three';
+import { getCarSpec, getAccelerationAt } from 'racingcart-shared/constants/CarSpecs.js';
+import { SURFACES } from '../../../constants/Surfaces.js';
+import { getGripLimit, applyTireGrip, HANDBRAKE_DECELERATION, HANDBRAKE_TURN_FACTOR } from '../../../utils/TireModel.js';
+import { simulationClock } from '../../../utils/SimulationClock.js';
 
 export class CarPhysics {
     constructor(car) {
         this.car = car;
-        
-        // Physics properties
+
+        // Physics properties (top speed, acceleration, turning and weight come from the car spec)
         this.speed = 0;
-        this.maxSpeed = 55.28; // m/s (equivalent to 199 km/h)
         this.maxReverseSpeed = 20; // m/s (about 72 km/h)
-        this.acceleration = 50;
         this.reverseAcceleration = 40;
         this.deceleration = 25;
         this.brakeDeceleration = 50;
-        this.turnSpeed = Math.PI * 0.6;
-        this.turnSmoothing = 0.8;
         this.currentTurnRate = 0;
-        
+        this.rotationChange = 0;
+        this.velocity = new THREE.Vector3();
+        this.applyCarSpec();
+
+        // Sideways slide (see TireModel) and the ground under the car
+        this.lateralSpeed = 0;
+        this.isSliding = false;
+        this.surface = SURFACES.asphalt;
+
         // Bounce properties
         this.bounceStrength = 5;
         this.bounceDecay = 0.8;
         this.bounceVelocity = new THREE.Vector3();
+
+        // Spin-out after an item hit (race time, see startSpin)
+        this.isSpinning = false;
+        this.spinStartTime = 0;
+        this.spinDuration = 0;
+        this.spinStartRotation = 0;
+        this.spinAmount = 0;
+    }
+
+    /**
+     * Drive like the car's current type (see CAR_SPECS)
+     */
+    applyCarSpec() {
+        this.spec = getCarSpec(this.car.carType);
+        this.maxSpeed = this.spec.topSpeed;
+        this.acceleration = this.spec.acceleration;
+        this.turnSpeed = this.spec.turnRate;
+        this.turnSmoothing = 1 - this.spec.grip * 0.25;
+        this.weight = this.spec.weight;
     }
 
     update(delta) {
+        this.surface = this.getSurface();
         this.updateSpeed(delta);
         this.updateRotation(delta);
         this.updatePosition(delta);
@@ -31,8 +59,14 @@ export class CarPhysics {
     updateSpeed(delta) {
         const acceleration = this.calculateAcceleration();
         this.speed += acceleration * delta;
+        this.speed -= this.speed * Math.min(this.surface.drag * delta, 1);
+
+        if (this.car.controls.isHandbraking && this.speed !== 0) {
+            const braking = Math.min(Math.abs(this.speed), HANDBRAKE_DECELERATION * delta);
+            this.speed -= Math.sign(this.speed) * braking;
+        }
         this.speed = Math.max(-this.maxReverseSpeed, Math.min(this.speed, this.maxSpeed));
-        
+
         if (Math.abs(this.speed) < 0.1) {
             this.speed = 0;
         }
@@ -40,63 +74,127 @@ export class CarPhysics {
 
     calculateAcceleration() {
         const controls = this.car.controls;
-        
+
         if (controls.isAccelerating && !controls.isReversing) {
-            return this.speed < this.maxSpeed ? this.acceleration : 0;
+            return this.speed < this.maxSpeed ? getAccelerationAt(this.spec, this.speed) : 0;
         }
-        
+
         if (controls.isReversing && !controls.isAccelerating) {
             return this.speed > -this.maxReverseSpeed ? -this.reverseAcceleration : 0;
         }
-        
+
         if (Math.abs(this.speed) > 0) {
             return this.speed > 0 ? -this.deceleration : this.deceleration;
         }
-        
+
         return 0;
     }
 
     updateRotation(delta) {
         if (this.speed === 0) {
             this.currentTurnRate *= this.turnSmoothing;
+            this.rotationChange = 0;
             return;
         }
 
         const turnFactor = this.speed / this.maxSpeed;
         let targetTurnRate = 0;
-        
+
         if (this.car.controls.isTurningLeft) {
             targetTurnRate = this.turnSpeed * Math.sign(this.speed) * Math.abs(turnFactor);
         } else if (this.car.controls.isTurningRight) {
             targetTurnRate = -this.turnSpeed * Math.sign(this.speed) * Math.abs(turnFactor);
         }
-        
-        this.currentTurnRate = this.currentTurnRate * this.turnSmoothing + 
+
+        if (this.car.controls.isHandbraking) {
+            targetTurnRate *= HANDBRAKE_TURN_FACTOR;
+        }
+
+        this.currentTurnRate = this.currentTurnRate * this.turnSmoothing +
                              targetTurnRate * (1 - this.turnSmoothing);
-        
-        this.car.rotation += this.currentTurnRate * delta;
-        
+
+        this.rotationChange = this.currentTurnRate * delta;
+        this.car.rotation += this.rotationChange;
+
         this.car.direction.x = Math.sin(this.car.rotation);
         this.car.direction.z = Math.cos(this.car.rotation);
     }
 
     updatePosition(delta) {
+        const gripLimit = getGripLimit(this.spec, this.surface, this.car.controls.isHandbraking);
+        const tires = applyTireGrip(this.speed, this.lateralSpeed, this.rotationChange, gripLimit, delta);
+        this.speed = Math.max(-this.maxReverseSpeed, Math.min(tires.speed, this.maxSpeed));
+        this.lateralSpeed = tires.lateralSpeed;
+        this.isSliding = tires.sliding;
+
         const finalSpeed = this.getSpeed();
-        
+
         const movement = this.car.direction.clone().multiplyScalar(finalSpeed * delta);
+        movement.x += Math.cos(this.car.rotation) * this.lateralSpeed * delta;
+        movement.z -= Math.sin(this.car.rotation) * this.lateralSpeed * delta;
         this.car.position.add(movement);
         this.car.position.add(this.bounceVelocity.clone().multiplyScalar(delta));
-        
+
         this.bounceVelocity.multiplyScalar(this.bounceDecay);
     }
 
+    /**
+     * Spin the car round on the spot (an item hit); the spin plays out in race time
+     * @param {number} duration - Milliseconds
+     * @param {number} amount - Radians
+     */
+    startSpin(duration, amount) {
+        this.isSpinning = true;
+        this.spinStartTime = simulationClock.now();
+        this.spinDuration = duration;
+        this.spinStartRotation = this.car.rotation;
+        this.spinAmount = amount;
+    }
+
+    updateSpin() {
+        const elapsed = simulationClock.now() - this.spinStartTime;
+        const progress = Math.min(elapsed / this.spinDuration, 1.0);
+
+        // A spinning car is stopped in its tracks, slide and all
+        this.lateralSpeed = 0;
+        this.car.rotation = this.spinStartRotation + this.spinAmount * progress;
+        if (progress >= 1) {
+            this.isSpinning = false;
+        }
+
+        this.car.direction.x = Math.sin(this.car.rotation);
+        this.car.direction.z = Math.cos(this.car.rotation);
+    }
+
     getSpeed() {
         if (this.car.effects.speedBoostActive) {
-            return this.speed * this.car.effects.speedBoostFactor;
+            return this.speed * this.spec.boostMultiplier;
         }
         return this.speed;
     }
 
+    // The road, the dirt beside it or a dirt patch across it
+    getSurface() {
+        const track = this.car.track;
+        if (!track) return SURFACES.asphalt;
+
+        if (typeof track.isCarOnSpeedStripe === 'function' && track.isCarOnSpeedStripe(this.car.position)) {
+            return SURFACES.speedStripe;
+        }
+
+        const onRoad = typeof track.isPointOnRoad === 'function'
+            ? track.isPointOnRoad(this.car.position)
+            : typeof track.isPointInsideTrack !== 'function' || track.isPointInsideTrack(this.car.position);
+        if (!onRoad) {
+            if (Math.abs(this.speed) > 5 && typeof track.createDirtSmoke === 'function') {
+                track.createDirtSmoke(this.car.position);
+            }
+            return SURFACES.dirt;
+        }
+
+        return SURFACES.asphalt;
+    }
+
     getAbsoluteSpeed() {
         return Math.abs(this.getSpeed());
     }
@@ -105,11 +203,22 @@ export class CarPhysics {
         return this.speed < 0;
     }
 
-    applyBounce(direction, intensity) {
+    // Push the car away from what it hit; it's pushed further by something
+    // heavier than itself (walls push back like a classic car)
+    applyBounce(normal, otherWeight = 1) {
         const bounceSpeed = Math.abs(this.speed) / this.maxSpeed;
-        const bounceFactor = this.bounceStrength * bounceSpeed * intensity;
-        
-        this.bounceVelocity.x = direction.x * bounceFactor;
-        this.bounceVelocity.z = direction.z * bounceFactor;
+        const weightRatio = Math.min(Math.max(otherWeight / this.weight, 0.5), 2);
+        const bounceFactor = this.bounceStrength * bounceSpeed * 0.5 * weightRatio;
+
+        this.bounceVelocity.copy(normal).multiplyScalar(bounceFactor);
+    }
+
+    // Standstill, no slide or bounce left
+    stop() {
+        this.speed = 0;
+        this.lateralSpeed = 0;
+        this.currentTurnRate = 0;
+        this.velocity.set(0, 0, 0);
+        this.bounceVelocity.set(0, 0, 0);
     }
-} 
\ No newline at end of file
+}
@@ -1,54 +1,82 @@
 import * as THREE from 'three';
-import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
-import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader';
 import { ClassicCarModel } from '../models/ClassicCarModel';
 import { TeslaCarModel } from '../models/TeslaCarModel';
 import { F1CarModel } from '../models/F1CarModel';
 
 export class CarVisuals {
-    constructor(car) {
+    constructor(car, color = 0xff0000) {
         this.car = car;
-        this.carType = 'classic';
-        this.carColor = new THREE.Color(0xff0000);
-        this.f1Model = null;
-        this.f1Materials = null;
+        this.carColor = new THREE.Color(color);
+        this.f1CarModel = null;
         this.nameTag = null;
         this.bodyMaterial = null;
         this.roofMaterial = null;
+        this.wheelRadius = 0.5;
+        this.meshVersion = 0;
     }
 
+    /**
+     * Build the mesh of the car's current type and put it in the scene.
+     * Classic and Tesla meshes are there straight away; the F1 model loads first.
+     */
     async createCar() {
-        if (this.car.mesh) {
-            if (this.nameTag) {
-                this.car.mesh.remove(this.nameTag);
-            }
-            this.car.scene.remove(this.car.mesh);
-            this.car.mesh = null;
-        }
+        const version = ++this.meshVersion;
+        this.removeMesh();
 
-        switch (this.carType) {
-            case 'tesla':
-                this.createTeslaModel();
-                break;
-            case 'f1':
-                await this.createF1Model();
-                break;
-            default:
-                this.createClassicModel();
-                break;
-        }
+        const mesh = this.car.carType === 'f1' ? await this.createF1Model() : this.createModel();
 
-        if (this.car.mesh) {
-            this.car.mesh.position.copy(this.car.position);
-            this.car.mesh.rotation.y = this.car.rotation;
-            this.car.scene.add(this.car.mesh);
-            this.createPlayerNameTag();
+        // The car type changed again while the model loaded
+        if (version !== this.meshVersion) return;
+
+        mesh.position.copy(this.car.position);
+        mesh.rotation.y = this.car.rotation;
+        mesh.userData.car = this.car;
+        mesh.userData.carInstanceId = this.car.carInstanceId;
+        this.car.mesh = mesh;
+        this.car.scene.add(mesh);
+
+        this.createPlayerNameTag();
+    }
+
+    removeMesh() {
+        if (!this.car.mesh) return;
+
+        if (this.nameTag) {
+            this.car.mesh.remove(this.nameTag);
+            this.nameTag = null;
         }
+        this.car.scene.remove(this.car.mesh);
+        this.car.mesh = null;
+        this.car.wheels = [];
+    }
+
+    createModel() {
+        const model = this.car.carType === 'tesla'
+            ? new TeslaCarModel(this.carColor)
+            : new ClassicCarModel(this.carColor);
+        const mesh = model.create();
+
+        this.bodyMaterial = model.bodyMaterial;
+        this.roofMaterial = model.roofMaterial;
+        this.car.wheels = model.wheels;
+        return mesh;
     }
 
-    setCarType(type) {
-        this.carType = type;
-        this.createCar();
+    async createF1Model() {
+        // The loaded model is kept for when the car is rebuilt
+        if (!this.f1CarModel) {
+            this.f1CarModel = new F1CarModel();
+        }
+
+        try {
+            const mesh = await this.f1CarModel.create();
+            this.car.wheels = [];
+            return mesh;
+        } catch (error) {
+            console.error('Error loading F1 model:', error);
+            this.f1CarModel = null;
+            return this.createModel();
+        }
     }
 
     setCarColor(color) {
@@ -67,64 +95,56 @@ export class CarVisuals {
         }
     }
 
-    createClassicModel() {
-        const model = new ClassicCarModel(this.carColor);
-        this.car.mesh = model.create();
-        this.bodyMaterial = model.bodyMaterial;
-        this.roofMaterial = model.roofMaterial;
-        this.car.wheels = model.wheels;
-    }
-
-    createTeslaModel() {
-        const model = new TeslaCarModel(this.carColor);
-        this.car.mesh = model.create();
-        this.bodyMaterial = model.bodyMaterial;
-        this.roofMaterial = model.roofMaterial;
-        this.car.wheels = model.wheels;
-    }
-
-    async createF1Model() {
-        const model = new F1CarModel();
-        this.car.mesh = await model.create();
-        this.f1Model = model.f1Model;
-        this.f1Materials = model.f1Materials;
-    }
-
     updateVisuals() {
         if (!this.car.mesh) return;
-        
+
         this.car.mesh.position.copy(this.car.position);
         this.car.mesh.rotation.y = this.car.rotation;
-        
+
         this.updateWheels();
         this.updateNameTag();
-        
+
         this.car.mesh.updateMatrix();
         this.car.mesh.updateMatrixWorld(true);
     }
 
+    /**
+     * Draw the car part way between where it was before the last simulation
+     * step and where it is now, so it moves smoothly at any frame rate
+     * @param {number} alpha - 0 to 1 (see SimulationClock.advance)
+     */
+    interpolateVisuals(alpha) {
+        const mesh = this.car.mesh;
+        if (!mesh) return;
+
+        mesh.position.lerpVectors(this.car.stepStartPosition, this.car.position, alpha);
+        mesh.rotation.y = this.car.stepStartRotation + (this.car.rotation - this.car.stepStartRotation) * alpha;
+
+        mesh.updateMatrix();
+        mesh.updateMatrixWorld(true);
+    }
+
     updateWheels() {
-        if (!this.car.wheels || this.car.wheels.length === 0) return;
-        
-        const speed = this.car.physics.isInReverse() ? -this.car.physics.speed : this.car.physics.speed;
-        const rotationSpeed = speed / 0.5; // wheelRadius = 0.5
-
-        // Front wheels
-        if (this.car.wheels[0] && this.car.wheels[1]) {
-            const steeringAngle = this.car.controls.isTurningLeft ? Math.PI / 8 : 
+        const wheels = this.car.wheels;
+        if (!wheels || wheels.length === 0) return;
+
+        const rotationSpeed = Math.abs(this.car.physics.speed) / this.wheelRadius;
+
+        // Front wheels steer
+        if (wheels[0] && wheels[1]) {
+            const steeringAngle = this.car.controls.isTurningLeft ? Math.PI / 8 :
                                 this.car.controls.isTurningRight ? -Math.PI / 8 : 0;
-            
-            this.car.wheels[0].rotation.y = steeringAngle;
-            this.car.wheels[1].rotation.y = steeringAngle;
-            
-            this.car.wheels[0].rotation.x += rotationSpeed * 0.01;
-            this.car.wheels[1].rotation.x += rotationSpeed * 0.01;
+
+            wheels[0].rotation.y = steeringAngle;
+            wheels[1].rotation.y = steeringAngle;
+
+            wheels[0].rotation.x += rotationSpeed * 0.01;
+            wheels[1].rotation.x += rotationSpeed * 0.01;
         }
-        
-        // Rear wheels
-        if (this.car.wheels[2] && this.car.wheels[3]) {
-            this.car.wheels[2].rotation.x += rotationSpeed * 0.01;
-            this.car.wheels[3].rotation.x += rotationSpeed * 0.01;
+
+        if (wheels[2] && wheels[3]) {
+            wheels[2].rotation.x += rotationSpeed * 0.01;
+            wheels[3].rotation.x += rotationSpeed * 0.01;
         }
     }
 
@@ -138,22 +158,22 @@ export class CarVisuals {
 
         context.fillStyle = 'rgba(0, 0, 0, 0.6)';
         context.fillRect(0, 0, canvas.width, canvas.height);
-        
+
         context.font = 'bold 48px Arial';
         context.textAlign = 'center';
         context.textBaseline = 'middle';
-        
+
         context.strokeStyle = '#000000';
         context.lineWidth = 4;
         context.strokeText(this.car.playerName, canvas.width/2, canvas.height/2);
-        
+
         context.fillStyle = '#ffffff';
         context.fillText(this.car.playerName, canvas.width/2, canvas.height/2);
 
         const texture = new THREE.CanvasTexture(canvas);
         texture.minFilter = THREE.LinearFilter;
         texture.magFilter = THREE.LinearFilter;
-        
+
         if (this.nameTag) {
             this.car.mesh.remove(this.nameTag);
         }
@@ -161,15 +181,16 @@ export class CarVisuals {
         this.nameTag = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
         this.nameTag.scale.set(2.5, 0.6, 1);
         this.nameTag.position.set(0, 3, 0);
-        
+
         this.car.mesh.add(this.nameTag);
     }
 
     updateNameTag() {
         if (!this.nameTag) return;
-        
+
         this.nameTag.position.set(0, 3, 0);
-        
+
+        // Face the camera, upright
         const camera = this.car.scene.getObjectByProperty('type', 'PerspectiveCamera');
         if (camera) {
             this.nameTag.lookAt(camera.position);
@@ -180,7 +201,12 @@ export class CarVisuals {
 
     setPlayerName(name) {
         this.car.playerName = name;
-        localStorage.setItem('playerName', name);
+
+        // Only the local player's name is remembered
+        if (!this.car.isRemote && !this.car.isAI) {
+            localStorage.setItem('playerName', name);
+        }
+
         this.createPlayerNameTag();
     }
-} 
\ No newline at end of file
+}
@@ -6,17 +6,41 @@ import * as THREE from 'three';
  * Play it here: https://racing-game.vercel.app/
  */
 
-import { Car } from './car';
+import { Car } from './entities/car/Car';
 import { Track } from './track';
 import { Controls } from './controls';
 import { GameUI } from './ui/GameUI';
 import { GameModes } from './constants/GameModes';
+import { CAR_SPECS, getCarRatings } from 'racingcart-shared/constants/CarSpecs.js';
+import { ITEM_TYPES, ITEM_SPAWN_RATES, AI_DIFFICULTIES, MIN_LAPS, MAX_LAPS, MAX_AI_OPPONENTS } from 'racingcart-shared/constants/RoomOptions.js';
 import { PlayManager } from './multiplayer/PlayManager';
 import { ItemManager } from './items/ItemManager';
 import { TrackFactory } from './tracks/TrackFactory.js';
 import { SilverstoneTrack } from './tracks/SilverstoneTrack.js';
 import { AIManager } from './entities/AIManager.js';
 import { Airplane } from './entities/Airplane.js';
+import { GhostManager } from './replay/GhostManager.js';
+import { RaceRecorder } from './replay/RaceRecorder.js';
+import { ReplayPlayer } from './replay/ReplayPlayer.js';
+import { ReplayUI } from './ui/ReplayUI.js';
+import { StandingsUI } from './ui/StandingsUI.js';
+import { ChampionshipUI } from './ui/ChampionshipUI.js';
+import { SpectatorCamera } from './spectator/SpectatorCamera.js';
+import { SpectatorUI } from './ui/SpectatorUI.js';
+import { simulationClock } from './utils/SimulationClock.js';
+import { SeededRandom, createSeed } from './utils/SeededRandom.js';
+
+const CAMERA_MODES = [
+    { id: 'follow', label: 'Follow', emoji: '🎥' },
+    { id: 'top', label: 'Top View', emoji: '️' },
+    { id: 'cockpit', label: 'Cockpit', emoji: '🏎️' },
+    { id: 'side', label: 'Side', emoji: '👁️' }
+];
+
+// Race time (ms) between the throttled checks of a simulation step. Fixed, not
+// eased off in performance mode: that would make the race play out differently
+const BOUNDARY_CHECK_INTERVAL = 33;
+const CHECKPOINT_CHECK_INTERVAL = 100;
 
 export class RacingGame {
     constructor() {
@@ -31,7 +55,11 @@ export class RacingGame {
         // Start preloading and connect to multiplayer immediately with a temporary ID
         this.preloadGameInBackground();
         this.initialSocketId = null;  // Add this to track our initial connection
-        this.connectToMultiplayerAsync();
+        
+        // Spectators join the room from the spectator link instead (see startSpectating)
+        if (!new URLSearchParams(window.location.search).has('spectate')) {
+            this.connectToMultiplayerAsync();
+        }
         
         // Show UI (but game will be loading in background)
         console.log('[DEBUG] Creating GameUI');
@@ -76,15 +104,25 @@ export class RacingGame {
         
         // Track and lap information
         this.track = null;
+        this.isChangingTrack = false;
+        this.roomTrackId = null; // Track the multiplayer room races on
+        this.serverRace = null; // Countdown of the race the room's server is running
+        this.lastRaceProgress = null; // Progress last reported to the server
+        this.raceProgressPending = false; // A progress report is waiting for the server's answer
+        this.standingsUI = null;
+        this.championshipUI = null;
         this.currentLap = 0;
         this.totalLaps = 3;
         this.lastCheckpointPassed = -1;
         this.lapTimes = [];
-        this.lapStartTime = performance.now();
+        this.lapStartTime = simulationClock.now();
         this.lastLapCompleteTime = 0;
         this.raceFinished = false;
         this.hasPassedFinishLine = false;
         
+        // The race's random numbers (item drops, AI drivers), seeded in resetSimulation
+        this.random = new SeededRandom();
+        
         console.log('[DEBUG] Setting up variables');
         
         // Multiplayer related
@@ -95,6 +133,18 @@ export class RacingGame {
         this.remoteCarsAdded = 0;
         this.remoteCarsRemoved = 0;
         
+        // Race replay
+        this.raceRecorder = null;
+        this.replayPlayer = null;
+        this.replayUI = null;
+        this.isReplayMode = false;
+        this.hiddenForReplay = [];
+        
+        // Spectating a room
+        this.isSpectating = false;
+        this.spectatorCamera = null;
+        this.spectatorUI = null;
+        
         // Item manager
         this.itemManager = null;
         
@@ -155,7 +205,7 @@ export class RacingGame {
             await this.car.init();
             
             // Initialize item manager
-            this.itemManager = new ItemManager(this.scene, this.track, null);
+            this.itemManager = new ItemManager(this.scene, this.track, null, this.random);
             
             this.preloadComplete = true;
             console.log('[DEBUG] Background initialization complete');
@@ -252,6 +302,11 @@ export class RacingGame {
             console.log('[DEBUG] Background multiplayer connection established with ID:', this.initialSocketId);
         } catch (error) {
             console.warn('[DEBUG] Background multiplayer connection failed:', error);
+            
+            // The server only turns us away like this when the page is out of date
+            if (error.data && error.data.code === 'PROTOCOL_MISMATCH') {
+                this.showNotification(error.message, 10000);
+            }
         }
     }
 
@@ -265,6 +320,9 @@ export class RacingGame {
         }
 
         try {
+            // Before anything random happens: the AI cars and items are set up next
+            this.resetSimulation();
+            
             // Start showing the game immediately
             await this.initializeGameVisuals();
 
@@ -314,6 +372,15 @@ export class RacingGame {
                 this.gameInitialized = true;
                 this.isGameRunning = true;
                 this.isRaceStarted = true;
+                
+                // Start the lap timer now so the ghost and the player start together
+                if (this.track) {
+                    this.track.lapStartTime = simulationClock.now();
+                }
+                this.ghostManager = new GhostManager(this);
+                this.ghostManager.refresh();
+                this.addGhostSwitcher();
+                
                 this.clock.start();
                 this.animate();
             }
@@ -330,16 +397,12 @@ export class RacingGame {
             await this.preloadGameInBackground();
         }
 
-        // Create game container and add renderer
-        const container = document.createElement('div');
-        container.id = 'game-container';
-        container.style.position = 'fixed';
-        container.style.top = '0';
-        container.style.left = '0';
-        container.style.width = '100%';
-        container.style.height = '100%';
-        document.body.appendChild(container);
-        container.appendChild(this.renderer.domElement);
+        // Load the multiplayer room's track if we joined before the preload finished
+        if (this.roomTrackId && this.track.id !== this.roomTrackId) {
+            await this.loadRoomTrack(this.roomTrackId);
+        }
+
+        this.createGameContainer();
 
         // Set player name and position car
         this.car.setPlayerName(this.playerName);
@@ -383,16 +446,8 @@ export class RacingGame {
                 this.showNotification(`${this.aiManager.aiCars.length} AI cars have joined the race! 🏎️`);
             };
             
-            // Add cars after a small delay to ensure track is loaded
-            setTimeout(addAICars, 1000);
-            
-            // Add a backup timer to check and add cars if they weren't added
-            setTimeout(() => {
-                if (this.aiManager.aiCars.length === 0 && !this.isMultiplayer) {
-                    console.log('[DEBUG] No AI cars detected after initial spawn, trying again');
-                    addAICars();
-                }
-            }, 3000);
+            // The track is loaded by now: put the cars on the grid before the race's first step
+            addAICars();
         } else {
             // In multiplayer, let the AIManager handle spawning the appropriate number of cars
             this.aiManager.setMultiplayerMode(true);
@@ -402,6 +457,11 @@ export class RacingGame {
         // Add UI elements
         this.addCarSwitcher();
         this.addCameraSwitcher();
+        this.addTrackSelector();
+        this.addReplayButton();
+        
+        // Record the race so it can be watched back
+        this.raceRecorder = new RaceRecorder(this);
 
         // Setup event listeners
         window.addEventListener('resize', () => this.onWindowResize());
@@ -420,6 +480,104 @@ export class RacingGame {
         }
     }
 
+    // Create game container and add renderer
+    createGameContainer() {
+        const container = document.createElement('div');
+        container.id = 'game-container';
+        container.style.position = 'fixed';
+        container.style.top = '0';
+        container.style.left = '0';
+        container.style.width = '100%';
+        container.style.height = '100%';
+        document.body.appendChild(container);
+        container.appendChild(this.renderer.domElement);
+    }
+
+    /**
+     * Watch a room's races without a car of our own
+     * Spectators get everyone's car updates, items and standings, and fly a
+     * free camera or follow any car (see SpectatorCamera).
+     * @param {string} roomId - Room to watch
+     */
+    async startSpectating(roomId) {
+        console.log(`[SPECTATOR] Spectating room ${roomId}`);
+        
+        if (!this.preloadComplete) {
+            await this.preloadGameInBackground();
+        }
+        
+        this.isSpectating = true;
+        this.isMultiplayer = true;
+        
+        // Spectators don't drive
+        if (this.car) {
+            if (this.car.mesh) {
+                this.scene.remove(this.car.mesh);
+            }
+            this.car = null;
+        }
+        
+        this.createGameContainer();
+        window.addEventListener('resize', () => this.onWindowResize());
+        
+        try {
+            this.showLoadingIndicator('Joining as spectator...');
+            const { MultiplayerManager } = await import('./multiplayer/MultiplayerManager.js');
+            this.multiplayer = new MultiplayerManager(this);
+            await this.multiplayer.spectate(roomId, localStorage.getItem('playerName') || 'Spectator');
+        } catch (error) {
+            console.error('[SPECTATOR] Failed to join room:', error);
+            this.showNotification(`Could not watch room: ${error.message}`);
+            setTimeout(() => {
+                window.location.href = window.location.origin;
+            }, 3000);
+            return;
+        } finally {
+            this.hideLoadingIndicator();
+        }
+        
+        if (this.track) {
+            this.track.setMultiplayerMode(true);
+        }
+        
+        // Items are synced from the server
+        if (this.itemManager) {
+            this.itemManager.multiplayer = this.multiplayer;
+            this.itemManager.setupNetworkHandlers();
+        }
+        
+        this.setupRaceListeners();
+        
+        this.spectatorCamera = new SpectatorCamera(this);
+        this.spectatorUI = new SpectatorUI(this);
+        this.spectatorUI.show();
+        
+        this.gameInitialized = true;
+        this.isGameRunning = true;
+        this.clock.start();
+        this.animate();
+    }
+    
+    updateSpectator(delta) {
+        if (this.isChangingTrack) return;
+        
+        this.remotePlayers.forEach((remoteCar) => {
+            remoteCar.update(delta);
+        });
+        
+        // The server runs the race; only the items move here, on the race clock
+        if (this.itemManager) {
+            simulationClock.advance(delta, step => this.itemManager.update(step));
+        }
+        
+        if (this.track) {
+            this.track.update(delta);
+        }
+        
+        this.spectatorCamera.update(delta);
+        this.spectatorUI.refresh();
+    }
+
     // New method to initialize items in single-player mode
     initializeItems() {
         console.log('[DEBUG] Initializing items in single-player mode');
@@ -428,6 +586,20 @@ export class RacingGame {
         const trackRadius = this.track.trackRadius;
         const segments = 8;
         const createSinglePlayerItems = () => {
+            // Data-driven tracks list their own item spawn points
+            if (this.track.itemSpawnPoints && this.track.itemSpawnPoints.length > 0) {
+                this.track.itemSpawnPoints.forEach((spawn, i) => {
+                    const itemType = spawn.type === 'random' ? this.getRandomItemType() : spawn.type;
+                    const itemId = `item-${i}-${Date.now()}`;
+                    const itemMesh = this.itemManager.createItemMesh(itemType, spawn.position.clone());
+                    if (itemMesh) {
+                        this.itemManager.items.set(itemId, { id: itemId, type: itemType, mesh: itemMesh });
+                    }
+                });
+                console.log(`[DEBUG] Created ${this.itemManager.items.size} items from track spawn points`);
+                return;
+            }
+            
             for (let i = 0; i < segments; i++) {
                 const angle = (i / segments) * Math.PI * 2;
                 
@@ -440,7 +612,7 @@ export class RacingGame {
                 
                 radiuses.forEach(radius => {
                     // Only place an item with 50% chance to avoid too many
-                    if (Math.random() < 0.5) {
+                    if (this.random.next() < 0.5) {
                         return;
                     }
                     
@@ -486,13 +658,13 @@ export class RacingGame {
             }, 1000);
         };
         
-        // Add items after a small delay to ensure track is loaded
-        setTimeout(createSinglePlayerItems, 1500);
+        // Place them before the race's first step, so they're the same for the same seed
+        createSinglePlayerItems();
     }
 
     // Helper method to get a random item type
     getRandomItemType() {
-        const randomValue = Math.random();
+        const randomValue = this.random.next();
         if (randomValue < 0.4) {
             return 'speedBoost';
         } else if (randomValue < 0.8) {
@@ -522,9 +694,15 @@ export class RacingGame {
             connectingMessage.textContent = 'Connecting to multiplayer...';
             document.body.appendChild(connectingMessage);
 
-            // Initialize PlayManager
+            // Initialize PlayManager, showing our place in the matchmaking queue meanwhile
             this.playManager = new PlayManager(this);
-            await this.playManager.start(playerName);
+            await this.playManager.start(playerName, (status) => {
+                if (status.state === 'searching') {
+                    connectingMessage.textContent = `Finding race… (${status.position} of ${status.queueSize} in queue)`;
+                } else if (status.state === 'matched') {
+                    connectingMessage.textContent = 'Race found! Joining...';
+                }
+            });
             this.isMultiplayer = true;
             this.multiplayer = this.playManager.multiplayerManager;
 
@@ -617,11 +795,12 @@ export class RacingGame {
             z-index: 1001;
         `;
         
-        const cars = [
-            { id: 'kart', name: '🏎️ Racing Kart', color: '#ff4444' },
-            { id: 'classic', name: '🚗 Classic Car', color: '#4a4a4a' },
-            { id: 'tesla', name: '🚙 Model 3', color: '#2c3e50' }
-        ];
+        const hoverColors = { classic: '#4a4a4a', tesla: '#2c3e50', f1: '#ff4444' };
+        const cars = Object.entries(CAR_SPECS).map(([id, spec]) => ({
+            id,
+            name: `${spec.icon} ${spec.name}`,
+            color: hoverColors[id] || '#4a4a4a'
+        }));
         
         cars.forEach(car => {
             const option = document.createElement('div');
@@ -635,6 +814,29 @@ export class RacingGame {
             `;
             option.innerHTML = car.name;
             
+            // How the car drives, as bars relative to the best car in each respect
+            const stats = document.createElement('div');
+            stats.style.cssText = 'margin-top: 6px; font-size: 11px;';
+            getCarRatings(car.id).forEach(rating => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 6px; margin: 2px 0;';
+                
+                const label = document.createElement('span');
+                label.textContent = rating.label;
+                label.style.cssText = 'width: 55px; color: #ccc;';
+                
+                const bar = document.createElement('div');
+                bar.style.cssText = 'width: 80px; height: 6px; background: rgba(255, 255, 255, 0.2); border-radius: 3px;';
+                const fill = document.createElement('div');
+                fill.style.cssText = `width: ${Math.round(rating.value * 100)}%; height: 100%; background: #ffd700; border-radius: 3px;`;
+                bar.appendChild(fill);
+                
+                row.appendChild(label);
+                row.appendChild(bar);
+                stats.appendChild(row);
+            });
+            option.appendChild(stats);
+            
             option.addEventListener('mouseover', () => {
                 option.style.backgroundColor = car.color;
             });
@@ -648,6 +850,11 @@ export class RacingGame {
                 switcherButton.innerHTML = car.name;
                 menu.style.display = 'none';
                 localStorage.setItem('selectedCar', car.id);
+                
+                // Opponents drive our car with the same spec
+                if (this.multiplayer && this.multiplayer.isConnected) {
+                    this.multiplayer.setCarType(car.id);
+                }
             });
             
             menu.appendChild(option);
@@ -706,20 +913,210 @@ export class RacingGame {
             transition: background-color 0.3s;
         `;
         
-        const modes = [
-            { id: 'follow', label: 'Follow', emoji: '🎥' },
-            { id: 'top', label: 'Top View', emoji: '️' },
-            { id: 'cockpit', label: 'Cockpit', emoji: '🏎️' },
-            { id: 'side', label: 'Side', emoji: '👁️' }
+        switcherButton.addEventListener('click', () => {
+            this.cycleCameraMode();
+        });
+        
+        switcherButton.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            switcherButton.click();
+        });
+        
+        // Add hover effect
+        switcherButton.addEventListener('mouseover', () => {
+            switcherButton.style.backgroundColor = 'rgba(255, 255, 255, 1)';
+        });
+        
+        switcherButton.addEventListener('mouseout', () => {
+            switcherButton.style.backgroundColor = 'rgba(255, 255, 255, 0.8)';
+        });
+        
+        document.body.appendChild(switcherButton);
+    }
+    
+    cycleCameraMode() {
+        const currentModeIndex = CAMERA_MODES.findIndex(mode => mode.id === this.cameraMode);
+        const mode = CAMERA_MODES[(currentModeIndex + 1) % CAMERA_MODES.length];
+        this.cameraMode = mode.id;
+        
+        const switcherButton = document.getElementById('camera-switcher');
+        if (switcherButton) {
+            switcherButton.innerHTML = `${mode.emoji} Camera: ${mode.label}`;
+        }
+    }
+    
+    addReplayButton() {
+        const replayButton = document.createElement('button');
+        replayButton.id = 'replay-button';
+        replayButton.innerHTML = '🎬 Replay';
+        replayButton.style.cssText = `
+            position: fixed;
+            top: 220px;
+            right: 20px;
+            padding: 10px 20px;
+            background-color: rgba(255, 255, 255, 0.8);
+            border: none;
+            border-radius: 5px;
+            cursor: pointer;
+            font-size: 16px;
+            z-index: 1000;
+            transition: background-color 0.3s;
+        `;
+        
+        replayButton.addEventListener('click', () => {
+            if (this.isReplayMode) {
+                this.exitReplayMode();
+            } else {
+                this.enterReplayMode();
+            }
+        });
+        
+        replayButton.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            replayButton.click();
+        });
+        
+        // Add hover effect
+        replayButton.addEventListener('mouseover', () => {
+            replayButton.style.backgroundColor = 'rgba(255, 255, 255, 1)';
+        });
+        
+        replayButton.addEventListener('mouseout', () => {
+            replayButton.style.backgroundColor = 'rgba(255, 255, 255, 0.8)';
+        });
+        
+        document.body.appendChild(replayButton);
+    }
+    
+    /**
+     * Pause the race and watch a replay
+     * @param {Object} replay - Replay to watch, defaults to the race recorded so far
+     */
+    enterReplayMode(replay = null) {
+        const replayData = replay || (this.raceRecorder && this.raceRecorder.getReplay());
+        if (!replayData) {
+            this.showNotification('Nothing recorded yet - drive a bit first! 🎬');
+            return;
+        }
+        
+        // Switching replays: drop the one that's playing
+        if (this.replayPlayer) {
+            this.replayPlayer.dispose();
+            this.replayPlayer = null;
+        }
+        
+        if (!this.isReplayMode) {
+            console.log('[REPLAY] Entering replay mode');
+            this.isReplayMode = true;
+            this.setLiveEntitiesVisible(false);
+        }
+        
+        this.replayPlayer = new ReplayPlayer(this.scene, replayData);
+        console.log(`[REPLAY] Playing ${replayData.cars.length} cars, ${(replayData.duration / 1000).toFixed(1)}s`);
+        
+        if (!this.replayUI) {
+            this.replayUI = new ReplayUI(this);
+        }
+        this.replayUI.show();
+    }
+    
+    /**
+     * Leave the replay viewer and resume the race
+     */
+    exitReplayMode() {
+        if (!this.isReplayMode) return;
+        
+        console.log('[REPLAY] Leaving replay mode');
+        if (this.replayPlayer) {
+            this.replayPlayer.dispose();
+            this.replayPlayer = null;
+        }
+        if (this.replayUI) {
+            this.replayUI.hide();
+        }
+        
+        this.setLiveEntitiesVisible(true);
+        this.isReplayMode = false;
+        
+        // Drop the clock delta accumulated while the race was paused; the race
+        // clock stood still meanwhile, so the replay doesn't count towards the lap
+        this.clock.getDelta();
+    }
+    
+    updateReplay(delta) {
+        this.replayPlayer.update(delta);
+        this.replayUI.refresh();
+        
+        const target = this.replayPlayer.getCameraTarget();
+        if (target) {
+            this.updateCamera(target);
+        }
+    }
+    
+    /**
+     * Hide or restore the live race while a replay is playing
+     */
+    setLiveEntitiesVisible(visible) {
+        if (!visible) {
+            const objects = [];
+            if (this.car && this.car.mesh) objects.push(this.car.mesh);
+            this.remotePlayers.forEach(car => car.mesh && objects.push(car.mesh));
+            if (this.aiManager) {
+                this.aiManager.aiCars.forEach(car => car.mesh && objects.push(car.mesh));
+            }
+            if (this.itemManager) {
+                (this.itemManager.bananas || []).forEach(banana => banana.mesh && objects.push(banana.mesh));
+                (this.itemManager.shells || []).forEach(shell => shell.mesh && objects.push(shell.mesh));
+            }
+            if (this.ghostManager && this.ghostManager.ghostCar && this.ghostManager.ghostCar.car.mesh) {
+                objects.push(this.ghostManager.ghostCar.car.mesh);
+            }
+            
+            this.hiddenForReplay = objects.filter(object => object.visible);
+            this.hiddenForReplay.forEach(object => {
+                object.visible = false;
+            });
+        } else {
+            this.hiddenForReplay.forEach(object => {
+                object.visible = true;
+            });
+            this.hiddenForReplay = [];
+        }
+    }
+    
+    addGhostSwitcher() {
+        const switcherButton = document.createElement('button');
+        switcherButton.id = 'ghost-switcher';
+        switcherButton.innerHTML = '👻 Ghost: Record';
+        switcherButton.style.cssText = `
+            position: fixed;
+            top: 170px;
+            right: 20px;
+            padding: 10px 20px;
+            background-color: rgba(255, 255, 255, 0.8);
+            border: none;
+            border-radius: 5px;
+            cursor: pointer;
+            font-size: 16px;
+            z-index: 1000;
+            transition: background-color 0.3s;
+        `;
+        
+        const sources = [
+            { id: 'record', label: 'Record' },
+            { id: 'personal', label: 'Personal Best' },
+            { id: 'off', label: 'Off' }
         ];
         
-        let currentModeIndex = 0;
+        let currentSourceIndex = 0;
         
         switcherButton.addEventListener('click', () => {
-            currentModeIndex = (currentModeIndex + 1) % modes.length;
-            const mode = modes[currentModeIndex];
-            this.cameraMode = mode.id;
-            switcherButton.innerHTML = `${mode.emoji} Camera: ${mode.label}`;
+            currentSourceIndex = (currentSourceIndex + 1) % sources.length;
+            const source = sources[currentSourceIndex];
+            switcherButton.innerHTML = `👻 Ghost: ${source.label}`;
+            if (this.ghostManager) {
+                this.ghostManager.setSource(source.id);
+            }
         });
         
         switcherButton.addEventListener('touchstart', (e) => {
@@ -757,61 +1154,110 @@ export class RacingGame {
             transition: all 0.3s;
         `;
         
-        // Track toggle state
-        let currentTrack = 'default';
-        let isChangingTrack = false;
+        // Built-in tracks first, then any tracks listed in public/tracks/index.json
+        this.trackOptions = [
+            { id: 'default', name: 'Default', emoji: '🏁' },
+            { id: 'silverstone', name: 'Silverstone', emoji: '🏎️' }
+        ];
+        TrackFactory.getDataDrivenTracks().then(dataTracks => {
+            dataTracks.forEach(track => this.trackOptions.push({ id: track.id, name: track.name, emoji: '🗺️' }));
+            this.updateTrackSelector();
+        });
         
-        // Toggle between tracks on click
+        // Cycle through tracks on click
         switcherButton.addEventListener('click', async () => {
             // Prevent multiple clicks during track change
-            if (isChangingTrack) {
+            if (this.isChangingTrack) {
                 console.log('[DEBUG] Track change already in progress, ignoring click');
                 return;
             }
             
+            const currentIndex = this.trackOptions.findIndex(track => this.track && track.id === this.track.id);
+            const track = this.trackOptions[(currentIndex + 1) % this.trackOptions.length];
+            
+            // In multiplayer the room host picks the track and the server tells everyone
+            if (this.isMultiplayer && this.multiplayer) {
+                try {
+                    await this.multiplayer.requestTrackChange(track.id);
+                } catch (error) {
+                    console.warn('[DEBUG] Track change rejected:', error.message);
+                    this.showNotification(error.message);
+                }
+                return;
+            }
+            
             try {
-                isChangingTrack = true;
                 switcherButton.disabled = true;
                 switcherButton.style.opacity = '0.5';
-                
-                if (currentTrack === 'default') {
-                    currentTrack = 'silverstone';
-                    switcherButton.innerHTML = '🔄 Loading Silverstone...';
-                    await this.changeTrack('silverstone');
-                    switcherButton.innerHTML = '🏎️ Track: Silverstone';
-                } else {
-                    currentTrack = 'default';
-                    switcherButton.innerHTML = '🔄 Loading Default...';
-                    await this.changeTrack('default');
-                    switcherButton.innerHTML = '🏁 Track: Default';
-                }
+                switcherButton.innerHTML = `🔄 Loading ${track.name}...`;
+                await this.changeTrack(track.id);
             } catch (error) {
                 console.error('[DEBUG] Error changing track:', error);
                 alert(`Failed to change track: ${error.message}`);
-                // Reset to previous state on error
-                currentTrack = currentTrack === 'default' ? 'silverstone' : 'default';
-                switcherButton.innerHTML = currentTrack === 'default' ? '🏁 Track: Default' : '🏎️ Track: Silverstone';
             } finally {
-                isChangingTrack = false;
                 switcherButton.disabled = false;
                 switcherButton.style.opacity = '1';
+                this.updateTrackSelector();
             }
         });
         
         // Add hover effect
         switcherButton.addEventListener('mouseover', () => {
-            if (!isChangingTrack) {
+            if (!this.isChangingTrack) {
                 switcherButton.style.backgroundColor = 'rgba(255, 255, 255, 1)';
             }
         });
         
         switcherButton.addEventListener('mouseout', () => {
-            if (!isChangingTrack) {
+            if (!this.isChangingTrack) {
                 switcherButton.style.backgroundColor = 'rgba(255, 255, 255, 0.8)';
             }
         });
         
         document.body.appendChild(switcherButton);
+        this.updateTrackSelector();
+    }
+    
+    /**
+     * Show the current track on the track selector button
+     */
+    updateTrackSelector() {
+        const switcherButton = document.getElementById('track-switcher');
+        if (!switcherButton || !this.track) return;
+        
+        const track = (this.trackOptions || []).find(option => option.id === this.track.id);
+        switcherButton.innerHTML = track
+            ? `${track.emoji} Track: ${track.name}`
+            : `🏁 Track: ${this.track.name || this.track.id}`;
+    }
+    
+    /**
+     * Switch to the track the multiplayer room races on
+     * Called when joining a room and whenever the host changes the track
+     * @param {string} trackId - The room's track ID
+     */
+    async loadRoomTrack(trackId) {
+        this.roomTrackId = trackId;
+        
+        // Before the preload finishes, initializeGameVisuals picks up roomTrackId
+        if (!trackId || !this.preloadComplete) {
+            return;
+        }
+        
+        // Let a change that's already loading finish first
+        while (this.isChangingTrack) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        
+        // A newer track change may have arrived while we were waiting
+        if (this.roomTrackId !== trackId || (this.track && this.track.id === trackId)) {
+            return;
+        }
+        
+        await this.changeTrack(trackId);
+        
+        const track = (this.trackOptions || []).find(option => option.id === trackId);
+        this.showNotification(`Room track: ${track ? track.name : this.track.name || trackId}`);
     }
     
     onWindowResize() {
@@ -820,9 +1266,9 @@ export class RacingGame {
         this.renderer.setSize(window.innerWidth, window.innerHeight);
     }
     
-    updateCamera() {
-        const carPosition = this.car.getPosition();
-        const carDirection = this.car.getDirection();
+    updateCamera(target = this.car) {
+        const carPosition = target.getPosition();
+        const carDirection = target.getDirection();
         
         switch (this.cameraMode) {
             case 'follow':
@@ -915,63 +1361,43 @@ export class RacingGame {
         
         const delta = this.clock.getDelta();
         
-        if (this.isGameRunning) {
-            // Update local car
-            this.car.update(delta);
-            
-            // Throttle expensive operations based on performance mode
-            const now = performance.now();
-            const boundaryCheckInterval = this.performanceMode ? 100 : 33; // 30fps in normal mode, 10fps in performance mode
-            const checkpointCheckInterval = this.performanceMode ? 200 : 100; // 10fps or 5fps
+        // The race is paused while a replay is playing
+        if (this.isReplayMode && this.replayPlayer) {
+            this.updateReplay(delta);
+            return;
+        }
+        
+        if (this.isSpectating) {
+            this.updateSpectator(delta);
+            return;
+        }
+        
+        // Skip the race while the track is being swapped out
+        if (this.isGameRunning && !this.isChangingTrack) {
+            // Run the race in fixed steps and draw the cars between the last two
+            const alpha = simulationClock.advance(delta, step => this.simulateStep(step));
+            this.car.interpolateVisuals(alpha);
+            if (this.aiManager) {
+                this.aiManager.aiCars.forEach(aiCar => aiCar.interpolateVisuals(alpha));
+            }
             
             // Broadcast our position in multiplayer mode
             if (this.isMultiplayer && this.multiplayer && this.multiplayer.isConnected && this.car) {
                 const state = {
                     position: this.car.getPosition(),
-                    rotation: this.car.getRotation()
+                    rotation: this.car.getRotation(),
+                    trackId: this.track.id
                 };
                 this.multiplayer.broadcastState(state);
             }
             
-            // Check track collision for car with throttling
-            if (this.track && now - this.lastBoundaryCheckTime > boundaryCheckInterval) {
-                this.lastBoundaryCheckTime = now;
-                
-                // Use the track's collision detection if available
-                if (typeof this.track.checkCollision === 'function') {
-                    // Legacy method support
-                    if (this.track.checkCollision(this.car.position)) {
-                        this.handleCarCollision();
-                    }
-                } else if (typeof this.track.isPointInsideTrack === 'function') {
-                    // New method - check if NOT inside track
-                    if (!this.track.isPointInsideTrack(this.car.position)) {
-                        this.handleCarCollision();
-                    }
-                }
-            }
-            
-            // Check checkpoint and lap progress with throttling
-            if (now - this.lastCheckpointCheckTime > checkpointCheckInterval) {
-                this.lastCheckpointCheckTime = now;
-                this.checkRaceProgress();
-            }
-            
-            // Update items and check for collisions
-            if (this.itemManager) {
-                this.itemManager.update(delta);
-                this.itemManager.checkCollisions(this.car);
-            }
-            
             // Update airplane if it exists
             if (this.airplane) {
                 this.airplane.update(delta);
             }
             
-            // Update AI cars and ensure they exist
+            // Ensure the AI cars exist
             if (this.aiManager) {
-                this.aiManager.update(delta);
-                
                 // Check if we need to spawn AI cars
                 if (this.aiManager.aiCars.length === 0 && !this.isMultiplayer) {
                     // No AI cars found in single player mode, create them now after the game has started
@@ -1046,6 +1472,16 @@ export class RacingGame {
                 this.track.update(delta);
             }
             
+            // Update ghost car
+            if (this.ghostManager) {
+                this.ghostManager.update();
+            }
+            
+            // Record the race for replays
+            if (this.raceRecorder && this.isRaceStarted) {
+                this.raceRecorder.update(delta);
+            }
+            
             // Update remote cars
             this.remotePlayers.forEach((remoteCar) => {
                 remoteCar.update(delta);
@@ -1062,15 +1498,88 @@ export class RacingGame {
         }
     }
 
+    /**
+     * Advance the race by one fixed step (see SimulationClock). Everything that
+     * decides the race happens here, so it plays out the same at any frame rate.
+     * @param {number} step - Step length (seconds)
+     */
+    simulateStep(step) {
+        // Update local car
+        this.car.update(step);
+        
+        const now = simulationClock.now();
+        
+        // Check track collision for car with throttling
+        if (this.track && now - this.lastBoundaryCheckTime > BOUNDARY_CHECK_INTERVAL) {
+            this.lastBoundaryCheckTime = now;
+            
+            // Use the track's collision detection if available
+            if (typeof this.track.checkCollision === 'function') {
+                // Legacy method support
+                if (this.track.checkCollision(this.car.position)) {
+                    this.handleCarCollision();
+                }
+            } else if (typeof this.track.isPointInsideTrack === 'function') {
+                // New method - check if NOT inside track
+                if (!this.track.isPointInsideTrack(this.car.position)) {
+                    this.handleCarCollision();
+                }
+            }
+        }
+        
+        // Car-to-car collisions are a room rule, only applied while racing
+        if (this.isMultiplayer && this.isRaceStarted) {
+            this.checkRemoteCarCollisions();
+        }
+        
+        // Check checkpoint and lap progress with throttling
+        if (now - this.lastCheckpointCheckTime > CHECKPOINT_CHECK_INTERVAL) {
+            this.lastCheckpointCheckTime = now;
+            this.checkRaceProgress();
+            
+            // The server orders everyone in a room race from these reports
+            if (this.serverRace && this.isRaceStarted && !this.raceFinished) {
+                this.reportRaceProgress();
+            }
+        }
+        
+        // Update items and check for collisions
+        if (this.itemManager) {
+            this.itemManager.update(step);
+            this.itemManager.checkCollisions(this.car);
+        }
+        
+        // Update AI cars
+        if (this.aiManager) {
+            this.aiManager.update(step);
+        }
+    }
+
+    /**
+     * Start the race over: the race clock from zero and the random numbers
+     * from a new seed. Add ?seed=<number> to the page address to race with
+     * a given seed again.
+     */
+    resetSimulation() {
+        const seed = Number(new URLSearchParams(window.location.search).get('seed'));
+        this.random.setSeed(Number.isInteger(seed) && seed > 0 ? seed : createSeed());
+        console.log(`[DEBUG] Race seed: ${this.random.seed}`);
+        
+        simulationClock.reset();
+        this.lapStartTime = simulationClock.now();
+        this.lastBoundaryCheckTime = 0;
+        this.lastCheckpointCheckTime = 0;
+    }
+
     // Add multiplayer methods
-    async startMultiplayerGame(playerName, isPrivate = false) {
+    async startMultiplayerGame(playerName, isPrivate = false, trackId = null, options = null) {
         try {
-            console.log(`[DEBUG] Starting multiplayer game - playerName: ${playerName}, isPrivate: ${isPrivate}`);
+            console.log(`[DEBUG] Starting multiplayer game - playerName: ${playerName}, isPrivate: ${isPrivate}, trackId: ${trackId}`);
             
             const { MultiplayerManager } = await import('./multiplayer/MultiplayerManager.js');
             this.isMultiplayer = true;
             this.multiplayer = new MultiplayerManager(this);
-            const roomId = await this.multiplayer.createRoom(playerName, isPrivate);
+            const roomId = await this.multiplayer.createRoom(playerName, isPrivate, trackId, options);
             this.playerName = playerName;
             
             console.log(`[DEBUG] Room created with ID: ${roomId}`);
@@ -1113,7 +1622,7 @@ export class RacingGame {
                     if (this.car) {
                         this.car.enableControls();
                     }
-                    this.lapStartTime = performance.now();
+                    this.lapStartTime = simulationClock.now();
                 }
             }
             
@@ -1183,7 +1692,7 @@ export class RacingGame {
                     if (this.car) {
                         this.car.enableControls();
                     }
-                    this.lapStartTime = performance.now();
+                    this.lapStartTime = simulationClock.now();
                 }
             }
             
@@ -1243,8 +1752,8 @@ export class RacingGame {
         }, duration);
     }
 
-    // Modify addRemotePlayer to accept playerName
-    async addRemotePlayer(peerId, playerName, position = null, rotation = null) {
+    // Modify addRemotePlayer to accept playerName and the car type the player drives
+    async addRemotePlayer(peerId, playerName, position = null, rotation = null, carType = null) {
         console.log(`[GAME] Adding remote player: ${playerName}`);
         
         // First, safely remove any existing player
@@ -1253,7 +1762,8 @@ export class RacingGame {
         }
         
         // Create remote car instance
-        const remoteCar = new Car(this.scene, this.track, true);
+        const renderDelay = this.multiplayer ? this.multiplayer.renderDelay : undefined;
+        const remoteCar = new Car({ scene: this.scene, track: this.track, isRemote: true, carType, renderDelay });
         
         // Store initialization promise for safety
         remoteCar.initPromise = (async () => {
@@ -1406,7 +1916,15 @@ export class RacingGame {
         console.log(`[GAME][${peerId}] ✅ FINISHED REMOVING REMOTE PLAYER`);
     }
 
-    updateRemotePlayer(peerId, position, rotation) {
+    /**
+     * A remote player's car state from the server
+     * @param {string} peerId - The player's socket ID
+     * @param {Object} position - Where the car was ({ x, y, z } or [x, y, z])
+     * @param {number} rotation - Its heading (radians)
+     * @param {number} timestamp - Server time it was sent (ms)
+     * @param {number} sequence - Number of the update
+     */
+    updateRemotePlayer(peerId, position, rotation, timestamp, sequence) {
         // Check if this remote player exists
         if (!this.remotePlayers.has(peerId)) {
             console.warn(`[GAME][${peerId}] ⚠️ Cannot update - not found in remotePlayers map`);
@@ -1419,7 +1937,7 @@ export class RacingGame {
         if (remoteCar.initPromise && !remoteCar.mesh) {
             console.log(`[GAME][${peerId}] Waiting for initialization before updating position`);
             remoteCar.initPromise.then(() => {
-                this.updateRemotePlayer(peerId, position, rotation);
+                this.updateRemotePlayer(peerId, position, rotation, timestamp, sequence);
             });
             return;
         }
@@ -1439,47 +1957,8 @@ export class RacingGame {
             }
         }
         
-        // Ensure remoteCar.position is a Vector3
-        if (!remoteCar.position || !remoteCar.position.isVector3) {
-            console.log(`[GAME][${peerId}] Initializing car position as Vector3`);
-            remoteCar.position = new THREE.Vector3();
-        }
-        
-        // Update the car's position and rotation
-        remoteCar.position.copy(position);
-        remoteCar.rotation = rotation;
-        
-        // Update the car's direction based on rotation
-        remoteCar.direction = new THREE.Vector3(
-            Math.sin(rotation),
-            0,
-            Math.cos(rotation)
-        );
-        
-        // Update mesh position and rotation if it exists
-        if (remoteCar.mesh) {
-            remoteCar.mesh.position.copy(position);
-            remoteCar.mesh.rotation.y = rotation;
-            
-            // Update name tag position if it exists
-            if (remoteCar.nameTag) {
-                remoteCar.nameTag.position.set(0, 3, 0);
-                remoteCar.nameTag.lookAt(this.camera.position);
-                // Keep name tag upright
-                remoteCar.nameTag.rotation.x = 0;
-                remoteCar.nameTag.rotation.z = 0;
-            }
-            
-            // Update wheels
-            if (remoteCar.wheels && remoteCar.wheels.length > 0) {
-                remoteCar.updateWheels();
-            }
-            
-            // Force a render update
-            this.needsRender = true;
-        } else {
-            console.warn(`[GAME][${peerId}] ⚠️ No mesh available for position update`);
-        }
+        // The car makes its way there over the next frames (see CarNetwork)
+        remoteCar.updateRemoteState(position, rotation, timestamp, sequence);
     }
 
     cleanup() {
@@ -1860,90 +2339,37 @@ export class RacingGame {
 
     /**
      * Change the current track
-     * This now completely recreates the Three.js scene to ensure a clean state
+     * Swaps the track in the existing scene and moves the car to the new start line
      */
     async changeTrack(trackId) {
         console.log(`Changing track to: ${trackId}`);
         
+        if (this.isChangingTrack) {
+            throw new Error('Track change already in progress');
+        }
+        
+        // The race is paused while this flag is set (see update)
+        this.isChangingTrack = true;
+        
         try {
             // Show loading indicator
             this.showLoadingIndicator('Changing track...');
             
-            // Save current game state that we need to preserve
-            const carType = this.car ? this.car.type : 'default';
-            const playerName = this.playerName;
-            const cameraMode = this.cameraMode;
-            const isMultiplayer = this.isMultiplayer;
-            const remotePlayers = this.remotePlayers ? [...this.remotePlayers] : [];
-            
             // Clean up old track resources
-            if (this.track) {
+            if (this.track && typeof this.track.cleanup === 'function') {
                 console.log('[DEBUG] Cleaning up old track resources');
-                // Safely call cleanup method if it exists
-                if (typeof this.track.cleanup === 'function') {
-                    this.track.cleanup();
-                } else if (typeof this.track.clearTrack === 'function') {
-                    // Try alternative cleanup method if available
-                    this.track.clearTrack();
-                } else {
-                    console.log('[DEBUG] No cleanup method found on track, skipping cleanup');
-                }
-            }
-            
-            // Clear lap and race state
-            this.resetGameState();
-            
-            // Store renderer settings before disposing
-            const oldSize = {
-                width: this.renderer ? this.renderer.domElement.width : window.innerWidth,
-                height: this.renderer ? this.renderer.domElement.height : window.innerHeight
-            };
-            
-            // Stop animation loop
-            if (this.animationFrameId) {
-                cancelAnimationFrame(this.animationFrameId);
-                this.animationFrameId = null;
-            }
-            
-            // Dispose of current renderer
-            console.log('[DEBUG] Disposing of old renderer and clearing scene');
-            if (this.renderer) {
-                this.renderer.dispose();
+                this.track.cleanup();
             }
             
-            // Remove old game container
-            if (this.container && this.container.parentNode) {
-                console.log('[DEBUG] Removing old game container');
-                this.container.parentNode.removeChild(this.container);
-            }
-            
-            // Create fresh scene and objects
-            console.log('[DEBUG] Creating new scene and renderer');
-            this.scene = new THREE.Scene();
-            this.scene.background = new THREE.Color(0x87CEEB); // Sky blue background
-            
-            // Setup lighting
-            this.setupLighting();
-            
-            // Create new renderer
-            this.setupRenderer(oldSize.width, oldSize.height);
-            
-            // Create new game container
-            this.container = document.createElement('div');
-            this.container.id = 'game-container';
-            this.container.style.position = 'fixed';
-            this.container.style.top = '0';
-            this.container.style.left = '0';
-            this.container.style.width = '100%';
-            this.container.style.height = '100%';
-            document.body.appendChild(this.container);
-            this.container.appendChild(this.renderer.domElement);
-            
             // Create new track instance based on track ID
             console.log(`[DEBUG] Creating new track: ${trackId}`);
-            this.track = this.createTrackInstance(trackId);
+            this.track = await this.createTrackInstance(trackId);
             await this.track.init();
             
+            if (this.isMultiplayer) {
+                this.track.setMultiplayerMode(true);
+            }
+            
             // Add the track's audio listener to the camera if it exists
             if (this.track.audioListener) {
                 // Check if the listener is already attached to the camera
@@ -1956,77 +2382,52 @@ export class RacingGame {
                 }
             }
             
-            // Ensure car is created if needed
-            if (!this.car) {
-                console.log('[DEBUG] Creating new car');
-                this.createCar(carType);
-            } else {
-                console.log('[DEBUG] Repositioning existing car');
-                // Get start position from the track
-                const startPos = this.track.getStartPosition();
-                // Update car position and rotation based on the track's start position
-                this.car.setPosition(startPos.position);
-                this.car.setRotation(startPos.rotation);
-                
-                // Also update the car's direction vector based on rotation
-                const rotation = startPos.rotation;
-                const directionX = Math.sin(rotation);
-                const directionZ = Math.cos(rotation);
-                this.car.direction = new THREE.Vector3(directionX, 0, directionZ);
-                
-                console.log(`[DEBUG] Car positioned at: x:${startPos.position.x.toFixed(2)}, y:${startPos.position.y.toFixed(2)}, z:${startPos.position.z.toFixed(2)}, rotation:${startPos.rotation.toFixed(2)}`);
+            // Point the cars at the new track and move ours to the start line
+            if (this.car) {
+                this.car.track = this.track;
+                this.positionCarForTrack();
+                this.car.reset();
             }
+            this.remotePlayers.forEach(remoteCar => {
+                remoteCar.track = this.track;
+            });
             
-            // Setup controls
-            this.setupControls(this.car);
-            
-            // Reset camera
-            this.setupCamera();
-            this.setCameraMode(cameraMode || 'follow');
-            
-            // Restore player name
-            this.playerName = playerName;
+            // Clear lap and race state
+            this.resetGameState();
             
-            // Reset multiplayer state if applicable
-            if (isMultiplayer) {
-                console.log('[DEBUG] Restoring multiplayer state');
-                this.setMultiplayerMode(true);
-                
-                // Recreate remote players if needed
-                remotePlayers.forEach(player => {
-                    if (player.id !== this.playerId) {
-                        this.addRemotePlayer(player.id, player.name, player.car ? player.car.position : null, player.car ? player.car.rotation : null);
-                    }
-                });
+            // Replace the items; in multiplayer the server sends the new track's items
+            if (this.itemManager) {
+                this.itemManager.track = this.track;
+                this.itemManager.clearItems();
+                if (!this.isMultiplayer) {
+                    this.initializeItems();
+                }
             }
             
-            // Recreate UI elements
-            console.log("[DEBUG] Recreating UI elements");
-            this.addCarSwitcher();
-            this.addCameraSwitcher();
-            this.addTrackSelector();
-            
             // Notify AI manager of track change
             if (this.aiManager) {
                 console.log("[DEBUG] Notifying AI manager of track change");
                 this.aiManager.onTrackChanged(this.track);
             }
             
-            // Reattach window resize event
-            window.addEventListener('resize', () => this.onWindowResize());
-            
-            // Start animation loop
-            this.animate();
+            // Ghosts are recorded per track
+            if (this.ghostManager) {
+                this.ghostManager.refresh();
+            }
             
-            // Hide loading indicator
-            this.hideLoadingIndicator();
+            if (this.gameInitialized && !this.isSpectating) {
+                this.track.showHUD();
+            }
+            this.updateTrackSelector();
             
             console.log(`[DEBUG] Track change completed: ${trackId}`);
             return true;
         } catch (error) {
             console.error('Error changing track:', error);
-            this.hideLoadingIndicator();
             throw error;
+        } finally {
+            this.isChangingTrack = false;
+            this.hideLoadingIndicator();
         }
     }
     
@@ -2037,7 +2438,7 @@ export class RacingGame {
         this.totalLaps = this.track.totalLaps || 3;
         this.lastCheckpointPassed = -1;
         this.lapTimes = [];
-        this.lapStartTime = performance.now();
+        this.lapStartTime = simulationClock.now();
         this.lastLapCompleteTime = 0;
         this.raceFinished = false;
         this.hasPassedFinishLine = false;
@@ -2047,7 +2448,7 @@ export class RacingGame {
             // Reset tracking flags in track if they exist
             if (typeof this.track.initialLapCheck !== 'undefined') {
                 this.track.initialLapCheck = true;
-                this.track.lastLapCheckTime = performance.now();
+                this.track.lastLapCheckTime = simulationClock.now();
             }
         }
         
@@ -2090,7 +2491,7 @@ export class RacingGame {
                 this.car.direction = new THREE.Vector3(0, 0, 1);
                 this.car.rotation = 0;
             }
-        } else {
+        } else if (this.track instanceof Track) {
             // Default track - use first starting grid position
             if (this.track.startingPositions && this.track.startingPositions.length > 0) {
                 // Get the first starting position (pole position)
@@ -2110,6 +2511,16 @@ export class RacingGame {
                 this.car.direction = new THREE.Vector3(0, 0, 1);
                 this.car.rotation = 0;
             }
+        } else {
+            // Data-driven and model tracks know their own start line
+            const startPos = this.track.getStartPosition();
+            this.car.position = startPos.position.clone();
+            this.car.rotation = startPos.rotation;
+            this.car.direction = new THREE.Vector3(
+                Math.sin(this.car.rotation),
+                0,
+                Math.cos(this.car.rotation)
+            );
         }
         
         this.car.previousPosition = this.car.position.clone();
@@ -2176,6 +2587,12 @@ export class RacingGame {
             return true;
         }
         
+        // The server only counts a room race lap once every checkpoint is passed in order
+        if (this.serverRace) {
+            console.log(`[DEBUG] Lap not valid - passed ${this.lastCheckpointPassed + 1}/${totalCheckpoints} checkpoints (room races need all)`);
+            return false;
+        }
+        
         // If we have skipped some checkpoints, require at least half to be valid
         const requiredCheckpoints = Math.max(1, Math.floor(totalCheckpoints / 2));
         const isValid = this.lastCheckpointPassed >= requiredCheckpoints - 1;
@@ -2187,6 +2604,52 @@ export class RacingGame {
         return isValid;
     }
     
+    /**
+     * How far the local car is into the race
+     * @returns {{lap: number, checkpoint: number}} Laps completed and index of the last checkpoint passed on this lap
+     */
+    getRaceProgress() {
+        // The circular track counts its own laps and checkpoints. Its checkpoint 0
+        // sits on the finish line; the server only counts the three after it.
+        if (this.track instanceof Track) {
+            return {
+                lap: this.track.currentLap,
+                checkpoint: this.track.checkpointsPassedThisLap.filter(id => id !== 0).length - 1
+            };
+        }
+        
+        return {
+            lap: this.lapTimes.length,
+            checkpoint: this.lastCheckpointPassed
+        };
+    }
+    
+    // Send our progress to the server whenever we pass a checkpoint or complete a lap
+    // One report at a time; it only counts as sent once the server takes it, so one
+    // that is turned down (or goes unanswered) is sent again on the next check
+    reportRaceProgress() {
+        if (!this.multiplayer || this.raceProgressPending) return;
+        
+        const progress = this.getRaceProgress();
+        const last = this.lastRaceProgress;
+        if (last && last.lap === progress.lap && last.checkpoint === progress.checkpoint) {
+            return;
+        }
+        
+        const race = this.serverRace;
+        this.raceProgressPending = true;
+        this.multiplayer.sendRaceProgress(progress).then(accepted => {
+            if (this.serverRace !== race) return; // A new race has started since
+            
+            this.raceProgressPending = false;
+            if (accepted) {
+                this.lastRaceProgress = progress;
+            } else {
+                console.warn(`[RACE] Server turned down progress lap ${progress.lap} checkpoint ${progress.checkpoint}, resending`);
+            }
+        });
+    }
+    
     // Reset checkpoint tracking for a new lap
     resetCheckpointTracking() {
         this.lastCheckpointPassed = -1;
@@ -2196,7 +2659,7 @@ export class RacingGame {
     // Handle lap completion
     completeLap() {
         // Avoid multiple triggers in quick succession
-        const now = performance.now();
+        const now = simulationClock.now();
         if (now - this.lastLapCompleteTime < 3000) return;
         this.lastLapCompleteTime = now;
         
@@ -2216,12 +2679,31 @@ export class RacingGame {
         this.updateLapCounter();
         this.updateLapTimes();
         
-        // Check if race is finished
-        if (this.currentLap >= this.totalLaps) {
+        // Check if race is finished (lap times count each lap exactly once,
+        // tracks that also advance currentLap themselves can't finish early)
+        if (this.lapTimes.length >= this.totalLaps) {
             this.finishRace();
         }
     }
     
+    // Bump off the other players' cars when the room has collisions turned on
+    checkRemoteCarCollisions() {
+        const options = this.multiplayer ? this.multiplayer.roomOptions : null;
+        if (!options || !options.collisions || !this.car) return;
+        
+        const collisionDistance = 2.5; // Roughly one car length
+        const position = this.car.getPosition();
+        
+        this.remotePlayers.forEach(remoteCar => {
+            if (!remoteCar.mesh) return;
+            
+            const distance = position.distanceTo(remoteCar.mesh.position);
+            if (distance < collisionDistance) {
+                this.car.handleCarContact(remoteCar.mesh.position, remoteCar.weight);
+            }
+        });
+    }
+    
     // Handle car collision with track boundary
     handleCarCollision() {
         // Set collision flag
@@ -2254,23 +2736,27 @@ export class RacingGame {
     }
     
     // Handle race finish
-    finishRace() {
+    finishRace(lapTimes = this.lapTimes) {
         if (this.raceFinished) return;
         
         this.raceFinished = true;
         console.log('Race finished!');
         
         // Calculate total time
-        const totalTime = this.lapTimes.reduce((sum, time) => sum + time, 0);
+        const totalTime = lapTimes.reduce((sum, time) => sum + time, 0);
         console.log(`Total time: ${totalTime.toFixed(2)}s`);
         
+        // In a race run by the server, the server times the finish and announces the results
+        if (this.serverRace && this.multiplayer) {
+            this.multiplayer.reportRaceFinish(lapTimes);
+        }
+        
         // Show race complete UI
-        this.showRaceCompleteUI(totalTime);
+        this.showRaceCompleteUI(totalTime, lapTimes);
     }
 
-    // Show race complete UI
-    showRaceCompleteUI(totalTime) {
-        // Create or show race complete UI
+    // Get the race complete panel, creating it the first time
+    getRaceCompleteUI() {
         let raceCompleteUI = document.getElementById('race-complete');
         
         if (!raceCompleteUI) {
@@ -2290,24 +2776,109 @@ export class RacingGame {
             document.body.appendChild(raceCompleteUI);
         }
         
+        raceCompleteUI.style.display = 'block';
+        return raceCompleteUI;
+    }
+
+    // Show race complete UI
+    showRaceCompleteUI(totalTime, lapTimes = this.lapTimes) {
+        const raceCompleteUI = this.getRaceCompleteUI();
+        
         // Set content
         let content = `<h2>Race Complete!</h2>`;
         content += `<p>Total time: ${totalTime.toFixed(2)}s</p>`;
         content += `<h3>Lap Times:</h3>`;
         
-        this.lapTimes.forEach((time, index) => {
+        lapTimes.forEach((time, index) => {
             content += `<p>Lap ${index + 1}: ${time.toFixed(2)}s</p>`;
         });
         
-        content += `<button id="restart-button">Restart Race</button>`;
+        // The results of a room race come from the server once everyone is in
+        if (this.serverRace) {
+            content += `<p id="race-complete-position" style="font-size: 20px; font-weight: bold;"></p>`;
+            content += `<p style="color: #aaa;">Waiting for the other racers to finish...</p>`;
+        } else {
+            content += `<button id="restart-button">Restart Race</button>`;
+        }
         
         raceCompleteUI.innerHTML = content;
         
         // Add event listener to restart button
-        document.getElementById('restart-button').addEventListener('click', () => {
-            this.restartRace();
-            raceCompleteUI.style.display = 'none';
+        const restartButton = document.getElementById('restart-button');
+        if (restartButton) {
+            restartButton.addEventListener('click', () => {
+                this.restartRace();
+                raceCompleteUI.style.display = 'none';
+            });
+        }
+    }
+
+    // Show the finishing order of a room race, as announced by the server
+    showRaceResultsUI(results, timeTrial = false) {
+        this.serverRace = null;
+        this.isRaceStarted = false;
+        if (this.car) {
+            this.car.disableControls();
+        }
+        
+        const raceCompleteUI = this.getRaceCompleteUI();
+        raceCompleteUI.innerHTML = timeTrial ? `<h2>Time Trial Results</h2>` : `<h2>Race Results</h2>`;
+        
+        const localId = this.multiplayer && this.multiplayer.socket ? this.multiplayer.socket.id : null;
+        const list = document.createElement('ol');
+        list.style.cssText = 'text-align: left; padding-left: 25px; margin: 15px 0;';
+        
+        results.forEach(result => {
+            const item = document.createElement('li');
+            item.style.cssText = 'padding: 4px 0;';
+            if (result.id === localId) {
+                item.style.color = '#00ff00';
+                item.style.fontWeight = 'bold';
+            }
+            
+            // Winner's time, then everyone else's gap to the winner
+            // (time trials are won on the best lap, so the gap is a lap time gap)
+            let time = 'DNF';
+            if (result.finished && result.gap !== null) {
+                const winnerTime = timeTrial ? result.bestLap : result.time;
+                time = result.position === 1 ? `${winnerTime.toFixed(2)}s` : `+${result.gap.toFixed(2)}s`;
+            }
+            const bestLap = result.bestLap !== null && result.bestLap !== undefined
+                ? ` (best lap ${result.bestLap.toFixed(2)}s)`
+                : '';
+            item.textContent = `${result.name} - ${time}${bestLap}`;
+            list.appendChild(item);
         });
+        raceCompleteUI.appendChild(list);
+        
+        const backButton = document.createElement('button');
+        if (this.isSpectating) {
+            // Spectators have no waiting room; keep watching for the next race
+            backButton.textContent = 'Keep Watching';
+            backButton.addEventListener('click', () => {
+                raceCompleteUI.style.display = 'none';
+            });
+        } else {
+            backButton.textContent = 'Back to Waiting Room';
+            backButton.addEventListener('click', () => this.returnToWaitingRoom());
+        }
+        raceCompleteUI.appendChild(backButton);
+    }
+
+    // Leave the results and line up for the room's next race
+    returnToWaitingRoom() {
+        const raceCompleteUI = document.getElementById('race-complete');
+        if (raceCompleteUI) {
+            raceCompleteUI.style.display = 'none';
+        }
+        
+        this.restartRace();
+        this.isRaceStarted = false;
+        if (this.car) {
+            this.car.disableControls();
+        }
+        
+        this.showWaitingRoom();
     }
     
     // Restart the race
@@ -2484,10 +3055,11 @@ export class RacingGame {
 
     /**
      * Create a track instance based on track ID
+     * Unknown IDs are looked up as data-driven tracks in public/tracks/<id>.json
      * @param {string} trackId - The ID of the track to create
-     * @returns {BaseTrack} The track instance
+     * @returns {Promise<BaseTrack>} The track instance
      */
-    createTrackInstance(trackId) {
+    async createTrackInstance(trackId) {
         console.log(`[DEBUG] Creating track instance for: ${trackId}`);
         
         // Create track based on ID
@@ -2512,8 +3084,12 @@ export class RacingGame {
                 }
                 break;
             default:
-                console.warn(`[DEBUG] Unknown track ID: ${trackId}, using default track`);
-                track = new Track(this.scene, this);
+                try {
+                    track = await TrackFactory.createTrackFromFile(trackId, this.scene, this);
+                } catch (error) {
+                    console.warn(`[DEBUG] Unknown track ID: ${trackId}, using default track`, error);
+                    track = new Track(this.scene, this);
+                }
         }
         
         console.log(`[DEBUG] Created track instance: ${track.name || trackId}`);
@@ -2928,72 +3504,6 @@ export class RacingGame {
         return options[Math.floor(Math.random() * options.length)];
     }
 
-    startRaceCountdown() {
-        // Check if we're in a private room
-        const isPrivateRoom = this.multiplayer && this.multiplayer.roomId && this.multiplayer.roomId.startsWith('private-');
-
-        // If not in a private room, start race immediately
-        if (!isPrivateRoom) {
-            this.isRaceStarted = true;
-            if (this.car) {
-                this.car.enableControls();
-            }
-            this.lapStartTime = performance.now();
-            return;
-        }
-
-        // Only continue with countdown for private rooms
-        if (this.countdownActive) return;
-        this.countdownActive = true;
-        this.isRaceStarted = false;
-
-        // Disable car controls during countdown
-        if (this.car) {
-            this.car.disableControls();
-        }
-
-        // Create countdown overlay
-        const overlay = document.createElement('div');
-        overlay.style.cssText = `
-            position: fixed;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            font-size: 100px;
-            color: white;
-            text-shadow: 2px 2px 4px rgba(0,0,0,0.5);
-            z-index: 1000;
-            font-family: Arial, sans-serif;
-            text-align: center;
-        `;
-        document.body.appendChild(overlay);
-
-        // Start countdown sequence
-        let count = 3;
-        const countInterval = setInterval(() => {
-            if (count > 0) {
-                overlay.textContent = count;
-                count--;
-            } else if (count === 0) {
-                overlay.textContent = 'GO!';
-                overlay.style.color = '#00ff00';
-                count--;
-
-                // Enable car controls
-                if (this.car) {
-                    this.car.enableControls();
-                }
-
-                this.isRaceStarted = true;
-                this.lapStartTime = performance.now();
-            } else {
-                clearInterval(countInterval);
-                overlay.remove();
-                this.countdownActive = false;
-            }
-        }, 1000);
-    }
-
     // Add waiting room UI
     showWaitingRoom() {
         // Remove any existing waiting room
@@ -3029,6 +3539,7 @@ export class RacingGame {
         // Create a complete URL with the room ID for sharing
         const baseUrl = window.location.origin;
         const shareableUrl = `${baseUrl}?room=${roomId}`;
+        const spectatorUrl = `${baseUrl}?spectate=${roomId}`;
         
         waitingRoom.innerHTML = `
             <h2>Waiting Room</h2>
@@ -3096,6 +3607,14 @@ export class RacingGame {
                         padding: 5px 10px;
                         cursor: pointer;
                     ">Share</button>
+                    <button id="copy-spectator-link" style="
+                        background-color: #9C27B0;
+                        color: white;
+                        border: none;
+                        border-radius: 5px;
+                        padding: 5px 10px;
+                        cursor: pointer;
+                    ">👁 Spectator link</button>
                 </div>
             </div>
             
@@ -3113,40 +3632,19 @@ export class RacingGame {
                 <ul id="connected-players" style="list-style: none; padding: 0; margin: 0;"></ul>
             </div>
             
+            <!-- Race rules, editable by the host -->
+            <div id="waiting-room-options"></div>
+            
+            <!-- Championship across several tracks, started by the host -->
+            <div id="waiting-room-championship"></div>
+            
             <!-- Start button or waiting message -->
-            ${isRoomCreator ? `
-                <button id="start-race-btn" style="
-                    background-color: #4CAF50;
-                    color: white;
-                    border: none;
-                    border-radius: 5px;
-                    padding: 12px 20px;
-                    font-size: 16px;
-                    cursor: pointer;
-                    margin-top: 10px;
-                    width: 100%;
-                    display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    gap: 8px;
-                ">
-                    <span style="font-size: 18px;">🏁</span>
-                    <span>Start Race</span>
-                </button>
-            ` : `
-                <p style="
-                    color: #aaa;
-                    background-color: rgba(255, 255, 255, 0.05);
-                    padding: 10px;
-                    border-radius: 5px;
-                    margin-top: 15px;
-                ">Waiting for host to start the race...</p>
-            `}
+            <div id="waiting-room-start"></div>
         `;
 
         document.body.appendChild(waitingRoom);
 
-        // Update players list initially
+        // Update players list initially (this also shows the start button to the host)
         this.updateWaitingRoomPlayers();
         
         // Set up regular refresh of player list (every 3 seconds)
@@ -3176,6 +3674,24 @@ export class RacingGame {
             });
         }
         
+        // Spectators watch the room's races without taking a slot
+        const spectatorBtn = waitingRoom.querySelector('#copy-spectator-link');
+        if (spectatorBtn) {
+            spectatorBtn.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(spectatorUrl);
+                    const originalText = spectatorBtn.innerHTML;
+                    spectatorBtn.innerHTML = '✓ Copied!';
+                    setTimeout(() => {
+                        spectatorBtn.innerHTML = originalText;
+                    }, 2000);
+                } catch (err) {
+                    console.error('Failed to copy:', err);
+                    alert(`Failed to copy. Spectator link: ${spectatorUrl}`);
+                }
+            });
+        }
+        
         // Set up share buttons
         const whatsappBtn = waitingRoom.querySelector('#share-whatsapp');
         if (whatsappBtn) {
@@ -3215,49 +3731,12 @@ export class RacingGame {
             }
         }
 
-        // Add event listener for start button if room creator
-        if (isRoomCreator) {
-            const startButton = waitingRoom.querySelector('#start-race-btn');
-            if (startButton) {
-                console.log('[DEBUG] Adding start button click handler');
-                startButton.addEventListener('click', () => {
-                    console.log('[DEBUG] Start button clicked');
-                    
-                    // Disable the button to prevent multiple clicks
-                    startButton.disabled = true;
-                    startButton.style.opacity = '0.7';
-                    startButton.innerHTML = `<span style="font-size: 18px;">⏱️</span><span>Starting...</span>`;
-                    
-                    // Broadcast race start event
-                    if (this.multiplayer) {
-                        console.log('[DEBUG] Broadcasting race start...');
-                        this.multiplayer.broadcastStartRace();
-                    }
-                    
-                    // Start the race after a short delay to allow the event to propagate
-                    setTimeout(() => {
-                        this.startPrivateRace();
-                    }, 500);
-                });
-            } else {
-                console.error('[DEBUG] Start button not found in waiting room');
-            }
-        }
-
         // Listen for race start events
         if (this.multiplayer) {
             console.log('[DEBUG] Setting up multiplayer event listeners');
             
-            // Clear any existing 'startRace' listeners to avoid duplicate handling
-            if (this._startRaceListener) {
-                this.multiplayer.off('startRace', this._startRaceListener);
-            }
-            
-            // Create and store the handler for future removal
-            this._startRaceListener = () => {
-                console.log('[DEBUG] Start race event received from host');
-                this.startPrivateRace();
-            };
+            // The server runs the race; follow its ready check, countdown and results
+            this.setupRaceListeners();
             
             // Register event handlers
             this.multiplayer.on('playerJoined', () => {
@@ -3267,8 +3746,6 @@ export class RacingGame {
             this.multiplayer.on('playerLeft', () => {
                 this.updateWaitingRoomPlayers();
             });
-            
-            this.multiplayer.on('startRace', this._startRaceListener);
         } else {
             console.error('[DEBUG] Multiplayer not available for event setup');
         }
@@ -3284,53 +3761,8 @@ export class RacingGame {
 
         playersList.innerHTML = '';
         
-        // Get remote players from both the remotePlayers Map and the multiplayer peers Map
-        const players = [];
-        
-        // Add players from remotePlayers Map (cars that have been created)
-        if (this.remotePlayers && this.remotePlayers.size > 0) {
-            console.log('[DEBUG] Reading players from remotePlayers:', this.remotePlayers.size);
-            this.remotePlayers.forEach((player, peerId) => {
-                if (player && player.playerName) {
-                    players.push({
-                        id: peerId,
-                        name: player.playerName,
-                        isLocal: false,
-                        isHost: false // We'll determine host status later
-                    });
-                }
-            });
-        }
-        
-        // Add players from multiplayer peers Map (may include players without cars yet)
-        if (this.multiplayer && this.multiplayer.peers && this.multiplayer.peers.size > 0) {
-            console.log('[DEBUG] Reading players from multiplayer.peers:', this.multiplayer.peers.size);
-            this.multiplayer.peers.forEach((peer, peerId) => {
-                // Only add if not already in the list
-                if (!players.some(p => p.id === peerId)) {
-                    players.push({
-                        id: peerId,
-                        name: peer.name || `Player ${peerId.slice(0, 4)}`,
-                        isLocal: false,
-                        isHost: false
-                    });
-                }
-            });
-        }
-        
-        // Add local player (always first in the list)
-        if (this.playerName) {
-            const localPlayerId = this.multiplayer ? this.multiplayer.socket?.id : 'local';
-            const isHost = this.multiplayer && this.multiplayer.isRoomCreator;
-            
-            // Add at the beginning of the array
-            players.unshift({
-                id: localPlayerId,
-                name: this.playerName,
-                isLocal: true,
-                isHost: isHost
-            });
-        }
+        const players = this.getWaitingRoomPlayers();
+        const isHost = !!(this.multiplayer && this.multiplayer.isRoomCreator);
         
         console.log(`[DEBUG] Total players for display: ${players.length}`, players);
 
@@ -3351,27 +3783,49 @@ export class RacingGame {
                     border-radius: 4px;
                     display: flex;
                     align-items: center;
+                    gap: 8px;
                 `;
                 
-                // Player icon based on status
-                let icon = '👤';
-                if (player.isHost) {
-                    icon = '👑'; // Crown for host
-                }
+                // Crown for the host
+                const icon = document.createElement('span');
+                icon.textContent = player.isHost ? '👑' : '👤';
                 
-                // Player display with status
-                let playerDisplay = `<span style="margin-right: 8px;">${icon}</span>${player.name}`;
+                const name = document.createElement('span');
+                name.textContent = player.name;
+                name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+                
+                li.appendChild(icon);
+                li.appendChild(name);
                 
                 // Add status indicator
-                if (player.isLocal) {
-                    playerDisplay += ' <span style="margin-left: auto; font-size: 12px; color: #4CAF50;">(You)</span>';
-                } 
+                const status = document.createElement('span');
+                status.style.cssText = 'font-size: 12px;';
+                if (player.connected === false) {
+                    // The server holds their slot for a while after a dropped connection
+                    status.textContent = 'Reconnecting...';
+                    status.style.color = '#FF9800';
+                } else if (player.isHost) {
+                    status.textContent = player.isLocal ? '(You, Host)' : '(Host)';
+                    status.style.color = '#FFC107';
+                } else if (player.ready !== undefined) {
+                    status.textContent = player.ready ? '✓ Ready' : 'Not ready';
+                    status.style.color = player.ready ? '#4CAF50' : '#aaa';
+                }
+                if (player.isLocal && !player.isHost) {
+                    status.textContent += ' (You)';
+                }
+                li.appendChild(status);
                 
-                if (player.isHost && !player.isLocal) {
-                    playerDisplay += ' <span style="margin-left: auto; font-size: 12px; color: #FFC107;">(Host)</span>';
+                // The host can hand over the host role or remove other players
+                if (isHost && !player.isLocal && player.ready !== undefined) {
+                    li.appendChild(this.createWaitingRoomAction('👑', `Make ${player.name} the host`, () => {
+                        return this.multiplayer.transferHost(player.id);
+                    }));
+                    li.appendChild(this.createWaitingRoomAction('✖', `Remove ${player.name} from the room`, () => {
+                        return this.multiplayer.kickPlayer(player.id);
+                    }));
                 }
                 
-                li.innerHTML = playerDisplay;
                 playersList.appendChild(li);
             });
         }
@@ -3387,39 +3841,562 @@ export class RacingGame {
         countDisplay.className = 'player-count-display';
         countDisplay.style.cssText = 'text-align: right; font-size: 12px; color: #aaa; margin-top: 8px;';
         countDisplay.innerHTML = `${playerCount} ${playerCount === 1 ? 'player' : 'players'} in the room`;
+        const spectators = this.multiplayer ? this.multiplayer.roomSpectators : 0;
+        if (spectators > 0) {
+            countDisplay.innerHTML += ` · 👁 ${spectators} watching`;
+        }
         playersList.parentNode.appendChild(countDisplay);
         
-        // If we're the host, make sure start button is available and working
-        if (this.multiplayer && this.multiplayer.isRoomCreator) {
-            const startButton = document.getElementById('start-race-btn');
-            if (startButton) {
-                // Remove any existing event listeners and add a new one
-                const newStartButton = startButton.cloneNode(true);
-                startButton.parentNode.replaceChild(newStartButton, startButton);
-                
-                newStartButton.addEventListener('click', () => {
-                    console.log('[DEBUG] Start button clicked by host');
-                    if (this.multiplayer) {
-                        console.log('[DEBUG] Broadcasting race start by host...');
-                        this.multiplayer.broadcastStartRace();
-                    }
-                    this.startPrivateRace();
+        // The host may have changed since the waiting room was shown
+        this.updateWaitingRoomStart();
+        this.updateWaitingRoomOptions();
+        this.updateWaitingRoomChampionship();
+    }
+
+    /**
+     * Players to list in the waiting room, local player first
+     * The server's player list has ready flags and the host; until it arrives
+     * the list is pieced together from the cars and peers we know about
+     * @returns {Array<Object>} { id, name, isLocal, isHost, ready }
+     */
+    getWaitingRoomPlayers() {
+        const localPlayerId = this.multiplayer && this.multiplayer.socket ? this.multiplayer.socket.id : 'local';
+        const roomPlayers = this.multiplayer ? this.multiplayer.roomPlayers : [];
+        
+        if (roomPlayers && roomPlayers.length > 0) {
+            return roomPlayers
+                .map(player => ({
+                    id: player.id,
+                    name: player.name,
+                    isLocal: player.id === localPlayerId,
+                    isHost: player.id === this.multiplayer.roomHostId,
+                    ready: player.ready,
+                    connected: player.connected
+                }))
+                .sort((a, b) => b.isLocal - a.isLocal);
+        }
+        
+        const players = [];
+        
+        // Add players from remotePlayers Map (cars that have been created)
+        if (this.remotePlayers && this.remotePlayers.size > 0) {
+            this.remotePlayers.forEach((player, peerId) => {
+                if (player && player.playerName) {
+                    players.push({ id: peerId, name: player.playerName, isLocal: false, isHost: false });
+                }
+            });
+        }
+        
+        // Add players from multiplayer peers Map (may include players without cars yet)
+        if (this.multiplayer && this.multiplayer.peers && this.multiplayer.peers.size > 0) {
+            this.multiplayer.peers.forEach((peer, peerId) => {
+                // Only add if not already in the list
+                if (!players.some(p => p.id === peerId)) {
+                    players.push({
+                        id: peerId,
+                        name: peer.name || `Player ${peerId.slice(0, 4)}`,
+                        isLocal: false,
+                        isHost: false
+                    });
+                }
+            });
+        }
+        
+        // Add local player (always first in the list)
+        if (this.playerName) {
+            players.unshift({
+                id: localPlayerId,
+                name: this.playerName,
+                isLocal: true,
+                isHost: !!(this.multiplayer && this.multiplayer.isRoomCreator)
+            });
+        }
+        
+        return players;
+    }
+
+    /**
+     * Small host action button for a row of the waiting room's player list
+     * @param {string} label - Button text
+     * @param {string} title - Tooltip
+     * @param {Function} action - () => Promise, the request to the server
+     * @returns {HTMLButtonElement}
+     */
+    createWaitingRoomAction(label, title, action) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.title = title;
+        button.style.cssText = `
+            background-color: rgba(255, 255, 255, 0.15);
+            color: white;
+            border: none;
+            border-radius: 4px;
+            padding: 2px 6px;
+            cursor: pointer;
+        `;
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            action().catch(error => {
+                console.warn('[DEBUG] Host action refused:', error.message);
+                this.showNotification(error.message);
+                button.disabled = false;
+            });
+        });
+        return button;
+    }
+
+    // Show the room's race rules: a form for the host between races, read-only for everyone else
+    updateWaitingRoomOptions() {
+        const container = document.getElementById('waiting-room-options');
+        const options = this.multiplayer ? this.multiplayer.roomOptions : null;
+        if (!container || !options) return;
+        
+        const raceState = this.multiplayer.raceState;
+        const editable = this.multiplayer.isRoomCreator && (!raceState || raceState === 'lobby' || raceState === 'results');
+        
+        // Only redraw when something changed, so a control being used keeps its state
+        const view = `${editable}:${JSON.stringify(options)}`;
+        if (container.dataset.view === view) return;
+        container.dataset.view = view;
+        
+        const itemLabels = { speedBoost: 'Boost', banana: 'Banana', shell: 'Shell' };
+        const disabled = editable ? '' : 'disabled';
+        const trialDisabled = editable && !options.timeTrial ? '' : 'disabled';
+        const rowStyle = 'display: flex; justify-content: space-between; align-items: center; margin: 6px 0;';
+        const renderSelect = (id, values, selected, isDisabled) => `
+            <select id="${id}" ${isDisabled}>
+                ${values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('')}
+            </select>
+        `;
+        
+        container.innerHTML = `
+            <div id="room-options-form" style="
+                background-color: rgba(255, 255, 255, 0.05);
+                border-radius: 5px;
+                padding: 15px;
+                margin: 15px 0;
+                text-align: left;
+                font-size: 14px;
+            ">
+                <h3 style="margin-top: 0; margin-bottom: 10px;">Race Rules:</h3>
+                <label style="${rowStyle}">Laps
+                    <input id="room-option-laps" type="number" min="${MIN_LAPS}" max="${MAX_LAPS}" value="${options.laps}" ${disabled} style="width: 60px;">
+                </label>
+                <label style="${rowStyle}">Time trial (no items, AI or collisions)
+                    <input id="room-option-time-trial" type="checkbox" ${options.timeTrial ? 'checked' : ''} ${disabled}>
+                </label>
+                <div style="${rowStyle}">Items
+                    <span>
+                        ${ITEM_TYPES.map(type => `
+                            <label style="margin-left: 8px;">
+                                <input type="checkbox" class="room-option-item" value="${type}" ${options.itemTypes.includes(type) ? 'checked' : ''} ${trialDisabled}>
+                                ${itemLabels[type]}
+                            </label>
+                        `).join('')}
+                    </span>
+                </div>
+                <label style="${rowStyle}">Item spawn rate
+                    ${renderSelect('room-option-spawn-rate', Object.keys(ITEM_SPAWN_RATES), options.itemSpawnRate, trialDisabled)}
+                </label>
+                <label style="${rowStyle}">AI opponents
+                    <input id="room-option-ai-count" type="number" min="0" max="${MAX_AI_OPPONENTS}" value="${options.aiCount}" ${trialDisabled} style="width: 60px;">
+                </label>
+                <label style="${rowStyle}">AI difficulty
+                    ${renderSelect('room-option-ai-difficulty', AI_DIFFICULTIES, options.aiDifficulty, trialDisabled)}
+                </label>
+                <label style="${rowStyle}">Car collisions
+                    <input id="room-option-collisions" type="checkbox" ${options.collisions ? 'checked' : ''} ${trialDisabled}>
+                </label>
+            </div>
+        `;
+        
+        const form = container.querySelector('#room-options-form');
+        form.addEventListener('change', () => this.requestRoomOptions(form));
+    }
+
+    // Show the room's championship, or a form to start one to the host between races
+    updateWaitingRoomChampionship() {
+        const container = document.getElementById('waiting-room-championship');
+        if (!container || !this.multiplayer) return;
+        
+        const championship = this.multiplayer.championship;
+        const running = !!(championship && !championship.finished);
+        const raceState = this.multiplayer.raceState;
+        const isHost = this.multiplayer.isRoomCreator;
+        const betweenRaces = !raceState || raceState === 'lobby' || raceState === 'results';
+        
+        // Only redraw when something changed, so a control being used keeps its state
+        const view = `${isHost}:${betweenRaces}:${championship ? `${championship.id}:${championship.round}` : 'none'}`;
+        if (container.dataset.view === view) return;
+        container.dataset.view = view;
+        
+        const trackName = trackId => {
+            const track = (this.trackOptions || []).find(option => option.id === trackId);
+            return track ? track.name : trackId;
+        };
+        const boxStyle = `
+            background-color: rgba(255, 215, 0, 0.08);
+            border-radius: 5px;
+            padding: 15px;
+            margin: 15px 0;
+            text-align: left;
+            font-size: 14px;
+        `;
+        const buttonStyle = `
+            color: white;
+            border: none;
+            border-radius: 5px;
+            padding: 8px 14px;
+            cursor: pointer;
+            margin-top: 10px;
+        `;
+        
+        container.innerHTML = '';
+        if (running) {
+            container.innerHTML = `
+                <div style="${boxStyle}">
+                    <h3 id="championship-title" style="margin-top: 0; margin-bottom: 10px;"></h3>
+                    <div>Round ${championship.round + 1} of ${championship.totalRounds}: ${trackName(championship.nextTrackId)}</div>
+                    <div style="color: #aaa; margin-top: 4px;">${championship.trackIds.map(trackName).join(' → ')}</div>
+                    ${isHost && betweenRaces ? `<button id="championship-standings-btn" style="background-color: #757575; ${buttonStyle}">Standings</button>
+                    <button id="end-championship-btn" style="background-color: #cc3333; ${buttonStyle}">End Championship</button>` : ''}
+                </div>
+            `;
+            
+            container.querySelector('#championship-title').textContent = `🏆 ${championship.name}`;
+            
+            const endButton = container.querySelector('#end-championship-btn');
+            if (endButton) {
+                endButton.addEventListener('click', () => {
+                    endButton.disabled = true;
+                    this.multiplayer.endChampionship().catch(error => {
+                        console.warn('[DEBUG] Championship end refused:', error.message);
+                        this.showNotification(error.message);
+                        endButton.disabled = false;
+                    });
                 });
-                
-                console.log('[DEBUG] Start button configured for host');
             }
+            const standingsButton = container.querySelector('#championship-standings-btn');
+            if (standingsButton) {
+                standingsButton.addEventListener('click', () => this.showChampionshipStandings());
+            }
+            return;
         }
+        
+        if (!isHost || !betweenRaces) return;
+        
+        const tracks = this.trackOptions || [];
+        container.innerHTML = `
+            <div id="championship-form" style="${boxStyle}">
+                <h3 style="margin-top: 0; margin-bottom: 10px;">🏆 Championship:</h3>
+                <input id="championship-name" type="text" placeholder="Championship name" style="width: 100%; box-sizing: border-box; margin-bottom: 8px;">
+                <div style="color: #aaa; margin-bottom: 6px;">One round per track, in this order (10/8/6/5/4/3/2/1 points):</div>
+                ${tracks.map(track => `
+                    <label style="display: block; margin: 4px 0;">
+                        <input type="checkbox" class="championship-track" value="${track.id}" checked>
+                        ${track.emoji} ${track.name}
+                    </label>
+                `).join('')}
+                <button id="start-championship-btn" style="background-color: #DAA520; ${buttonStyle}">Start Championship</button>
+            </div>
+        `;
+        
+        const startButton = container.querySelector('#start-championship-btn');
+        startButton.addEventListener('click', () => {
+            const trackIds = Array.from(container.querySelectorAll('.championship-track:checked')).map(input => input.value);
+            const name = container.querySelector('#championship-name').value.trim() || undefined;
+            
+            startButton.disabled = true;
+            this.multiplayer.startChampionship({ trackIds, name }).catch(error => {
+                console.warn('[DEBUG] Championship start refused:', error.message);
+                this.showNotification(error.message);
+                startButton.disabled = false;
+            });
+        });
+    }
+    
+    /**
+     * Show the room championship's points table
+     * @param {Object} update - { championship, nextRoundAt, serverTime } from the server
+     */
+    showChampionshipStandings(update = null) {
+        const championship = update ? update.championship : this.multiplayer && this.multiplayer.championship;
+        if (!this.championshipUI) {
+            this.championshipUI = new ChampionshipUI(this);
+        }
+        this.championshipUI.update(championship, update && update.nextRoundAt, update && update.serverTime);
+    }
+
+    // Host changed a rule: the server validates it and sends the new rules to everyone
+    requestRoomOptions(form) {
+        if (!this.multiplayer) return;
+        
+        const options = {
+            laps: Number(form.querySelector('#room-option-laps').value),
+            timeTrial: form.querySelector('#room-option-time-trial').checked,
+            itemTypes: Array.from(form.querySelectorAll('.room-option-item:checked')).map(input => input.value),
+            itemSpawnRate: form.querySelector('#room-option-spawn-rate').value,
+            aiCount: Number(form.querySelector('#room-option-ai-count').value),
+            aiDifficulty: form.querySelector('#room-option-ai-difficulty').value,
+            collisions: form.querySelector('#room-option-collisions').checked
+        };
+        
+        this.multiplayer.updateRoomOptions(options)
+            .catch(error => {
+                console.warn('[DEBUG] Room rules change rejected:', error.message);
+                this.showNotification(error.message);
+            })
+            .then(() => {
+                // Show the rules the server settled on (out of range values are clamped)
+                const container = document.getElementById('waiting-room-options');
+                if (container) {
+                    delete container.dataset.view;
+                }
+                this.updateWaitingRoomOptions();
+            });
     }
 
-    // Start the race in a private room
-    startPrivateRace() {
+    // Show the start button to the host and a ready toggle to everyone else
+    updateWaitingRoomStart() {
+        const container = document.getElementById('waiting-room-start');
+        if (!container) return;
+        
+        const isHost = !!(this.multiplayer && this.multiplayer.isRoomCreator);
+        const raceState = this.multiplayer ? this.multiplayer.raceState : null;
+        const roomPlayers = this.multiplayer ? this.multiplayer.roomPlayers : [];
+        const localId = this.multiplayer && this.multiplayer.socket ? this.multiplayer.socket.id : null;
+        const localPlayer = roomPlayers.find(player => player.id === localId);
+        const isReady = !!(localPlayer && localPlayer.ready);
+        const hostId = this.multiplayer ? this.multiplayer.roomHostId : null;
+        
+        // The host can start once everyone else is ready
+        const allReady = roomPlayers
+            .filter(player => player.id !== hostId)
+            .every(player => player.ready);
+        
+        // Only redraw when something changed, so a pressed button keeps its state
+        const view = `${isHost}:${raceState}:${isReady}:${allReady}`;
+        if (container.dataset.view === view) return;
+        container.dataset.view = view;
+        
+        const buttonStyle = `
+            color: white;
+            border: none;
+            border-radius: 5px;
+            padding: 12px 20px;
+            font-size: 16px;
+            cursor: pointer;
+            margin-top: 10px;
+            width: 100%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+        `;
+        
+        container.innerHTML = '';
+        let message = 'Waiting for host to start the race...';
+        if (raceState === 'ready-check' || raceState === 'countdown') {
+            message = 'Race starting...';
+        } else if (raceState === 'racing' || raceState === 'finished') {
+            message = 'Race in progress - you will join the next one';
+        } else if (isHost) {
+            container.innerHTML = `
+                <button id="start-race-btn" style="
+                    background-color: #4CAF50;
+                    ${buttonStyle}
+                ">
+                    <span style="font-size: 18px;">🏁</span>
+                    <span>${allReady ? 'Start Race' : 'Waiting for everyone to be ready...'}</span>
+                </button>
+            `;
+            
+            const startButton = container.querySelector('#start-race-btn');
+            if (!allReady) {
+                startButton.disabled = true;
+                startButton.style.opacity = '0.5';
+                startButton.style.cursor = 'default';
+            }
+            startButton.addEventListener('click', () => this.requestRaceStart(startButton));
+            return;
+        } else {
+            container.innerHTML = `
+                <button id="ready-btn" style="
+                    background-color: ${isReady ? '#757575' : '#4CAF50'};
+                    ${buttonStyle}
+                ">
+                    <span style="font-size: 18px;">${isReady ? '✋' : '✓'}</span>
+                    <span>${isReady ? 'Not Ready' : 'Ready'}</span>
+                </button>
+            `;
+            
+            const readyButton = container.querySelector('#ready-btn');
+            readyButton.addEventListener('click', () => {
+                readyButton.disabled = true;
+                this.multiplayer.setReady(!isReady).catch(error => {
+                    console.warn('[DEBUG] Ready change refused:', error.message);
+                    this.showNotification(error.message);
+                    readyButton.disabled = false;
+                });
+            });
+        }
+        
+        const status = document.createElement('p');
+        status.style.cssText = `
+            color: #aaa;
+            background-color: rgba(255, 255, 255, 0.05);
+            padding: 10px;
+            border-radius: 5px;
+            margin-top: 15px;
+        `;
+        status.textContent = message;
+        container.appendChild(status);
+    }
+
+    // Host pressed start: the server checks everyone is ready and counts down
+    requestRaceStart(startButton) {
+        console.log('[DEBUG] Start button clicked by host');
+        if (!this.multiplayer) return;
+        
+        // Disable the button to prevent multiple clicks
+        const originalContent = startButton.innerHTML;
+        startButton.disabled = true;
+        startButton.style.opacity = '0.7';
+        startButton.innerHTML = `<span style="font-size: 18px;">⏱️</span><span>Starting...</span>`;
+        
+        this.multiplayer.broadcastStartRace().catch(error => {
+            console.error('[DEBUG] Race start refused:', error);
+            this.showNotification(error.message);
+            
+            startButton.disabled = false;
+            startButton.style.opacity = '1';
+            startButton.innerHTML = originalContent;
+        });
+    }
+
+    // Follow the race the server runs for the room (registered once)
+    setupRaceListeners() {
+        if (!this.multiplayer || this._raceListenersRegistered) return;
+        this._raceListenersRegistered = true;
+        
+        this.multiplayer.on('raceState', () => {
+            this.updateWaitingRoomStart();
+            this.updateWaitingRoomOptions();
+        });
+        
+        this.multiplayer.on('roomOptions', () => {
+            this.updateWaitingRoomOptions();
+        });
+        
+        // Ready flags or the host changed
+        this.multiplayer.on('roomPlayers', () => {
+            this.updateWaitingRoomPlayers();
+        });
+        
+        this.multiplayer.on('kicked', () => {
+            this.leaveKickedRoom();
+        });
+        
+        this.multiplayer.on('raceReadyCheck', async (data) => {
+            if (!data.participants.includes(this.multiplayer.socket.id)) return;
+            
+            // Only confirm once the room's track is loaded
+            while (!this.preloadComplete || this.isChangingTrack) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+            this.multiplayer.sendRaceReady();
+        });
+        
+        this.multiplayer.on('raceCountdown', (data) => {
+            if (this.isSpectating) {
+                this.showNotification(`Race starting with ${data.participants.length} racers! 🏁`);
+                return;
+            }
+            if (!data.participants.includes(this.multiplayer.socket.id)) {
+                this.showNotification('Race in progress - you will join the next one');
+                return;
+            }
+            this.startPrivateRace(data);
+        });
+        
+        this.multiplayer.on('racePlayerFinished', (data) => {
+            if (data.id === this.multiplayer.socket.id) {
+                const positionLabel = document.getElementById('race-complete-position');
+                if (positionLabel) {
+                    positionLabel.textContent = `You finished P${data.position}`;
+                }
+                return;
+            }
+            this.showNotification(`${data.name} finished P${data.position} (${data.time.toFixed(2)}s)`);
+        });
+        
+        this.multiplayer.on('raceStandings', (data) => {
+            if (!this.standingsUI) {
+                this.standingsUI = new StandingsUI(this);
+            }
+            this.standingsUI.update(data.standings);
+        });
+        
+        this.multiplayer.on('raceResults', (data) => {
+            if (this.standingsUI) {
+                this.standingsUI.hide();
+            }
+            this.showRaceResultsUI(data.results, data.timeTrial);
+        });
+        
+        // The cumulative points table is shown between the rounds of a championship
+        this.multiplayer.on('championshipUpdate', (data) => {
+            const championship = data.championship;
+            if (!championship) {
+                this.showNotification('The championship has ended');
+                if (this.championshipUI) {
+                    this.championshipUI.hide();
+                }
+            } else if (championship.round === 0) {
+                this.showNotification(`🏆 ${championship.name} started: ${championship.totalRounds} rounds`);
+            } else if (data.nextRoundAt || championship.finished) {
+                this.showChampionshipStandings(data);
+            }
+            this.updateWaitingRoomChampionship();
+        });
+    }
+
+    // The host removed us from the room: leave it and start over from the menu
+    leaveKickedRoom() {
+        const waitingRoom = document.getElementById('waiting-room');
+        if (waitingRoom) {
+            waitingRoom.remove();
+        }
+        this.showNotification('The host removed you from the room');
+        
+        this.multiplayer.disconnect().finally(() => {
+            // Drop the room link so the page doesn't join the same room again
+            setTimeout(() => {
+                window.location.href = window.location.origin;
+            }, 2000);
+        });
+    }
+
+    /**
+     * Start the race in a private room
+     * @param {Object} race - Countdown from the server ({ startTime, serverTime, totalLaps })
+     */
+    startPrivateRace(race = null) {
         console.log('[DEBUG] Starting private race');
         
-        // Remove waiting room UI
+        // Remove waiting room UI and the last race's results
         const waitingRoom = document.getElementById('waiting-room');
         if (waitingRoom) {
             waitingRoom.remove();
         }
+        const raceCompleteUI = document.getElementById('race-complete');
+        if (raceCompleteUI) {
+            raceCompleteUI.style.display = 'none';
+        }
+        
+        this.serverRace = race;
+        this.lastRaceProgress = null;
+        this.raceProgressPending = false;
         
         // Make sure all cars are ready
         if (this.car) {
@@ -3431,11 +4408,23 @@ export class RacingGame {
         
         // Reset game state
         this.isRaceStarted = false;
-        this.lapStartTime = performance.now();
+        this.raceFinished = false;
+        this.totalLaps = race ? race.totalLaps : this.totalLaps;
+        this.lapStartTime = simulationClock.now();
+        this.lastLapCompleteTime = 0;
         this.currentLap = 0;
         this.lastCheckpointPassed = -1;
+        this.hasPassedFinishLine = false;
         this.lapTimes = [];
         
+        // The circular track keeps its own lap count
+        if (this.track instanceof Track) {
+            this.track.totalLaps = this.totalLaps;
+            this.track.currentLap = 0;
+            this.track.lapTimes = [];
+            this.track.resetCheckpoints();
+        }
+        
         // Update UI to show 0 laps
         this.updateLapCounter();
         
@@ -3447,30 +4436,21 @@ export class RacingGame {
         });
         console.log('[DEBUG] Players in race:', playersList);
         
-        // Start countdown with forced parameter set to true
-        setTimeout(() => {
-            this.startRaceCountdown(true);
-        }, 500); // Small delay to ensure UI is updated
+        // Count down to the server's start time, converted to our clock
+        const startAt = race
+            ? performance.now() + (race.startTime - race.serverTime)
+            : performance.now() + 3000;
+        this.startRaceCountdown(startAt);
     }
 
-    // Modified startRaceCountdown to handle private rooms properly
-    startRaceCountdown(forceCountdown = false) {
-        console.log('[DEBUG] Starting race countdown, force:', forceCountdown);
-        
-        // If not in a private room and not forced, start race immediately
-        const isPrivateRoom = this.multiplayer && this.multiplayer.roomId && this.multiplayer.roomId.startsWith('private-');
-        
-        if (!forceCountdown && !isPrivateRoom) {
-            console.log('[DEBUG] Not a private room, starting race immediately');
-            this.isRaceStarted = true;
-            if (this.car) {
-                this.car.enableControls();
-            }
-            this.lapStartTime = performance.now();
-            return;
-        }
+    /**
+     * Count down to the start of a private room race
+     * Everyone in the room counts to the same start time, however late they got the countdown
+     * @param {number} startAt - performance.now() time of the start
+     */
+    startRaceCountdown(startAt = performance.now() + 3000) {
+        console.log(`[DEBUG] Starting race countdown, start in ${Math.round(startAt - performance.now())}ms`);
 
-        // Only continue with countdown for private rooms
         if (this.countdownActive) {
             console.log('[DEBUG] Countdown already active, ignoring');
             return;
@@ -3503,16 +4483,13 @@ export class RacingGame {
         document.body.appendChild(overlay);
 
         // Start countdown sequence
-        let count = 3;
-        overlay.textContent = count.toString();
-        
-        const countInterval = setInterval(() => {
-            count--;
+        const updateCountdown = () => {
+            const remaining = startAt - performance.now();
             
-            if (count > 0) {
+            if (remaining > 0) {
                 // Still counting down
-                overlay.textContent = count.toString();
-            } else if (count === 0) {
+                overlay.textContent = Math.ceil(remaining / 1000).toString();
+            } else if (!this.isRaceStarted) {
                 // GO!
                 overlay.textContent = 'GO!';
                 overlay.style.color = '#00ff00';
@@ -3522,9 +4499,14 @@ export class RacingGame {
                     this.car.enableControls();
                 }
 
+                // Time the race from the shared start, not from when we saw GO
+                // (remaining is zero or less: the start was that long ago)
                 this.isRaceStarted = true;
-                this.lapStartTime = performance.now();
-            } else {
+                this.lapStartTime = simulationClock.now() + remaining;
+                if (this.track) {
+                    this.track.lapStartTime = this.lapStartTime;
+                }
+            } else if (remaining < -1000) {
                 // Cleanup
                 clearInterval(countInterval);
                 
@@ -3534,6 +4516,9 @@ export class RacingGame {
                 
                 this.countdownActive = false;
             }
-        }, 1000);
+        };
+        
+        const countInterval = setInterval(updateCountdown, 100);
+        updateCountdown();
     }
 } 
\ No newline at end of file
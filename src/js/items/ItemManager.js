@@ -2,9 +2,12 @@ import * as THREE from 'three';
 import { SpeedBoost } from './SpeedBoost.js';
 import { BananaItem } from './BananaItem.js';
 import { ShellItem } from './ShellItem.js';
+import { HIT_EFFECTS, THROWN_ITEMS } from 'racingcart-shared/constants/ItemEffects.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { simulationClock } from '../utils/SimulationClock.js';
 
 export class ItemManager {
-    constructor(scene, track, multiplayer = null) {
+    constructor(scene, track, multiplayer = null, random = new SeededRandom()) {
         console.log('[ITEMS] Constructing ItemManager');
         if (!scene) {
             console.error('[ITEMS] No scene provided to ItemManager!');
@@ -13,7 +16,9 @@ export class ItemManager {
         this.scene = scene;
         this.track = track;
         this.multiplayer = multiplayer;
+        this.random = random; // The race's random numbers: which items respawn where
         this.items = new Map(); // Map of itemId -> item instance
+        this.pendingRespawns = []; // Single player: [{ item, at }] collected items to bring back at race time `at`
         this.localCar = null; // Store reference to local car
         this.thrownShells = []; // Initialize array for thrown shells
         
@@ -25,6 +30,10 @@ export class ItemManager {
     }
 
     setupNetworkHandlers() {
+        // Called again after reconnecting; only the new socket needs handlers
+        if (this.networkSocket === this.multiplayer.socket) return;
+        this.networkSocket = this.multiplayer.socket;
+
         console.log('[ITEMS] Setting up network handlers');
         
         // Handle new items spawned by server
@@ -45,46 +54,24 @@ export class ItemManager {
         // Handle item collection by other players
         this.multiplayer.socket.on('item-collected', ({ itemId, collectedBy }) => {
             console.log('[ITEMS] Item collected by another player:', { itemId, collectedBy });
-            this.removeItem(itemId);
+            this.removeItem(this.items.get(itemId));
         });
 
-        // Handle banana collisions from other players
-        this.multiplayer.socket.on('banana-collision', (data) => {
-            console.log('[ITEMS] Received banana collision event:', data);
-            const { bananaPosition } = data;
-            
-            // Find and remove the banana that was hit
-            if (this.bananas) {
-                for (let i = this.bananas.length - 1; i >= 0; i--) {
-                    const banana = this.bananas[i];
-                    const pos = banana.position;
-                    
-                    // Compare positions (with some tolerance for floating point differences)
-                    if (Math.abs(pos.x - bananaPosition[0]) < 0.1 && 
-                        Math.abs(pos.z - bananaPosition[2]) < 0.1) {
-                        
-                        // Remove the banana
-                        if (banana.mesh) {
-                            this.scene.remove(banana.mesh);
-                            banana.mesh.traverse((child) => {
-                                if (child.isMesh) {
-                                    if (child.geometry) child.geometry.dispose();
-                                    if (child.material) {
-                                        if (Array.isArray(child.material)) {
-                                            child.material.forEach(material => material.dispose());
-                                        } else {
-                                            child.material.dispose();
-                                        }
-                                    }
-                                }
-                            });
-                        }
-                        this.bananas.splice(i, 1);
-                        console.log('[ITEMS] Removed collided banana');
-                        break;
-                    }
-                }
-            }
+        // The server throws every banana and shell, moves them and decides what they hit
+        this.multiplayer.socket.on('projectile-spawned', (projectile) => {
+            this.spawnProjectile(projectile);
+        });
+
+        this.multiplayer.socket.on('projectiles-update', ({ projectiles }) => {
+            this.updateProjectiles(projectiles);
+        });
+
+        this.multiplayer.socket.on('projectile-removed', ({ projectileId }) => {
+            this.removeProjectile(projectileId);
+        });
+
+        this.multiplayer.socket.on('item-hit', (hit) => {
+            this.handleItemHit(hit);
         });
     }
 
@@ -145,7 +132,11 @@ export class ItemManager {
             item.update(deltaTime);
         });
 
-        if (this.localCar) {
+        if (this.multiplayer) {
+            // Shells coast between the server's updates; hits come from the server
+            this.updateShells(deltaTime);
+        } else if (this.localCar) {
+            this.updateLocalItems();
             this.checkBananaCollisions(this.localCar);
             // Use the original methods
             this.updateShells(deltaTime);
@@ -153,12 +144,34 @@ export class ItemManager {
         }
     }
 
+    // Single player: bring collected items back and clear away bananas and shells whose time is up
+    updateLocalItems() {
+        const now = simulationClock.now();
+        
+        this.pendingRespawns = this.pendingRespawns.filter(({ item, at }) => {
+            if (now < at) return true;
+            this.respawnItem(item);
+            return false;
+        });
+        
+        for (const list of [this.bananas, this.shells]) {
+            if (!list) continue;
+            for (let i = list.length - 1; i >= 0; i--) {
+                if (list[i].expiresAt && now >= list[i].expiresAt) {
+                    const [projectile] = list.splice(i, 1);
+                    projectile.active = false;
+                    this.disposeProjectile(projectile);
+                }
+            }
+        }
+    }
+
     updateItem(itemId, deltaTime) {
         const item = this.items.get(itemId);
         if (!item || !item.mesh) return;
 
         // Hover animation
-        const time = performance.now() * 0.001;
+        const time = simulationClock.now() * 0.001;
         const hoverHeight = 0.2;
         const hoverSpeed = 2;
         
@@ -180,7 +193,7 @@ export class ItemManager {
             return;
         }
 
-        const carPosition = car.mesh.position;
+        const carPosition = car.position;
         const collisionDistance = 2;
 
         this.items.forEach((item, id) => {
@@ -190,39 +203,23 @@ export class ItemManager {
             const distance = carPosition.distanceTo(itemPosition);
 
             if (distance < collisionDistance) {
+                // In multiplayer the server decides who gets the item (and respawns it)
+                if (this.multiplayer && this.multiplayer.socket) {
+                    this.requestItem(car, item);
+                    return;
+                }
+
                 console.log('[ITEMS] Car collected item:', {
                     type: item.type,
                     id: item.id,
                     position: itemPosition
                 });
 
-                // Set the item type on the car before applying effects
-                car.currentItem = item.type;
-                car.itemManager = this;  // Pass the ItemManager reference
-                
-                // Apply immediate effects for speed boost without showing the inventory icon
-                if (item.type === 'speedBoost') {
-                    // Skip pickupItem() call to avoid showing inventory icon
-                    car.activateSpeedBoost();
-                    car.currentItem = null;  // Clear immediately used items
-                } else {
-                    // For other items like bananas, show the indicator
-                    car.pickupItem();
-                }
+                this.giveItem(car, item.type);
 
-                // Save position for respawn
-                const oldPosition = item.mesh ? item.mesh.position.clone() : null;
+                // In single player, respawn it elsewhere shortly after
                 const oldItem = {...item};
-                
-                // Notify server about collection
-                if (this.multiplayer && this.multiplayer.socket) {
-                    console.log('[ITEMS] Notifying server about item collection:', item.id);
-                    this.multiplayer.socket.emit('item-collected', { itemId: item.id });
-                    // In multiplayer, server handles respawning
-                } else {
-                    // In single player, handle respawn immediately
-                    setTimeout(() => this.respawnItem(oldItem), 200);
-                }
+                this.pendingRespawns.push({ item: oldItem, at: simulationClock.now() + 200 });
 
                 // Remove the item locally
                 this.removeItem(item);
@@ -230,6 +227,40 @@ export class ItemManager {
         });
     }
 
+    // Ask the server for an item; it stays on the track until the server answers
+    requestItem(car, item) {
+        if (item.pending) return;
+        item.pending = true;
+
+        this.multiplayer.collectItem(item.id)
+            .then(({ item: collected }) => {
+                console.log('[ITEMS] Server gave us item:', collected);
+                this.removeItem(item);
+                this.giveItem(car, collected.type);
+            })
+            .catch(error => {
+                // Someone got there first (their pickup removes it) or the server doesn't see us near it yet
+                console.log(`[ITEMS] Pickup of ${item.id} refused: ${error.message}`);
+                item.pending = false;
+            });
+    }
+
+    giveItem(car, type) {
+        // Set the item type on the car before applying effects
+        car.currentItem = type;
+        car.itemManager = this;  // Pass the ItemManager reference
+        
+        // Apply immediate effects for speed boost without showing the inventory icon
+        if (type === 'speedBoost') {
+            // Skip pickupItem() call to avoid showing inventory icon
+            car.activateSpeedBoost();
+            car.currentItem = null;  // Clear immediately used items
+        } else {
+            // For other items like bananas, show the indicator
+            car.pickupItem();
+        }
+    }
+
     // Flash the item indicator to provide feedback when trying to collect with full inventory
     flashItemIndicator(car) {
         if (car.isRemote || !car.currentItem) return;
@@ -312,18 +343,11 @@ export class ItemManager {
     }
 
     // Check if a position is too close to any existing item
+    // The server places items on its copy of the track, so positions are world coordinates
     isPositionOverlapping(serverPosition) {
-        // Convert server position to client position
-        const SERVER_TRACK_RADIUS = 20;
-        const scaleFactor = this.track ? (this.track.trackRadius / SERVER_TRACK_RADIUS) : 5;
-        
-        const clientPosition = new THREE.Vector3(
-            serverPosition.x * scaleFactor,
-            serverPosition.y,
-            serverPosition.z * scaleFactor
-        );
+        const clientPosition = new THREE.Vector3(serverPosition.x, serverPosition.y, serverPosition.z);
         
-        const MIN_DISTANCE = 3; // Minimum distance between items (adjusted for client scale)
+        const MIN_DISTANCE = 3; // Minimum distance between items
         
         // Check against all existing items
         for (const item of this.items.values()) {
@@ -384,8 +408,8 @@ export class ItemManager {
         return mesh;
     }
 
-    // Create a thrown banana from another player
-    createThrownBanana(position, rotation, velocity) {
+    // Create a banana the server threw (multiplayer)
+    createThrownBanana(position, rotation, velocity, id = null) {
         // Create banana peel model
         const bananaGroup = new THREE.Group();
         
@@ -435,6 +459,7 @@ export class ItemManager {
         
         // Track the banana
         const banana = {
+            id,
             mesh: bananaGroup,
             position: bananaGroup.position.clone(),
             velocity: velocity.clone()
@@ -456,25 +481,14 @@ export class ItemManager {
             }
         }, 30000);
         
-        return bananaGroup;
+        return banana;
     }
 
     createItemMesh(type, serverPosition) {
-        // Scale factor to convert server coordinates to client coordinates
-        const SERVER_TRACK_RADIUS = 20;
-        const scaleFactor = this.track ? (this.track.trackRadius / SERVER_TRACK_RADIUS) : 5;
-        
         // Convert position to Vector3 if it isn't already
-        let position;
-        if (serverPosition instanceof THREE.Vector3) {
-            position = serverPosition.clone().multiplyScalar(scaleFactor);
-        } else {
-            position = new THREE.Vector3(
-                serverPosition.x * scaleFactor,
-                serverPosition.y,
-                serverPosition.z * scaleFactor
-            );
-        }
+        const position = serverPosition instanceof THREE.Vector3
+            ? serverPosition.clone()
+            : new THREE.Vector3(serverPosition.x, serverPosition.y, serverPosition.z);
 
         // Debug sphere to show exact position
         const debugGeometry = new THREE.SphereGeometry(0.2);
@@ -581,6 +595,13 @@ export class ItemManager {
     throwBanana(car) {
         if (!car || !car.mesh) return;
         
+        // In multiplayer the server throws it; it comes back as projectile-spawned
+        if (this.multiplayer) {
+            this.multiplayer.useItem(car.direction)
+                .catch(error => console.warn('[ITEMS] Banana throw refused:', error.message));
+            return;
+        }
+        
         console.log('[ITEMS] Throwing banana');
 
         // Create banana peel model
@@ -633,30 +654,9 @@ export class ItemManager {
         if (!this.bananas) this.bananas = [];
         this.bananas.push({
             mesh: bananaGroup,
-            position: bananaGroup.position.clone()
+            position: bananaGroup.position.clone(),
+            expiresAt: simulationClock.now() + THROWN_ITEMS.banana.lifetime // See updateLocalItems
         });
-
-        // Broadcast the throw if in multiplayer
-        if (this.multiplayer) {
-            console.log('[ITEMS] Broadcasting banana throw');
-            const throwVelocity = car.direction.clone().negate().multiplyScalar(10);
-            this.multiplayer.broadcastThrownBanana(
-                bananaGroup.position,
-                bananaGroup.rotation.y,
-                throwVelocity
-            );
-        }
-        
-        // Remove banana after 30 seconds
-        setTimeout(() => {
-            const index = this.bananas.findIndex(b => b.mesh === bananaGroup);
-            if (index !== -1) {
-                this.scene.remove(bananaGroup);
-                this.bananas.splice(index, 1);
-                bananaBody.geometry.dispose();
-                bananaBody.material.dispose();
-            }
-        }, 30000);
     }
 
     checkBananaCollisions(car) {
@@ -674,14 +674,6 @@ export class ItemManager {
                 // Collision detected
                 this.handleBananaCollision(car);
 
-                // Notify other players about the collision
-                if (this.multiplayer && this.multiplayer.socket) {
-                    this.multiplayer.socket.emit('banana-collision', {
-                        bananaPosition: bananaPosition.toArray(),
-                        collidedBy: this.multiplayer.socket.id
-                    });
-                }
-
                 // Clean up the banana properly
                 if (banana.mesh) {
                     // Dispose of geometries and materials
@@ -708,21 +700,20 @@ export class ItemManager {
     }
 
     handleBananaCollision(car) {
-        // Don't create a new animation loop with requestAnimationFrame
-        // Instead, store the spin data and let the car's update handle it
-        
-        // Set up spin properties on the car
-        car.spinStartTime = performance.now();
-        car.spinDuration = 1000; // 1 second
-        car.spinStartRotation = car.rotation;
-        car.spinAmount = Math.PI * 2; // Full 360-degree spin
-        car.isSpinning = true;
+        this.applyHitEffect(car, HIT_EFFECTS.banana);
+    }
+
+    /**
+     * Spin a car out after a hit
+     * @param {Object} car - The car that was hit
+     * @param {Object} effect - { spinDuration, spinAmount, speedFactor } (see ItemEffects)
+     */
+    applyHitEffect(car, effect) {
+        // The car's own update plays the spin out
+        car.spinOut(effect.spinDuration, effect.spinAmount);
         
         // Reduce speed
-        car.speed *= 0.3;
-        
-        // The car's update method will need to handle the spinning
-        // We'll add code to car.js to handle this
+        car.speed *= effect.speedFactor;
     }
 
     setLocalCar(car) {
@@ -733,6 +724,13 @@ export class ItemManager {
     throwShell(car) {
         if (!car || !car.mesh) return;
         
+        // In multiplayer the server throws it; it comes back as projectile-spawned
+        if (this.multiplayer) {
+            this.multiplayer.useItem(car.direction)
+                .catch(error => console.warn('[ITEMS] Shell throw refused:', error.message));
+            return;
+        }
+        
         console.log('[ITEMS] Throwing shell from car:', car.id || 'player car');
 
         // Create shell object
@@ -790,22 +788,12 @@ export class ItemManager {
             mesh: shellGroup,
             position: shellGroup.position.clone(),
             velocity: velocity,
-            startTime: performance.now(),
+            expiresAt: simulationClock.now() + THROWN_ITEMS.shell.lifetime, // See updateLocalItems
             active: true,
             targetHit: false,
             thrower: car // Store reference to the car that threw it
         });
         
-        // Broadcast the throw if in multiplayer
-        if (this.multiplayer) {
-            console.log('[ITEMS] Broadcasting shell throw');
-            this.multiplayer.broadcastThrownShell(
-                shellGroup.position,
-                shellGroup.rotation.y,
-                velocity
-            );
-        }
-        
         // Create a target finding effect - red glowing trail
         const trailInterval = setInterval(() => {
             const shell = this.shells.find(s => s.mesh === shellGroup);
@@ -833,30 +821,6 @@ export class ItemManager {
                 trail.material.dispose();
             }, 250); // Adjusted from 200ms to 250ms for better visuals at the new speed
         }, 40); // Adjusted from 35ms to 40ms for trail particles at the new speed
-        
-        // Remove shell after 10 seconds if it hasn't hit anything
-        setTimeout(() => {
-            const index = this.shells.findIndex(s => s.mesh === shellGroup);
-            if (index !== -1) {
-                const shell = this.shells[index];
-                if (shell.active && !shell.targetHit) {
-                    this.scene.remove(shellGroup);
-                    shellGroup.traverse((child) => {
-                        if (child.isMesh) {
-                            if (child.geometry) child.geometry.dispose();
-                            if (child.material) {
-                                if (Array.isArray(child.material)) {
-                                    child.material.forEach(material => material.dispose());
-                                } else {
-                                    child.material.dispose();
-                                }
-                            }
-                        }
-                    });
-                    this.shells.splice(index, 1);
-                }
-            }
-        }, 10000);
     }
 
     updateShells(deltaTime) {
@@ -874,8 +838,10 @@ export class ItemManager {
             shell.mesh.rotation.x += deltaTime * 5;
             shell.mesh.rotation.y += deltaTime * 3;
             
-            // Auto-target the nearest car in front
-            this.findTargetForShell(shell, deltaTime);
+            // Auto-target the nearest car in front (in multiplayer the server steers it)
+            if (!this.multiplayer) {
+                this.findTargetForShell(shell, deltaTime);
+            }
         }
     }
 
@@ -1034,31 +1000,6 @@ export class ItemManager {
                         }
                     }
                     
-                    // Broadcast collision to other players
-                    if (this.multiplayer && this.multiplayer.socket) {
-                        console.log('[ITEMS] Broadcasting shell collision');
-                        
-                        // Get the hit car's ID (if it's a remote car)
-                        let hitCarId = null;
-                        if (car.isRemote && car.carInstanceId) {
-                            hitCarId = car.carInstanceId;
-                        }
-                        
-                        // Get the thrower's ID (if available)
-                        let throwerId = null;
-                        if (shell.thrower && shell.thrower.carInstanceId) {
-                            throwerId = shell.thrower.carInstanceId;
-                        }
-                        
-                        // Broadcast the collision
-                        this.multiplayer.broadcastShellCollision({
-                            position: shell.position.toArray(),
-                            hitCarId: hitCarId, 
-                            throwerId: throwerId,
-                            timestamp: Date.now()
-                        });
-                    }
-                    
                     // Remove the shell after hit
                     this.scene.remove(shell.mesh);
                     shell.mesh.traverse((child) => {
@@ -1082,14 +1023,7 @@ export class ItemManager {
 
     handleShellCollision(car, shell) {
         // Make the car spin out more dramatically than a banana collision
-        car.spinStartTime = performance.now();
-        car.spinDuration = 2000; // 2 seconds
-        car.spinStartRotation = car.rotation;
-        car.spinAmount = Math.PI * 4; // Two full 360-degree spins
-        car.isSpinning = true;
-        
-        // Significantly reduce speed
-        car.speed *= 0.2;
+        this.applyHitEffect(car, HIT_EFFECTS.shell);
     }
 
     createExplosion(position) {
@@ -1215,7 +1149,7 @@ export class ItemManager {
     }
 
     /**
-     * Create a shell thrown by another player from network data
+     * Create a shell the server threw from network data
      * @param {THREE.Vector3} position - The initial position of the shell
      * @param {number} rotation - The initial rotation of the shell
      * @param {THREE.Vector3} velocity - The initial velocity of the shell
@@ -1223,7 +1157,7 @@ export class ItemManager {
      * @returns {Object} The created shell object
      */
     createThrownShell(position, rotation, velocity, thrower = null) {
-        console.log('[ITEMS] Creating shell from remote player at position:', position.toArray());
+        console.log('[ITEMS] Creating thrown shell at position:', position.toArray());
         
         // Create shell object
         const shellGroup = new THREE.Group();
@@ -1267,7 +1201,6 @@ export class ItemManager {
         
         // Set position and rotation from network data
         shellGroup.position.copy(position);
-        shellGroup.position.y = 1.5; // Ensure consistent height
         shellGroup.rotation.y = rotation;
         
         // Add to scene and track
@@ -1339,6 +1272,89 @@ export class ItemManager {
         return shell;
     }
 
+    /**
+     * Show a banana or shell the server threw
+     * @param {Object} projectile - { id, type, throwerId, position, velocity, rotation } from projectile-spawned
+     */
+    spawnProjectile({ id, type, throwerId, position, velocity, rotation }) {
+        const start = new THREE.Vector3(position.x, position.y, position.z);
+        const speed = new THREE.Vector3(velocity.x, velocity.y, velocity.z);
+
+        if (type === 'banana') {
+            this.createThrownBanana(start, rotation, speed, id);
+        } else if (type === 'shell') {
+            const thrower = this.multiplayer.game ? this.multiplayer.game.remotePlayers.get(throwerId) : null;
+            const shell = this.createThrownShell(start, rotation, speed, thrower || this.localCar);
+            shell.id = id;
+        }
+    }
+
+    /**
+     * Move shells to where the server has them
+     * @param {Array<Object>} projectiles - [{ id, position, velocity }] from projectiles-update
+     */
+    updateProjectiles(projectiles) {
+        projectiles.forEach(({ id, position, velocity }) => {
+            const shell = (this.shells || []).find(shell => shell.id === id);
+            if (!shell) return;
+
+            shell.position.set(position.x, position.y, position.z);
+            shell.velocity.set(velocity.x, velocity.y, velocity.z);
+        });
+    }
+
+    /**
+     * Take a thrown banana or shell off the track
+     * @param {string} id - Projectile ID from the server
+     * @returns {Object|null} The removed banana or shell
+     */
+    removeProjectile(id) {
+        for (const list of [this.bananas, this.shells]) {
+            const index = list ? list.findIndex(projectile => projectile.id === id) : -1;
+            if (index === -1) continue;
+
+            const [projectile] = list.splice(index, 1);
+            projectile.active = false;
+            this.disposeProjectile(projectile);
+            return projectile;
+        }
+        return null;
+    }
+
+    // Take a banana or shell's model out of the scene
+    disposeProjectile(projectile) {
+        this.scene.remove(projectile.mesh);
+        projectile.mesh.traverse((child) => {
+            if (child.isMesh) {
+                if (child.geometry) child.geometry.dispose();
+                if (child.material) child.material.dispose();
+            }
+        });
+    }
+
+    /**
+     * A banana or shell hit a car, as decided by the server
+     * @param {Object} hit - { projectileId, type, targetId, position, effect } from item-hit
+     */
+    handleItemHit({ projectileId, type, targetId, position, effect }) {
+        console.log('[ITEMS] Item hit:', { type, targetId });
+        this.removeProjectile(projectileId);
+
+        const isLocalCar = targetId === this.multiplayer.socket.id;
+        const car = isLocalCar
+            ? this.localCar
+            : (this.multiplayer.game ? this.multiplayer.game.remotePlayers.get(targetId) : null);
+        if (car) {
+            this.applyHitEffect(car, effect);
+        }
+
+        if (type === 'shell') {
+            this.createExplosion(new THREE.Vector3(position.x, position.y, position.z));
+            // Full shake for a direct hit, a mild one for someone else's
+            this.applyScreenShake(isLocalCar ? 1.0 : 0.3);
+        }
+    }
+
     // Add a method to respawn an item immediately at a different location
     respawnItem(oldItem) {
         // Only handle respawn in single-player mode
@@ -1375,7 +1391,7 @@ export class ItemManager {
     
     // Helper method to get a random item type
     getRandomItemType() {
-        const randomValue = Math.random();
+        const randomValue = this.random.next();
         if (randomValue < 0.4) {
             return 'speedBoost';
         } else if (randomValue < 0.8) {
@@ -1389,12 +1405,23 @@ export class ItemManager {
     getNewItemPosition(avoidPosition) {
         if (!this.track) return null;
         
+        // Data-driven tracks respawn items at their listed spawn points
+        if (this.track.itemSpawnPoints && this.track.itemSpawnPoints.length > 0) {
+            const candidates = this.track.itemSpawnPoints
+                .map(spawn => spawn.position)
+                .filter(position => !avoidPosition || position.distanceTo(avoidPosition) >= 10)
+                .filter(position => this.isPositionValid(position));
+            if (candidates.length > 0) {
+                return this.random.pick(candidates).clone();
+            }
+        }
+        
         const trackRadius = this.track.trackRadius;
         
         // Try 10 times to find a valid position
         for (let attempt = 0; attempt < 10; attempt++) {
             // Generate a random angle
-            const angle = Math.random() * Math.PI * 2;
+            const angle = this.random.range(0, Math.PI * 2);
             
             // Generate random radius with preference for different lanes
             // Inner lane, middle lane, outer lane
@@ -1403,7 +1430,7 @@ export class ItemManager {
                 trackRadius,     // Middle lane
                 trackRadius + 2  // Outer lane
             ];
-            const radius = laneOptions[Math.floor(Math.random() * laneOptions.length)];
+            const radius = this.random.pick(laneOptions);
             
             // Calculate position
             const position = new THREE.Vector3(
@@ -1425,9 +1452,9 @@ export class ItemManager {
         
         // If all attempts failed, return a fallback position
         return new THREE.Vector3(
-            (Math.random() - 0.5) * trackRadius * 0.8,
+            this.random.range(-0.4, 0.4) * trackRadius,
             1,
-            (Math.random() - 0.5) * trackRadius * 0.8
+            this.random.range(-0.4, 0.4) * trackRadius
         );
     }
     
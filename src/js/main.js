@@ -1,5 +1,6 @@
 import { RacingGame } from './game';
 import { UserCounter } from './userCounter';
+import { TrackEditor } from './editor/TrackEditor.js';
 
 // Global debug flag - can be controlled via URL parameter or localStorage
 const DEBUG = {
@@ -114,6 +115,13 @@ DEBUG.init();
 // Initialize the game when the DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
     try {
+        // ?editor (or ?editor=<trackId>) opens the track editor instead of the game
+        const editorTrackId = new URLSearchParams(window.location.search).get('editor');
+        if (editorTrackId !== null) {
+            await new TrackEditor().init(editorTrackId || undefined);
+            return;
+        }
+        
         // Initialize user counter - hidden by default in debug mode
         const userCounter = new UserCounter({
             position: 'top-right',
@@ -142,7 +150,8 @@ document.addEventListener('DOMContentLoaded', async () => {
                     `Ctrl+D: Toggle debug mode\n` +
                     `Ctrl+U: Toggle user counter\n` +
                     `Ctrl+Shift+R: Reset statistics\n` +
-                    `Click counter: Toggle detailed view`,
+                    `Click counter: Toggle detailed view\n` +
+                    `?editor in the URL: Open the track editor`,
                     5000
                 );
             }, 1000);
@@ -1,6 +1,14 @@
 import * as THREE from 'three';
 import { io } from 'socket.io-client';
-import { BinarySerializer } from '../utils/BinarySerializer.js';
+import { PROTOCOL_VERSION, MESSAGE_TYPES, encodeMessage, decodeMessage } from 'racingcart-shared/utils/NetworkProtocol.js';
+import { serverClock } from '../utils/ServerClock.js';
+import { DEFAULT_RENDER_DELAY } from '../entities/car/components/CarNetwork.js';
+import { NetworkSimulator } from './NetworkSimulator.js';
+
+const CLOCK_SYNC_ROUNDS = 5;       // Round trips to the server's clock when connecting
+const CLOCK_SYNC_INTERVAL = 10000; // ms between later single round trips
+const CLOCK_SYNC_TIMEOUT = 5000;   // ms to wait for an answer
+const RACE_PROGRESS_TIMEOUT = 5000; // ms to wait for the server to take a progress report
 
 export class MultiplayerManager {
     constructor(game) {
@@ -18,13 +26,37 @@ export class MultiplayerManager {
         this.ownId = null;
         this.cachedState = null;
         this.isRoomCreator = false;
+        this.roomTrackId = null; // Track the room races on (set by the server)
+        this.roomOptions = null; // Race rules of the room (set by the host, see RoomOptions)
+        this.roomPlayers = []; // Players in the room with their ready flags (sent by the server)
+        this.roomSpectators = 0; // Number of spectators watching the room (sent by the server)
+        this.roomHostId = null; // Socket ID of the room's host (picked by the server)
+        this.raceState = null; // Race lifecycle state of the room (set by the server)
+        this.championship = null; // Championship running in the room, with its standings (set by the server)
+        this.reconnectToken = null; // Reclaims our slot in the room after a dropped connection (set by the server)
+        this.isSpectator = false; // Watching the room without a car
         this.eventHandlers = new Map();
+        this.updateSequence = 0; // Number of our last car update (wraps at 65536)
+        this.clockSyncTimer = null;
+        
+        // How much of the other cars' updates to keep in hand (see CarNetwork); ?renderdelay=<ms> to try another
+        const renderDelay = Number(new URLSearchParams(window.location.search).get('renderdelay'));
+        this.renderDelay = renderDelay > 0 ? renderDelay : DEFAULT_RENDER_DELAY;
+        
+        // A slow connection played locally, when asked for with ?netsim= (see NetworkSimulator)
+        this.networkSimulator = NetworkSimulator.fromUrl();
         
         // Initialize these as empty Maps to avoid undefined errors when clearing
         this.dataChannels = new Map();
         this.webrtcConnections = new Map();
     }
 
+    getServerUrl() {
+        return window.SERVER_URL || (window.location.hostname === 'localhost' 
+            ? `http://${window.location.hostname}:1337`   // Development
+            : 'https://api.example.com');
+    }
+
     /**
      * Set up the socket connection to the server
      * @returns {Promise} A promise that resolves when the connection is established
@@ -34,9 +66,7 @@ export class MultiplayerManager {
         
         return new Promise((resolve, reject) => {
             // Connect to server
-            const serverUrl = window.SERVER_URL || (window.location.hostname === 'localhost' 
-                ? `http://${window.location.hostname}:1337`   // Development
-                : 'https://api.example.com');   
+            const serverUrl = this.getServerUrl();
                 
             // Initialize socket with explicit configuration
             this.socket = io(serverUrl, {
@@ -48,6 +78,8 @@ export class MultiplayerManager {
                 timeout: 10000,
                 autoConnect: true,
                 forceNew: true,
+                // The server turns away clients that speak another protocol version
+                auth: { protocolVersion: PROTOCOL_VERSION },
                 // Add query parameters to identify private room connections
                 query: {
                     isPrivate: this.roomId && this.roomId.startsWith('private-'),
@@ -64,11 +96,20 @@ export class MultiplayerManager {
             this.socket.on('connect', () => {
                 console.log('[MULTIPLAYER] Socket connected successfully with ID:', this.socket.id);
                 clearTimeout(connectionTimeout);
+                this.startClockSync();
                 resolve();
             });
             
             this.socket.on('connect_error', (error) => {
                 console.error('[MULTIPLAYER] Socket connection error:', error);
+                
+                // Retrying won't help an out of date client
+                if (error.data && error.data.code === 'PROTOCOL_MISMATCH') {
+                    clearTimeout(connectionTimeout);
+                    this.socket.disconnect();
+                    reject(error);
+                    return;
+                }
                 // Let the timeout handle the rejection
             });
             
@@ -111,9 +152,10 @@ export class MultiplayerManager {
      * Join a multiplayer room
      * @param {string} roomId - The ID of the room to join
      * @param {string} playerName - The player's name
+     * @param {string} reconnectToken - Token of a slot we held in this room before, if any
      * @returns {Promise} A promise that resolves when the room is joined
      */
-    async joinRoom(roomId, playerName) {
+    async joinRoom(roomId, playerName, reconnectToken = null) {
         console.log(`[MULTIPLAYER] Joining room ${roomId} as ${playerName}`);
         
         // Join room
@@ -158,9 +200,14 @@ export class MultiplayerManager {
                 }
                 
                 // Now emit join-room for game logic with our name
+                // The track only matters if this join creates the room
                 this.socket.emit('join-room', { 
                     roomId, 
                     playerName,
+                    trackId: this.game && this.game.track ? this.game.track.id : undefined,
+                    carType: this.getCarType(),
+                    reconnectToken,
+                    role: this.isSpectator ? 'spectator' : 'player',
                     socketId: this.socket.id,
                     timestamp: Date.now()
                 });
@@ -184,7 +231,7 @@ export class MultiplayerManager {
                                     console.log(`[MULTIPLAYER] Skipping adding self as peer: ${peer.id}`);
                                 } else {
                                     console.log(`[MULTIPLAYER] Adding existing peer: ${peer.id} (${peer.name || 'Unknown'})`);
-                                    this.addPeer(peer.id, peer.name || `Player ${peer.id.substring(0, 5)}`);
+                                    this.addPeer(peer.id, peer.name || `Player ${peer.id.substring(0, 5)}`, peer.carType);
                                 }
                             } else {
                                 console.warn(`[MULTIPLAYER] Received invalid peer data:`, peer);
@@ -249,138 +296,6 @@ export class MultiplayerManager {
                 }
             });
 
-            // Handle banana thrown by other players
-            this.socket.on('banana-thrown', (data) => {
-                const { position, rotation, velocity, throwerId } = data;
-                
-                // Skip if we're the thrower
-                if (throwerId === this.socket.id) {
-                    return;
-                }
-                
-                console.log('[MULTIPLAYER] Received banana thrown by another player:', {
-                    throwerId,
-                    position,
-                    rotation
-                });
-
-                // Create the banana in our game
-                if (this.game.itemManager) {
-                    // We need to find the thrower car instance if possible
-                    let throwerCar = null;
-                    if (this.game.remotePlayers && this.game.remotePlayers.has(throwerId)) {
-                        throwerCar = this.game.remotePlayers.get(throwerId);
-                    }
-                    
-                    // Use the ItemManager's method to create and track the banana
-                    if (typeof this.game.itemManager.createThrownBanana === 'function') {
-                        this.game.itemManager.createThrownBanana(
-                            new THREE.Vector3(position[0], position[1], position[2]),
-                            rotation,
-                            new THREE.Vector3(velocity[0], velocity[1], velocity[2]),
-                            throwerCar
-                        );
-                    } else {
-                        console.warn('[MULTIPLAYER] ItemManager does not have createThrownBanana method');
-                    }
-                }
-            });
-            
-            // Handle shell thrown by other players
-            this.socket.on('shell-thrown', (data) => {
-                const { position, rotation, velocity, throwerId } = data;
-                
-                // Skip if we're the thrower
-                if (throwerId === this.socket.id) {
-                    return;
-                }
-                
-                console.log('[MULTIPLAYER] Received shell thrown by another player:', {
-                    throwerId,
-                    position,
-                    rotation
-                });
-
-                // Create the shell in our game
-                if (this.game.itemManager) {
-                    // We need to find the thrower car instance if possible
-                    let throwerCar = null;
-                    if (this.game.remotePlayers && this.game.remotePlayers.has(throwerId)) {
-                        throwerCar = this.game.remotePlayers.get(throwerId);
-                    }
-                    
-                    // Use the ItemManager's method to create and track the shell
-                    if (typeof this.game.itemManager.createThrownShell === 'function') {
-                        this.game.itemManager.createThrownShell(
-                            new THREE.Vector3(position[0], position[1], position[2]),
-                            rotation,
-                            new THREE.Vector3(velocity[0], velocity[1], velocity[2]),
-                            throwerCar
-                        );
-                    } else {
-                        console.warn('[MULTIPLAYER] ItemManager does not have createThrownShell method');
-                    }
-                }
-            });
-            
-            // Handle shell collision events from other players
-            this.socket.on('shell-collision', (data) => {
-                const { position, hitCarId, throwerId, timestamp } = data;
-                
-                console.log('[MULTIPLAYER] Received shell collision event:', {
-                    hitCarId,
-                    throwerId,
-                    position
-                });
-                
-                // Skip if we're the thrower (we already handled this locally)
-                if (throwerId === this.socket.id) {
-                    return;
-                }
-                
-                // Apply collision effects if we're the one being hit
-                if (hitCarId === this.socket.id && this.game.car) {
-                    console.log('[MULTIPLAYER] Our car was hit by a shell!');
-                    
-                    // Apply spin effect to our car
-                    if (this.game.itemManager) {
-                        this.game.itemManager.handleShellCollision(this.game.car, {
-                            position: new THREE.Vector3(position[0], position[1], position[2])
-                        });
-                        
-                        // Create explosion effect
-                        this.game.itemManager.createExplosion(
-                            new THREE.Vector3(position[0], position[1], position[2])
-                        );
-                        
-                        // Apply screen shake
-                        this.game.itemManager.applyScreenShake(1.0); // Full intensity for direct hit
-                    }
-                } else {
-                    // If we're not the one being hit, just show visual effects
-                    if (this.game.itemManager) {
-                        console.log('[MULTIPLAYER] Creating remote shell collision effect');
-                        // Create explosion at the collision point
-                        this.game.itemManager.createExplosion(
-                            new THREE.Vector3(position[0], position[1], position[2])
-                        );
-                        
-                        // Apply mild screen shake for nearby explosions
-                        this.game.itemManager.applyScreenShake(0.3); // Reduced intensity for distant hit
-                        
-                        // If we know which car was hit, apply spin effect to it
-                        if (hitCarId && this.game.remotePlayers && this.game.remotePlayers.has(hitCarId)) {
-                            const hitCar = this.game.remotePlayers.get(hitCarId);
-                            if (hitCar) {
-                                this.game.itemManager.handleShellCollision(hitCar, {
-                                    position: new THREE.Vector3(position[0], position[1], position[2])
-                                });
-                            }
-                        }
-                    }
-                }
-            });
-
             // Handle new items spawned
             this.socket.on('item-spawned', (itemData) => {
                 if (this.game.itemManager && !this.game.itemManager.items.has(itemData.id)) {
@@ -430,10 +345,10 @@ export class MultiplayerManager {
         }
 
         // Handle peer updates (position, rotation, etc.)
-        this.socket.on('peer-update', (data) => {
+        this.socket.on('peer-update', this.throughNetworkSimulator((data) => {
             // Support different property naming formats
             const peerId = data.peerId || data.id;
-            const { position, rotation, timestamp } = data;
+            const { position, rotation, timestamp, sequence } = data;
             
             // Validate peer ID
             if (!peerId) {
@@ -441,6 +356,11 @@ export class MultiplayerManager {
                 return;
             }
             
+            // Drop updates sent from another track (e.g. while the room track is changing)
+            if (!this.isOnLocalTrack(data)) {
+                return;
+            }
+            
             // Ensure we have this peer
             if (!this.peers.has(peerId)) {
                 console.warn(`[MULTIPLAYER] Received update for unknown peer ${peerId}, waiting for peer-joined event`);
@@ -464,16 +384,16 @@ export class MultiplayerManager {
                 try {
                     if (!this.game.remotePlayers.has(peerId)) {
                         // Remote player doesn't exist yet, create it first
-                        const playerName = this.peers.get(peerId).name;
-                        this.addPeer(peerId, playerName).then(() => {
+                        const { name: playerName, carType } = this.peers.get(peerId);
+                        this.addPeer(peerId, playerName, carType).then(() => {
                             // After creation, update with the position and rotation
                             if (positionObj) {
-                                this.game.updateRemotePlayer(peerId, positionObj, rotation);
+                                this.game.updateRemotePlayer(peerId, positionObj, rotation, timestamp, sequence);
                             }
                         });
                     } else {
                         // Player exists, just update position and rotation
-                        this.game.updateRemotePlayer(peerId, positionObj, rotation);
+                        this.game.updateRemotePlayer(peerId, positionObj, rotation, timestamp, sequence);
                     }
                 } catch (error) {
                     console.error(`[MULTIPLAYER] Error updating remote player ${peerId}:`, error);
@@ -485,10 +405,10 @@ export class MultiplayerManager {
             // Update last update time
             const peer = this.peers.get(peerId);
             peer.lastUpdate = timestamp || Date.now();
-        });
+        }, true));
         
         // Handle binary serialized peer updates (performance optimized)
-        this.socket.on('peer-update-binary', (binaryData) => {
+        this.socket.on('peer-update-binary', this.throughNetworkSimulator((binaryData) => {
             try {
                 // Skip processing if binaryData is null or undefined
                 if (!binaryData) {
@@ -496,12 +416,13 @@ export class MultiplayerManager {
                     return;
                 }
                 
-                // Deserialize the binary data
-                const data = BinarySerializer.deserialize(binaryData);
+                const data = decodeMessage(binaryData);
+                if (data.type !== MESSAGE_TYPES.PEER_UPDATE) {
+                    console.warn(`[MULTIPLAYER] Unexpected message type ${data.type} in peer update, ignoring`);
+                    return;
+                }
                 
-                // Support different property naming formats
-                const peerId = data.peerId || data.id;
-                const { position, rotation, timestamp } = data;
+                const { peerId, position, rotation, timestamp, sequence } = data;
                 
                 // Validate peer ID
                 if (!peerId) {
@@ -509,6 +430,11 @@ export class MultiplayerManager {
                     return;
                 }
                 
+                // Drop updates sent from another track (e.g. while the room track is changing)
+                if (!this.isOnLocalTrack(data)) {
+                    return;
+                }
+                
                 // Ensure we have this peer
                 if (!this.peers.has(peerId)) {
                     console.warn(`[MULTIPLAYER] Received binary update for unknown peer ${peerId}, waiting for peer-joined event`);
@@ -532,16 +458,16 @@ export class MultiplayerManager {
                     try {
                         if (!this.game.remotePlayers.has(peerId)) {
                             // Remote player doesn't exist yet, create it first
-                            const playerName = this.peers.get(peerId).name;
-                            this.addPeer(peerId, playerName).then(() => {
+                            const { name: playerName, carType } = this.peers.get(peerId);
+                            this.addPeer(peerId, playerName, carType).then(() => {
                                 // After creation, update with the position and rotation
                                 if (positionObj) {
-                                    this.game.updateRemotePlayer(peerId, positionObj, rotation);
+                                    this.game.updateRemotePlayer(peerId, positionObj, rotation, timestamp, sequence);
                                 }
                             });
                         } else {
                             // Player exists, just update position and rotation
-                            this.game.updateRemotePlayer(peerId, positionObj, rotation);
+                            this.game.updateRemotePlayer(peerId, positionObj, rotation, timestamp, sequence);
                         }
                     } catch (error) {
                         console.error(`[MULTIPLAYER] Error updating remote player ${peerId} from binary data:`, error);
@@ -554,41 +480,96 @@ export class MultiplayerManager {
             } catch (error) {
                 console.error('[MULTIPLAYER] Error processing binary peer update:', error);
             }
-        });
+        }, true));
 
         // Manually broadcast a player-joined event when we detect a new peer
+        // Players arrive as { peerId, playerName }, AI opponents as { id, name }
         this.socket.on('peer-joined', (data) => {
-            if (data && data.id && data.name) {
-                console.log(`[MULTIPLAYER] Peer joined: ${data.name} (${data.id})`);
+            const id = data && (data.peerId || data.id);
+            const name = data && (data.playerName || data.name);
+            if (id && name) {
+                console.log(`[MULTIPLAYER] Peer joined: ${name} (${id})`);
                 
                 // Add the peer to our local peers map
-                if (!this.peers.has(data.id)) {
-                    this.peers.set(data.id, {
-                        id: data.id,
-                        name: data.name,
+                if (!this.peers.has(id)) {
+                    this.peers.set(id, {
+                        id,
+                        name,
+                        carType: data.carType,
                         lastUpdate: Date.now()
                     });
                 }
                 
                 // Broadcast player joined event to our own game
-                this.emit('playerJoined', {
-                    id: data.id,
-                    name: data.name
-                });
+                this.emit('playerJoined', { id, name });
+            }
+        });
+        
+        // A peer switched cars: show the new model and drive it with its spec
+        this.socket.on('peer-car-changed', (data) => {
+            if (!data || !data.peerId) return;
+            
+            const peer = this.peers.get(data.peerId);
+            if (peer) {
+                peer.carType = data.carType;
+            }
+            if (this.game && this.game.remotePlayers.has(data.peerId)) {
+                this.game.remotePlayers.get(data.peerId).setCarType(data.carType);
             }
         });
 
         // When we join a room, broadcast our presence to other players
         this.socket.on('room-joined', (data) => {
-            // Broadcast our player info to all peers in the room
-            setTimeout(() => {
-                console.log('[MULTIPLAYER] Broadcasting our presence to room');
-                this.socket.emit('announce-player', {
-                    roomId: this.roomId,
-                    id: this.socket.id,
-                    name: this.playerName
+            // Our socket ID changes every time the connection is re-established
+            this.ownId = this.socket.id;
+            
+            if (data && data.reconnectToken) {
+                this.reconnectToken = data.reconnectToken;
+                this.emit('roomJoined', {
+                    roomId: data.roomId,
+                    playerName: data.playerName,
+                    reconnectToken: data.reconnectToken,
+                    reconnected: !!data.reconnected
                 });
-            }, 1000);
+            }
+            
+            // Race on the room's track, whatever we had loaded before
+            if (data && data.trackId) {
+                this.syncRoomTrack(data.trackId);
+            }
+            
+            // The server picks the host: the first player in, then the longest-connected
+            if (data && data.hostId) {
+                this.roomHostId = data.hostId;
+                this.isRoomCreator = data.hostId === this.socket.id;
+            }
+            
+            if (data && data.options) {
+                this.roomOptions = data.options;
+                this.emit('roomOptions', data.options);
+            }
+            
+            if (data && data.race) {
+                this.raceState = data.race.state;
+                this.emit('raceState', data.race);
+            }
+            
+            if (data && data.championship) {
+                this.championship = data.championship;
+                this.emit('championshipUpdate', { championship: data.championship, nextRoundAt: null });
+            }
+            
+            // Broadcast our player info to all peers in the room (spectators stay unseen)
+            if (!this.isSpectator) {
+                setTimeout(() => {
+                    console.log('[MULTIPLAYER] Broadcasting our presence to room');
+                    this.socket.emit('announce-player', {
+                        roomId: this.roomId,
+                        id: this.socket.id,
+                        name: this.playerName
+                    });
+                }, 1000);
+            }
             
             // Process existing peers from the room-joined data
             if (data && data.peers && Array.isArray(data.peers)) {
@@ -598,6 +579,7 @@ export class MultiplayerManager {
                         this.peers.set(peer.id, {
                             id: peer.id,
                             name: peer.name || `Player ${peer.id.slice(0, 4)}`,
+                            carType: peer.carType,
                             lastUpdate: Date.now()
                         });
                         
@@ -633,6 +615,49 @@ export class MultiplayerManager {
             }
         });
 
+        // The host changed the room's track
+        this.socket.on('track-changed', (data) => {
+            if (data && data.trackId) {
+                console.log(`[MULTIPLAYER] Room track changed to ${data.trackId}`);
+                this.syncRoomTrack(data.trackId);
+            }
+        });
+
+        // Player list, ready flags and host of a private room
+        this.socket.on('room-players', (data) => {
+            if (!data || !Array.isArray(data.players)) return;
+            
+            this.roomPlayers = data.players;
+            this.roomSpectators = data.spectators || 0;
+            this.roomHostId = data.hostId;
+            this.isRoomCreator = data.hostId === this.socket.id;
+            this.emit('roomPlayers', data);
+        });
+
+        // The host removed us from the room
+        this.socket.on('kicked', (data) => {
+            console.log('[MULTIPLAYER] Removed from room by the host:', data);
+            this.emit('kicked', data);
+        });
+
+        // A championship started, scored a round, moved on or ended
+        this.socket.on('championship-update', (data) => {
+            if (!data) return;
+            
+            console.log('[MULTIPLAYER] Championship update:', data.championship);
+            this.championship = data.championship;
+            this.emit('championshipUpdate', data);
+        });
+
+        // The host changed the room's race rules
+        this.socket.on('room-options', (data) => {
+            if (data && data.options) {
+                console.log('[MULTIPLAYER] Room rules changed:', data.options);
+                this.roomOptions = data.options;
+                this.emit('roomOptions', data.options);
+            }
+        });
+
         // Handle peer leaving
         this.socket.on('peer-left', (data) => {
             console.log('[MULTIPLAYER] Peer left:', data);
@@ -652,6 +677,26 @@ export class MultiplayerManager {
             }
         });
 
+        // A peer's connection dropped mid-race; the server holds their slot for a while
+        this.socket.on('player-disconnected', (data) => {
+            if (!data || !data.peerId) return;
+            console.log(`[MULTIPLAYER] Peer ${data.peerId} lost connection, slot held for ${data.gracePeriod / 1000}s`);
+            if (this.game && this.game.showNotification) {
+                this.game.showNotification(`${data.playerName || 'A player'} lost connection`, 3000);
+            }
+        });
+
+        // A peer came back after a dropped connection with a new socket ID
+        this.socket.on('player-reconnected', (data) => {
+            if (data && data.previousId && data.peerId) {
+                console.log(`[MULTIPLAYER] Peer ${data.previousId} reconnected as ${data.peerId}`);
+                this.replacePeer(data.previousId, data.peerId, data.playerName);
+                if (this.game && this.game.showNotification) {
+                    this.game.showNotification(`${data.playerName || 'A player'} reconnected`, 2000);
+                }
+            }
+        });
+
         // Handle disconnection
         this.socket.on('disconnect', () => {
             console.log('[MULTIPLAYER] Disconnected from server');
@@ -666,8 +711,8 @@ export class MultiplayerManager {
             this.cacheGameState();
         });
 
-        // Handle reconnection
-        this.socket.on('reconnect', () => {
+        // Handle reconnection (emitted by the Socket.IO manager, not the socket)
+        this.socket.io.on('reconnect', () => {
             console.log('[MULTIPLAYER] Reconnected to server');
             
             // Show reconnection message
@@ -675,14 +720,19 @@ export class MultiplayerManager {
                 this.game.showNotification('Reconnected successfully!', 2000);
             }
             
-            // Rejoin the room with any cached data
+            // Rejoin the room, taking back our slot if the server still holds it
             if (this.roomId && this.playerName) {
-                this.socket.emit('join-room', {
-                    roomId: this.roomId,
-                    playerName: this.playerName,
-                    // Include player position for smoother reconnection
-                    position: this.getCachedPosition(),
-                    rotation: this.getCachedRotation()
+                this.socket.emit('join', this.roomId, () => {
+                    this.socket.emit('join-room', {
+                        roomId: this.roomId,
+                        playerName: this.playerName,
+                        carType: this.getCarType(),
+                        reconnectToken: this.reconnectToken,
+                        role: this.isSpectator ? 'spectator' : 'player',
+                        // Include player position for smoother reconnection
+                        position: this.getCachedPosition(),
+                        rotation: this.getCachedRotation()
+                    });
                 });
             }
             
@@ -721,16 +771,51 @@ export class MultiplayerManager {
         });
 
         // Handle room creation response
+        // Our place in the matchmaking queue while we wait for a public race
+        this.socket.on('matchmaking-status', (data) => {
+            this.emit('matchmakingStatus', data);
+        });
+
+        this.socket.on('match-found', (data) => {
+            console.log(`[MULTIPLAYER] Matched to room ${data.roomId}`);
+            this.emit('matchmakingStatus', { state: 'matched', ...data });
+        });
+
         this.socket.on('room-created', (data) => {
             console.log('[MULTIPLAYER] Room created:', data);
             this.isRoomCreator = true;
             this.roomId = data.roomId;
         });
 
-        // Handle race start
-        this.socket.on('start-race', () => {
-            console.log('[MULTIPLAYER] Race start received');
-            this.emit('startRace');
+        // Race lifecycle, run by the server for the whole room
+        this.socket.on('race-state', (data) => {
+            console.log(`[MULTIPLAYER] Race is now ${data.state}`);
+            this.raceState = data.state;
+            this.emit('raceState', data);
+        });
+
+        this.socket.on('race-ready-check', (data) => {
+            console.log('[MULTIPLAYER] Race ready check received');
+            this.emit('raceReadyCheck', data);
+        });
+
+        this.socket.on('race-countdown', (data) => {
+            console.log(`[MULTIPLAYER] Race starts in ${data.startTime - data.serverTime}ms`);
+            this.emit('raceCountdown', data);
+        });
+
+        this.socket.on('race-standings', (data) => {
+            this.emit('raceStandings', data);
+        });
+
+        this.socket.on('race-player-finished', (data) => {
+            console.log(`[MULTIPLAYER] ${data.name} finished in position ${data.position}`);
+            this.emit('racePlayerFinished', data);
+        });
+
+        this.socket.on('race-results', (data) => {
+            console.log('[MULTIPLAYER] Race results received:', data.results);
+            this.emit('raceResults', data);
         });
 
         // Handle player joined
@@ -746,7 +831,184 @@ export class MultiplayerManager {
         });
     }
 
-    async addPeer(peerId, playerName) {
+    /**
+     * Load the room's track if it isn't the one we're on
+     * @param {string} trackId - The room's track ID
+     */
+    syncRoomTrack(trackId) {
+        this.roomTrackId = trackId;
+        if (!this.game || typeof this.game.loadRoomTrack !== 'function') return;
+        
+        this.game.loadRoomTrack(trackId).catch(error => {
+            console.error(`[MULTIPLAYER] Failed to load room track ${trackId}:`, error);
+        });
+    }
+
+    /**
+     * Check that a peer update was sent from the track we're racing on
+     * (updates without a trackId come from older clients and are accepted)
+     * @param {Object} data - Deserialized peer update
+     * @returns {boolean}
+     */
+    isOnLocalTrack(data) {
+        if (!data.trackId || !this.game || !this.game.track) return true;
+        return data.trackId === this.game.track.id;
+    }
+
+    /**
+     * Ask the server to change the room's track (host only)
+     * The change itself arrives as a track-changed event for everyone in the room
+     * @param {string} trackId - Track to race on
+     * @returns {Promise} Rejects with the server's reason if the change is refused
+     */
+    requestTrackChange(trackId) {
+        return this.sendRequest('change-track', { trackId });
+    }
+
+    /**
+     * Ask the server to change the room's race rules (host only)
+     * The new rules arrive as a room-options event for everyone in the room
+     * @param {Object} options - Rules to change (see RoomOptions)
+     * @returns {Promise} Rejects with the server's reason if the change is refused
+     */
+    updateRoomOptions(options) {
+        return this.sendRequest('update-room-options', { options });
+    }
+
+    /**
+     * Tell the room which car we drive, so opponents see and bump into the right one
+     * Others get it as a peer-car-changed event; a refusal is only logged
+     * @param {string} carType - A key of CAR_SPECS
+     * @returns {Promise}
+     */
+    setCarType(carType) {
+        return this.sendRequest('set-car-type', { carType }).catch(error => {
+            console.warn('[MULTIPLAYER] Could not report our car type:', error.message);
+        });
+    }
+
+    // Car type the local player drives (undefined before the game has a car)
+    getCarType() {
+        return this.game && this.game.car ? this.game.car.carType : undefined;
+    }
+
+    /**
+     * Tell the room whether we're ready for the next race
+     * @param {boolean} ready
+     * @returns {Promise} Rejects with the server's reason if refused
+     */
+    setReady(ready) {
+        return this.sendRequest('set-ready', { ready });
+    }
+
+    /**
+     * Remove a player from the room (host only)
+     * @param {string} playerId - Socket ID of the player
+     * @returns {Promise} Rejects with the server's reason if refused
+     */
+    kickPlayer(playerId) {
+        return this.sendRequest('kick-player', { playerId });
+    }
+
+    /**
+     * Hand the host role to another player (host only)
+     * The new host arrives as a room-players event for everyone in the room
+     * @param {string} playerId - Socket ID of the new host
+     * @returns {Promise} Rejects with the server's reason if refused
+     */
+    transferHost(playerId) {
+        return this.sendRequest('transfer-host', { playerId });
+    }
+
+    /**
+     * Start a championship in the room (host only)
+     * The standings arrive as championship-update events for everyone in the room
+     * @param {Object} request - { trackIds, points, name } for a new championship,
+     *                           or { championshipId } to continue a saved one
+     * @returns {Promise} Rejects with the server's reason if refused
+     */
+    startChampionship(request) {
+        return this.sendRequest('start-championship', request);
+    }
+
+    /**
+     * Stop the room's championship (host only)
+     * @returns {Promise} Rejects with the server's reason if refused
+     */
+    endChampionship() {
+        return this.sendRequest('end-championship');
+    }
+
+    /**
+     * Queue for a public race and wait until the server places us in a room
+     * Queue updates are emitted as matchmakingStatus events for the UI.
+     * @param {string} playerName - The player's name
+     * @param {string} region - Region tag to be matched in
+     * @param {Object} previousSession - Room ID and reconnect token of our last session, if any
+     * @returns {Promise<string>} The room to join
+     */
+    async findMatch(playerName, region, previousSession = null) {
+        if (!this.socket || !this.socket.connected) {
+            await this.setupSocketConnection();
+        }
+        
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(matchTimeout);
+                this.socket.off('match-found', onMatch);
+            };
+            const onMatch = (data) => {
+                cleanup();
+                resolve(data.roomId);
+            };
+            
+            const matchTimeout = setTimeout(() => {
+                cleanup();
+                this.socket.emit('matchmaking-leave');
+                reject(new Error('Matchmaking timeout - no race found in 60 seconds'));
+            }, 60000);
+            
+            this.socket.on('match-found', onMatch);
+            this.socket.emit('matchmaking-join', {
+                playerName,
+                region,
+                roomId: previousSession ? previousSession.roomId : null,
+                reconnectToken: previousSession ? previousSession.reconnectToken : null
+            }, (status) => {
+                if (status && status.error) {
+                    cleanup();
+                    reject(new Error(status.error));
+                    return;
+                }
+                this.emit('matchmakingStatus', status);
+            });
+        });
+    }
+
+    /**
+     * Send a request about our room and wait for the server's answer
+     * @param {string} event - Socket event
+     * @param {Object} data - Request data (the room ID is added)
+     * @returns {Promise} Resolves with the server's answer, rejects with its error
+     */
+    sendRequest(event, data = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.socket || !this.socket.connected) {
+                reject(new Error('Not connected to a room'));
+                return;
+            }
+            
+            this.socket.emit(event, { roomId: this.roomId, ...data }, (response) => {
+                if (response && response.error) {
+                    reject(new Error(response.error));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+
+    async addPeer(peerId, playerName, carType = null) {
         // Validate peer ID
         if (!peerId) {
             console.error(`[MULTIPLAYER] Cannot add peer: Invalid peer ID (${peerId})`);
@@ -769,9 +1031,12 @@ export class MultiplayerManager {
             return;
         }
         
-        // Add to peers map
+        // Add to peers map, keeping a car type we already heard about
+        const knownPeer = this.peers.get(peerId);
+        carType = carType || (knownPeer && knownPeer.carType) || null;
         this.peers.set(peerId, {
             name: playerName,
+            carType,
             lastUpdate: Date.now()
         });
 
@@ -806,7 +1071,7 @@ export class MultiplayerManager {
                 } : { x: 0, y: 0.5, z: 0 }
             };
             
-            const remoteCar = await this.game.addRemotePlayer(peerId, playerData.name);
+            const remoteCar = await this.game.addRemotePlayer(peerId, playerData.name, null, null, carType);
             
             if (!remoteCar) {
                 console.error(`[MULTIPLAYER] Failed to create remote car for peer ${peerId}`);
@@ -836,6 +1101,30 @@ export class MultiplayerManager {
         }
     }
 
+    /**
+     * Move a peer who reconnected over to their new socket ID
+     * Their remote car stays where it is instead of being removed and re-added.
+     * @param {string} previousId - The peer's old socket ID
+     * @param {string} peerId - The peer's new socket ID
+     * @param {string} playerName - The peer's name
+     */
+    replacePeer(previousId, peerId, playerName) {
+        const peer = this.peers.get(previousId);
+        if (!peer) {
+            this.addPeer(peerId, playerName);
+            return;
+        }
+        
+        this.peers.delete(previousId);
+        this.peers.set(peerId, { ...peer, lastUpdate: Date.now() });
+        
+        if (this.game && this.game.remotePlayers.has(previousId)) {
+            const remoteCar = this.game.remotePlayers.get(previousId);
+            this.game.remotePlayers.delete(previousId);
+            this.game.remotePlayers.set(peerId, remoteCar);
+        }
+    }
+
     // Send game state update to server
     broadcastState(state) {
         if (!this.isConnected || !this.socket) {
@@ -843,6 +1132,11 @@ export class MultiplayerManager {
             return;
         }
         
+        // Spectators have no car to share
+        if (this.isSpectator) {
+            return;
+        }
+        
         try {
             // Check if position and rotation are valid before sending
             if (!state || !state.position || typeof state.rotation === 'undefined') {
@@ -875,21 +1169,25 @@ export class MultiplayerManager {
                 return isNaN(num) ? 0 : num; // Convert NaN to 0 to avoid errors
             });
             
+            // Number the update so the others can tell repeats and gaps apart
+            this.updateSequence = (this.updateSequence + 1) & 0xffff;
+            
             // Create update data object
             const updateData = {
                 peerId: this.socket.id,
                 position: finalPosition,
                 rotation: state.rotation,
-                timestamp: Date.now()
+                trackId: state.trackId,
+                sequence: this.updateSequence,
+                timestamp: serverClock.now()
             };
             
-            // Use MessagePack for binary serialization of remote car updates
+            // Send remote car updates in the compact binary format (see NetworkProtocol)
             try {
-                // Serialize the update data to binary format using MessagePack
-                const binaryData = BinarySerializer.serialize(updateData);
+                const binaryData = encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, updateData);
                 
                 // Send binary update
-                this.socket.emit('player-update-binary', binaryData);
+                this.sendCarUpdate('player-update-binary', binaryData);
                 
                 // Set last broadcast time
                 this._lastBroadcastTime = Date.now();
@@ -898,7 +1196,7 @@ export class MultiplayerManager {
                 
                 // Fallback to regular JSON in case of error
                 console.log('[MULTIPLAYER] Falling back to regular JSON update');
-                this.socket.emit('player-update', updateData);
+                this.sendCarUpdate('player-update', updateData);
                 this._lastBroadcastTime = Date.now();
             }
             
@@ -912,6 +1210,75 @@ export class MultiplayerManager {
         }
     }
 
+    // Send a car update, through the network simulator if there is one
+    sendCarUpdate(event, data) {
+        this.simulateNetwork(() => {
+            if (this.socket) this.socket.emit(event, data);
+        }, true);
+    }
+    
+    /**
+     * Run a callback once a message would have crossed the network: straight
+     * away, or later (or never) with the network simulator
+     * @param {Function} callback - Sends or handles the message
+     * @param {boolean} canDrop - The message is a car update, which the simulator may lose
+     */
+    simulateNetwork(callback, canDrop = false) {
+        if (this.networkSimulator) {
+            this.networkSimulator.deliver(callback, canDrop);
+        } else {
+            callback();
+        }
+    }
+    
+    // Wrap a socket event handler for simulateNetwork
+    throughNetworkSimulator(handler, canDrop = false) {
+        return (...args) => this.simulateNetwork(() => handler(...args), canDrop);
+    }
+    
+    // Sync with the server's clock now and then for as long as we're connected
+    startClockSync() {
+        clearInterval(this.clockSyncTimer);
+        // Samples from an earlier connection may be of another server
+        serverClock.reset();
+        this.syncClock(CLOCK_SYNC_ROUNDS);
+        this.clockSyncTimer = setInterval(() => this.syncClock(1), CLOCK_SYNC_INTERVAL);
+    }
+    
+    /**
+     * Clock-sync handshake: ask the server for its time and time the round
+     * trip, to work out the offset to its clock (see ServerClock)
+     * @param {number} rounds - Round trips, one after the other
+     * @returns {Promise} Resolves when they're done (unanswered ones are skipped)
+     */
+    async syncClock(rounds) {
+        for (let i = 0; i < rounds; i++) {
+            if (!this.socket || !this.socket.connected) return;
+            
+            await new Promise(resolve => {
+                const sentAt = Date.now();
+                this.simulateNetwork(() => {
+                    if (!this.socket) {
+                        resolve();
+                        return;
+                    }
+                    this.socket.timeout(CLOCK_SYNC_TIMEOUT).emit('clock-sync', (error, serverTime) => {
+                        this.simulateNetwork(() => {
+                            if (!error) {
+                                serverClock.addSample(sentAt, serverTime, Date.now());
+                            }
+                            resolve();
+                        });
+                    });
+                });
+            });
+        }
+        
+        if (rounds > 1 && serverClock.synced) {
+            console.log(`[MULTIPLAYER] Server clock offset ${serverClock.offset.toFixed(0)}ms, round trip ${serverClock.roundTripTime}ms`);
+        }
+    }
+    
     /**
      * Disconnect from the current room and server
      */
@@ -972,6 +1339,10 @@ export class MultiplayerManager {
                 this.webrtcConnections.clear();
             }
             
+            clearInterval(this.clockSyncTimer);
+            this.clockSyncTimer = null;
+            serverClock.reset();
+            
             // Finally disconnect the socket
             if (this.socket) {
                 this.socket.removeAllListeners();
@@ -983,6 +1354,7 @@ export class MultiplayerManager {
             this.isConnected = false;
             this.roomId = null;
             this.playerName = null;
+            this.reconnectToken = null;
             
             console.log('[MULTIPLAYER] Successfully disconnected and cleaned up');
             
@@ -992,6 +1364,7 @@ export class MultiplayerManager {
             this.isConnected = false;
             this.roomId = null;
             this.playerName = null;
+            this.reconnectToken = null;
             throw error;
         }
     }
@@ -1032,101 +1405,24 @@ export class MultiplayerManager {
         };
     }
 
-    // Broadcast thrown shell to other players
-    broadcastThrownShell(position, rotation, velocity) {
-        if (!this.isConnected || !this.socket) {
-            console.warn('[MULTIPLAYER] Cannot broadcast thrown shell - not connected');
-            return;
-        }
-
-        try {
-            // Convert position and velocity to arrays for network transmission
-            const positionArray = position.toArray ? position.toArray() : [position.x, position.y, position.z];
-            const velocityArray = velocity.toArray ? velocity.toArray() : [velocity.x, velocity.y, velocity.z];
-
-            console.log('[MULTIPLAYER] Broadcasting thrown shell:', {
-                position: positionArray,
-                rotation,
-                velocity: velocityArray
-            });
-
-            this.socket.emit('shell-thrown', {
-                position: positionArray,
-                rotation,
-                velocity: velocityArray,
-                throwerId: this.socket.id,
-                timestamp: Date.now()
-            });
-        } catch (error) {
-            console.error('[MULTIPLAYER] Error broadcasting thrown shell:', error);
-        }
-    }
-    
-    // Broadcast thrown banana to other players
-    broadcastThrownBanana(position, rotation, velocity) {
-        if (!this.isConnected || !this.socket) {
-            console.warn('[MULTIPLAYER] Cannot broadcast thrown banana - not connected');
-            return;
-        }
-
-        try {
-            // Convert position and velocity to arrays for network transmission
-            const positionArray = position.toArray ? position.toArray() : [position.x, position.y, position.z];
-            const velocityArray = velocity.toArray ? velocity.toArray() : [velocity.x, velocity.y, velocity.z];
-
-            console.log('[MULTIPLAYER] Broadcasting thrown banana:', {
-                position: positionArray,
-                rotation,
-                velocity: velocityArray
-            });
-
-            const itemData = {
-                position: positionArray,
-                rotation,
-                velocity: velocityArray,
-                throwerId: this.socket.id,
-                timestamp: Date.now()
-            };
-
-            try {
-                // Serialize the banana data using MessagePack
-                const binaryData = BinarySerializer.serialize(itemData);
-                
-                // Send the binary data
-                this.socket.emit('banana-thrown-binary', binaryData);
-            } catch (error) {
-                console.error('[MULTIPLAYER] Error serializing banana data:', error);
-                
-                // Fallback to JSON if serialization fails
-                this.socket.emit('banana-thrown', itemData);
-            }
-        } catch (error) {
-            console.error('[MULTIPLAYER] Error broadcasting thrown banana:', error);
-        }
+    /**
+     * Ask the server for an item we drove through
+     * @param {string} itemId - Item ID
+     * @returns {Promise<Object>} { item: { id, type } }; rejects if someone got there first,
+     *                            we already hold an item or the server doesn't see us near it
+     */
+    collectItem(itemId) {
+        return this.sendRequest('collect-item', { itemId });
     }
 
     /**
-     * Broadcast a shell collision event to other players
-     * @param {Object} collisionData - Data about the collision
+     * Use our banana or shell; the server throws it from our last reported position
+     * It arrives as a projectile-spawned event for everyone in the room, hits as item-hit
+     * @param {THREE.Vector3} direction - Direction the car faces
+     * @returns {Promise} Rejects with the server's reason if refused
      */
-    broadcastShellCollision(collisionData) {
-        if (!this.isConnected || !this.socket) {
-            console.warn('[MULTIPLAYER] Cannot broadcast shell collision - not connected');
-            return;
-        }
-
-        try {
-            console.log('[MULTIPLAYER] Broadcasting shell collision:', collisionData);
-
-            this.socket.emit('shell-collision', {
-                position: collisionData.position,
-                hitCarId: collisionData.hitCarId,
-                throwerId: collisionData.throwerId || this.socket.id,
-                timestamp: collisionData.timestamp || Date.now()
-            });
-        } catch (error) {
-            console.error('[MULTIPLAYER] Error broadcasting shell collision:', error);
-        }
+    useItem(direction) {
+        return this.sendRequest('use-item', { direction: direction.toArray() });
     }
 
     // Cache current game state for smoother reconnection
@@ -1167,10 +1463,26 @@ export class MultiplayerManager {
         return null;
     }
 
-    async createRoom(playerName, isPrivate = false) {
+    async createRoom(playerName, isPrivate = false, trackId = null, options = null) {
         try {
             // Generate a unique room ID
-            const roomId = isPrivate ? `private-${Date.now()}-${Math.random().toString(36).substr(2, 5)}` : `public-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+            let roomId = isPrivate ? `private-${Date.now()}-${Math.random().toString(36).substr(2, 5)}` : `public-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+            
+            // Private rooms are created on the server first so the host's track and rules are stored
+            if (isPrivate) {
+                const response = await fetch(`${this.getServerUrl()}/api/rooms`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ playerName, roomId, trackId, options, isPrivate: true })
+                });
+                const room = await response.json();
+                if (!response.ok) {
+                    throw new Error(room.error || `Failed to create room: ${response.status}`);
+                }
+                roomId = room.id;
+            }
             
             console.log(`[MULTIPLAYER] Creating new ${isPrivate ? 'private' : 'public'} room: ${roomId}`);
             
@@ -1200,8 +1512,9 @@ export class MultiplayerManager {
      * Connect to a multiplayer room
      * @param {string} roomId - The ID of the room to connect to
      * @param {string} playerName - The player's name
+     * @param {string} reconnectToken - Token of a slot we held in this room before, if any
      */
-    async connect(roomId = 'public-master', playerName) {
+    async connect(roomId = 'public-master', playerName, reconnectToken = null) {
         console.log(`[MULTIPLAYER] Connecting to room ${roomId} as ${playerName}...`);
         
         this.roomId = roomId;
@@ -1211,25 +1524,41 @@ export class MultiplayerManager {
         this.isRoomCreator = roomId.startsWith('private-') && roomId.includes(this.generateUniqueId());
         console.log(`[MULTIPLAYER] Room creator status: ${this.isRoomCreator}`);
         
-        // Set up socket connection
-        await this.setupSocketConnection();
+        // Set up socket connection, unless matchmaking already opened one that isn't in a room yet
+        if (!this.socket || !this.socket.connected || this.isConnected) {
+            await this.setupSocketConnection();
+        }
         
         // Join the room
-        const joinResult = await this.joinRoom(roomId, playerName);
+        const joinResult = await this.joinRoom(roomId, playerName, reconnectToken);
         
         // Send announcement to room to make sure everyone sees us
-        setTimeout(() => {
-            this.socket.emit('announce-player', {
-                roomId: roomId,
-                id: this.socket.id,
-                name: playerName
-            });
-            console.log('[MULTIPLAYER] Sent player announcement to room');
-        }, 1500);
+        if (!this.isSpectator) {
+            setTimeout(() => {
+                this.socket.emit('announce-player', {
+                    roomId: roomId,
+                    id: this.socket.id,
+                    name: playerName
+                });
+                console.log('[MULTIPLAYER] Sent player announcement to room');
+            }, 1500);
+        }
         
         return joinResult;
     }
 
+    /**
+     * Watch a room without driving
+     * We get every car and item update of the room but take no player slot
+     * and send nothing back.
+     * @param {string} roomId - The ID of the room to watch
+     * @param {string} playerName - Name shown to the server
+     */
+    async spectate(roomId, playerName = 'Spectator') {
+        this.isSpectator = true;
+        return this.connect(roomId, playerName);
+    }
+
     // Add helper to generate a unique ID for room creation
     generateUniqueId() {
         // Use the device fingerprint or some random value
@@ -1260,30 +1589,74 @@ export class MultiplayerManager {
         }
     }
 
-    // Broadcast race start to all players
+    /**
+     * Ask the server to start a race in our room (host only)
+     * The server runs the ready check and the countdown for everyone in the room
+     * @returns {Promise} Rejects with the server's reason if the race can't start
+     */
     broadcastStartRace() {
-        console.log('[MULTIPLAYER] Broadcasting race start event');
-        
-        // Check if connected
-        if (!this.socket || !this.socket.connected) {
-            console.error('[MULTIPLAYER] Cannot broadcast race start - not connected');
-            return;
-        }
-        
-        // Check if in a room
-        if (!this.roomId) {
-            console.error('[MULTIPLAYER] Cannot broadcast race start - not in a room');
-            return;
-        }
-        
-        // Only allow room creator to start the race
-        // If we're not tracking isRoomCreator correctly, allow anyway but log a warning
-        if (!this.isRoomCreator) {
-            console.warn('[MULTIPLAYER] Non-room creator attempting to start race, allowing anyway');
-        }
+        console.log('[MULTIPLAYER] Asking the server to start the race');
         
-        // Broadcast the start race event to all players in the room
-        console.log('[MULTIPLAYER] Emitting start-race event for room:', this.roomId);
-        this.socket.emit('start-race', { roomId: this.roomId, timestamp: Date.now() });
+        return new Promise((resolve, reject) => {
+            if (!this.socket || !this.socket.connected) {
+                reject(new Error('Not connected to a room'));
+                return;
+            }
+            
+            if (!this.roomId) {
+                reject(new Error('Not in a room'));
+                return;
+            }
+            
+            this.socket.emit('start-race', { roomId: this.roomId }, (response) => {
+                if (response && response.error) {
+                    reject(new Error(response.error));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+
+    // Answer the server's ready check once our track is loaded
+    sendRaceReady() {
+        if (!this.socket || !this.socket.connected) return;
+        this.socket.emit('race-ready', { roomId: this.roomId });
+    }
+
+    /**
+     * Tell the server how far we are into the race, for the live standings
+     * @param {Object} progress - { lap, checkpoint } laps completed and last checkpoint passed on this lap
+     * @returns {Promise<boolean>} Whether the server took it (false if it went unanswered)
+     */
+    sendRaceProgress(progress) {
+        return new Promise(resolve => {
+            if (!this.socket || !this.socket.connected) {
+                resolve(false);
+                return;
+            }
+            // Same delay as our car updates, so the server checks it against where the car was then
+            this.simulateNetwork(() => {
+                if (!this.socket) {
+                    resolve(false);
+                    return;
+                }
+                this.socket.timeout(RACE_PROGRESS_TIMEOUT).emit('race-progress', { roomId: this.roomId, ...progress }, (error, response) => {
+                    this.simulateNetwork(() => resolve(!error && !!response && response.accepted === true));
+                });
+            });
+        });
+    }
+
+    /**
+     * Tell the server we crossed the line on our last lap
+     * The server times the finish itself; lap times are only shown in the results
+     * @param {number[]} lapTimes - Our lap times in seconds
+     */
+    reportRaceFinish(lapTimes = []) {
+        if (!this.socket || !this.socket.connected) return;
+        this.simulateNetwork(() => {
+            if (this.socket) this.socket.emit('race-finish', { roomId: this.roomId, lapTimes });
+        });
     }
 } 
\ No newline at end of file
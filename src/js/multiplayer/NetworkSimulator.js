@@ -0,0 +1,58 @@
+/**
+ * Makes a fast local connection behave like a slow one, to try remote car
+ * smoothing without a far away server. Open the game with
+ *
+ *   ?netsim=<latency>[,<loss>[,<jitter>]]
+ *
+ * e.g. ?netsim=150,5,20 for a 150 ms round trip, 5% of car updates lost and
+ * up to 20 ms of jitter each way. Half the latency is added to each
+ * direction. Car updates, the clock-sync handshake and race progress and
+ * finish reports go through the simulator, and only car updates are lost:
+ * the rest are delayed but always delivered, so the server checks a race
+ * report against a car update sent at the same time. Other messages arrive
+ * as fast as the connection allows.
+ */
+export class NetworkSimulator {
+    /**
+     * @param {Object} options
+     * @param {number} options.latency - Added round trip time (ms)
+     * @param {number} options.packetLoss - Share of car updates dropped (0-1)
+     * @param {number} options.jitter - Most the delay varies each way (ms)
+     */
+    constructor({ latency = 0, packetLoss = 0, jitter = 0 } = {}) {
+        this.latency = Math.max(0, latency);
+        this.packetLoss = Math.min(Math.max(packetLoss, 0), 1);
+        this.jitter = Math.max(0, jitter);
+        this.dropped = 0;
+    }
+
+    /**
+     * The simulator asked for in the page address
+     * @returns {NetworkSimulator|null} Null when the connection is left alone
+     */
+    static fromUrl() {
+        const setting = new URLSearchParams(window.location.search).get('netsim');
+        if (!setting) return null;
+
+        const [latency = 0, loss = 0, jitter = 0] = setting.split(',').map(value => Number(value) || 0);
+        const simulator = new NetworkSimulator({ latency, packetLoss: loss / 100, jitter });
+        console.log(`[NETSIM] Simulating ${simulator.latency}ms latency, ${loss}% loss, ${simulator.jitter}ms jitter`);
+        return simulator;
+    }
+
+    /**
+     * Run a callback once a message would have made it one way
+     * @param {Function} callback - Sends or handles the message
+     * @param {boolean} canDrop - A car update, which may be lost
+     */
+    deliver(callback, canDrop = false) {
+        if (canDrop && Math.random() < this.packetLoss) {
+            this.dropped++;
+            return;
+        }
+
+        // Jitter lets updates overtake each other, which a real connection can do too
+        const delay = this.latency / 2 + (Math.random() * 2 - 1) * this.jitter;
+        setTimeout(callback, Math.max(0, delay));
+    }
+}
@@ -22,14 +22,20 @@ export class PlayManager {
 
     /**
      * Start playing in multiplayer mode
+     * Matchmaking picks the public room; the master room is the fallback
+     * when the server can't place us.
      * @param {string} playerName - The player's name
+     * @param {Function} onMatchmakingStatus - Called with each queue update while we wait for a room
      */
-    async start(playerName) {
+    async start(playerName, onMatchmakingStatus = null) {
         console.log('[PLAY] Starting play mode for player:', playerName);
         
         // Store the player name and use a default if none is provided
         this.playerName = playerName || this.getDefaultPlayerName();
         
+        // A session saved just before a reload can still take back its slot on the server
+        const previousSession = this.loadSession();
+        
         // Clear any stale sessions first
         this.clearSession();
         
@@ -68,16 +74,40 @@ export class PlayManager {
             if (!this.multiplayerManager) {
                 this.multiplayerManager = new MultiplayerManager(this.game);
                 createdManager = true;
+                
+                // Keep the reconnect token of every room we join for the next page load
+                this.multiplayerManager.on('roomJoined', ({ roomId, reconnectToken }) => {
+                    this.saveSession(roomId, this.multiplayerManager.playerName, reconnectToken);
+                });
+            }
+            
+            if (onMatchmakingStatus) {
+                this.multiplayerManager.on('matchmakingStatus', onMatchmakingStatus);
             }
             
-            // Connect to the master room with the appropriate room ID from server data
-            const masterRoomId = serverData && serverData.masterRoomId ? serverData.masterRoomId : 'public-master';
             try {
-                console.log(`[PLAY] Connecting to ${masterRoomId} room as ${this.playerName}`);
-                await this.multiplayerManager.connect(masterRoomId, this.playerName);
-                console.log('[PLAY] Successfully connected to master room');
+                // Let the server pick a public room, or use the master room from server data
+                let roomId = serverData && serverData.masterRoomId ? serverData.masterRoomId : 'public-master';
+                try {
+                    roomId = await this.multiplayerManager.findMatch(this.playerName, this.getRegion(), previousSession);
+                } catch (matchmakingError) {
+                    console.warn('[PLAY] Matchmaking failed, using the master room:', matchmakingError);
+                }
+                
+                const reconnectToken = previousSession && previousSession.roomId === roomId
+                    ? previousSession.reconnectToken
+                    : null;
+                
+                console.log(`[PLAY] Connecting to ${roomId} room as ${this.playerName}`);
+                await this.multiplayerManager.connect(roomId, this.playerName, reconnectToken);
+                console.log('[PLAY] Successfully connected to room', roomId);
             } catch (connectionError) {
-                console.error('[PLAY] Failed to connect to master room:', connectionError);
+                console.error('[PLAY] Failed to connect to a public room:', connectionError);
+                
+                // An out of date client has to reload; say so instead of blaming the network
+                if (connectionError.data && connectionError.data.code === 'PROTOCOL_MISMATCH') {
+                    throw connectionError;
+                }
                 
                 // Get a more specific error message based on the type of error
                 let errorMessage = 'Unable to connect to multiplayer. Please check your connection and try again.';
@@ -141,6 +171,29 @@ export class PlayManager {
         return `Player${Math.floor(Math.random() * 1000)}`;
     }
 
+    /**
+     * Matchmaking region from the browser's time zone
+     * @returns {string} Region tag, 'global' if the time zone doesn't tell
+     */
+    getRegion() {
+        const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+        const [area, city] = timeZone.split('/');
+        
+        if (area === 'America') {
+            const southAmerica = ['Argentina', 'Sao_Paulo', 'Santiago', 'Bogota', 'Lima', 'Caracas', 'Montevideo', 'La_Paz', 'Asuncion', 'Guayaquil'];
+            return southAmerica.includes(city) ? 'sa' : 'na';
+        }
+        
+        const regions = {
+            Europe: 'eu',
+            Asia: 'asia',
+            Australia: 'oceania',
+            Pacific: 'oceania',
+            Africa: 'africa'
+        };
+        return regions[area] || 'global';
+    }
+
     async waitForGameInitialization() {
         console.log('[PLAY] Waiting for game initialization...');
         
@@ -206,10 +259,17 @@ export class PlayManager {
         return roomId;
     }
 
-    saveSession(roomId, playerName) {
+    /**
+     * Remember the room we're in
+     * @param {string} roomId - Room ID
+     * @param {string} playerName - The player's name
+     * @param {string} reconnectToken - Reclaims our slot in the room if we're back within the server's grace period
+     */
+    saveSession(roomId, playerName, reconnectToken = null) {
         const session = {
             roomId,
             playerName,
+            reconnectToken,
             timestamp: Date.now()
         };
         localStorage.setItem(this.sessionKey, JSON.stringify(session));
@@ -250,11 +310,11 @@ export class PlayManager {
         this.multiplayerManager = new MultiplayerManager(this.game);
         
         // Attempt to rejoin the room
-        await this.multiplayerManager.connect(session.roomId, currentPlayerName);
+        await this.multiplayerManager.connect(session.roomId, currentPlayerName, session.reconnectToken);
         console.log('[PLAY] Successfully restored session');
         
         // Update session with new timestamp
-        this.saveSession(session.roomId, currentPlayerName);
+        this.saveSession(session.roomId, currentPlayerName, this.multiplayerManager.reconnectToken);
         return true;
     }
 
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+import { Car } from '../entities/car/Car';
+
+/**
+ * A translucent car that replays a recorded lap.
+ * The ghost is not registered as a car in the scene (no `userData.car`),
+ * so items, shells and collision checks ignore it.
+ */
+export class GhostCar {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the ghost to
+     * @param {Object} ghost - Ghost data ({ samples, name, time })
+     * @param {Object} options - Optional { carType, color, opacity }
+     */
+    constructor(scene, ghost, options = {}) {
+        this.scene = scene;
+        this.samples = ghost.samples;
+        this.duration = this.samples[this.samples.length - 1][0];
+        this.opacity = options.opacity || 0.35;
+        this.cursor = 0;
+        this.ghostMaterials = [];
+        this.ghostMeshReady = false;
+
+        this.car = new Car({
+            scene,
+            track: null,
+            isRemote: true,
+            carType: options.carType || 'classic',
+            color: options.color || 0x88ccff,
+            playerName: `👻 ${ghost.name || 'Ghost'}`
+        });
+
+        this.applyGhostLook();
+    }
+
+    /**
+     * Make the car mesh translucent and hide it from car lookups
+     */
+    applyGhostLook() {
+        const mesh = this.car.mesh;
+        if (!mesh || this.ghostMeshReady) return;
+
+        delete mesh.userData.car;
+        mesh.userData.isGhost = true;
+
+        mesh.traverse(child => {
+            if (!child.isMesh) return;
+
+            child.castShadow = false;
+            child.receiveShadow = false;
+
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            const ghostMaterials = materials.map(material => {
+                const ghostMaterial = material.clone();
+                ghostMaterial.transparent = true;
+                ghostMaterial.opacity = Math.min(ghostMaterial.opacity, this.opacity);
+                ghostMaterial.depthWrite = false;
+                this.ghostMaterials.push(ghostMaterial);
+                return ghostMaterial;
+            });
+            child.material = Array.isArray(child.material) ? ghostMaterials : ghostMaterials[0];
+        });
+
+        this.ghostMeshReady = true;
+    }
+
+    /**
+     * Move the ghost to where it was at this point of its lap
+     * @param {number} lapTime - Milliseconds since the current lap started
+     */
+    update(lapTime) {
+        // Models that load asynchronously get their ghost look once available
+        this.applyGhostLook();
+
+        const mesh = this.car.mesh;
+        if (!mesh) return;
+
+        // Hide the ghost once its lap is over
+        if (lapTime < 0 || lapTime > this.duration) {
+            mesh.visible = false;
+            return;
+        }
+        mesh.visible = true;
+
+        // Samples are played in order, so only rewind when a new lap starts
+        if (this.cursor > 0 && this.samples[this.cursor][0] > lapTime) {
+            this.cursor = 0;
+        }
+        while (this.cursor < this.samples.length - 2 && this.samples[this.cursor + 1][0] <= lapTime) {
+            this.cursor++;
+        }
+
+        const [t0, x0, y0, z0, r0] = this.samples[this.cursor];
+        const [t1, x1, y1, z1, r1] = this.samples[Math.min(this.cursor + 1, this.samples.length - 1)];
+        const alpha = t1 > t0 ? THREE.MathUtils.clamp((lapTime - t0) / (t1 - t0), 0, 1) : 0;
+
+        // Interpolate rotation along the shortest arc
+        let rotationDelta = r1 - r0;
+        rotationDelta = Math.atan2(Math.sin(rotationDelta), Math.cos(rotationDelta));
+
+        this.car.position.set(
+            x0 + (x1 - x0) * alpha,
+            y0 + (y1 - y0) * alpha,
+            z0 + (z1 - z0) * alpha
+        );
+        this.car.rotation = r0 + rotationDelta * alpha;
+        this.car.updateVisuals();
+    }
+
+    /**
+     * Remove the ghost from the scene
+     */
+    dispose() {
+        if (this.car.mesh) {
+            this.scene.remove(this.car.mesh);
+        }
+        this.ghostMaterials.forEach(material => material.dispose());
+        this.ghostMaterials = [];
+    }
+}
@@ -0,0 +1,156 @@
+import { GhostCar } from './GhostCar.js';
+import { simulationClock } from '../utils/SimulationClock.js';
+
+const LOCAL_GHOST_PREFIX = 'racingcart_ghost_';
+
+/**
+ * Loads ghost laps (track record from the server or the personal best from
+ * localStorage) and plays them back in sync with the track's lap timer.
+ */
+export class GhostManager {
+    constructor(game) {
+        this.game = game;
+        this.ghostCar = null;
+        this.ghost = null;
+        this.source = 'record'; // 'record', 'personal' or 'off'
+    }
+
+    /**
+     * Load the personal best ghost for a track from localStorage
+     * @param {string} trackId - Track identifier
+     * @returns {Object|null} Ghost data or null if none is stored
+     */
+    static loadPersonalBest(trackId) {
+        try {
+            const stored = localStorage.getItem(`${LOCAL_GHOST_PREFIX}${trackId}`);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('[GHOST] Failed to read personal best ghost:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a lap as the personal best ghost if it beats the stored one
+     * @param {string} trackId - Track identifier
+     * @param {Object} ghost - Ghost data including `time` in seconds
+     * @returns {boolean} Whether the ghost was stored
+     */
+    static savePersonalBest(trackId, ghost) {
+        const current = GhostManager.loadPersonalBest(trackId);
+        if (current && current.time <= ghost.time) {
+            return false;
+        }
+
+        try {
+            localStorage.setItem(`${LOCAL_GHOST_PREFIX}${trackId}`, JSON.stringify(ghost));
+            console.log(`[GHOST] Saved personal best ghost for ${trackId}: ${ghost.time.toFixed(2)}s`);
+            return true;
+        } catch (error) {
+            console.warn('[GHOST] Failed to save personal best ghost:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Fetch the track record ghost from the server
+     * @param {string} trackId - Track identifier
+     * @returns {Promise<Object|null>} Ghost data or null if the track has none
+     */
+    async fetchTrackRecord(trackId) {
+        try {
+            const baseUrl = window.SERVER_URL || (window.location.hostname === 'localhost'
+                ? `http://${window.location.hostname}:1337`   // Development
+                : 'https://api.example.com');     // Production - Use your actual API server
+
+            const response = await fetch(`${baseUrl}/api/ghosts/${encodeURIComponent(trackId)}`);
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ghost: ${response.statusText}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.warn('[GHOST] Failed to fetch track record ghost:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Choose which ghost to race against and spawn it
+     * @param {string} source - 'record', 'personal' or 'off'
+     * @returns {Promise<Object|null>} The ghost being played, if any
+     */
+    async setSource(source) {
+        this.source = source;
+        return this.refresh();
+    }
+
+    /**
+     * Reload the ghost for the current source (e.g. after a new best lap)
+     */
+    async refresh() {
+        const track = this.game.track;
+        if (!track || this.source === 'off') {
+            this.clear();
+            return null;
+        }
+
+        let ghost = null;
+        if (this.source === 'record') {
+            ghost = await this.fetchTrackRecord(track.id);
+        }
+        // Fall back to the personal best when the track has no record ghost yet
+        if (!ghost) {
+            ghost = GhostManager.loadPersonalBest(track.id);
+        }
+
+        // The source may have changed while we were loading
+        if (this.source === 'off') {
+            return null;
+        }
+
+        this.spawn(ghost);
+        return ghost;
+    }
+
+    /**
+     * Replace the current ghost car
+     * @param {Object|null} ghost - Ghost data to play
+     */
+    spawn(ghost) {
+        this.clear();
+
+        if (!ghost || !Array.isArray(ghost.samples) || ghost.samples.length < 2) {
+            return;
+        }
+
+        this.ghost = ghost;
+        this.ghostCar = new GhostCar(this.game.scene, ghost, {
+            carType: this.game.car ? this.game.car.carType : 'classic'
+        });
+        console.log(`[GHOST] Racing against ${ghost.name || 'ghost'} (${ghost.time ? ghost.time.toFixed(2) + 's' : 'unknown time'})`);
+    }
+
+    /**
+     * Remove the ghost car
+     */
+    clear() {
+        if (this.ghostCar) {
+            this.ghostCar.dispose();
+            this.ghostCar = null;
+        }
+        this.ghost = null;
+    }
+
+    /**
+     * Advance the ghost to the current lap time
+     */
+    update() {
+        const track = this.game.track;
+        if (!this.ghostCar || !track || !Number.isFinite(track.lapStartTime)) return;
+
+        this.ghostCar.update(simulationClock.now() - track.lapStartTime);
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Records the local car's position and rotation during a lap so the lap can
+ * be played back later as a ghost car.
+ *
+ * Ghost format: { v: 1, samples: [[t, x, y, z, rotation], ...] }
+ * where `t` is milliseconds since the lap started.
+ */
+export class GhostRecorder {
+    constructor(sampleInterval = 100) {
+        this.sampleInterval = sampleInterval; // ms between samples
+        this.samples = [];
+        this.lastSampleTime = -Infinity;
+    }
+
+    /**
+     * Record a sample if the sample interval has elapsed
+     * @param {number} lapTime - Milliseconds since the lap started
+     * @param {THREE.Vector3} position - Car position
+     * @param {number} rotation - Car Y rotation in radians
+     * @param {boolean} force - Record even if the interval hasn't elapsed
+     */
+    record(lapTime, position, rotation, force = false) {
+        if (!force && lapTime - this.lastSampleTime < this.sampleInterval) {
+            return;
+        }
+
+        this.lastSampleTime = lapTime;
+        this.samples.push([
+            Math.round(Math.max(0, lapTime)),
+            Math.round(position.x * 100) / 100,
+            Math.round(position.y * 100) / 100,
+            Math.round(position.z * 100) / 100,
+            Math.round(rotation * 1000) / 1000
+        ]);
+    }
+
+    /**
+     * Take the recorded lap and start a new recording
+     * @returns {Object} Ghost data for the finished lap
+     */
+    take() {
+        const samples = this.samples;
+        const lastSample = samples[samples.length - 1];
+
+        // The next lap starts where this one ended
+        this.samples = lastSample ? [[0, ...lastSample.slice(1)]] : [];
+        this.lastSampleTime = 0;
+
+        return { v: 1, samples };
+    }
+
+    /**
+     * Discard the current recording
+     */
+    reset() {
+        this.samples = [];
+        this.lastSampleTime = -Infinity;
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Records a whole race (local car, remote players, AI cars and thrown items)
+ * so it can be watched again in the replay viewer or shared as a file.
+ *
+ * Replay format:
+ *   {
+ *     v: 1, trackId, recordedAt, interval, duration,
+ *     cars: [{ id, name, carType, color, kind }],
+ *     frames: [[t, [carId, x, y, z, rotation, ...], [itemId, itemType, x, y, z, ...]], ...]
+ *   }
+ * where `t` is milliseconds of race time. Car and item states are flattened
+ * so the msgpack file stays small.
+ */
+
+export const REPLAY_VERSION = 1;
+export const CAR_STATE_SIZE = 5;
+export const ITEM_STATE_SIZE = 5;
+export const ITEM_TYPES = {
+    BANANA: 0,
+    SHELL: 1
+};
+
+const MAX_DURATION = 30 * 60 * 1000; // Stop recording after 30 minutes
+
+export class RaceRecorder {
+    constructor(game, sampleInterval = 100) {
+        this.game = game;
+        this.sampleInterval = sampleInterval; // ms between frames
+        this.reset();
+    }
+
+    /**
+     * Discard the current recording
+     */
+    reset() {
+        this.time = 0;
+        this.lastFrameTime = -Infinity;
+        this.frames = [];
+        this.cars = [];
+        this.carIds = new WeakMap();
+        this.itemIds = new WeakMap();
+        this.nextItemId = 1;
+        this.recordedAt = Date.now();
+        this.isFull = false;
+    }
+
+    /**
+     * Advance race time and record a frame if the sample interval has elapsed
+     * @param {number} delta - Seconds since the last update
+     */
+    update(delta) {
+        if (this.isFull) return;
+
+        this.time += delta * 1000;
+        if (this.time - this.lastFrameTime < this.sampleInterval) {
+            return;
+        }
+
+        if (this.time > MAX_DURATION) {
+            console.warn('[REPLAY] Maximum replay length reached, recording stopped');
+            this.isFull = true;
+            return;
+        }
+
+        this.lastFrameTime = this.time;
+        this.frames.push([Math.round(this.time), this.captureCars(), this.captureItems()]);
+    }
+
+    /**
+     * Collect every car currently in the race
+     * @returns {Array<{ car: Car, kind: string }>}
+     */
+    getRaceCars() {
+        const cars = [];
+
+        if (this.game.car) {
+            cars.push({ car: this.game.car, kind: 'local' });
+        }
+        if (this.game.remotePlayers) {
+            this.game.remotePlayers.forEach(car => cars.push({ car, kind: 'remote' }));
+        }
+        if (this.game.aiManager && this.game.aiManager.aiCars) {
+            this.game.aiManager.aiCars.forEach(car => cars.push({ car, kind: 'ai' }));
+        }
+
+        return cars;
+    }
+
+    captureCars() {
+        const states = [];
+
+        for (const { car, kind } of this.getRaceCars()) {
+            if (!car.mesh || !car.position) continue;
+
+            states.push(
+                this.getCarId(car, kind),
+                round(car.position.x, 100),
+                round(car.position.y, 100),
+                round(car.position.z, 100),
+                round(car.rotation, 1000)
+            );
+        }
+
+        return states;
+    }
+
+    captureItems() {
+        const states = [];
+        const itemManager = this.game.itemManager;
+        if (!itemManager) return states;
+
+        const addItem = (item, type) => {
+            if (!item || !item.mesh) return;
+
+            const position = item.mesh.position;
+            states.push(
+                this.getItemId(item.mesh),
+                type,
+                round(position.x, 100),
+                round(position.y, 100),
+                round(position.z, 100)
+            );
+        };
+
+        (itemManager.bananas || []).forEach(banana => addItem(banana, ITEM_TYPES.BANANA));
+        (itemManager.shells || [])
+            .filter(shell => shell.active)
+            .forEach(shell => addItem(shell, ITEM_TYPES.SHELL));
+
+        return states;
+    }
+
+    /**
+     * Get the replay ID of a car, registering it the first time it's seen
+     */
+    getCarId(car, kind) {
+        if (!this.carIds.has(car)) {
+            const id = this.cars.length + 1;
+            this.carIds.set(car, id);
+            this.cars.push({
+                id,
+                name: car.playerName || 'Player',
+                carType: car.carType || 'classic',
+                color: car.carColor ? car.carColor.getHex() : 0xff0000,
+                kind
+            });
+        }
+        return this.carIds.get(car);
+    }
+
+    getItemId(mesh) {
+        if (!this.itemIds.has(mesh)) {
+            this.itemIds.set(mesh, this.nextItemId++);
+        }
+        return this.itemIds.get(mesh);
+    }
+
+    /**
+     * Get the race recorded so far
+     * @returns {Object|null} Replay data or null if nothing was recorded yet
+     */
+    getReplay() {
+        if (this.frames.length < 2) {
+            return null;
+        }
+
+        return {
+            v: REPLAY_VERSION,
+            trackId: this.game.track ? this.game.track.id : null,
+            recordedAt: this.recordedAt,
+            interval: this.sampleInterval,
+            duration: this.frames[this.frames.length - 1][0],
+            cars: this.cars.map(car => ({ ...car })),
+            frames: this.frames.slice()
+        };
+    }
+}
+
+function round(value, precision) {
+    return Math.round(value * precision) / precision;
+}
@@ -0,0 +1,71 @@
+import { BinarySerializer } from '../utils/BinarySerializer.js';
+import { REPLAY_VERSION } from './RaceRecorder.js';
+
+const FILE_EXTENSION = '.replay';
+
+/**
+ * Reads and writes replay files (msgpack-encoded race recordings)
+ */
+export class ReplayFile {
+    /**
+     * Encode a replay to its binary file format
+     * @param {Object} replay - Replay data from RaceRecorder.getReplay()
+     * @returns {Uint8Array} Binary replay
+     */
+    static encode(replay) {
+        return BinarySerializer.serialize(replay);
+    }
+
+    /**
+     * Decode and check a binary replay
+     * @param {Uint8Array|ArrayBuffer} binaryData - Replay file contents
+     * @returns {Object} Replay data
+     * @throws {Error} If the data is not a supported replay
+     */
+    static decode(binaryData) {
+        const replay = BinarySerializer.deserialize(binaryData);
+
+        if (!replay || replay.v !== REPLAY_VERSION) {
+            throw new Error('Unsupported or corrupt replay file');
+        }
+        if (!Array.isArray(replay.cars) || !Array.isArray(replay.frames) || replay.frames.length < 2) {
+            throw new Error('Replay file has no recorded frames');
+        }
+
+        return replay;
+    }
+
+    /**
+     * Save a replay to the user's downloads
+     * @param {Object} replay - Replay data
+     */
+    static download(replay) {
+        const blob = new Blob([ReplayFile.encode(replay)], { type: 'application/octet-stream' });
+        const url = URL.createObjectURL(blob);
+        const date = new Date(replay.recordedAt || Date.now()).toISOString().replace(/[:.]/g, '-');
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `racingcart-${replay.trackId || 'track'}-${date}${FILE_EXTENSION}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Read a replay from a file picked by the user
+     * @param {File} file - Replay file
+     * @returns {Promise<Object>} Replay data
+     */
+    static async read(file) {
+        const buffer = await file.arrayBuffer();
+        return ReplayFile.decode(new Uint8Array(buffer));
+    }
+
+    static get extension() {
+        return FILE_EXTENSION;
+    }
+}
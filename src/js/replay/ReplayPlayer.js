@@ -0,0 +1,257 @@
+import * as THREE from 'three';
+import { Car } from '../entities/car/Car';
+import { CAR_STATE_SIZE, ITEM_STATE_SIZE, ITEM_TYPES } from './RaceRecorder.js';
+
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Plays a recorded race back into the scene.
+ * Replay cars are display-only: they are not registered as cars
+ * (no `userData.car`), so live items and collision checks ignore them.
+ */
+export class ReplayPlayer {
+    /**
+     * @param {THREE.Scene} scene - Scene to play the replay in
+     * @param {Object} replay - Replay data (see RaceRecorder)
+     */
+    constructor(scene, replay) {
+        this.scene = scene;
+        this.replay = replay;
+        this.frames = replay.frames;
+        this.duration = replay.duration || this.frames[this.frames.length - 1][0];
+        this.time = 0;
+        this.speed = 1;
+        this.paused = false;
+        this.cars = new Map(); // replay car ID -> Car
+        this.items = new Map(); // replay item ID -> THREE.Mesh
+        this.targetIndex = 0;
+
+        this.createCars();
+        this.seek(0);
+    }
+
+    createCars() {
+        for (const info of this.replay.cars) {
+            const car = new Car({
+                scene: this.scene,
+                track: null,
+                isRemote: true,
+                carType: info.carType,
+                color: info.color,
+                playerName: info.name
+            });
+            car.replayInfo = info;
+            this.cars.set(info.id, car);
+        }
+
+        // Follow the local player's car first
+        const localIndex = this.replay.cars.findIndex(info => info.kind === 'local');
+        this.targetIndex = Math.max(0, localIndex);
+    }
+
+    createItemMesh(type) {
+        let mesh;
+        if (type === ITEM_TYPES.SHELL) {
+            mesh = new THREE.Mesh(
+                new THREE.SphereGeometry(0.8, 12, 8),
+                new THREE.MeshPhongMaterial({ color: 0xff0000, emissive: 0x330000, shininess: 80 })
+            );
+        } else {
+            const geometry = new THREE.CylinderGeometry(0.6, 0.5, 1.8, 8);
+            geometry.scale(1.5, 0.25, 1.5);
+            mesh = new THREE.Mesh(
+                geometry,
+                new THREE.MeshPhongMaterial({ color: 0xEBC334, shininess: 30 })
+            );
+        }
+        mesh.userData.isReplayItem = true;
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    /**
+     * Advance playback
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        if (!this.paused) {
+            this.time = Math.min(this.time + delta * 1000 * this.speed, this.duration);
+            if (this.time >= this.duration) {
+                this.paused = true;
+            }
+        }
+
+        this.applyTime(this.time);
+    }
+
+    /**
+     * Jump to a point in the replay
+     * @param {number} time - Milliseconds since the start of the replay
+     */
+    seek(time) {
+        this.time = THREE.MathUtils.clamp(time, 0, this.duration);
+        this.applyTime(this.time);
+    }
+
+    togglePause() {
+        // Restart from the beginning when play is pressed at the end
+        if (this.paused && this.time >= this.duration) {
+            this.time = 0;
+        }
+        this.paused = !this.paused;
+        return this.paused;
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+    }
+
+    /**
+     * Switch the camera to the next car in the replay
+     * @returns {Car|null} The new camera target
+     */
+    cycleTarget() {
+        if (this.replay.cars.length === 0) return null;
+
+        this.targetIndex = (this.targetIndex + 1) % this.replay.cars.length;
+        return this.getCameraTarget();
+    }
+
+    getCameraTarget() {
+        const info = this.replay.cars[this.targetIndex];
+        return info ? this.cars.get(info.id) : null;
+    }
+
+    /**
+     * Find the last frame at or before a time
+     */
+    findFrameIndex(time) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.frames[mid][0] <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Place every car and item where it was at this point of the race
+     */
+    applyTime(time) {
+        const index = this.findFrameIndex(time);
+        const frame = this.frames[index];
+        const nextFrame = this.frames[Math.min(index + 1, this.frames.length - 1)];
+        const alpha = nextFrame[0] > frame[0]
+            ? THREE.MathUtils.clamp((time - frame[0]) / (nextFrame[0] - frame[0]), 0, 1)
+            : 0;
+
+        this.applyCars(frame[1], nextFrame[1], alpha);
+        this.applyItems(frame[2], nextFrame[2], alpha);
+    }
+
+    applyCars(states, nextStates, alpha) {
+        const next = indexStates(nextStates, CAR_STATE_SIZE);
+        const visible = new Set();
+
+        for (let i = 0; i < states.length; i += CAR_STATE_SIZE) {
+            const [id, x, y, z, rotation] = states.slice(i, i + CAR_STATE_SIZE);
+            const car = this.cars.get(id);
+            if (!car) continue;
+
+            // Cars that left the race before the next frame just stay put
+            const [, nx, ny, nz, nextRotation] = next.get(id) || [id, x, y, z, rotation];
+            let rotationDelta = nextRotation - rotation;
+            rotationDelta = Math.atan2(Math.sin(rotationDelta), Math.cos(rotationDelta));
+
+            car.position.set(
+                x + (nx - x) * alpha,
+                y + (ny - y) * alpha,
+                z + (nz - z) * alpha
+            );
+            car.rotation = rotation + rotationDelta * alpha;
+            car.direction.set(Math.sin(car.rotation), 0, Math.cos(car.rotation));
+            this.prepareCarMesh(car);
+            car.updateVisuals();
+            visible.add(id);
+        }
+
+        // Hide cars that weren't in the race at this point
+        this.cars.forEach((car, id) => {
+            if (car.mesh) {
+                car.mesh.visible = visible.has(id);
+            }
+        });
+    }
+
+    /**
+     * Stop replay cars from being picked up by live item and collision checks
+     */
+    prepareCarMesh(car) {
+        if (car.mesh && car.mesh.userData.car) {
+            delete car.mesh.userData.car;
+            car.mesh.userData.isReplay = true;
+        }
+    }
+
+    applyItems(states, nextStates, alpha) {
+        const next = indexStates(nextStates, ITEM_STATE_SIZE);
+        const visible = new Set();
+
+        for (let i = 0; i < states.length; i += ITEM_STATE_SIZE) {
+            const [id, type, x, y, z] = states.slice(i, i + ITEM_STATE_SIZE);
+            if (!this.items.has(id)) {
+                this.items.set(id, this.createItemMesh(type));
+            }
+
+            const [, , nx, ny, nz] = next.get(id) || [id, type, x, y, z];
+            const mesh = this.items.get(id);
+            mesh.position.set(
+                x + (nx - x) * alpha,
+                y + (ny - y) * alpha,
+                z + (nz - z) * alpha
+            );
+            mesh.visible = true;
+            visible.add(id);
+        }
+
+        this.items.forEach((mesh, id) => {
+            mesh.visible = visible.has(id);
+        });
+    }
+
+    /**
+     * Remove all replay cars and items from the scene
+     */
+    dispose() {
+        this.cars.forEach(car => {
+            if (car.mesh) {
+                this.scene.remove(car.mesh);
+            }
+        });
+        this.cars.clear();
+
+        this.items.forEach(mesh => {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+        this.items.clear();
+    }
+}
+
+/**
+ * Index flattened entity states by ID
+ * @returns {Map<number, number[]>}
+ */
+function indexStates(states, size) {
+    const index = new Map();
+    for (let i = 0; i < states.length; i += size) {
+        index.set(states[i], states.slice(i, i + size));
+    }
+    return index;
+}
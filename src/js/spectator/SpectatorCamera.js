@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+
+const MOVE_SPEED = 40;       // Free camera speed in units per second
+const FAST_MULTIPLIER = 3;   // While holding shift
+const LOOK_SPEED = 0.005;    // Radians per pixel of mouse drag
+const MAX_PITCH = Math.PI / 2 - 0.05;
+
+/**
+ * Camera of a spectator. Either a free camera flown with the keyboard
+ * (WASD/arrows to move, Q/E down and up, shift for speed) and mouse drag
+ * to look around, or a follow camera on any car in the room using the
+ * game's camera views.
+ */
+export class SpectatorCamera {
+    constructor(game) {
+        this.game = game;
+        this.mode = 'free'; // 'free' or 'follow'
+        this.targetId = null;
+        this.yaw = 0;
+        this.pitch = 0;
+        this.keys = new Set();
+        this.dragPosition = null;
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('mousedown', this.onMouseDown);
+        window.addEventListener('mousemove', this.onMouseMove);
+        window.addEventListener('mouseup', this.onMouseUp);
+
+        // Start high above the track, looking down on it
+        this.game.camera.position.set(0, 60, -80);
+        this.game.camera.lookAt(0, 0, 0);
+        this.syncAnglesFromCamera();
+    }
+
+    /**
+     * Cars that can be followed: every racer and AI in the room
+     * @returns {Array<{id, car}>}
+     */
+    getTargets() {
+        return Array.from(this.game.remotePlayers.entries())
+            .filter(([, car]) => car && car.mesh)
+            .map(([id, car]) => ({ id, car }));
+    }
+
+    /**
+     * The followed car, falling back to the first car if it left
+     * @returns {Object|null} Car
+     */
+    getTarget() {
+        const targets = this.getTargets();
+        const target = targets.find(entry => entry.id === this.targetId) || targets[0];
+        if (!target) return null;
+
+        this.targetId = target.id;
+        return target.car;
+    }
+
+    /**
+     * Follow the next car in the room
+     */
+    cycleTarget() {
+        const targets = this.getTargets();
+        if (targets.length === 0) {
+            this.game.showNotification('No cars to follow yet');
+            return;
+        }
+
+        const index = targets.findIndex(entry => entry.id === this.targetId);
+        this.targetId = this.mode === 'follow'
+            ? targets[(index + 1) % targets.length].id
+            : (targets[index] || targets[0]).id;
+        this.mode = 'follow';
+    }
+
+    /**
+     * Follow a specific car
+     * @param {string} id - Peer ID of the car
+     */
+    follow(id) {
+        this.targetId = id;
+        this.mode = 'follow';
+    }
+
+    /**
+     * Leave the followed car and fly freely from where the camera is
+     */
+    setFree() {
+        this.mode = 'free';
+        this.syncAnglesFromCamera();
+    }
+
+    syncAnglesFromCamera() {
+        const direction = new THREE.Vector3();
+        this.game.camera.getWorldDirection(direction);
+        this.yaw = Math.atan2(direction.x, direction.z);
+        this.pitch = Math.asin(THREE.MathUtils.clamp(direction.y, -1, 1));
+    }
+
+    update(delta) {
+        if (this.mode === 'follow') {
+            const target = this.getTarget();
+            if (target) {
+                this.game.updateCamera(target);
+                return;
+            }
+        }
+        this.updateFreeCamera(delta);
+    }
+
+    updateFreeCamera(delta) {
+        const camera = this.game.camera;
+        const forward = new THREE.Vector3(
+            Math.sin(this.yaw) * Math.cos(this.pitch),
+            Math.sin(this.pitch),
+            Math.cos(this.yaw) * Math.cos(this.pitch)
+        );
+        const right = new THREE.Vector3(-Math.cos(this.yaw), 0, Math.sin(this.yaw));
+
+        const move = new THREE.Vector3();
+        if (this.keys.has('KeyW') || this.keys.has('ArrowUp')) move.add(forward);
+        if (this.keys.has('KeyS') || this.keys.has('ArrowDown')) move.sub(forward);
+        if (this.keys.has('KeyD') || this.keys.has('ArrowRight')) move.add(right);
+        if (this.keys.has('KeyA') || this.keys.has('ArrowLeft')) move.sub(right);
+        if (this.keys.has('KeyE')) move.y += 1;
+        if (this.keys.has('KeyQ')) move.y -= 1;
+
+        if (move.lengthSq() > 0) {
+            const fast = this.keys.has('ShiftLeft') || this.keys.has('ShiftRight');
+            move.normalize().multiplyScalar(MOVE_SPEED * (fast ? FAST_MULTIPLIER : 1) * delta);
+            camera.position.add(move);
+            camera.position.y = Math.max(1, camera.position.y);
+        }
+
+        camera.lookAt(camera.position.clone().add(forward));
+    }
+
+    onKeyDown(event) {
+        // Typing in a form field isn't flying
+        if (event.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+        this.keys.add(event.code);
+
+        if (event.code === 'KeyF') {
+            this.setFree();
+        } else if (event.code === 'KeyN' || event.code === 'Tab') {
+            event.preventDefault();
+            this.cycleTarget();
+        } else if (event.code === 'KeyV') {
+            this.game.cycleCameraMode();
+        }
+    }
+
+    onKeyUp(event) {
+        this.keys.delete(event.code);
+    }
+
+    onMouseDown(event) {
+        if (event.target !== this.game.renderer.domElement) return;
+        this.dragPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    onMouseMove(event) {
+        if (!this.dragPosition || this.mode !== 'free') return;
+
+        this.yaw -= (event.clientX - this.dragPosition.x) * LOOK_SPEED;
+        this.pitch = THREE.MathUtils.clamp(
+            this.pitch - (event.clientY - this.dragPosition.y) * LOOK_SPEED,
+            -MAX_PITCH,
+            MAX_PITCH
+        );
+        this.dragPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    onMouseUp() {
+        this.dragPosition = null;
+    }
+
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('mousedown', this.onMouseDown);
+        window.removeEventListener('mousemove', this.onMouseMove);
+        window.removeEventListener('mouseup', this.onMouseUp);
+        this.keys.clear();
+    }
+}
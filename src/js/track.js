@@ -2,6 +2,9 @@ import * as THREE from 'three';
 import { Scenery } from './environment/Scenery';
 import { Grandstand } from './environment/Grandstand';
 import { BaseTrack } from './tracks/BaseTrack';
+import { GhostRecorder } from './replay/GhostRecorder.js';
+import { GhostManager } from './replay/GhostManager.js';
+import { simulationClock } from './utils/SimulationClock.js';
 
 export class Track extends BaseTrack {
   constructor(scene, game) {
@@ -38,7 +41,7 @@ export class Track extends BaseTrack {
     this.checkpointCount = 4; // We'll use 4 checkpoints around the track
     this.hasPassedFinishLine = false;
     this.lapTimes = [];
-    this.lapStartTime = performance.now(); // Use performance.now() for high-precision timing
+    this.lapStartTime = simulationClock.now(); // Race time, so lap times don't depend on the frame rate
     this.raceFinished = false;
     this.totalLaps = 3;
     this.finishLineCooldown = false; // Add cooldown flag
@@ -46,6 +49,19 @@ export class Track extends BaseTrack {
     this.requiredCheckpoints = [0, 1, 2, 3]; // Must pass these in order
     this.checkpointsPassedThisLap = []; // Track which checkpoints we've passed
     
+    // Lap telemetry uploaded with high score submissions for server-side validation
+    this.lapTelemetry = { samples: [], checkpoints: [] };
+    this.telemetrySampleInterval = 100; // ms between position samples
+    this.lastTelemetrySampleTime = -Infinity;
+    
+    // Ghost recording of the current lap (position + rotation)
+    this.ghostRecorder = new GhostRecorder();
+    
+    // Personal best for this track (loaded from the server)
+    this.personalBest = null;
+    this.personalBestRank = null;
+    this.lastLapDelta = null; // Last lap time minus personal best, in seconds
+    
     // Speed stripes properties
     this.speedStripes = [];
     this.stripeAnimationTime = 0;
@@ -89,6 +105,9 @@ export class Track extends BaseTrack {
       // Style the HUD
       this.styleHUD();
       
+      // Fetch the player's personal best in the background
+      this.loadPersonalBest();
+      
       // Call parent class initialization
       await super.init();
       
@@ -403,6 +422,17 @@ export class Track extends BaseTrack {
     this.grandstand.addGrandstands(this.trackRadius, this.trackWidth);
   }
 
+  /**
+   * Check if a point is on the road itself; isPointInsideTrack also counts
+   * the strip of dirt between the road and the walls
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {boolean} True if position is on the road surface
+   */
+  isPointOnRoad(position) {
+    const distance = Math.sqrt(position.x * position.x + position.z * position.z);
+    return distance >= this.trackRadius - this.trackWidth / 2 && distance <= this.trackRadius + this.trackWidth / 2;
+  }
+
   // Collision detection with track boundaries
   checkCollision(carPosition) {
     // Get the car's actual dimensions and rotation
@@ -719,6 +749,10 @@ export class Track extends BaseTrack {
                     console.log(`Checkpoint ${checkpoint.id} passed`);
                 }
                 this.checkpointsPassedThisLap.push(checkpoint.id);
+                this.lapTelemetry.checkpoints.push([
+                    checkpoint.id,
+                    Math.round(simulationClock.now() - this.lapStartTime)
+                ]);
                 checkpointPassed = true;
             }
         }
@@ -739,6 +773,11 @@ export class Track extends BaseTrack {
   hasPassedAllRequiredCheckpoints() {
     this.log("Checking passed checkpoints:", this.checkpointsPassedThisLap);
     
+    // The server only counts a room race lap once every checkpoint is passed
+    if (this.isMultiplayer && window.game && window.game.serverRace) {
+      return this.checkpoints.every(checkpoint => this.checkpointsPassedThisLap.includes(checkpoint.id));
+    }
+    
     // We need at least 2 of the 4 checkpoints for a valid lap (very forgiving)
     if (this.checkpointsPassedThisLap.length < 2) {
       this.log("Not enough checkpoints passed:", this.checkpointsPassedThisLap.length);
@@ -767,9 +806,50 @@ export class Track extends BaseTrack {
     this.updateCheckpointIndicators();
   }
 
+  /**
+   * Record a position sample for the current lap's telemetry trace and ghost
+   * @param {THREE.Vector3} carPosition - Current car position
+   * @param {THREE.Vector3} carDirection - Current car direction
+   * @param {boolean} force - Record even if the sample interval hasn't elapsed
+   */
+  recordTelemetrySample(carPosition, carDirection, force = false) {
+    const now = simulationClock.now();
+    if (!force && now - this.lastTelemetrySampleTime < this.telemetrySampleInterval) {
+      return;
+    }
+    
+    this.lastTelemetrySampleTime = now;
+    this.ghostRecorder.record(now - this.lapStartTime, carPosition, Math.atan2(carDirection.x, carDirection.z), force);
+    this.lapTelemetry.samples.push([
+      Math.round(Math.max(0, now - this.lapStartTime)),
+      Math.round(carPosition.x * 100) / 100,
+      Math.round(carPosition.z * 100) / 100
+    ]);
+  }
+  
+  /**
+   * Take the telemetry trace for the lap that just ended and start a new one
+   * @returns {Object} Trace in the format expected by the server's LapValidator
+   */
+  takeLapTelemetry() {
+    const { samples, checkpoints } = this.lapTelemetry;
+    const lastSample = samples[samples.length - 1];
+    
+    // The next lap starts where this one ended
+    this.lapTelemetry = {
+      samples: lastSample ? [[0, lastSample[1], lastSample[2]]] : [],
+      checkpoints: []
+    };
+    
+    return { v: 1, samples, checkpoints };
+  }
+
   checkLapProgress(carPosition, carDirection) {
     if (!this.finishLineItem || !this.finishLineItem.mesh) return;
     
+    // Sample telemetry before checkpoints so crossings fall inside the trace
+    this.recordTelemetrySample(carPosition, carDirection);
+    
     // Check for checkpoint collisions first
     this.checkCheckpointsPassed(carPosition);
     
@@ -810,6 +890,9 @@ export class Track extends BaseTrack {
         if (validLap) {
             console.log(`Completing lap ${this.currentLap} - All checkpoints passed`);
             
+            // Close the telemetry trace exactly at the finish line
+            this.recordTelemetrySample(carPosition, carDirection, true);
+            
             if (!this.isMultiplayer && this.currentLap + 1 >= this.totalLaps) {
                 this.currentLap++;
                 this.finishRace();
@@ -818,6 +901,11 @@ export class Track extends BaseTrack {
                 this.currentLap++;
                 console.log(`Lap incremented: now on lap ${this.currentLap}`);
                 this.resetCheckpoints();
+
+                // In a room race the game reports the finish to the server
+                if (this.isMultiplayer && this.currentLap >= this.totalLaps && window.game && window.game.serverRace) {
+                    window.game.finishRace(this.lapTimes);
+                }
             }
             
             // Set cooldown
@@ -879,11 +967,11 @@ export class Track extends BaseTrack {
     const timeElement = document.getElementById('time');
 
     // Get current time and format it
-    const currentTime = performance.now();
+    const currentTime = simulationClock.now();
     
     // Calculate session time, ensuring lapStartTime is valid
     let sessionTime = 0;
-    if (this.lapStartTime && this.lapStartTime > 0) {
+    if (Number.isFinite(this.lapStartTime)) {
         sessionTime = Math.max(0, (currentTime - this.lapStartTime) / 1000);
     } else {
         // If lapStartTime is invalid, set it now
@@ -917,6 +1005,17 @@ export class Track extends BaseTrack {
             timeDisplay += `\nBest: ${bestTimeStr}`;
         }
         
+        // Add personal best and last lap delta if known
+        if (this.personalBest !== null) {
+            timeDisplay += `\nPB: ${this.formatLapTime(this.personalBest)}`;
+            
+            if (this.lastLapDelta !== null) {
+                const sign = this.lastLapDelta > 0 ? '+' : '-';
+                const color = this.lastLapDelta > 0 ? '#ff5555' : '#00ff00';
+                timeDisplay += ` <span style="color: ${color}">${sign}${Math.abs(this.lastLapDelta).toFixed(3)}</span>`;
+            }
+        }
+        
         timeElement.innerHTML = timeDisplay;
     }
 
@@ -948,9 +1047,11 @@ export class Track extends BaseTrack {
    */
   async onLapComplete() {
     // Record lap time
-    const currentTime = performance.now();
+    const currentTime = simulationClock.now();
+    const telemetry = this.takeLapTelemetry();
+    const ghost = this.ghostRecorder.take();
     
-    if (!this.lapStartTime) {
+    if (!Number.isFinite(this.lapStartTime)) {
         this.lapStartTime = currentTime;
         this.log("Setting initial lap start time:", this.lapStartTime);
         return;
@@ -968,11 +1069,31 @@ export class Track extends BaseTrack {
     
     this.lapTimes.push(lapTime);
     
+    // Compare against personal best before it gets replaced
+    if (this.personalBest !== null) {
+        this.lastLapDelta = lapTime - this.personalBest;
+    }
+    if (this.personalBest === null || lapTime < this.personalBest) {
+        this.personalBest = lapTime;
+    }
+    
     // Keep only the last 3 lap times
     if (this.lapTimes.length > 3) {
         this.lapTimes.shift();
     }
     
+    // Keep the fastest lap as the local personal best ghost
+    const ghostData = {
+        ...ghost,
+        name: this.getPlayerName(),
+        time: lapTime,
+        trackId: this.id,
+        timestamp: Date.now()
+    };
+    if (GhostManager.savePersonalBest(this.id, ghostData) && window.game && window.game.ghostManager) {
+        window.game.ghostManager.refresh();
+    }
+    
     // Show lap completed message
     this.showLapCompletedMessage(lapTime);
     
@@ -995,7 +1116,7 @@ export class Track extends BaseTrack {
     }
     
     // Check if this is a potential high score
-    this.checkAndSubmitHighScore(lapTime);
+    this.checkAndSubmitHighScore(lapTime, telemetry, ghost);
     
     // Reset lap start time for the next lap
     this.lapStartTime = currentTime;
@@ -1011,7 +1132,7 @@ export class Track extends BaseTrack {
   /**
    * Check if lap time qualifies as high score and submit it
    */
-  async checkAndSubmitHighScore(lapTime) {
+  async checkAndSubmitHighScore(lapTime, telemetry, ghost) {
     try {
         // Validate lap time before proceeding
         if (!lapTime || lapTime > 600 || lapTime < 1) {
@@ -1067,21 +1188,7 @@ export class Track extends BaseTrack {
             }
         }
         
-        // Get player name - add safer access with multiple fallbacks
-        let playerName = "Anonymous";
-        
-        // Try to access playerName through various paths with careful null checking
-        if (this.scene && this.scene.game && this.scene.game.playerName) {
-            playerName = this.scene.game.playerName;
-        } else if (window.game && window.game.playerName) {
-            playerName = window.game.playerName;
-        } else if (typeof localStorage !== 'undefined') {
-            // Try to get from localStorage as last resort
-            const storedName = localStorage.getItem('playerName');
-            if (storedName) {
-                playerName = storedName;
-            }
-        }
+        const playerName = this.getPlayerName();
         
         console.log("Using player name:", playerName);
         
@@ -1089,7 +1196,9 @@ export class Track extends BaseTrack {
         const scoreData = {
             name: playerName,
             time: lapTime,
-            trackId: this.id
+            trackId: this.id,
+            telemetry,
+            ghost
         };
         
         if (isTopThree) {
@@ -1105,6 +1214,72 @@ export class Track extends BaseTrack {
     }
   }
 
+  /**
+   * Get the local player's name with multiple fallbacks
+   * @returns {string} Player name or "Anonymous"
+   */
+  getPlayerName() {
+    // Try to access playerName through various paths with careful null checking
+    if (this.scene && this.scene.game && this.scene.game.playerName) {
+        return this.scene.game.playerName;
+    } else if (window.game && window.game.playerName) {
+        return window.game.playerName;
+    } else if (typeof localStorage !== 'undefined') {
+        // Try to get from localStorage as last resort
+        const storedName = localStorage.getItem('playerName');
+        if (storedName) {
+            return storedName;
+        }
+    }
+    
+    return "Anonymous";
+  }
+
+  /**
+   * Format a lap time in seconds as mm:ss.mmm
+   */
+  formatLapTime(time) {
+    const minutes = Math.floor(time / 60);
+    const seconds = Math.floor(time % 60);
+    const milliseconds = Math.floor((time % 1) * 1000);
+    
+    return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${milliseconds.toString().padStart(3, '0')}`;
+  }
+
+  /**
+   * Load the player's personal best for this track from the server
+   */
+  async loadPersonalBest() {
+    try {
+        const playerName = this.getPlayerName();
+        
+        const baseUrl = window.SERVER_URL || (window.location.hostname === 'localhost' 
+            ? `http://${window.location.hostname}:1337`   // Development
+            : 'https://api.example.com');     // Production - Use your actual API server
+        
+        const apiUrl = `${baseUrl}/api/players/${encodeURIComponent(playerName)}/scores?trackId=${encodeURIComponent(this.id)}`;
+        const response = await fetch(apiUrl);
+        
+        if (!response.ok) {
+            throw new Error(`Failed to fetch personal best: ${response.statusText}`);
+        }
+        
+        const result = await response.json();
+        const best = result.personalBests && result.personalBests.find(pb => pb.trackId === this.id);
+        
+        if (best) {
+            // Keep a faster local lap that hasn't been accepted by the server yet
+            if (this.personalBest === null || best.time <= this.personalBest) {
+                this.personalBest = best.time;
+            }
+            this.personalBestRank = best.rank;
+            this.log("Loaded personal best:", best);
+        }
+    } catch (error) {
+        console.error("Error loading personal best:", error);
+    }
+  }
+
   /**
    * Show UI to collect email for top 3 scores
    */
@@ -1212,6 +1387,16 @@ export class Track extends BaseTrack {
         // Add timestamp for replay protection
         formattedScoreData.timestamp = Date.now();
 
+        // Attach the lap trace so the server can replay the lap
+        if (scoreData.telemetry) {
+            formattedScoreData.telemetry = scoreData.telemetry;
+        }
+
+        // Attach the ghost so a new track record can be raced against
+        if (scoreData.ghost) {
+            formattedScoreData.ghost = scoreData.ghost;
+        }
+
         // Create a hash of the payload using SHA-256
         const message = JSON.stringify(formattedScoreData);
         const encoder = new TextEncoder();
@@ -1283,6 +1468,14 @@ export class Track extends BaseTrack {
         // Show notification of high score rank
         if (result.success) {
             this.showHighScoreRankMessage(result.rank);
+            
+            // Refresh personal best and rank from the server
+            this.loadPersonalBest();
+            
+            // A new track record replaces the record ghost
+            if (result.rank === 1 && window.game && window.game.ghostManager) {
+                window.game.ghostManager.refresh();
+            }
         }
     } catch (error) {
         console.error("[DEBUG] Error submitting high score:", error);
@@ -1678,9 +1871,11 @@ export class Track extends BaseTrack {
     const gameHUD = document.getElementById('game-hud');
     if (gameHUD) {
         gameHUD.style.opacity = '0';
-        // Hide completely after the fade out animation
+        // Hide completely after the fade out animation, unless the HUD was shown again meanwhile
         setTimeout(() => {
-            gameHUD.style.visibility = 'hidden';
+            if (gameHUD.style.opacity === '0') {
+                gameHUD.style.visibility = 'hidden';
+            }
         }, 300); // Match the transition duration
     }
   }
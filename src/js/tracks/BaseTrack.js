@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { simulationClock } from '../utils/SimulationClock.js';
 
 /**
  * BaseTrack - Core track functionality
@@ -135,6 +136,28 @@ export class BaseTrack {
     this.isMultiplayer = isMultiplayer;
     console.log(`Track set to ${isMultiplayer ? 'multiplayer' : 'single player'} mode`);
   }
+
+  /**
+   * Show the game HUD (lap counter, timer) for this track
+   */
+  showHUD() {
+    const gameHUD = document.getElementById('game-hud');
+    if (gameHUD) {
+      gameHUD.style.visibility = 'visible';
+      gameHUD.style.opacity = '1';
+    }
+  }
+
+  /**
+   * Hide the game HUD
+   */
+  hideHUD() {
+    const gameHUD = document.getElementById('game-hud');
+    if (gameHUD) {
+      gameHUD.style.opacity = '0';
+      gameHUD.style.visibility = 'hidden';
+    }
+  }
   
   /**
    * Check if the car has passed through a checkpoint
@@ -187,14 +210,14 @@ export class BaseTrack {
     // This prevents immediate lap completion when first loading a track
     if (this.initialLapCheck === undefined) {
       this.initialLapCheck = true;
-      this.lastLapCheckTime = performance.now();
+      this.lastLapCheckTime = simulationClock.now();
       this.lapCooldownPeriod = 2000; // 2 second cooldown after track loads
       console.log("[TRACK] Initial lap check - setting cooldown");
       return; // Skip the first check to prevent immediate finish
     }
     
     // Add a cooldown to prevent immediate finish when track changes
-    const now = performance.now();
+    const now = simulationClock.now();
     if (this.initialLapCheck && now - this.lastLapCheckTime < this.lapCooldownPeriod) {
       // Still in cooldown period, don't check for laps yet
       return;
@@ -224,8 +247,8 @@ export class BaseTrack {
     
     // Only process finish line if game is available
     if (isAtFinishLine && this.game) {
-      // Calculate if car is moving in the right direction (simplified check)
-      const isMovingForward = carDirection.z >= 0;
+      // Calculate if car is moving in the right direction
+      const isMovingForward = this.isMovingForward(carDirection);
       
       if (isMovingForward && !this.game.hasPassedFinishLine) {
         console.log("[TRACK] Finish line crossed");
@@ -256,6 +279,16 @@ export class BaseTrack {
     }
   }
   
+  /**
+   * Check if the car is heading the right way through the finish line
+   * Simplified check; tracks whose finish line isn't aligned with Z override this
+   * @param {THREE.Vector3} carDirection - The direction the car is facing
+   * @returns {boolean} True if the car is moving forward
+   */
+  isMovingForward(carDirection) {
+    return carDirection.z >= 0;
+  }
+  
   /**
    * Update method called every frame
    * @param {number} deltaTime - Time since last frame in seconds
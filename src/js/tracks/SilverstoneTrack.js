@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { ModelTrack } from './ModelTrack.js';
+import { SILVERSTONE_LAYOUT } from 'racingcart-shared/tracks/SilverstoneLayout.js';
 
 /**
  * SilverstoneTrack - Silverstone racing circuit
@@ -145,9 +146,9 @@ export class SilverstoneTrack extends ModelTrack {
     
     // Use the validated start_line_main coordinates (the red marker that was correct)
     const startPos = {
-      x: 17.23, 
+      x: SILVERSTONE_LAYOUT.start.x,
       y: -5.14 + 1.5, // Add a small offset to ensure car is above ground
-      z: 200.07
+      z: SILVERSTONE_LAYOUT.start.z
     };
     
     // Use this position
@@ -232,22 +233,12 @@ export class SilverstoneTrack extends ModelTrack {
     });
     this.checkpoints = [];
     
-    // Define checkpoint positions based on our validated start position
-    // Place checkpoints along the Silverstone track layout
-    const checkpointPositions = [
-      // First checkpoint after the start line
-      { x: 100, y: 1, z: 200 },
-      // Second checkpoint - into first corner
-      { x: 200, y: 1, z: 300 },
-      // Third checkpoint - mid track
-      { x: 100, y: 1, z: 300 },
-      // Fourth checkpoint - coming back toward finish line
-      { x: 0, y: 1, z: 250 },
-    ];
+    // Place checkpoints along the Silverstone track layout (shared with the server)
+    const checkpointPositions = SILVERSTONE_LAYOUT.checkpoints.map(({ x, z }) => ({ x, y: 1, z }));
     
     // Create each checkpoint
     checkpointPositions.forEach((pos, index) => {
-      const checkpointSize = 25; // Make checkpoints larger to ensure they're hit
+      const checkpointSize = SILVERSTONE_LAYOUT.width; // Make checkpoints larger to ensure they're hit
       const checkpointGeometry = new THREE.BoxGeometry(checkpointSize, 10, checkpointSize);
       const checkpointMaterial = new THREE.MeshBasicMaterial({
         color: 0x00ff00,
@@ -0,0 +1,480 @@
+import * as THREE from 'three';
+import { BaseTrack } from './BaseTrack.js';
+import { TrackDefinition } from 'racingcart-shared/tracks/TrackDefinition.js';
+import { SceneryManager } from '../environment/SceneryManager.js';
+
+/**
+ * SplineTrack - Track built from a JSON track definition
+ * Builds the road, curbs, walls, checkpoints and scenery from the
+ * definition's centerline spline, so new tracks need no code.
+ */
+export class SplineTrack extends BaseTrack {
+  /**
+   * @param {THREE.Scene} scene - Three.js scene to add the track to
+   * @param {object} game - Game instance
+   * @param {object} options - { definition: TrackDefinition or raw track JSON }
+   */
+  constructor(scene, game, options = {}) {
+    super(scene, game);
+
+    this.definition = options.definition instanceof TrackDefinition
+      ? options.definition
+      : new TrackDefinition(options.definition);
+
+    // Override base properties
+    this.id = this.definition.id;
+    this.name = this.definition.name;
+    this.description = this.definition.description;
+    this.totalLaps = this.definition.totalLaps;
+    this.theme = this.definition.theme;
+
+    // References to track objects
+    this.trackMesh = null;
+    this.curbMeshes = [];
+    this.finishLineDecoration = null;
+    this.groundMesh = null;
+
+    // Start position is the pole slot of the start grid
+    this.startGridSlots = this.definition.getStartGridSlots();
+    const pole = this.startGridSlots[0];
+    this.startPosition = new THREE.Vector3(pole.x, pole.y + 0.5, pole.z);
+    this.startRotation = pole.rotation;
+
+    // Finish line sits at the start of the spline
+    const finish = this.definition.getPointAt(0);
+    this.finishLinePosition = new THREE.Vector3(finish.x, finish.y, finish.z);
+    this.finishLineDirection = new THREE.Vector3(finish.tangentX, 0, finish.tangentZ);
+
+    // Item spawn points in world space
+    this.itemSpawnPoints = this.definition.itemSpawns.map(spawn => {
+      const point = this.definition.getOffsetPointAt(spawn.u, spawn.offset);
+      return { position: new THREE.Vector3(point.x, point.y + 1, point.z), type: spawn.type };
+    });
+
+    this.scenery = this.definition.scenery.length > 0 ? new SceneryManager(scene) : null;
+  }
+
+  /**
+   * Initialize the track
+   */
+  init() {
+    console.log(`Initializing spline track: ${this.name}`);
+
+    this.applyTheme();
+    this.createGroundPlane();
+    this.createTrack();
+    this.createCurbs();
+    this.createTrackBoundaries();
+    this.addScenery();
+
+    // Create finish line and checkpoint triggers
+    this.createFinishLineTrigger();
+    this.createCheckpoints();
+    this.createFinishLineDecoration();
+
+    return this;
+  }
+
+  applyTheme() {
+    this.previousBackground = this.scene.background;
+    this.scene.background = new THREE.Color(this.theme.skyColor);
+  }
+
+  /**
+   * Get the sideways (right-hand) direction at a centerline sample
+   * The first and last samples are the same point, so neighbours wrap around the loop.
+   * @param {number} i - Sample index
+   */
+  getSampleRight(i) {
+    const samples = this.definition.samples;
+    const last = samples.length - 1;
+    const next = samples[i >= last ? 1 : i + 1];
+    const previous = samples[i <= 0 ? last - 1 : i - 1];
+    const dx = next.x - previous.x;
+    const dz = next.z - previous.z;
+    const length = Math.hypot(dx, dz) || 1;
+    return { rightX: -dz / length, rightZ: dx / length };
+  }
+
+  /**
+   * Build a flat strip following the centerline
+   * @param {function} getEdges - (sample) => [innerOffset, outerOffset] relative to the centerline
+   * @param {number} height - Height above the centerline
+   * @returns {THREE.BufferGeometry}
+   */
+  createStripGeometry(getEdges, height = 0) {
+    const samples = this.definition.samples;
+    const positions = [];
+    const uvs = [];
+    const indices = [];
+
+    samples.forEach((sample, i) => {
+      const { rightX, rightZ } = this.getSampleRight(i);
+      const [left, right] = getEdges(sample);
+
+      positions.push(
+        sample.x + rightX * left, sample.y + height, sample.z + rightZ * left,
+        sample.x + rightX * right, sample.y + height, sample.z + rightZ * right
+      );
+      uvs.push(0, sample.distance / 10, 1, sample.distance / 10);
+
+      if (i < samples.length - 1) {
+        const a = i * 2;
+        indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+      }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  /**
+   * Create the road surface
+   */
+  createTrack() {
+    const geometry = this.createStripGeometry(sample => [-sample.width / 2, sample.width / 2], 0.01);
+    const material = new THREE.MeshStandardMaterial({
+      color: this.theme.roadColor,
+      roughness: 0.7,
+      metalness: 0.1,
+      side: THREE.DoubleSide
+    });
+
+    this.trackMesh = new THREE.Mesh(geometry, material);
+    this.trackMesh.receiveShadow = true;
+    this.trackMesh.name = `spline_track_${this.id}`;
+    this.scene.add(this.trackMesh);
+
+    console.log(`Created spline track (${this.definition.length.toFixed(0)}m lap)`);
+    return this.trackMesh;
+  }
+
+  /**
+   * Create curbs along both road edges
+   */
+  createCurbs() {
+    const material = new THREE.MeshStandardMaterial({
+      color: this.theme.curbColor,
+      roughness: 0.6,
+      side: THREE.DoubleSide
+    });
+
+    const edges = [
+      sample => [-sample.width / 2 - 1, -sample.width / 2],
+      sample => [sample.width / 2, sample.width / 2 + 1]
+    ];
+
+    edges.forEach((getEdges, index) => {
+      const curb = new THREE.Mesh(this.createStripGeometry(getEdges, 0.02), material);
+      curb.receiveShadow = true;
+      curb.name = `curb_${index}`;
+      this.scene.add(curb);
+      this.curbMeshes.push(curb);
+    });
+  }
+
+  /**
+   * Create low walls just outside the curbs
+   */
+  createTrackBoundaries() {
+    this.trackBoundaries = [];
+
+    const material = new THREE.MeshStandardMaterial({
+      color: this.theme.wallColor,
+      roughness: 0.8,
+      side: THREE.DoubleSide
+    });
+
+    [-1, 1].forEach(side => {
+      const geometry = this.createWallGeometry(sample => side * (sample.width / 2 + 2), 1.2);
+      const wall = new THREE.Mesh(geometry, material);
+      wall.castShadow = true;
+      wall.name = side < 0 ? 'inner_boundary' : 'outer_boundary';
+      this.scene.add(wall);
+      this.trackBoundaries.push(wall);
+    });
+
+    console.log('Created track boundaries');
+  }
+
+  /**
+   * Build a vertical wall following the centerline at a lateral offset
+   */
+  createWallGeometry(getOffset, height) {
+    const samples = this.definition.samples;
+    const positions = [];
+    const indices = [];
+
+    samples.forEach((sample, i) => {
+      const { rightX, rightZ } = this.getSampleRight(i);
+      const offset = getOffset(sample);
+      const x = sample.x + rightX * offset;
+      const z = sample.z + rightZ * offset;
+
+      positions.push(x, sample.y, z, x, sample.y + height, z);
+
+      if (i < samples.length - 1) {
+        const a = i * 2;
+        indices.push(a, a + 2, a + 1, a + 1, a + 2, a + 3);
+      }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setIndex(indices);
+    geometry.computeVertexNormals();
+    return geometry;
+  }
+
+  /**
+   * Create a ground plane
+   */
+  createGroundPlane() {
+    const groundSize = this.theme.groundSize;
+    const groundGeometry = new THREE.PlaneGeometry(groundSize, groundSize);
+    const groundMaterial = new THREE.MeshStandardMaterial({
+      color: this.theme.groundColor,
+      roughness: 0.8,
+      metalness: 0.2,
+      side: THREE.DoubleSide
+    });
+
+    this.groundMesh = new THREE.Mesh(groundGeometry, groundMaterial);
+    this.groundMesh.rotation.x = -Math.PI / 2;
+    this.groundMesh.position.y = -0.1; // Slightly below track to avoid z-fighting
+    this.groundMesh.receiveShadow = true;
+    this.groundMesh.name = 'ground_plane';
+
+    this.scene.add(this.groundMesh);
+    return this.groundMesh;
+  }
+
+  /**
+   * Place the scenery listed in the definition
+   */
+  addScenery() {
+    if (!this.scenery) {
+      return;
+    }
+
+    this.definition.scenery.forEach(item => {
+      switch (item.type) {
+        case 'tree':
+          this.scenery.createTree(item.x, item.z);
+          break;
+        case 'palm':
+          this.scenery.createPalmTree(item.x, item.z);
+          break;
+        case 'grandstand':
+          // createGrandstand doesn't track the stand, so register it for cleanup
+          this.scenery.stands.push(this.scenery.createGrandstand(item.width, item.x, item.z, item.rotation));
+          break;
+        case 'mountains':
+          this.scenery.createMountains();
+          break;
+      }
+    });
+
+    console.log(`Added ${this.definition.scenery.length} scenery items`);
+  }
+
+  /**
+   * Create checkpoints at the positions listed in the definition
+   */
+  createCheckpoints() {
+    // Clear existing checkpoints
+    this.checkpoints.forEach(checkpoint => {
+      this.scene.remove(checkpoint);
+    });
+    this.checkpoints = [];
+
+    this.definition.checkpoints.forEach((u, i) => {
+      const point = this.definition.getPointAt(u);
+
+      const checkpoint = new THREE.Mesh(
+        new THREE.BoxGeometry(point.width, 5, 5),
+        new THREE.MeshBasicMaterial({
+          color: 0x00ff00,
+          transparent: true,
+          opacity: this.debug.showCheckpoints ? 0.3 : 0
+        })
+      );
+      checkpoint.position.set(point.x, point.y + 2.5, point.z);
+
+      // Span the road across the driving direction
+      checkpoint.rotation.y = Math.atan2(point.tangentX, point.tangentZ);
+      checkpoint.userData.width = point.width;
+      checkpoint.name = `checkpoint_${i}`;
+
+      this.scene.add(checkpoint);
+      this.checkpoints.push(checkpoint);
+    });
+
+    console.log(`Created ${this.checkpoints.length} checkpoints`);
+    return this.checkpoints;
+  }
+
+  /**
+   * Create finish line trigger for lap counting
+   */
+  createFinishLineTrigger() {
+    const finish = this.definition.getPointAt(0);
+    const triggerGeometry = new THREE.BoxGeometry(finish.width, 5, 5);
+    const triggerMaterial = new THREE.MeshBasicMaterial({
+      color: 0xff0000,
+      transparent: true,
+      opacity: this.debug.showCheckpoints ? 0.3 : 0
+    });
+
+    this.finishLineTrigger = new THREE.Mesh(triggerGeometry, triggerMaterial);
+    this.finishLineTrigger.position.copy(this.finishLinePosition);
+    this.finishLineTrigger.position.y += 2.5; // Place it above the ground
+    this.finishLineTrigger.rotation.y = Math.atan2(finish.tangentX, finish.tangentZ);
+    this.finishLineTrigger.name = 'finish_line_trigger';
+
+    this.scene.add(this.finishLineTrigger);
+    console.log('Created finish line trigger');
+
+    return this.finishLineTrigger;
+  }
+
+  /**
+   * Create a visible checkered finish line
+   */
+  createFinishLineDecoration() {
+    const finish = this.definition.getPointAt(0);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = 512;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+    const squareSize = 64;
+    for (let x = 0; x < canvas.width; x += squareSize) {
+      for (let y = 0; y < canvas.height; y += squareSize) {
+        ctx.fillStyle = (x / squareSize + y / squareSize) % 2 === 0 ? '#ffffff' : '#000000';
+        ctx.fillRect(x, y, squareSize, squareSize);
+      }
+    }
+
+    const material = new THREE.MeshStandardMaterial({
+      map: new THREE.CanvasTexture(canvas),
+      side: THREE.DoubleSide,
+      roughness: 0.5,
+      metalness: 0.2
+    });
+
+    this.finishLineDecoration = new THREE.Mesh(new THREE.PlaneGeometry(finish.width, 3), material);
+    this.finishLineDecoration.position.set(finish.x, finish.y + 0.05, finish.z);
+    this.finishLineDecoration.rotation.order = 'YXZ';
+    this.finishLineDecoration.rotation.y = Math.atan2(finish.tangentX, finish.tangentZ);
+    this.finishLineDecoration.rotation.x = -Math.PI / 2;
+    this.finishLineDecoration.receiveShadow = true;
+    this.finishLineDecoration.name = 'finish_line_decoration';
+
+    this.scene.add(this.finishLineDecoration);
+    return this.finishLineDecoration;
+  }
+
+  /**
+   * Check if a point is on the road
+   * @param {THREE.Vector3} position - Position to check
+   * @returns {boolean} True if position is inside the track
+   */
+  isPointInsideTrack(position) {
+    return this.definition.isOnTrack(position.x, position.z);
+  }
+
+  /**
+   * Check if the car has hit a wall
+   * @param {THREE.Vector3} carPosition - The car's position
+   * @returns {boolean} True if the car is past the walls beside the curbs
+   */
+  checkCollision(carPosition) {
+    const { distance, width } = this.definition.project(carPosition.x, carPosition.z);
+    return distance > width / 2 + 2;
+  }
+
+  /**
+   * Get the direction that pushes a car back onto the road after hitting a wall
+   * @param {THREE.Vector3} carPosition - The car's position
+   * @returns {THREE.Vector3} Horizontal unit vector towards the centerline
+   */
+  getCollisionNormal(carPosition) {
+    const { u } = this.definition.project(carPosition.x, carPosition.z);
+    const point = this.definition.getPointAt(u);
+    const normal = new THREE.Vector3(point.x - carPosition.x, 0, point.z - carPosition.z);
+    return normal.lengthSq() > 0 ? normal.normalize() : normal.set(-point.tangentZ, 0, point.tangentX);
+  }
+
+  /**
+   * Check if the car is within a checkpoint's gate
+   */
+  checkCheckpointCollision(carPosition, checkpointIndex) {
+    const checkpoint = this.checkpoints[checkpointIndex];
+    if (!checkpoint) {
+      return false;
+    }
+
+    const dx = carPosition.x - checkpoint.position.x;
+    const dz = carPosition.z - checkpoint.position.z;
+    return Math.hypot(dx, dz) < checkpoint.userData.width / 2;
+  }
+
+  /**
+   * The lap counts only when crossing the finish line in the driving direction
+   */
+  isMovingForward(carDirection) {
+    return carDirection.x * this.finishLineDirection.x + carDirection.z * this.finishLineDirection.z >= 0;
+  }
+
+  /**
+   * Get the start position for a grid slot
+   * @param {number} slot - Grid slot (0 = pole position)
+   * @returns {Object} Start position and rotation
+   */
+  getStartPosition(slot = 0) {
+    const gridSlot = this.startGridSlots[slot % this.startGridSlots.length];
+    return {
+      position: new THREE.Vector3(gridSlot.x, gridSlot.y + 0.5, gridSlot.z),
+      rotation: gridSlot.rotation
+    };
+  }
+
+  /**
+   * Clean up resources
+   */
+  cleanup() {
+    // Remove walls before the base class forgets about them
+    this.trackBoundaries.forEach(wall => {
+      this.scene.remove(wall);
+      wall.geometry.dispose();
+    });
+
+    super.cleanup();
+
+    [this.trackMesh, this.finishLineDecoration, this.groundMesh, ...this.curbMeshes].forEach(mesh => {
+      if (mesh) {
+        this.scene.remove(mesh);
+        mesh.geometry.dispose();
+      }
+    });
+    this.trackMesh = null;
+    this.finishLineDecoration = null;
+    this.groundMesh = null;
+    this.curbMeshes = [];
+
+    if (this.scenery) {
+      this.scenery.cleanup();
+    }
+
+    if (this.previousBackground !== undefined) {
+      this.scene.background = this.previousBackground;
+    }
+
+    console.log(`Cleaned up spline track: ${this.name}`);
+  }
+}
@@ -2,6 +2,11 @@ import { BaseTrack } from './BaseTrack.js';
 import { CircularTrack } from './CircularTrack.js';
 import { ModelTrack } from './ModelTrack.js';
 import { SilverstoneTrack } from './SilverstoneTrack.js';
+import { SplineTrack } from './SplineTrack.js';
+import { TrackDefinition } from 'racingcart-shared/tracks/TrackDefinition.js';
+
+// Data-driven tracks live in public/tracks/<id>.json and are listed in index.json
+const TRACKS_PATH = 'tracks';
 
 /**
  * TrackFactory - Factory class for creating different track types
@@ -36,6 +41,10 @@ export class TrackFactory {
         track = new SilverstoneTrack(scene, game);
         break;
         
+      case 'spline':
+        track = new SplineTrack(scene, game, options);
+        break;
+        
       default:
         console.warn(`Unknown track type: ${trackType}, defaulting to CircularTrack`);
         track = new CircularTrack(scene, game, options);
@@ -58,6 +67,50 @@ export class TrackFactory {
     return this.createTrack(type, scene, game, options);
   }
   
+  /**
+   * Load a data-driven track definition from public/tracks/<id>.json
+   * @param {string} trackId - Track ID (file name without .json)
+   * @returns {Promise<TrackDefinition>} Parsed track definition
+   */
+  static async loadTrackDefinition(trackId) {
+    if (!/^[a-z0-9_-]+$/i.test(trackId)) {
+      throw new Error(`Invalid track ID: ${trackId}`);
+    }
+    return TrackDefinition.load(`${TRACKS_PATH}/${trackId}.json`);
+  }
+  
+  /**
+   * Create a track from a data-driven track definition
+   * @param {string} trackId - Track ID (file name without .json)
+   * @param {THREE.Scene} scene - Three.js scene to add the track to
+   * @param {object} game - Game instance
+   * @returns {Promise<SplineTrack>} Created track instance
+   */
+  static async createTrackFromFile(trackId, scene, game) {
+    const definition = await this.loadTrackDefinition(trackId);
+    return this.createTrack('spline', scene, game, { definition });
+  }
+  
+  /**
+   * Get the data-driven tracks listed in public/tracks/index.json
+   * @returns {Promise<Array>} List of { id, name, description }
+   */
+  static async getDataDrivenTracks() {
+    try {
+      const response = await fetch(`${TRACKS_PATH}/index.json`);
+      if (!response.ok) {
+        throw new Error(response.statusText);
+      }
+      const manifest = await response.json();
+      return (manifest.tracks || []).map(entry => (
+        typeof entry === 'string' ? { id: entry, name: entry, description: '' } : entry
+      ));
+    } catch (error) {
+      console.warn('[TRACKS] Could not load track list:', error);
+      return [];
+    }
+  }
+  
   /**
    * Get list of available track types
    * @returns {Array} List of available track types
@@ -0,0 +1,185 @@
+/**
+ * Championship standings between rounds: points per round and in total
+ * for every driver, the track of the next round and, once the last round
+ * is raced, the champion. Sent by the server after every round.
+ */
+export class ChampionshipUI {
+    constructor(game) {
+        this.game = game;
+        this.container = null;
+        this.countdownTimer = null;
+    }
+
+    show() {
+        if (!this.container) {
+            this.createUI();
+        }
+        this.container.style.display = 'block';
+    }
+
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+        this.stopCountdown();
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'championship-standings';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 50%;
+            right: 20px;
+            transform: translateY(-50%);
+            min-width: 260px;
+            max-width: 90vw;
+            max-height: 80vh;
+            overflow-y: auto;
+            padding: 12px 16px;
+            background: rgba(0, 0, 0, 0.85);
+            border: 2px solid #ffd700;
+            border-radius: 10px;
+            color: white;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            z-index: 1100;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; align-items: center; gap: 10px; margin-bottom: 8px;';
+
+        this.titleLabel = document.createElement('div');
+        this.titleLabel.style.cssText = 'flex: 1; font-size: 16px; color: #ffd700; font-weight: bold;';
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '✖';
+        closeButton.title = 'Close';
+        closeButton.style.cssText = `
+            background: none;
+            color: #aaa;
+            border: none;
+            cursor: pointer;
+            font-size: 14px;
+        `;
+        closeButton.addEventListener('click', () => this.hide());
+
+        header.appendChild(this.titleLabel);
+        header.appendChild(closeButton);
+        this.container.appendChild(header);
+
+        this.table = document.createElement('table');
+        this.table.style.cssText = 'width: 100%; border-collapse: collapse;';
+        this.container.appendChild(this.table);
+
+        this.footer = document.createElement('div');
+        this.footer.style.cssText = 'margin-top: 10px; color: #ccc; font-size: 13px; text-align: center;';
+        this.container.appendChild(this.footer);
+
+        document.body.appendChild(this.container);
+    }
+
+    /**
+     * Redraw the standings
+     * @param {Object} championship - Championship state from the server (null when it ended)
+     * @param {number} nextRoundAt - Server time the next round's track loads, if scheduled
+     * @param {number} serverTime - Server time the update was sent
+     */
+    update(championship, nextRoundAt = null, serverTime = null) {
+        if (!championship) {
+            this.hide();
+            return;
+        }
+
+        this.show();
+        this.titleLabel.textContent = championship.finished
+            ? `🏆 ${championship.name} - Final Standings`
+            : `🏆 ${championship.name} - Round ${championship.round} of ${championship.totalRounds}`;
+
+        this.renderTable(championship);
+        this.stopCountdown();
+
+        if (championship.finished) {
+            const [champion] = championship.standings;
+            this.footer.textContent = champion ? `👑 ${champion.name} wins with ${champion.points} points!` : '';
+        } else if (nextRoundAt) {
+            // Count down in local time; the clocks of client and server may differ
+            const deadline = Date.now() + (nextRoundAt - (serverTime || Date.now()));
+            const nextTrack = this.getTrackName(championship.nextTrackId);
+            const tick = () => {
+                const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+                this.footer.textContent = seconds > 0
+                    ? `Next round on ${nextTrack} in ${seconds}s`
+                    : `Loading ${nextTrack}...`;
+                if (seconds === 0) this.stopCountdown();
+            };
+            tick();
+            this.countdownTimer = setInterval(tick, 1000);
+        } else {
+            this.footer.textContent = `Next round: ${this.getTrackName(championship.nextTrackId)}`;
+        }
+    }
+
+    renderTable(championship) {
+        this.table.innerHTML = '';
+        const localName = this.game.playerName;
+        const cellStyle = 'padding: 3px 6px; text-align: right; font-family: monospace;';
+
+        const header = document.createElement('tr');
+        header.style.cssText = 'color: #aaa; font-size: 12px;';
+        const headings = ['', 'Driver', ...championship.trackIds.map((_, index) => `R${index + 1}`), 'Pts'];
+        headings.forEach((heading, index) => {
+            const cell = document.createElement('th');
+            cell.textContent = heading;
+            cell.style.cssText = index === 1 ? 'padding: 3px 6px; text-align: left;' : cellStyle;
+            header.appendChild(cell);
+        });
+        this.table.appendChild(header);
+
+        championship.standings.forEach(driver => {
+            const row = document.createElement('tr');
+            if (driver.name === localName) {
+                row.style.color = '#00ff00';
+                row.style.fontWeight = 'bold';
+            }
+
+            const values = [
+                `P${driver.position}`,
+                driver.isAI ? `${driver.name} (AI)` : driver.name,
+                // Rounds not raced yet, or missed, are left blank
+                ...championship.trackIds.map((_, index) => {
+                    const points = driver.rounds[index];
+                    return points === null || points === undefined ? '' : String(points);
+                }),
+                String(driver.points)
+            ];
+            values.forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                cell.style.cssText = index === 1 ? 'padding: 3px 6px; text-align: left;' : cellStyle;
+                row.appendChild(cell);
+            });
+            this.table.appendChild(row);
+        });
+    }
+
+    getTrackName(trackId) {
+        const track = (this.game.trackOptions || []).find(option => option.id === trackId);
+        return track ? track.name : trackId;
+    }
+
+    stopCountdown() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+    }
+
+    dispose() {
+        this.stopCountdown();
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
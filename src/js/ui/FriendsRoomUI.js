@@ -1,4 +1,6 @@
 import { GameModes } from '../constants/GameModes';
+import { TrackFactory } from '../tracks/TrackFactory.js';
+import { DEFAULT_ROOM_OPTIONS, MIN_LAPS, MAX_LAPS, normalizeRoomOptions } from 'racingcart-shared/constants/RoomOptions.js';
 
 /**
  * Handles the UI for creating and joining private rooms with friends
@@ -173,6 +175,35 @@ export class FriendsRoomUI {
                 <!-- Create Room UI -->
                 <div id="create-room-ui" class="room-info">
                     <p style="margin-bottom: 20px; font-size: 16px;">Create a private room and share the code with your friends!</p>
+                    <label style="display: flex; align-items: center; gap: 10px; margin-bottom: 15px; font-size: 16px;">
+                        <span>Track:</span>
+                        <select id="room-track-select" style="
+                            flex-grow: 1;
+                            padding: 10px;
+                            border-radius: 5px;
+                            border: none;
+                            font-size: 16px;
+                        ">
+                            <option value="default">🏁 Default</option>
+                            <option value="silverstone">🏎️ Silverstone</option>
+                        </select>
+                    </label>
+                    <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 15px; font-size: 16px;">
+                        <label style="display: flex; align-items: center; gap: 10px; flex-grow: 1;">
+                            <span>Laps:</span>
+                            <input id="room-laps-input" type="number" min="${MIN_LAPS}" max="${MAX_LAPS}" value="${DEFAULT_ROOM_OPTIONS.laps}" style="
+                                width: 60px;
+                                padding: 10px;
+                                border-radius: 5px;
+                                border: none;
+                                font-size: 16px;
+                            ">
+                        </label>
+                        <label style="display: flex; align-items: center; gap: 6px;">
+                            <input id="room-time-trial-input" type="checkbox">
+                            <span>Time trial</span>
+                        </label>
+                    </div>
                     <button id="create-room-btn" class="create-room-btn" style="
                         background-color: #FF9800;
                         color: white;
@@ -374,6 +405,9 @@ export class FriendsRoomUI {
             createUI.style.display = 'none';
         });
 
+        // Track choices for new rooms
+        this.populateTrackSelect();
+
         // Create room button
         const createRoomBtn = this.container.querySelector('#create-room-btn');
         createRoomBtn.addEventListener('click', async () => {
@@ -422,6 +456,45 @@ export class FriendsRoomUI {
         });
     }
 
+    /**
+     * Adds the data-driven tracks to the room track dropdown
+     */
+    async populateTrackSelect() {
+        const trackSelect = this.container.querySelector('#room-track-select');
+        if (!trackSelect) return;
+        
+        const tracks = await TrackFactory.getDataDrivenTracks();
+        tracks.forEach(track => {
+            const option = document.createElement('option');
+            option.value = track.id;
+            option.textContent = `🗺️ ${track.name}`;
+            trackSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Gets the track picked for a new room
+     * @returns {string} Track ID
+     */
+    getSelectedTrackId() {
+        const trackSelect = this.container && this.container.querySelector('#room-track-select');
+        return trackSelect ? trackSelect.value : 'default';
+    }
+
+    /**
+     * Gets the race rules picked for a new room
+     * (the host can change these and the rest of the rules in the waiting room)
+     * @returns {Object} Room options (see RoomOptions)
+     */
+    getSelectedRoomOptions() {
+        const lapsInput = this.container && this.container.querySelector('#room-laps-input');
+        const timeTrialInput = this.container && this.container.querySelector('#room-time-trial-input');
+        return normalizeRoomOptions({
+            laps: lapsInput ? Number(lapsInput.value) : undefined,
+            timeTrial: timeTrialInput ? timeTrialInput.checked : undefined
+        });
+    }
+
     /**
      * Sets up hover effects for all buttons
      */
@@ -475,7 +548,7 @@ export class FriendsRoomUI {
                 this.setLoading(true, 'Creating room...');
                 
                 // Create multiplayer room
-                const roomId = await this.game.startMultiplayerGame(playerName, true);
+                const roomId = await this.game.startMultiplayerGame(playerName, true, this.getSelectedTrackId(), this.getSelectedRoomOptions());
                 
                 // Store the room ID for sharing
                 this.currentRoomId = roomId;
@@ -808,7 +881,7 @@ export class FriendsRoomUI {
             this.setLoading(true, 'Creating room...');
             
             // Create multiplayer room
-            const roomId = await this.game.startMultiplayerGame(playerName, true);
+            const roomId = await this.game.startMultiplayerGame(playerName, true, this.getSelectedTrackId(), this.getSelectedRoomOptions());
             
             // Store the room ID for sharing
             this.currentRoomId = roomId;
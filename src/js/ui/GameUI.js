@@ -12,7 +12,15 @@ export class GameUI {
         // Check for room ID in URL
         const urlParams = new URLSearchParams(window.location.search);
         const roomId = urlParams.get('room');
-        
+
+        // Spectator links go straight to the room, no menu needed
+        const spectateRoomId = urlParams.get('spectate');
+        if (spectateRoomId) {
+            console.log('[DEBUG-UI] Found spectate room ID in URL:', spectateRoomId);
+            this.game.startSpectating(spectateRoomId);
+            return;
+        }
+
         if (roomId) {
             console.log('[DEBUG-UI] Found room ID in URL:', roomId);
             // Get player name from storage
@@ -409,24 +417,61 @@ export class GameUI {
             document.body.removeChild(container);
         });
         
-        // If the game is active, use the track's high score display
-        if (window.game && window.game.track) {
-            window.game.track.loadHighScores(container);
-        } else {
-            // If no game is active, fetch high scores directly
-            this.loadPreGameHighScores(container);
-        }
+        // If the game is active, show the current track's boards
+        const trackId = window.game && window.game.track && window.game.track.id
+            ? window.game.track.id
+            : 'default';
+        this.loadPreGameHighScores(container, 'alltime', trackId);
+    }
+
+    // Add daily/weekly/all-time tabs above the high score content
+    createPeriodTabs(container, trackId) {
+        let tabs = container.querySelector('.period-tabs');
+        if (tabs) return tabs;
+        
+        tabs = document.createElement('div');
+        tabs.className = 'track-tabs period-tabs';
+        
+        const periods = [
+            { id: 'alltime', label: 'All-Time' },
+            { id: 'weekly', label: 'This Week' },
+            { id: 'daily', label: 'Today' }
+        ];
+        
+        periods.forEach(period => {
+            const tab = document.createElement('button');
+            tab.className = 'track-tab';
+            tab.dataset.period = period.id;
+            tab.textContent = period.label;
+            tab.addEventListener('click', () => {
+                this.loadPreGameHighScores(container, period.id, trackId);
+            });
+            tabs.appendChild(tab);
+        });
+        
+        const content = container.querySelector('.high-score-content');
+        content.parentNode.insertBefore(tabs, content);
+        return tabs;
     }
 
     // Method to load high scores when game hasn't started yet
-    async loadPreGameHighScores(container) {
+    async loadPreGameHighScores(container, period = 'alltime', trackId = 'default') {
+        // Highlight the selected period
+        const tabs = this.createPeriodTabs(container, trackId);
+        tabs.querySelectorAll('.track-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.period === period);
+        });
+        
+        const content = container.querySelector('.high-score-content');
+        content.innerHTML = '<div class="loading">Loading high scores...</div>';
+        
         try {
             // Update the baseUrl to point to the correct API server
             const baseUrl = window.SERVER_URL || (window.location.hostname === 'localhost' 
                 ? `http://${window.location.hostname}:1337`   // Development
                 : 'https://api.example.com');     // Production - Use your actual API server
             
-            const apiUrl = `${baseUrl}/api/highscores`;
+            const apiUrl = `${baseUrl}/api/highscores?period=${period}`;
             console.log("[DEBUG-UI] Loading pregame high scores from:", apiUrl);
             
             const response = await fetch(apiUrl, {
@@ -449,26 +494,29 @@ export class GameUI {
             const allHighScores = await response.json();
             console.log("[DEBUG-UI] Retrieved all high scores:", allHighScores);
             
-            const content = container.querySelector('.high-score-content');
+            const emptyMessage = {
+                alltime: 'No high scores recorded yet!',
+                weekly: 'No high scores this week yet!',
+                daily: 'No high scores today yet!'
+            }[period];
             
             // If no high scores available or it's not an object
             if (!allHighScores || typeof allHighScores !== 'object' || Object.keys(allHighScores).length === 0) {
-                content.innerHTML = '<div class="no-scores">No high scores recorded yet!</div>';
+                content.innerHTML = `<div class="no-scores">${emptyMessage}</div>`;
                 return;
             }
             
             // Debug log the available track IDs
             console.log("[DEBUG-UI] Available track IDs:", Object.keys(allHighScores));
             
-            // Only show default track
-            const defaultTrackId = 'default';
-            const scores = allHighScores[defaultTrackId];
+            // Only show the requested track
+            const scores = allHighScores[trackId];
             
-            // Debug log the scores for the default track
-            console.log("[DEBUG-UI] Scores for track", defaultTrackId, ":", scores);
+            // Debug log the scores for the track
+            console.log("[DEBUG-UI] Scores for track", trackId, ":", scores);
             
             if (!Array.isArray(scores) || scores.length === 0) {
-                content.innerHTML = '<div class="no-scores">No high scores for this track yet!</div>';
+                content.innerHTML = `<div class="no-scores">${emptyMessage}</div>`;
                 return;
             }
             
@@ -504,7 +552,6 @@ export class GameUI {
             content.innerHTML = html;
             
         } catch (error) {
-            const content = container.querySelector('.high-score-content');
             content.innerHTML = '<div class="error">Error loading high scores. Please try again later.</div>';
             console.error("[DEBUG-UI] Error loading high scores:", error);
         }
@@ -0,0 +1,201 @@
+import { ReplayFile } from '../replay/ReplayFile.js';
+import { PLAYBACK_SPEEDS } from '../replay/ReplayPlayer.js';
+
+/**
+ * Playback controls for the replay viewer: play/pause, scrubbing,
+ * playback speed, camera and followed car, export/import and exit.
+ */
+export class ReplayUI {
+    constructor(game) {
+        this.game = game;
+        this.container = null;
+        this.isScrubbing = false;
+    }
+
+    show() {
+        if (!this.container) {
+            this.createUI();
+        }
+        this.container.style.display = 'flex';
+        this.refresh();
+    }
+
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'replay-ui';
+        this.container.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            width: min(900px, 90vw);
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            padding: 12px 16px;
+            background: rgba(0, 0, 0, 0.75);
+            border-radius: 10px;
+            color: white;
+            font-family: Arial, sans-serif;
+            z-index: 1100;
+        `;
+
+        // Title row
+        this.titleLabel = document.createElement('div');
+        this.titleLabel.style.cssText = 'font-size: 14px; color: #ff9900; font-weight: bold;';
+        this.container.appendChild(this.titleLabel);
+
+        // Timeline
+        const timeline = document.createElement('div');
+        timeline.style.cssText = 'display: flex; align-items: center; gap: 10px;';
+
+        this.slider = document.createElement('input');
+        this.slider.type = 'range';
+        this.slider.min = '0';
+        this.slider.step = '10';
+        this.slider.style.cssText = 'flex: 1; cursor: pointer;';
+        this.slider.addEventListener('input', () => {
+            this.isScrubbing = true;
+            if (this.game.replayPlayer) {
+                this.game.replayPlayer.seek(Number(this.slider.value));
+            }
+            this.refresh();
+        });
+        this.slider.addEventListener('change', () => {
+            this.isScrubbing = false;
+        });
+
+        this.timeLabel = document.createElement('span');
+        this.timeLabel.style.cssText = 'font-family: monospace; font-size: 14px; min-width: 130px; text-align: right;';
+
+        timeline.appendChild(this.slider);
+        timeline.appendChild(this.timeLabel);
+        this.container.appendChild(timeline);
+
+        // Buttons
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 8px; justify-content: center;';
+
+        this.playButton = this.createButton('⏸️ Pause', () => {
+            if (!this.game.replayPlayer) return;
+            this.game.replayPlayer.togglePause();
+            this.refresh();
+        });
+
+        this.speedButton = this.createButton('⏩ 1x', () => {
+            const player = this.game.replayPlayer;
+            if (!player) return;
+            const index = PLAYBACK_SPEEDS.indexOf(player.speed);
+            player.setSpeed(PLAYBACK_SPEEDS[(index + 1) % PLAYBACK_SPEEDS.length]);
+            this.refresh();
+        });
+
+        const cameraButton = this.createButton('🎥 Camera', () => {
+            this.game.cycleCameraMode();
+        });
+
+        this.targetButton = this.createButton('🚗 Follow', () => {
+            if (!this.game.replayPlayer) return;
+            this.game.replayPlayer.cycleTarget();
+            this.refresh();
+        });
+
+        const exportButton = this.createButton('💾 Export', () => {
+            if (this.game.replayPlayer) {
+                ReplayFile.download(this.game.replayPlayer.replay);
+            }
+        });
+
+        // Hidden file input for importing shared replays
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = ReplayFile.extension;
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', async () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const replay = await ReplayFile.read(file);
+                this.game.enterReplayMode(replay);
+            } catch (error) {
+                console.error('[REPLAY] Failed to import replay:', error);
+                this.game.showNotification(`Could not load replay: ${error.message}`);
+            }
+        });
+
+        const importButton = this.createButton('📂 Import', () => this.fileInput.click());
+
+        const exitButton = this.createButton('✖ Exit Replay', () => this.game.exitReplayMode());
+        exitButton.style.backgroundColor = '#cc3333';
+
+        [this.playButton, this.speedButton, cameraButton, this.targetButton, exportButton, importButton, exitButton]
+            .forEach(button => buttons.appendChild(button));
+        this.container.appendChild(buttons);
+        this.container.appendChild(this.fileInput);
+
+        document.body.appendChild(this.container);
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 8px 14px;
+            background-color: #444;
+            color: white;
+            border: none;
+            border-radius: 5px;
+            cursor: pointer;
+            font-size: 14px;
+        `;
+        button.addEventListener('click', onClick);
+        button.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            button.click();
+        });
+        return button;
+    }
+
+    /**
+     * Sync the controls with the replay player (called every frame)
+     */
+    refresh() {
+        const player = this.game.replayPlayer;
+        if (!player || !this.container) return;
+
+        this.slider.max = String(player.duration);
+        if (!this.isScrubbing) {
+            this.slider.value = String(player.time);
+        }
+
+        this.timeLabel.textContent = `${formatTime(player.time)} / ${formatTime(player.duration)}`;
+        this.playButton.textContent = player.paused ? '▶️ Play' : '⏸️ Pause';
+        this.speedButton.textContent = `⏩ ${player.speed}x`;
+
+        const target = player.getCameraTarget();
+        this.targetButton.textContent = `🚗 Follow: ${target ? target.playerName : '-'}`;
+        this.titleLabel.textContent = `🎬 Replay${player.replay.trackId ? ` - ${player.replay.trackId}` : ''}`;
+    }
+
+    dispose() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
+
+function formatTime(ms) {
+    const totalSeconds = Math.max(0, ms) / 1000;
+    const minutes = Math.floor(totalSeconds / 60).toString().padStart(2, '0');
+    const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${seconds}`;
+}
@@ -0,0 +1,133 @@
+/**
+ * Controls for spectators: free camera, followed car, camera view and leave.
+ */
+export class SpectatorUI {
+    constructor(game) {
+        this.game = game;
+        this.container = null;
+    }
+
+    show() {
+        if (!this.container) {
+            this.createUI();
+        }
+        this.container.style.display = 'flex';
+        this.refresh();
+    }
+
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'spectator-ui';
+        this.container.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            max-width: 90vw;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: 8px;
+            padding: 12px 16px;
+            background: rgba(0, 0, 0, 0.75);
+            border-radius: 10px;
+            color: white;
+            font-family: Arial, sans-serif;
+            z-index: 1100;
+        `;
+
+        // Title row
+        this.titleLabel = document.createElement('div');
+        this.titleLabel.style.cssText = 'font-size: 14px; color: #ff9900; font-weight: bold;';
+        this.container.appendChild(this.titleLabel);
+
+        // Buttons
+        const buttons = document.createElement('div');
+        buttons.style.cssText = 'display: flex; flex-wrap: wrap; gap: 8px; justify-content: center;';
+
+        this.freeButton = this.createButton('🕊️ Free Camera', () => {
+            if (!this.game.spectatorCamera) return;
+            this.game.spectatorCamera.setFree();
+            this.refresh();
+        });
+
+        this.targetButton = this.createButton('🚗 Follow', () => {
+            if (!this.game.spectatorCamera) return;
+            this.game.spectatorCamera.cycleTarget();
+            this.refresh();
+        });
+
+        const cameraButton = this.createButton('🎥 View', () => {
+            this.game.cycleCameraMode();
+        });
+
+        const leaveButton = this.createButton('✖ Leave', () => {
+            window.location.href = window.location.origin;
+        });
+        leaveButton.style.backgroundColor = '#cc3333';
+
+        [this.freeButton, this.targetButton, cameraButton, leaveButton]
+            .forEach(button => buttons.appendChild(button));
+        this.container.appendChild(buttons);
+
+        // Key help
+        this.helpLabel = document.createElement('div');
+        this.helpLabel.style.cssText = 'font-size: 12px; color: #aaa;';
+        this.container.appendChild(this.helpLabel);
+
+        document.body.appendChild(this.container);
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 8px 14px;
+            background-color: #444;
+            color: white;
+            border: none;
+            border-radius: 5px;
+            cursor: pointer;
+            font-size: 14px;
+        `;
+        button.addEventListener('click', onClick);
+        button.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            button.click();
+        });
+        return button;
+    }
+
+    /**
+     * Sync the controls with the spectator camera (called every frame)
+     */
+    refresh() {
+        const camera = this.game.spectatorCamera;
+        if (!camera || !this.container) return;
+
+        const roomId = this.game.multiplayer ? this.game.multiplayer.roomId : null;
+        this.titleLabel.textContent = `👁 Spectating${roomId ? ` ${roomId}` : ''}`;
+
+        const following = camera.mode === 'follow' ? camera.getTarget() : null;
+        this.freeButton.style.backgroundColor = following ? '#444' : '#2196F3';
+        this.targetButton.style.backgroundColor = following ? '#2196F3' : '#444';
+        this.targetButton.textContent = `🚗 Follow${following ? `: ${following.playerName}` : ''}`;
+
+        this.helpLabel.textContent = following
+            ? 'N: next car · V: camera view · F: free camera'
+            : 'WASD: fly · Q/E: down/up · Shift: faster · Drag: look · N: follow a car';
+    }
+
+    dispose() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        this.container = null;
+    }
+}
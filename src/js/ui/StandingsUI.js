@@ -0,0 +1,104 @@
+/**
+ * Live standings during a room race: position, name and gap to the
+ * leader for every racer, as computed by the server.
+ */
+export class StandingsUI {
+    constructor(game) {
+        this.game = game;
+        this.container = null;
+        this.list = null;
+    }
+
+    show() {
+        if (!this.container) {
+            this.createUI();
+        }
+        this.container.style.display = 'block';
+    }
+
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'race-standings';
+        this.container.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 20px;
+            transform: translateY(-50%);
+            min-width: 180px;
+            padding: 10px 12px;
+            background: rgba(0, 0, 0, 0.6);
+            border-radius: 8px;
+            color: white;
+            font-family: Arial, sans-serif;
+            font-size: 14px;
+            pointer-events: none;
+            user-select: none;
+            z-index: 1000;
+        `;
+
+        const title = document.createElement('div');
+        title.textContent = 'Standings';
+        title.style.cssText = 'font-size: 12px; color: #ff9900; font-weight: bold; margin-bottom: 6px;';
+        this.container.appendChild(title);
+
+        this.list = document.createElement('div');
+        this.container.appendChild(this.list);
+
+        document.body.appendChild(this.container);
+    }
+
+    /**
+     * Redraw the standings
+     * @param {Array<Object>} standings - Leader first: { position, id, name, isAI, gap, finished }
+     */
+    update(standings) {
+        this.show();
+        this.list.innerHTML = '';
+
+        const localId = this.game.multiplayer && this.game.multiplayer.socket
+            ? this.game.multiplayer.socket.id
+            : null;
+
+        standings.forEach(entry => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; gap: 8px; padding: 2px 0;';
+            if (entry.id === localId) {
+                row.style.color = '#00ff00';
+                row.style.fontWeight = 'bold';
+            }
+
+            const position = document.createElement('span');
+            position.textContent = `P${entry.position}`;
+            position.style.cssText = 'min-width: 28px;';
+
+            const name = document.createElement('span');
+            name.textContent = entry.isAI ? `${entry.name} (AI)` : entry.name;
+            name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+            const gap = document.createElement('span');
+            gap.textContent = this.formatGap(entry);
+            gap.style.cssText = 'font-family: monospace; color: #ccc;';
+
+            row.appendChild(position);
+            row.appendChild(name);
+            row.appendChild(gap);
+            this.list.appendChild(row);
+        });
+    }
+
+    formatGap(entry) {
+        if (entry.position === 1) {
+            return entry.finished ? 'FIN' : 'Leader';
+        }
+        if (entry.gap === null || entry.gap === undefined) {
+            return '';
+        }
+        return `+${entry.gap.toFixed(1)}s`;
+    }
+}
@@ -0,0 +1,311 @@
+import { TrackFactory } from '../tracks/TrackFactory.js';
+import { simulationClock } from '../utils/SimulationClock.js';
+
+const TOOL_LABELS = {
+    points: '📍 Points',
+    checkpoints: '🚩 Checkpoints',
+    start: '🏁 Start/Finish',
+    items: '🎁 Items',
+    grandstands: '🏟️ Grandstands'
+};
+
+const TOOL_HINTS = {
+    points: 'Drag points to shape the track. Click to add a point, Shift+click a point to remove it.',
+    checkpoints: 'Click the road to add a checkpoint, Shift+click to remove the nearest one.',
+    start: 'Click a control point to move the start/finish line there.',
+    items: 'Click the road to add an item spawn, Shift+click to remove the nearest one.',
+    grandstands: 'Click beside the road to add a grandstand, Shift+click to remove the nearest one.'
+};
+
+const ITEM_TYPES = ['random', 'speedBoost', 'banana', 'shell'];
+
+/**
+ * Side panel for the track editor: track info, width, editing tools,
+ * test drive, and JSON import/export.
+ */
+export class TrackEditorUI {
+    constructor(editor) {
+        this.editor = editor;
+        this.container = null;
+        this.toolButtons = {};
+        this.messageTimeout = null;
+    }
+
+    show() {
+        if (!this.container) {
+            this.createUI();
+        }
+        this.container.style.display = 'flex';
+        this.refresh();
+    }
+
+    hide() {
+        if (this.container) {
+            this.container.style.display = 'none';
+        }
+    }
+
+    createUI() {
+        this.container = document.createElement('div');
+        this.container.id = 'track-editor-ui';
+        this.container.style.cssText = `
+            position: absolute;
+            top: 10px;
+            right: 10px;
+            width: 300px;
+            max-height: 90vh;
+            overflow-y: auto;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            padding: 10px;
+            background-color: rgba(0, 0, 0, 0.7);
+            color: white;
+            border-radius: 5px;
+            font-family: monospace;
+            font-size: 13px;
+            z-index: 1000;
+        `;
+
+        const title = document.createElement('div');
+        title.textContent = '🛠️ Track Editor';
+        title.style.cssText = 'font-size: 16px; font-weight: bold; color: #ff9900;';
+        this.container.appendChild(title);
+
+        // Track info
+        this.idInput = this.createInput('ID', (value) => this.editor.setInfo({ id: value }));
+        this.nameInput = this.createInput('Name', (value) => this.editor.setInfo({ name: value }));
+
+        // Width
+        const widthRow = document.createElement('label');
+        widthRow.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+        this.widthLabel = document.createElement('span');
+        this.widthLabel.style.cssText = 'min-width: 90px;';
+        this.widthSlider = document.createElement('input');
+        this.widthSlider.type = 'range';
+        this.widthSlider.min = '8';
+        this.widthSlider.max = '40';
+        this.widthSlider.step = '1';
+        this.widthSlider.style.cssText = 'flex: 1; cursor: pointer;';
+        this.widthSlider.addEventListener('input', () => {
+            this.editor.setWidth(Number(this.widthSlider.value));
+            this.widthLabel.textContent = `Width: ${this.widthSlider.value}m`;
+        });
+        widthRow.appendChild(this.widthLabel);
+        widthRow.appendChild(this.widthSlider);
+        this.container.appendChild(widthRow);
+
+        // Tools
+        const tools = document.createElement('div');
+        tools.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px;';
+        Object.entries(TOOL_LABELS).forEach(([tool, label]) => {
+            const button = this.createButton(label, () => this.editor.setTool(tool));
+            this.toolButtons[tool] = button;
+            tools.appendChild(button);
+        });
+        this.container.appendChild(tools);
+
+        this.itemSelect = document.createElement('select');
+        ITEM_TYPES.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = `Item: ${type}`;
+            this.itemSelect.appendChild(option);
+        });
+        this.itemSelect.addEventListener('change', () => this.editor.setItemType(this.itemSelect.value));
+        this.container.appendChild(this.itemSelect);
+
+        this.hintLabel = document.createElement('div');
+        this.hintLabel.style.cssText = 'color: #ccc; line-height: 1.4;';
+        this.container.appendChild(this.hintLabel);
+
+        // Actions
+        const actions = document.createElement('div');
+        actions.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px;';
+
+        this.driveButton = this.createButton('🏎️ Test Drive', () => {
+            if (this.editor.isTestDriving) {
+                this.editor.stopTestDrive();
+            } else {
+                this.editor.startTestDrive();
+            }
+        });
+        this.driveButton.style.backgroundColor = '#4CAF50';
+
+        const reverseButton = this.createButton('🔄 Reverse', () => this.editor.reverseDirection());
+        const exportButton = this.createButton('💾 Export JSON', () => this.editor.exportDefinition());
+
+        // Hidden file input for importing track files
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) {
+                this.editor.importDefinition(file);
+            }
+        });
+        const importButton = this.createButton('📂 Import JSON', () => this.fileInput.click());
+
+        [this.driveButton, reverseButton, exportButton, importButton].forEach(button => actions.appendChild(button));
+        this.container.appendChild(actions);
+        this.container.appendChild(this.fileInput);
+
+        // Open an existing data-driven track
+        this.trackSelect = document.createElement('select');
+        this.trackSelect.innerHTML = '<option value="">Open track...</option><option value="new">New track</option>';
+        this.trackSelect.addEventListener('change', () => {
+            const trackId = this.trackSelect.value;
+            this.trackSelect.value = '';
+            if (!trackId) return;
+
+            this.editor.stopTestDrive();
+            if (trackId === 'new') {
+                this.editor.newTrack();
+            } else {
+                this.editor.open(trackId);
+            }
+        });
+        TrackFactory.getDataDrivenTracks().then(tracks => {
+            tracks.forEach(track => {
+                const option = document.createElement('option');
+                option.value = track.id;
+                option.textContent = track.name;
+                this.trackSelect.appendChild(option);
+            });
+        });
+        this.container.appendChild(this.trackSelect);
+
+        // Status
+        this.statusLabel = document.createElement('div');
+        this.statusLabel.style.cssText = 'line-height: 1.4;';
+        this.container.appendChild(this.statusLabel);
+
+        this.lapLabel = document.createElement('div');
+        this.lapLabel.style.cssText = 'color: #4CAF50; font-weight: bold; line-height: 1.4;';
+        this.container.appendChild(this.lapLabel);
+
+        this.messageLabel = document.createElement('div');
+        this.messageLabel.style.cssText = 'color: #ffcc00; line-height: 1.4;';
+        this.container.appendChild(this.messageLabel);
+
+        const help = document.createElement('div');
+        help.textContent = 'Right-drag: pan · Wheel: zoom · Esc: stop driving';
+        help.style.cssText = 'color: #888; font-size: 11px;';
+        this.container.appendChild(help);
+
+        document.body.appendChild(this.container);
+    }
+
+    createInput(label, onChange) {
+        const row = document.createElement('label');
+        row.style.cssText = 'display: flex; align-items: center; gap: 8px;';
+        row.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.style.cssText = 'flex: 1; padding: 3px; font-family: monospace;';
+        input.addEventListener('change', () => onChange(input.value.trim()));
+
+        row.appendChild(input);
+        this.container.appendChild(row);
+        return input;
+    }
+
+    createButton(text, onClick) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.cssText = `
+            padding: 5px 10px;
+            background-color: #444;
+            color: white;
+            border: none;
+            border-radius: 3px;
+            cursor: pointer;
+            font-family: monospace;
+        `;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Sync the panel with the editor state
+     */
+    refresh() {
+        const editor = this.editor;
+        if (!this.container || !editor.data) return;
+
+        if (document.activeElement !== this.idInput) this.idInput.value = editor.data.id;
+        if (document.activeElement !== this.nameInput) this.nameInput.value = editor.data.name;
+
+        if (Array.isArray(editor.data.width)) {
+            this.widthLabel.textContent = 'Width: varies';
+        } else {
+            this.widthSlider.value = String(editor.data.width);
+            this.widthLabel.textContent = `Width: ${editor.data.width}m`;
+        }
+
+        Object.entries(this.toolButtons).forEach(([tool, button]) => {
+            button.style.backgroundColor = tool === editor.tool ? '#2196F3' : '#444';
+            button.disabled = editor.isTestDriving;
+        });
+        this.itemSelect.style.display = editor.tool === 'items' ? 'block' : 'none';
+        this.hintLabel.textContent = TOOL_HINTS[editor.tool];
+
+        this.driveButton.textContent = editor.isTestDriving ? '⏹️ Stop Driving' : '🏎️ Test Drive';
+        this.driveButton.style.backgroundColor = editor.isTestDriving ? '#cc3333' : '#4CAF50';
+
+        if (editor.error) {
+            this.statusLabel.style.color = '#ff4444';
+            this.statusLabel.textContent = `⚠️ ${editor.error}`;
+        } else if (editor.definition) {
+            const definition = editor.definition;
+            const grandstands = definition.scenery.filter(item => item.type === 'grandstand').length;
+            this.statusLabel.style.color = 'white';
+            this.statusLabel.textContent =
+                `Length: ${Math.round(definition.length)}m · ${definition.controlPoints.length} points\n` +
+                `${definition.checkpoints.length} checkpoints · ${definition.itemSpawns.length} items · ${grandstands} grandstands`;
+            this.statusLabel.style.whiteSpace = 'pre-line';
+        }
+
+        if (editor.isTestDriving) {
+            this.updateLapTimer(simulationClock.now() - editor.lapStartTime);
+        } else {
+            this.lapLabel.textContent = '';
+        }
+    }
+
+    /**
+     * Show the running lap time during a test drive (called every frame)
+     * @param {number} lapTime - Current lap time in ms
+     */
+    updateLapTimer(lapTime) {
+        const editor = this.editor;
+        const lines = [`Lap: ${formatTime(lapTime)}`];
+        if (editor.lastLapTime !== null) lines.push(`Last: ${formatTime(editor.lastLapTime)}`);
+        if (editor.bestLapTime !== null) lines.push(`Best: ${formatTime(editor.bestLapTime)}`);
+        this.lapLabel.textContent = lines.join(' · ');
+    }
+
+    /**
+     * Show a short-lived message in the panel
+     */
+    showMessage(message, duration = 4000) {
+        if (!this.container) return;
+
+        this.messageLabel.textContent = message;
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = setTimeout(() => {
+            this.messageLabel.textContent = '';
+        }, duration);
+    }
+}
+
+function formatTime(ms) {
+    const totalSeconds = Math.max(0, ms) / 1000;
+    const minutes = Math.floor(totalSeconds / 60).toString().padStart(2, '0');
+    const seconds = (totalSeconds % 60).toFixed(2).padStart(5, '0');
+    return `${minutes}:${seconds}`;
+}
@@ -2,6 +2,7 @@ import msgpack from 'msgpack-lite';
 
 /**
  * Utility class for binary serialization/deserialization using MessagePack
+ * (replay files; network messages use the schemas in NetworkProtocol)
  */
 export class BinarySerializer {
     /**
@@ -19,7 +20,7 @@ export class BinarySerializer {
 
     /**
      * Deserialize binary data back to JavaScript object
-     * @param {Uint8Array|ArrayBuffer|Object|string} binaryData - The data to deserialize
+     * @param {Uint8Array|ArrayBuffer|string} binaryData - The data to deserialize
      * @returns {Object} - Deserialized JavaScript object
      */
     static deserialize(binaryData) {
@@ -29,14 +30,6 @@ export class BinarySerializer {
         }
         
         try {
-            // If the input is already an object (but not binary), just return it
-            if (typeof binaryData === 'object' && !(binaryData instanceof Uint8Array) && !(binaryData instanceof ArrayBuffer)) {
-                // Check if it has socket.io specific properties that indicate it's already deserialized
-                if (binaryData.peerId || binaryData.aiCarId || binaryData.throwerId) {
-                    return binaryData;
-                }
-            }
-            
             // If we received a JSON string, try to parse it
             if (typeof binaryData === 'string') {
                 try {
@@ -0,0 +1,68 @@
+/**
+ * Random numbers that come out the same for the same seed (mulberry32), so
+ * a race can be played again with the same item drops and AI drivers.
+ * Only what changes the race draws from it; looks-only randomness such as
+ * particles keeps using Math.random.
+ */
+
+/**
+ * Pick a seed for a new race
+ * @returns {number} 32-bit unsigned integer
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+export class SeededRandom {
+    /**
+     * @param {number} [seed] - 32-bit seed (a new one if not given)
+     */
+    constructor(seed = createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Start the sequence again from a seed
+     * @param {number} seed - 32-bit seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * @returns {number} Float in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value (exclusive)
+     * @returns {number} Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * @param {number} count - Number of possible values
+     * @returns {number} Integer in [0, count)
+     */
+    int(count) {
+        return Math.floor(this.next() * count);
+    }
+
+    /**
+     * @param {Array} array - Non-empty array
+     * @returns {*} One of its elements
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * The multiplayer server's clock, as seen from this page. Car updates are
+ * stamped with it, so the positions of a remote car can be played back on
+ * one timeline however long each of them took to arrive.
+ *
+ * The offset to the local clock is measured with a handshake: we ask the
+ * server for its time and assume it answered halfway through the round trip
+ * (see MultiplayerManager.syncClock). Of the last few round trips the
+ * fastest one is trusted, as it was held up the least on the way.
+ */
+
+const MAX_SAMPLES = 8;
+
+export class ServerClock {
+    constructor() {
+        this.reset();
+    }
+
+    // Forget what was measured (e.g. when connecting to another server)
+    reset() {
+        this.offset = 0;        // Server time minus local time (ms)
+        this.roundTripTime = 0; // Of the sample the offset comes from (ms)
+        this.samples = [];
+        this.synced = false;
+    }
+
+    /**
+     * Server time
+     * @returns {number} Milliseconds since the epoch on the server's clock
+     */
+    now() {
+        return Date.now() + this.offset;
+    }
+
+    /**
+     * Take in one round trip of the handshake
+     * @param {number} sentAt - Local time the request was sent (ms)
+     * @param {number} serverTime - Server time it was answered (ms)
+     * @param {number} receivedAt - Local time the answer arrived (ms)
+     */
+    addSample(sentAt, serverTime, receivedAt) {
+        const roundTripTime = receivedAt - sentAt;
+        if (roundTripTime < 0 || !Number.isFinite(serverTime)) return;
+
+        this.samples.push({
+            roundTripTime,
+            offset: serverTime - (sentAt + receivedAt) / 2
+        });
+        if (this.samples.length > MAX_SAMPLES) this.samples.shift();
+
+        const best = this.samples.reduce((fastest, sample) =>
+            sample.roundTripTime < fastest.roundTripTime ? sample : fastest);
+        this.offset = best.offset;
+        this.roundTripTime = best.roundTripTime;
+        this.synced = true;
+    }
+}
+
+// The server clock of this page, shared by everything that reads car updates
+export const serverClock = new ServerClock();
@@ -0,0 +1,57 @@
+/**
+ * The race's own clock. The race is simulated in fixed steps, however fast
+ * the screen refreshes: a frame runs as many whole steps as the real time
+ * since the last frame covers, and what's left over is used to draw the cars
+ * part way between their last two steps. Lap times, spin-outs and boosts
+ * read this clock rather than the wall clock, so the same inputs give the
+ * same race on every machine.
+ */
+
+export const SIMULATION_RATE = 120;                  // Steps per second
+export const SIMULATION_STEP = 1 / SIMULATION_RATE;  // Seconds
+
+// A longer frame (a tab in the background, a breakpoint) is cut short rather than caught up
+const MAX_FRAME_TIME = 0.25;
+
+export class SimulationClock {
+    constructor() {
+        this.reset();
+    }
+
+    // Back to the start of a race
+    reset() {
+        this.tick = 0;
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+
+    /**
+     * Race time
+     * @returns {number} Milliseconds simulated since the clock was reset
+     */
+    now() {
+        return this.tick * 1000 / SIMULATION_RATE;
+    }
+
+    /**
+     * Run as many steps as the frame's real time covers
+     * @param {number} frameTime - Real time since the last frame (seconds)
+     * @param {Function} step - Called with SIMULATION_STEP once per step, after the clock has moved on
+     * @returns {number} How far the clock is into the next step (0-1), to draw with
+     */
+    advance(frameTime, step) {
+        this.accumulator += Math.min(Math.max(frameTime, 0), MAX_FRAME_TIME);
+
+        while (this.accumulator >= SIMULATION_STEP) {
+            this.accumulator -= SIMULATION_STEP;
+            this.tick++;
+            step(SIMULATION_STEP);
+        }
+
+        this.alpha = this.accumulator / SIMULATION_STEP;
+        return this.alpha;
+    }
+}
+
+// The clock of the race on this page, shared by everything that takes part in it
+export const simulationClock = new SimulationClock();
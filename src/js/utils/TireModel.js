@@ -0,0 +1,62 @@
+/**
+ * Sideways grip of a car's tires, shared by the car classes.
+ *
+ * A car's velocity is kept in its own frame: forward speed along its
+ * heading and lateral speed across it (positive towards the car's left,
+ * (cos θ, 0, -sin θ) for a car facing (sin θ, 0, cos θ)). When the car
+ * turns, its momentum keeps going the old way and shows up as lateral
+ * speed; the tires then pull it back in line, but only up to their grip
+ * limit. Past the limit the car slides: it drifts.
+ */
+
+// Sideways acceleration (m/s²) that tires with a grip of 1 can give on asphalt.
+// Every car can take a full-lock turn at its top speed without sliding.
+const LATERAL_GRIP = 140;
+
+// Share of the grip left while the handbrake locks the rear wheels
+const HANDBRAKE_GRIP = 0.45;
+
+// With the handbrake pulled the car slows down (m/s²) and swings round quicker
+export const HANDBRAKE_DECELERATION = 15;
+export const HANDBRAKE_TURN_FACTOR = 1.2;
+
+// Lateral speed (m/s) above which the car counts as sliding (skid marks, smoke)
+const SLIDE_THRESHOLD = 2;
+
+/**
+ * Sideways acceleration the tires can give
+ * @param {Object} spec - Car spec (see CAR_SPECS)
+ * @param {Object} surface - Surface under the car (see SURFACES)
+ * @param {boolean} handbrake - Whether the handbrake is pulled
+ * @returns {number} m/s²
+ */
+export function getGripLimit(spec, surface, handbrake = false) {
+    return LATERAL_GRIP * spec.grip * surface.grip * (handbrake ? HANDBRAKE_GRIP : 1);
+}
+
+/**
+ * Turn the car's velocity with its heading and let the tires correct it
+ * @param {number} speed - Forward speed before the step (m/s)
+ * @param {number} lateralSpeed - Lateral speed before the step (m/s)
+ * @param {number} rotationChange - How far the car turned this step (radians, positive to the left)
+ * @param {number} gripLimit - Sideways acceleration the tires can give (m/s², see getGripLimit)
+ * @param {number} delta - Step length (seconds)
+ * @returns {Object} { speed, lateralSpeed, sliding }
+ */
+export function applyTireGrip(speed, lateralSpeed, rotationChange, gripLimit, delta) {
+    // The car turned underneath its momentum: see the old velocity from the new heading
+    const cos = Math.cos(rotationChange);
+    const sin = Math.sin(rotationChange);
+    const newSpeed = speed * cos + lateralSpeed * sin;
+    let newLateralSpeed = lateralSpeed * cos - speed * sin;
+
+    // The tires take out as much of the sideways motion as their grip allows
+    const correction = Math.min(Math.abs(newLateralSpeed), gripLimit * delta);
+    newLateralSpeed -= Math.sign(newLateralSpeed) * correction;
+
+    return {
+        speed: newSpeed,
+        lateralSpeed: newLateralSpeed,
+        sliding: Math.abs(newLateralSpeed) > SLIDE_THRESHOLD
+    };
+}
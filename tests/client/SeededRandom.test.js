@@ -0,0 +1,45 @@
+import { SeededRandom } from '../../src/js/utils/SeededRandom.js';
+
+function draw(random, count) {
+    return Array.from({ length: count }, () => random.next());
+}
+
+describe('SeededRandom', () => {
+    test('gives the same sequence for the same seed', () => {
+        expect(draw(new SeededRandom(1234), 20)).toEqual(draw(new SeededRandom(1234), 20));
+    });
+
+    test('gives different sequences for different seeds', () => {
+        expect(draw(new SeededRandom(1234), 20)).not.toEqual(draw(new SeededRandom(1235), 20));
+    });
+
+    test('starts again when reseeded', () => {
+        const random = new SeededRandom(42);
+        const first = draw(random, 10);
+        random.setSeed(42);
+        expect(draw(random, 10)).toEqual(first);
+    });
+
+    test('treats seeds as 32-bit unsigned integers', () => {
+        expect(new SeededRandom(-1).seed).toBe(0xffffffff);
+        expect(draw(new SeededRandom(2 ** 32 + 5), 5)).toEqual(draw(new SeededRandom(5), 5));
+    });
+
+    test('stays inside the requested ranges', () => {
+        const random = new SeededRandom(7);
+        const items = ['banana', 'shell', 'boost'];
+        for (let i = 0; i < 1000; i++) {
+            const value = random.next();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+
+            const ranged = random.range(-5, 5);
+            expect(ranged).toBeGreaterThanOrEqual(-5);
+            expect(ranged).toBeLessThan(5);
+
+            const integer = random.int(6);
+            expect(Number.isInteger(integer) && integer >= 0 && integer < 6).toBe(true);
+            expect(items).toContain(random.pick(items));
+        }
+    });
+});
@@ -0,0 +1,54 @@
+import { SimulationClock, SIMULATION_RATE, SIMULATION_STEP } from '../../src/js/utils/SimulationClock.js';
+
+describe('SimulationClock', () => {
+    // Run a clock through a series of frames and note the race time of every step
+    function run(frameTimes) {
+        const clock = new SimulationClock();
+        const steps = [];
+        frameTimes.forEach(frameTime => clock.advance(frameTime, () => steps.push(clock.now())));
+        return { clock, steps };
+    }
+
+    test('steps at the simulation rate whatever the frame rate', () => {
+        const at60Hz = run(new Array(60).fill(1 / 60));
+        const at144Hz = run(new Array(144).fill(1 / 144));
+        const uneven = run([0.013, 0.021, 0.004, 0.2, 0.05, 0.1, 0.012, 0.1, 0.2, 0.2, 0.1]);
+
+        [at60Hz, at144Hz, uneven].forEach(({ steps }) => {
+            expect(Math.abs(steps.length - SIMULATION_RATE)).toBeLessThanOrEqual(1);
+        });
+        expect(at60Hz.steps.slice(0, 119)).toEqual(at144Hz.steps.slice(0, 119));
+        expect(uneven.steps.slice(0, 119)).toEqual(at60Hz.steps.slice(0, 119));
+    });
+
+    test('passes the fixed step to every step and moves the clock on first', () => {
+        const clock = new SimulationClock();
+        const calls = [];
+        clock.advance(0.05, dt => calls.push([dt, clock.tick]));
+
+        expect(calls).toEqual([1, 2, 3, 4, 5, 6].map(tick => [SIMULATION_STEP, tick]));
+        expect(clock.now()).toBeCloseTo(50);
+    });
+
+    test('reports how far it is into the next step', () => {
+        const clock = new SimulationClock();
+        const alpha = clock.advance(SIMULATION_STEP * 2.5, () => {});
+
+        expect(clock.tick).toBe(2);
+        expect(alpha).toBeCloseTo(0.5);
+        expect(clock.alpha).toBe(alpha);
+    });
+
+    test('cuts long frames short and ignores negative ones', () => {
+        const { clock } = run([5, -1]);
+        expect(clock.tick).toBe(30); // A quarter of a second
+    });
+
+    test('goes back to zero when reset', () => {
+        const { clock } = run([0.1, 0.1]);
+        clock.reset();
+
+        expect(clock.now()).toBe(0);
+        expect(clock.advance(0, () => {})).toBe(0);
+    });
+});
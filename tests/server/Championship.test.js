@@ -0,0 +1,105 @@
+import { Championship, DEFAULT_CHAMPIONSHIP_POINTS } from '../../server/src/Championship.js';
+
+// Race results the way RaceStateMachine.finish reports them
+function results(...names) {
+    return names.map((name, index) => ({
+        position: index + 1,
+        name,
+        isAI: name.startsWith('AI'),
+        finished: true
+    }));
+}
+
+function didNotFinish(result) {
+    return { ...result, finished: false };
+}
+
+describe('Championship', () => {
+    test('needs at least one track', () => {
+        expect(() => new Championship({ trackIds: [] })).toThrow('A championship needs at least one track');
+        expect(() => new Championship({})).toThrow('A championship needs at least one track');
+    });
+
+    test('races the tracks in order and stops after the last', () => {
+        const championship = new Championship({ trackIds: ['default', 'silverstone'] });
+        expect(championship.getCurrentTrackId()).toBe('default');
+
+        championship.recordRound(results('Ann', 'Bob'));
+        expect(championship.getCurrentTrackId()).toBe('silverstone');
+
+        championship.recordRound(results('Ann', 'Bob'));
+        expect(championship.isFinished()).toBe(true);
+        expect(championship.getCurrentTrackId()).toBeNull();
+        expect(() => championship.recordRound(results('Ann'))).toThrow('The championship is over');
+    });
+
+    test('scores each round with the points table', () => {
+        const championship = new Championship({ trackIds: ['default'] });
+        const round = championship.recordRound(results('Ann', 'Bob', 'AI Turbo'));
+
+        expect(round).toMatchObject({ round: 1, trackId: 'default' });
+        expect(round.results.map(result => [result.name, result.points, result.isAI]))
+            .toEqual([['Ann', 10, false], ['Bob', 8, false], ['AI Turbo', 6, true]]);
+    });
+
+    test('gives no points past the end of the table or to non-finishers', () => {
+        const championship = new Championship({ trackIds: ['default'], points: [3, 1] });
+        const [first, second, third] = results('Ann', 'Bob', 'Cat');
+        const round = championship.recordRound([first, didNotFinish(second), third]);
+
+        expect(round.results.map(result => result.points)).toEqual([3, 0, 0]);
+    });
+
+    test('adds up the standings across rounds, keyed by name', () => {
+        const championship = new Championship({ trackIds: ['default', 'silverstone', 'lakeside'] });
+        championship.recordRound(results('Ann', 'Bob', 'Cat'));
+        championship.recordRound(results('Bob', 'Ann'));
+
+        expect(championship.getStandings()).toEqual([
+            { position: 1, name: 'Ann', isAI: false, points: 18, wins: 1, rounds: [10, 8] },
+            { position: 2, name: 'Bob', isAI: false, points: 18, wins: 1, rounds: [8, 10] },
+            { position: 3, name: 'Cat', isAI: false, points: 6, wins: 0, rounds: [6, null] }
+        ]);
+    });
+
+    test('breaks a tie on points by wins', () => {
+        const championship = new Championship({ trackIds: ['default', 'silverstone'], points: [4, 2] });
+        championship.recordRound(results('Ann', 'Bob'));
+        championship.recordRound(results('Cat', 'Bob'));
+
+        expect(championship.getStandings().map(driver => [driver.name, driver.points, driver.wins]))
+            .toEqual([['Ann', 4, 1], ['Cat', 4, 1], ['Bob', 4, 0]]);
+    });
+
+    test('breaks a tie on points and wins by the next best finishes', () => {
+        const championship = new Championship({ trackIds: ['default', 'silverstone'], points: [4, 2, 1] });
+        championship.recordRound(results('Cat', 'Ann', 'Bob'));
+        championship.recordRound([...results('Cat', 'Dan', 'Bob'), didNotFinish({ position: 4, name: 'Ann', isAI: false })]);
+
+        // Ann, Bob and Dan all have 2 points; a second place beats two thirds
+        expect(championship.getStandings().map(driver => [driver.name, driver.points]))
+            .toEqual([['Cat', 8], ['Ann', 2], ['Dan', 2], ['Bob', 2]]);
+    });
+
+    test('falls back to the default points table when given nothing usable', () => {
+        expect(new Championship({ trackIds: ['default'], points: 'lots' }).points).toEqual(DEFAULT_CHAMPIONSHIP_POINTS);
+        expect(new Championship({ trackIds: ['default'], points: ['x'] }).points).toEqual(DEFAULT_CHAMPIONSHIP_POINTS);
+        expect(new Championship({ trackIds: ['default'], points: [12.6, -3, '4'] }).points).toEqual([13, 0, 4]);
+    });
+
+    test('trims its name and gives one to an unnamed championship', () => {
+        expect(new Championship({ trackIds: ['default'], name: '  Summer Cup  ' }).name).toBe('Summer Cup');
+        expect(new Championship({ trackIds: ['default'], name: '   ' }).name).toBe('Championship');
+        expect(new Championship({ trackIds: ['default'], name: 'x'.repeat(60) }).name).toHaveLength(40);
+    });
+
+    test('survives a round trip through toJSON', () => {
+        const championship = new Championship({ name: 'Cup', roomId: 'room-1', trackIds: ['default', 'silverstone'] });
+        championship.recordRound(results('Ann', 'Bob'));
+
+        const restored = Championship.fromJSON(JSON.parse(JSON.stringify(championship)));
+        expect(restored.id).toBe(championship.id);
+        expect(restored.getState()).toEqual(championship.getState());
+        expect(restored.getState()).toMatchObject({ round: 1, totalRounds: 2, nextTrackId: 'silverstone', finished: false });
+    });
+});
@@ -0,0 +1,111 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { HighScoreManager } from '../../server/src/HighScoreManager.js';
+import { JsonHighScoreStore } from '../../server/src/storage/JsonHighScoreStore.js';
+
+function score(name, time) {
+    return { name, time, trackId: 'default', timestamp: 1000, email: null, verified: true };
+}
+
+describe('HighScoreManager period boards', () => {
+    let dataPath;
+    let store;
+    let manager;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'highscores-'));
+        store = new JsonHighScoreStore({ filePath: path.join(dataPath, 'highscores.json') });
+    });
+
+    afterEach(async () => {
+        await manager.close();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    test('keys daily boards by the day and weekly boards by their Monday', () => {
+        manager = new HighScoreManager({ dataPath, store });
+        const sunday = new Date(2026, 9, 18, 23, 59);
+
+        expect(manager.getPeriodKey('daily', sunday)).toBe('2026-10-18');
+        expect(manager.getPeriodKey('weekly', sunday)).toBe('2026-10-12');
+        expect(manager.getPeriodKey('weekly', new Date(2026, 9, 19, 0, 0))).toBe('2026-10-19');
+    });
+
+    test('only accepts known periods', () => {
+        manager = new HighScoreManager({ dataPath, store });
+
+        expect(manager.isValidPeriod('alltime')).toBe(true);
+        expect(manager.isValidPeriod('daily')).toBe(true);
+        expect(manager.isValidPeriod('weekly')).toBe(true);
+        expect(manager.isValidPeriod('monthly')).toBe(false);
+    });
+
+    test('clears boards left over from an earlier window on start-up', async () => {
+        await store.load();
+        await store.resetPeriod('daily', '2020-01-01');
+        await store.insertPeriodScore('daily', score('Ann', 30));
+        await store.resetPeriod('weekly', HighScoreManager.prototype.getPeriodKey('weekly'));
+        await store.insertPeriodScore('weekly', score('Bob', 30));
+
+        manager = new HighScoreManager({ dataPath, store });
+        await manager.ready;
+
+        expect(await store.getPeriodKey('daily')).toBe(manager.getPeriodKey('daily'));
+        expect(await manager.getTopScores('default', 10, 'daily')).toEqual([]);
+        expect(await manager.getTopScores('default', 10, 'weekly')).toHaveLength(1);
+    });
+
+    test('resets a board once its window has passed', async () => {
+        jest.useFakeTimers({ now: new Date(2026, 9, 18, 23, 59, 30), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+        manager = new HighScoreManager({ dataPath, store });
+        await manager.ready;
+        await store.insertPeriodScore('daily', score('Ann', 30));
+        const checkPeriodResets = jest.spyOn(manager, 'checkPeriodResets');
+
+        await jest.advanceTimersByTimeAsync(60000);
+        await checkPeriodResets.mock.results[0].value;
+
+        expect(await store.getPeriodKey('daily')).toBe('2026-10-19');
+        expect(await store.getPeriodKey('weekly')).toBe('2026-10-19');
+        expect(await manager.getTopScores('default', 10, 'daily')).toEqual([]);
+    });
+
+    test('ranks a player among the neighbours on the requested board', async () => {
+        manager = new HighScoreManager({ dataPath, store });
+        await manager.ready;
+        for (const [name, time] of [['Ann', 20], ['Bob', 21], ['Cat', 22], ['Dan', 23]]) {
+            await store.insertScore(score(name, time));
+        }
+        for (const [name, time] of [['Dan', 30], ['Eve', 31], ['Cat', 32]]) {
+            await store.insertPeriodScore('daily', score(name, time));
+        }
+
+        const allTime = await manager.getScoresAround('default', 'Cat', 1);
+        expect(allTime).toMatchObject({ period: 'alltime', rank: 3, personalBest: { time: 22 } });
+        expect(allTime.neighbours.map(s => s.name)).toEqual(['Bob', 'Cat', 'Dan']);
+
+        const daily = await manager.getScoresAround('default', 'Cat', 1, 'daily');
+        expect(daily).toMatchObject({ period: 'daily', rank: 3, personalBest: { time: 32 } });
+        expect(daily.neighbours.map(s => s.name)).toEqual(['Eve', 'Cat']);
+
+        expect(await manager.getScoresAround('default', 'Ann', 1, 'weekly')).toMatchObject({ rank: null, neighbours: [] });
+    });
+
+    test('stops the reset timer when closed', async () => {
+        manager = new HighScoreManager({ dataPath, store });
+        await manager.ready;
+        const timer = manager.resetTimer;
+        const clear = jest.spyOn(global, 'clearInterval');
+
+        await manager.close();
+
+        expect(clear).toHaveBeenCalledWith(timer);
+        expect(manager.resetTimer).toBeNull();
+    });
+});
+
@@ -0,0 +1,251 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHighScoreStore } from '../../server/src/storage/createHighScoreStore.js';
+
+function score(name, time, trackId = 'default', timestamp = 1000) {
+    return { name, time, trackId, timestamp, email: null, verified: true };
+}
+
+function championship(id, rounds = []) {
+    return { id, name: 'Cup', roomId: 'room-1', trackIds: ['default', 'lakeside'], points: [10, 8], rounds, created: 1000 };
+}
+
+function ghost(name, time, trackId = 'default') {
+    return { name, time, trackId, timestamp: 1000, samples: [[0, 100, 0, 0, 0], [time * 1000, 100, 0, 0, 0]] };
+}
+
+// Both adapters have to behave the same behind the HighScoreStore interface
+describe.each(['json', 'sqlite'])('%s high score store', type => {
+    let dataPath;
+    let store;
+
+    async function openStore() {
+        const opened = createHighScoreStore({ type, dataPath });
+        await opened.load();
+        return opened;
+    }
+
+    beforeEach(async () => {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'highscores-'));
+        store = await openStore();
+    });
+
+    afterEach(async () => {
+        await store.close();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    test('returns a track\'s scores fastest first', async () => {
+        await store.insertScore(score('Ann', 31.5));
+        await store.insertScore(score('Bob', 29.2));
+        await store.insertScore(score('Cat', 30.1));
+        await store.insertScore(score('Dan', 12.0, 'lakeside'));
+
+        const top = await store.getTopScores('default', 10);
+        expect(top.map(s => [s.name, s.time])).toEqual([['Bob', 29.2], ['Cat', 30.1], ['Ann', 31.5]]);
+        expect(top[0]).toMatchObject({ trackId: 'default', timestamp: 1000 });
+    });
+
+    test('pages through scores with a limit and offset', async () => {
+        for (let i = 0; i < 5; i++) {
+            await store.insertScore(score(`Racer ${i}`, 30 + i));
+        }
+
+        const page = await store.getTopScores('default', 2, 2);
+        expect(page.map(s => s.name)).toEqual(['Racer 2', 'Racer 3']);
+    });
+
+    test('ranks a time among the track\'s scores', async () => {
+        await store.insertScore(score('Ann', 30));
+        await store.insertScore(score('Bob', 32));
+
+        expect(await store.getRank('default', 29)).toBe(1);
+        expect(await store.getRank('default', 31)).toBe(2);
+        expect(await store.getRank('default', 40)).toBe(3);
+        expect(await store.getRank('lakeside', 40)).toBe(1);
+    });
+
+    test('finds a player\'s scores, optionally on one track', async () => {
+        await store.insertScore(score('Ann', 33));
+        await store.insertScore(score('Ann', 31, 'default', 2000));
+        await store.insertScore(score('Ann', 20, 'lakeside'));
+        await store.insertScore(score('Bob', 30));
+
+        const all = await store.getScoresByPlayer('Ann');
+        expect(all.map(s => s.time)).toEqual([20, 31, 33]);
+
+        const onTrack = await store.getScoresByPlayer('Ann', { trackId: 'default', limit: 1 });
+        expect(onTrack.map(s => s.time)).toEqual([31]);
+    });
+
+    test('lists the tracks with scores', async () => {
+        await store.insertScore(score('Ann', 30));
+        await store.insertScore(score('Bob', 20, 'lakeside'));
+
+        expect((await store.getTrackIds()).sort()).toEqual(['default', 'lakeside']);
+        expect(await store.getAllScores()).toHaveLength(2);
+    });
+
+    test('keeps period boards apart from the all-time board', async () => {
+        await store.insertScore(score('Ann', 30));
+        await store.insertPeriodScore('daily', score('Bob', 28));
+        await store.insertPeriodScore('daily', score('Cat', 27));
+        await store.insertPeriodScore('weekly', score('Dan', 26, 'lakeside'));
+
+        expect((await store.getTopScores('default')).map(s => s.name)).toEqual(['Ann']);
+        expect((await store.getPeriodTopScores('daily', 'default')).map(s => s.name)).toEqual(['Cat', 'Bob']);
+        expect(await store.getPeriodTrackIds('daily')).toEqual(['default']);
+        expect(await store.getPeriodTrackIds('weekly')).toEqual(['lakeside']);
+    });
+
+    test('pages, ranks and finds players on a period board', async () => {
+        await store.insertPeriodScore('daily', score('Ann', 30));
+        await store.insertPeriodScore('daily', score('Ann', 29, 'lakeside'));
+        await store.insertPeriodScore('daily', score('Bob', 28));
+        await store.insertPeriodScore('daily', score('Cat', 32));
+        await store.insertPeriodScore('weekly', score('Ann', 20));
+
+        expect((await store.getPeriodTopScores('daily', 'default', 2, 1)).map(s => s.name)).toEqual(['Ann', 'Cat']);
+        expect(await store.getPeriodRank('daily', 'default', 30)).toBe(2);
+        expect(await store.getPeriodRank('weekly', 'default', 30)).toBe(2);
+        expect((await store.getPeriodScoresByPlayer('daily', 'Ann')).map(s => s.time)).toEqual([29, 30]);
+        expect((await store.getPeriodScoresByPlayer('daily', 'Ann', { trackId: 'default', limit: 1 })).map(s => s.time)).toEqual([30]);
+    });
+
+    test('empties a period board when it is reset', async () => {
+        expect(await store.getPeriodKey('daily')).toBeNull();
+
+        await store.resetPeriod('daily', '2026-10-18');
+        await store.insertPeriodScore('daily', score('Ann', 30));
+        await store.insertPeriodScore('weekly', score('Bob', 30));
+        await store.resetPeriod('daily', '2026-10-19');
+
+        expect(await store.getPeriodKey('daily')).toBe('2026-10-19');
+        expect(await store.getPeriodTopScores('daily', 'default')).toEqual([]);
+        expect(await store.getPeriodTopScores('weekly', 'default')).toHaveLength(1);
+    });
+
+    test('keeps one ghost per track', async () => {
+        expect(await store.getGhost('default')).toBeNull();
+
+        await store.saveGhost('default', { name: 'Ann', time: 31, trackId: 'default', timestamp: 1000, samples: [[0, 100, 0, 0, 0]] });
+        await store.saveGhost('default', { name: 'Bob', time: 30, trackId: 'default', timestamp: 2000, samples: [[0, 100, 0, 0, 1]] });
+
+        expect(await store.getGhost('default')).toEqual({
+            name: 'Bob', time: 30, trackId: 'default', timestamp: 2000, samples: [[0, 100, 0, 0, 1]]
+        });
+    });
+
+    test('stores championships by ID', async () => {
+        await store.saveChampionship(championship('c1'));
+
+        expect(await store.getChampionship('c1')).toEqual(championship('c1'));
+        expect(await store.getChampionship('c2')).toBeNull();
+    });
+
+    test('keeps everything across a restart', async () => {
+        await store.insertScore(score('Ann', 30));
+        await store.resetPeriod('weekly', '2026-10-19');
+        await store.insertPeriodScore('weekly', score('Ann', 30));
+        await store.close();
+
+        store = await openStore();
+        expect((await store.getTopScores('default')).map(s => s.name)).toEqual(['Ann']);
+        expect(await store.getPeriodKey('weekly')).toBe('2026-10-19');
+        expect(await store.getPeriodTopScores('weekly', 'default')).toHaveLength(1);
+    });
+});
+
+// What migrate-highscores.js does, in both directions
+describe.each([['json', 'sqlite'], ['sqlite', 'json']])('migrating from a %s to a %s store', (fromType, toType) => {
+    let dataPath;
+    let source;
+    let target;
+
+    async function openStore(type) {
+        const store = createHighScoreStore({ type, dataPath: path.join(dataPath, type) });
+        await store.load();
+        return store;
+    }
+
+    // One of everything a store holds
+    async function fillStore(store) {
+        await store.insertScore(score('Ann', 30));
+        await store.insertScore(score('Bob', 20, 'lakeside'));
+        await store.resetPeriod('daily', '2026-10-19');
+        await store.insertPeriodScore('daily', score('Ann', 30));
+        await store.resetPeriod('weekly', '2026-10-19');
+        await store.insertPeriodScore('weekly', score('Ann', 30));
+        await store.insertPeriodScore('weekly', score('Bob', 20, 'lakeside'));
+        await store.saveGhost('default', ghost('Ann', 30));
+        await store.saveGhost('lakeside', ghost('Bob', 20, 'lakeside'));
+        await store.saveChampionship(championship('c1', [{ round: 1, trackId: 'default', completed: 2000, results: [] }]));
+    }
+
+    beforeEach(async () => {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'highscores-'));
+        source = await openStore(fromType);
+        target = await openStore(toType);
+        await fillStore(source);
+    });
+
+    afterEach(async () => {
+        await source.close();
+        await target.close();
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    test('copies everything across', async () => {
+        const imported = await target.importData(await source.exportData());
+
+        expect(imported).toEqual({ scores: 2, periodScores: 3, ghosts: 2, championships: 1 });
+        expect(await target.exportData()).toEqual(await source.exportData());
+    });
+
+    test('skips what was already copied', async () => {
+        await target.importData(await source.exportData());
+        await source.insertScore(score('Cat', 25));
+
+        expect(await target.importData(await source.exportData())).toEqual({ scores: 1, periodScores: 0, ghosts: 0, championships: 0 });
+        expect(await target.getTopScores('default')).toHaveLength(2);
+    });
+
+    test('only replaces a ghost with a faster one', async () => {
+        await target.saveGhost('default', ghost('Cat', 25));
+        await target.saveGhost('lakeside', ghost('Cat', 22, 'lakeside'));
+
+        expect((await target.importData(await source.exportData())).ghosts).toBe(1);
+        expect((await target.getGhost('default')).name).toBe('Cat');
+        expect((await target.getGhost('lakeside')).name).toBe('Bob');
+    });
+
+    test('keeps a championship that has raced more rounds', async () => {
+        const rounds = [1, 2].map(round => ({ round, trackId: 'default', completed: 3000, results: [] }));
+        await target.saveChampionship(championship('c1', rounds));
+
+        expect((await target.importData(await source.exportData())).championships).toBe(0);
+        expect((await target.getChampionship('c1')).rounds).toHaveLength(2);
+    });
+
+    test('keeps a later period window than the one copied in', async () => {
+        await target.resetPeriod('daily', '2026-10-20');
+        await target.insertPeriodScore('daily', score('Cat', 40));
+
+        await target.importData(await source.exportData());
+
+        expect(await target.getPeriodKey('daily')).toBe('2026-10-20');
+        expect((await target.getPeriodTopScores('daily', 'default')).map(s => s.name)).toEqual(['Cat']);
+        expect(await target.getPeriodKey('weekly')).toBe('2026-10-19');
+    });
+
+    test('replaces an earlier period window with the one copied in', async () => {
+        await target.resetPeriod('daily', '2026-10-18');
+        await target.insertPeriodScore('daily', score('Cat', 40));
+
+        await target.importData(await source.exportData());
+
+        expect(await target.getPeriodKey('daily')).toBe('2026-10-19');
+        expect((await target.getPeriodTopScores('daily', 'default')).map(s => s.name)).toEqual(['Ann']);
+    });
+});
@@ -0,0 +1,188 @@
+import { jest } from '@jest/globals';
+import { ServerItemManager } from '../../server/src/ItemManager.js';
+import { TrackRegistry } from '../../server/src/TrackRegistry.js';
+import { THROWN_ITEMS } from '../../shared/constants/ItemEffects.js';
+
+const track = new TrackRegistry().get('default');
+
+// An item manager with a single item of the given type at a known spot
+function createItemManager(type = 'banana') {
+    const itemManager = new ServerItemManager(track, { itemTypes: ['banana', 'shell', 'speedBoost'] });
+    itemManager.items.set('item-1', { id: 'item-1', type, position: { x: 10, y: 1, z: 10 }, createdAt: 0 });
+    return itemManager;
+}
+
+function car(id, x, z) {
+    return { id, position: { x, y: 0, z } };
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('ServerItemManager pickups', () => {
+    test('holds a banana or shell for the player who drove through it', () => {
+        const itemManager = createItemManager('shell');
+
+        const item = itemManager.pickUpItem('item-1', 'ann', { x: 14, y: 0, z: 13 });
+
+        expect(item).toMatchObject({ id: 'item-1', type: 'shell' });
+        expect(itemManager.items.has('item-1')).toBe(false);
+        expect(itemManager.heldItems.get('ann')).toBe('shell');
+    });
+
+    test('uses a speed boost on the spot', () => {
+        const itemManager = createItemManager('speedBoost');
+
+        itemManager.pickUpItem('item-1', 'ann', { x: 10, y: 0, z: 10 });
+
+        expect(itemManager.heldItems.has('ann')).toBe(false);
+    });
+
+    test('only gives an item to a player close enough to it', () => {
+        const itemManager = createItemManager();
+
+        expect(() => itemManager.pickUpItem('item-1', 'ann', { x: 16.5, y: 0, z: 10 })).toThrow('Too far from the item');
+        expect(() => itemManager.pickUpItem('item-1', 'ann', null)).toThrow('Too far from the item');
+        expect(itemManager.items.has('item-1')).toBe(true);
+
+        itemManager.pickUpItem('item-1', 'ann', { x: 16, y: 0, z: 10 });
+        expect(itemManager.heldItems.get('ann')).toBe('banana');
+    });
+
+    test('gives an item to the first player only', () => {
+        const itemManager = createItemManager();
+        itemManager.pickUpItem('item-1', 'ann', { x: 10, y: 0, z: 10 });
+
+        expect(() => itemManager.pickUpItem('item-1', 'bob', { x: 10, y: 0, z: 10 })).toThrow('Item already collected');
+        expect(itemManager.heldItems.has('bob')).toBe(false);
+    });
+
+    test('won\'t give a second item to a player holding one', () => {
+        const itemManager = createItemManager();
+        itemManager.heldItems.set('ann', 'shell');
+
+        expect(() => itemManager.pickUpItem('item-1', 'ann', { x: 10, y: 0, z: 10 })).toThrow('Already holding an item');
+        expect(itemManager.heldItems.get('ann')).toBe('shell');
+        expect(itemManager.items.has('item-1')).toBe(true);
+    });
+});
+
+describe('ServerItemManager thrown items', () => {
+    test('fires a shell ahead of the car', () => {
+        const itemManager = createItemManager();
+        itemManager.heldItems.set('ann', 'shell');
+
+        const shell = itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 0, z: 2 });
+
+        expect(shell).toMatchObject({ type: 'shell', throwerId: 'ann', rotation: 0 });
+        expect(shell.position).toEqual({ x: 0, y: THROWN_ITEMS.shell.height, z: THROWN_ITEMS.shell.throwOffset });
+        expect(shell.velocity).toEqual({ x: 0, y: 0, z: THROWN_ITEMS.shell.speed });
+        expect(shell.expiresAt - shell.createdAt).toBe(THROWN_ITEMS.shell.lifetime);
+        expect(itemManager.heldItems.has('ann')).toBe(false);
+        expect(itemManager.projectiles.get(shell.id)).toBe(shell);
+    });
+
+    test('drops a banana behind the car', () => {
+        const itemManager = createItemManager();
+        itemManager.heldItems.set('ann', 'banana');
+
+        const banana = itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 1, z: 0 });
+
+        expect(banana.position).toEqual({ x: THROWN_ITEMS.banana.throwOffset, y: THROWN_ITEMS.banana.height, z: 0 });
+        expect(banana.velocity).toEqual({ x: 0, y: 0, z: 0 });
+    });
+
+    test('refuses to throw an item the player doesn\'t hold', () => {
+        const itemManager = createItemManager();
+
+        expect(() => itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 0, z: 1 })).toThrow('No item to use');
+        expect(itemManager.projectiles.size).toBe(0);
+
+        itemManager.heldItems.set('ann', 'shell');
+        itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 0, z: 1 });
+        expect(() => itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 0, z: 1 })).toThrow('No item to use');
+        expect(itemManager.projectiles.size).toBe(1);
+    });
+
+    test('keeps the item when the direction is unusable', () => {
+        const itemManager = createItemManager();
+        itemManager.heldItems.set('ann', 'shell');
+
+        expect(() => itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 0, z: 0 })).toThrow('Invalid direction');
+        expect(() => itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: NaN, z: 1 })).toThrow('Invalid direction');
+        expect(itemManager.heldItems.get('ann')).toBe('shell');
+    });
+
+    test('spares a banana\'s thrower for a moment but not other cars', () => {
+        const itemManager = createItemManager();
+        itemManager.heldItems.set('ann', 'banana');
+        const banana = itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 0, z: 1 });
+        const ann = car('ann', 0, -4);
+
+        expect(itemManager.updateProjectiles(0.05, [ann], banana.createdAt + 500).hits).toEqual([]);
+
+        const { hits } = itemManager.updateProjectiles(0.05, [ann], banana.createdAt + 1500);
+        expect(hits).toEqual([{ projectile: banana, targetId: 'ann' }]);
+        expect(itemManager.projectiles.size).toBe(0);
+
+        itemManager.heldItems.set('ann', 'banana');
+        const second = itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 0, z: 1 });
+        expect(itemManager.updateProjectiles(0.05, [ann, car('bob', 1, -5)], second.createdAt).hits)
+            .toEqual([{ projectile: second, targetId: 'bob' }]);
+    });
+
+    test('homes a shell in on the nearest car other than its thrower', () => {
+        const itemManager = createItemManager();
+        itemManager.heldItems.set('ann', 'shell');
+        const shell = itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 0, z: 1 });
+        const targets = [car('ann', 0, 0), car('bob', 30, 40), car('cat', 200, 0)];
+
+        const first = itemManager.updateProjectiles(0.05, targets, shell.createdAt + 50);
+        expect(first.moved).toEqual([shell]);
+        expect(shell.velocity.x).toBeGreaterThan(0);
+
+        let hits = [];
+        for (let step = 2; step <= 40 && hits.length === 0; step++) {
+            hits = itemManager.updateProjectiles(0.05, targets, shell.createdAt + step * 50).hits;
+        }
+        expect(hits).toEqual([{ projectile: shell, targetId: 'bob' }]);
+    });
+
+    test('keeps a shell\'s speed while it turns', () => {
+        const itemManager = createItemManager();
+        const shell = { position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 80 } };
+
+        itemManager.steerShell(shell, [car('bob', 50, 0)], 1);
+
+        expect(shell.velocity.x).toBeCloseTo(80);
+        expect(shell.velocity.z).toBeCloseTo(0);
+    });
+
+    test('lets a shell fly straight with no car in range', () => {
+        const itemManager = createItemManager();
+        const shell = { position: { x: 0, y: 0, z: 0 }, velocity: { x: 0, y: 0, z: 80 } };
+
+        itemManager.steerShell(shell, [car('bob', 150, 0)], 1);
+
+        expect(shell.velocity).toEqual({ x: 0, y: 0, z: 80 });
+    });
+
+    test('removes thrown items once they expire', () => {
+        const itemManager = createItemManager();
+        itemManager.heldItems.set('ann', 'shell');
+        const shell = itemManager.throwItem('ann', { x: 0, y: 0, z: 0 }, { x: 0, z: 1 });
+
+        const { expired, moved } = itemManager.updateProjectiles(0.05, [], shell.expiresAt);
+
+        expect(expired).toEqual([shell.id]);
+        expect(moved).toEqual([]);
+        expect(itemManager.projectiles.size).toBe(0);
+    });
+});
@@ -0,0 +1,145 @@
+import { LapValidator } from '../../server/src/LapValidator.js';
+import { TrackRegistry } from '../../server/src/TrackRegistry.js';
+
+const SPEED = 40; // m/s, well inside the car's envelope
+const SAMPLE_INTERVAL = 100; // ms, as recorded by Track.recordTelemetrySample
+
+const registry = new TrackRegistry();
+const validator = new LapValidator(registry);
+
+/**
+ * Drive one clean lap of a track at constant speed and record it the way
+ * the client does: samples every 100 ms and the time each checkpoint was hit
+ */
+function recordLap(trackId, { reverse = false } = {}) {
+    const definition = registry.get(trackId);
+    const lapTime = definition.length / SPEED;
+    const duration = Math.round(lapTime * 1000);
+    const along = t => (reverse ? 1 - t / duration : t / duration);
+
+    const samples = [];
+    for (let t = 0; t < duration; t += SAMPLE_INTERVAL) {
+        const point = definition.getPointAt(along(t));
+        samples.push([t, point.x, point.z]);
+    }
+    const finish = definition.getPointAt(0);
+    samples.push([duration, finish.x, finish.z]);
+
+    const checkpoints = definition.checkpoints
+        .map((u, index) => [index + 1, Math.round((reverse ? 1 - u : u) * duration)])
+        .sort((a, b) => a[1] - b[1]);
+
+    return {
+        trackId,
+        time: duration / 1000,
+        telemetry: { v: 1, samples, checkpoints }
+    };
+}
+
+describe('LapValidator', () => {
+    test('accepts a clean lap of the default track', () => {
+        expect(validator.validateLap(recordLap('default'))).toEqual({ valid: true });
+    });
+
+    test('accepts laps on tracks loaded into the registry', () => {
+        for (const { id } of registry.list()) {
+            expect(validator.validateLap(recordLap(id))).toEqual({ valid: true });
+        }
+    });
+
+    test('accepts a lap under a track alias', () => {
+        expect(validator.validateLap(recordLap('track1'))).toEqual({ valid: true });
+    });
+
+    test('rejects a lap driven the wrong way round', () => {
+        expect(validator.validateLap(recordLap('default', { reverse: true }))).toEqual({
+            valid: false,
+            error: 'Checkpoints passed out of order'
+        });
+        expect(validator.validateLap(recordLap('silverstone', { reverse: true })).error).toBe('Checkpoints passed out of order');
+    });
+
+    test('puts checkpoint 0 on the finish line', () => {
+        const geometry = validator.getTrackGeometry('default');
+        expect(geometry.checkpoints.map(cp => cp.id)).toEqual([0, 1, 2, 3]);
+        expect(geometry.checkpoints[0].x).toBeCloseTo(100);
+        expect(geometry.checkpoints[0].z).toBeCloseTo(0);
+        expect(geometry.checkpoints[1].x).toBeCloseTo(0);
+        expect(geometry.checkpoints[1].z).toBeCloseTo(100);
+        expect(geometry.finishLine).toEqual({ x: geometry.checkpoints[0].x, z: geometry.checkpoints[0].z });
+    });
+
+    test('rejects laps on unknown tracks', () => {
+        const lap = { ...recordLap('default'), trackId: 'nowhere' };
+        expect(validator.validateLap(lap)).toEqual({ valid: false, error: 'Unknown track' });
+    });
+
+    test('rejects a lap time outside the plausible range', () => {
+        const lap = recordLap('default');
+        expect(validator.validateLap({ ...lap, time: 1 }).error).toBe('Lap time out of range');
+    });
+
+    test('rejects a lap without telemetry', () => {
+        const lap = { ...recordLap('default'), telemetry: undefined };
+        expect(validator.validateLap(lap).error).toBe('Missing or unsupported lap telemetry');
+    });
+
+    test('rejects a lap time that does not match the trace', () => {
+        const lap = recordLap('default');
+        lap.time -= 1;
+        expect(validator.validateLap(lap).error).toBe('Lap time does not match telemetry');
+    });
+
+    test('rejects a trace that does not start at the finish line', () => {
+        const lap = recordLap('default');
+        // Start the trace two seconds (80 m) down the road
+        lap.telemetry.samples = lap.telemetry.samples
+            .filter(([t]) => t >= 2000)
+            .map(([t, x, z]) => [t - 2000, x, z]);
+        lap.telemetry.checkpoints = [];
+        lap.time -= 2;
+        expect(validator.validateLap(lap).error).toBe('Lap does not start and end at the finish line');
+    });
+
+    test('rejects a teleport', () => {
+        const lap = recordLap('default');
+        const samples = lap.telemetry.samples;
+        const middle = Math.floor(samples.length / 2);
+        samples[middle] = [samples[middle][0], -300, 300];
+        expect(validator.validateLap(lap).error).toBe('Implausible speed in telemetry');
+    });
+
+    test('rejects gaps in the trace', () => {
+        const lap = recordLap('default');
+        const samples = lap.telemetry.samples;
+        lap.telemetry.samples = samples.filter((sample, index) => index < 20 || index > 40 || index === samples.length - 1);
+        expect(validator.validateLap(lap).error).toBe('Telemetry has gaps');
+    });
+
+    test('rejects a lap that turns back before the far side of the track', () => {
+        const definition = registry.get('default');
+        const samples = [];
+        const duration = Math.round(definition.length / SPEED * 1000);
+        // Out past checkpoint 1 and back again
+        for (let t = 0; t <= duration; t += SAMPLE_INTERVAL) {
+            const u = (t < duration / 2 ? t : duration - t) / duration * 0.6;
+            const point = definition.getPointAt(u);
+            samples.push([t, point.x, point.z]);
+        }
+        const lap = { trackId: 'default', time: samples[samples.length - 1][0] / 1000, telemetry: { v: 1, samples, checkpoints: [] } };
+        expect(validator.validateLap(lap).error).toBe('Lap skipped checkpoint 2');
+    });
+
+    test('rejects checkpoint crossings reported away from the trace', () => {
+        const lap = recordLap('default');
+        lap.telemetry.checkpoints[0][1] += 3000;
+        expect(validator.validateLap(lap).error).toBe('Checkpoint crossings do not match telemetry');
+    });
+
+    test('checks the shape and length of a ghost', () => {
+        const ghost = { v: 1, samples: [[0, 100, 0, 0, 0], [15700, 100, 0, 0, 0]] };
+        expect(validator.validateGhost(ghost, 15.7)).toBeNull();
+        expect(validator.validateGhost(ghost, 20)).toBe('Lap time does not match ghost');
+        expect(validator.validateGhost({ v: 2, samples: [] }, 15.7)).toBe('Missing or unsupported ghost');
+    });
+});
@@ -0,0 +1,196 @@
+import { jest } from '@jest/globals';
+import { MatchmakingService } from '../../server/src/MatchmakingService.js';
+import { RoomManager } from '../../server/src/RoomManager.js';
+import { AIPlayerManager } from '../../server/src/AIPlayerManager.js';
+
+function createIo() {
+    return { to: () => ({ emit: () => {} }), sockets: { sockets: new Map() } };
+}
+
+function createSocket(id) {
+    return { id, connected: true, emit: jest.fn(), join: jest.fn(), leave: jest.fn() };
+}
+
+// What the service last sent a socket for an event
+function lastSent(socket, event) {
+    const calls = socket.emit.mock.calls.filter(([name]) => name === event);
+    return calls.length > 0 ? calls[calls.length - 1][1] : undefined;
+}
+
+// Everything the server wires together for matchmaking
+function createMatchmaking() {
+    const roomManager = new RoomManager(createIo());
+    roomManager.aiPlayerManager = new AIPlayerManager(roomManager);
+    return { roomManager, matchmaking: new MatchmakingService(roomManager) };
+}
+
+// Queue a player, wait for their match and join the room they got
+function matchAndJoin(roomManager, matchmaking, id, region) {
+    const socket = createSocket(id);
+    matchmaking.enqueue(socket, { playerName: id, region });
+    jest.advanceTimersByTime(1000);
+    const { roomId } = lastSent(socket, 'match-found');
+    roomManager.joinRoom(socket, roomId, id);
+    return roomManager.rooms.get(roomId);
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('MatchmakingService regions', () => {
+    test('opens a room for a region and fills it before opening another', () => {
+        const { roomManager, matchmaking } = createMatchmaking();
+        const ann = createSocket('ann');
+        const bob = createSocket('bob');
+
+        expect(matchmaking.enqueue(ann, { playerName: 'Ann', region: 'eu' })).toMatchObject({ state: 'searching', position: 1, region: 'eu' });
+        jest.advanceTimersByTime(1000);
+        const { roomId, region } = lastSent(ann, 'match-found');
+        expect(region).toBe('eu');
+        expect(roomManager.rooms.get(roomId).isMatchmade).toBe(true);
+
+        matchmaking.enqueue(bob, { playerName: 'Bob', region: 'eu' });
+        jest.advanceTimersByTime(1000);
+        expect(lastSent(bob, 'match-found').roomId).toBe(roomId);
+        expect(matchmaking.getPublicRooms()).toHaveLength(1);
+    });
+
+    test('queues unknown regions in the default region', () => {
+        const { matchmaking } = createMatchmaking();
+
+        expect(matchmaking.enqueue(createSocket('ann'), { region: 'moon' }).region).toBe('global');
+    });
+
+    test('waits for company in the player\'s region before taking a seat elsewhere', () => {
+        const { roomManager, matchmaking } = createMatchmaking();
+        const euRoom = matchAndJoin(roomManager, matchmaking, 'ann', 'eu');
+        const cat = createSocket('cat');
+
+        matchmaking.enqueue(cat, { playerName: 'Cat', region: 'na' });
+        jest.advanceTimersByTime(10000);
+        expect(lastSent(cat, 'match-found')).toBeUndefined();
+        expect(lastSent(cat, 'matchmaking-status')).toMatchObject({ state: 'searching', region: 'na', position: 1 });
+
+        jest.advanceTimersByTime(1000);
+        expect(lastSent(cat, 'match-found')).toMatchObject({ roomId: euRoom.id, region: 'eu' });
+    });
+
+    test('opens a room for a region once two of its players are waiting', () => {
+        const { roomManager, matchmaking } = createMatchmaking();
+        const euRoom = matchAndJoin(roomManager, matchmaking, 'ann', 'eu');
+        const cat = createSocket('cat');
+        const dan = createSocket('dan');
+
+        matchmaking.enqueue(cat, { playerName: 'Cat', region: 'na' });
+        matchmaking.enqueue(dan, { playerName: 'Dan', region: 'na' });
+        jest.advanceTimersByTime(1000);
+
+        const { roomId, region } = lastSent(cat, 'match-found');
+        expect(region).toBe('na');
+        expect(roomId).not.toBe(euRoom.id);
+        expect(lastSent(dan, 'match-found').roomId).toBe(roomId);
+    });
+
+    test('drops players who give up or disconnect', () => {
+        const { matchmaking } = createMatchmaking();
+        const ann = createSocket('ann');
+        const bob = createSocket('bob');
+
+        matchmaking.enqueue(ann, { region: 'eu' });
+        matchmaking.enqueue(bob, { region: 'eu' });
+        expect(matchmaking.dequeue('ann')).toBe(true);
+        bob.connected = false;
+        jest.advanceTimersByTime(1000);
+
+        expect(matchmaking.queue.size).toBe(0);
+        expect(matchmaking.getPublicRooms()).toEqual([]);
+    });
+});
+
+describe('MatchmakingService reservations', () => {
+    test('holds a matched player\'s seat until they join', () => {
+        const { roomManager, matchmaking } = createMatchmaking();
+        roomManager.maxPlayersPerRoom = 2;
+        const room = matchAndJoin(roomManager, matchmaking, 'ann', 'eu');
+        const bob = createSocket('bob');
+        const cat = createSocket('cat');
+
+        matchmaking.enqueue(bob, { region: 'eu' });
+        jest.advanceTimersByTime(1000);
+        expect(lastSent(bob, 'match-found').roomId).toBe(room.id);
+        expect(matchmaking.getSeatsTaken(room)).toBe(2);
+
+        // Bob hasn't turned up yet, but the room is full
+        matchmaking.enqueue(cat, { region: 'eu' });
+        jest.advanceTimersByTime(1000);
+        expect(lastSent(cat, 'match-found').roomId).not.toBe(room.id);
+
+        roomManager.joinRoom(bob, room.id, 'Bob');
+        jest.advanceTimersByTime(1000);
+        expect(matchmaking.reservations.has('bob')).toBe(false);
+        expect(matchmaking.getSeatsTaken(room)).toBe(2);
+    });
+
+    test('gives the seat away when a matched player doesn\'t turn up in time', () => {
+        const { roomManager, matchmaking } = createMatchmaking();
+        roomManager.maxPlayersPerRoom = 2;
+        const room = matchAndJoin(roomManager, matchmaking, 'ann', 'eu');
+        const bob = createSocket('bob');
+        const cat = createSocket('cat');
+
+        // Matched on the next tick, then 15 seconds to join
+        matchmaking.enqueue(bob, { region: 'eu' });
+        jest.advanceTimersByTime(1000 + 15000);
+        expect(matchmaking.reservations.has('bob')).toBe(true);
+
+        jest.advanceTimersByTime(1000);
+        expect(matchmaking.reservations.has('bob')).toBe(false);
+        expect(matchmaking.getSeatsTaken(room)).toBe(1);
+
+        matchmaking.enqueue(cat, { region: 'eu' });
+        jest.advanceTimersByTime(1000);
+        expect(lastSent(cat, 'match-found').roomId).toBe(room.id);
+    });
+});
+
+describe('MatchmakingService backfill', () => {
+    test('tops a room up to four racers with AI that makes way for players', () => {
+        const { roomManager, matchmaking } = createMatchmaking();
+        const room = matchAndJoin(roomManager, matchmaking, 'ann', 'eu');
+
+        jest.advanceTimersByTime(1000);
+        expect(room.aiPlayers.size).toBe(3);
+
+        matchAndJoin(roomManager, matchmaking, 'bob', 'eu');
+        jest.advanceTimersByTime(1000);
+        expect(room.aiPlayers.size).toBe(2);
+        expect(matchmaking.getStats().rooms).toEqual([{ id: room.id, region: 'eu', players: 2, aiPlayers: 2, maxPlayers: 8 }]);
+    });
+
+    test('adds no AI once a room has four players', () => {
+        const { roomManager, matchmaking } = createMatchmaking();
+        const room = matchAndJoin(roomManager, matchmaking, 'ann', 'eu');
+        ['bob', 'cat', 'dan'].forEach(id => matchAndJoin(roomManager, matchmaking, id, 'eu'));
+
+        jest.advanceTimersByTime(1000);
+        expect(room.players.size).toBe(4);
+        expect(room.aiPlayers.size).toBe(0);
+        expect(roomManager.aiPlayerManager.aiPlayers.size).toBe(0);
+    });
+
+    test('keeps AI out of empty rooms', () => {
+        const { roomManager, matchmaking } = createMatchmaking();
+        const room = roomManager.createPublicRoom('eu');
+
+        jest.advanceTimersByTime(1000);
+        expect(room.aiPlayers.size).toBe(0);
+    });
+});
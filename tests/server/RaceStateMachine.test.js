@@ -0,0 +1,294 @@
+import { jest } from '@jest/globals';
+import { RaceStateMachine, RACE_STATES } from '../../server/src/RaceStateMachine.js';
+import { TrackRegistry } from '../../server/src/TrackRegistry.js';
+
+const track = new TrackRegistry().get('default'); // Checkpoints at 0.25, 0.5 and 0.75
+
+// Where a client's last player-update puts a car that is u of the way round the lap
+function positionAt(u) {
+    const point = track.getPointAt(u);
+    return [point.x, point.y, point.z];
+}
+
+function createRace(options = {}) {
+    const events = [];
+    const race = new RaceStateMachine('room-1', (event, data) => events.push({ event, data }), {
+        totalLaps: 2,
+        getTrack: () => track,
+        ...options
+    });
+    return { race, events };
+}
+
+// Ready everyone up and wait out the countdown
+function startRace(race, players = [{ id: 'p1', name: 'Ann' }, { id: 'p2', name: 'Bob' }]) {
+    race.startReadyCheck(players);
+    players.forEach(player => race.markReady(player.id));
+    jest.advanceTimersByTime(3000);
+}
+
+// Drive a player round the track, reporting every checkpoint and lap on the way
+function driveLaps(race, playerId, laps, fromLap = 0) {
+    for (let lap = fromLap; lap < fromLap + laps; lap++) {
+        track.checkpoints.forEach((u, checkpoint) => {
+            expect(race.updateProgress(playerId, { lap, checkpoint }, positionAt(u))).toBe(true);
+        });
+        expect(race.updateProgress(playerId, { lap: lap + 1, checkpoint: -1 }, positionAt(0))).toBe(true);
+    }
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('RaceStateMachine progress', () => {
+    test('accepts each checkpoint in track order at the car\'s position', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        driveLaps(race, 'p1', 1);
+        const participant = race.participants.get('p1');
+        expect(participant.lap).toBe(1);
+        expect(participant.checkpoint).toBe(-1);
+    });
+
+    test('ignores progress before the race has started', () => {
+        const { race } = createRace();
+        race.startReadyCheck([{ id: 'p1', name: 'Ann' }]);
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: 0 }, positionAt(0.25))).toBe(false);
+    });
+
+    test('rejects skipped checkpoints', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: 1 }, positionAt(0.5))).toBe(false);
+        expect(race.updateProgress('p1', { lap: 1, checkpoint: -1 }, positionAt(0))).toBe(false);
+        expect(race.participants.get('p1').checkpoint).toBe(-1);
+    });
+
+    test('rejects repeated and stale reports', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: 0 }, positionAt(0.25))).toBe(true);
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: 0 }, positionAt(0.25))).toBe(false);
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: -1 }, positionAt(0.25))).toBe(false);
+    });
+
+    test('only starts a new lap once every checkpoint is passed', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        race.updateProgress('p1', { lap: 0, checkpoint: 0 }, positionAt(0.25));
+        race.updateProgress('p1', { lap: 0, checkpoint: 1 }, positionAt(0.5));
+        expect(race.updateProgress('p1', { lap: 1, checkpoint: -1 }, positionAt(0))).toBe(false);
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: 3 }, positionAt(0))).toBe(false);
+    });
+
+    test('rejects checkpoints away from the car\'s last position', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: 0 }, positionAt(0.1))).toBe(false);
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: 0 }, [0, 0, 0])).toBe(false);
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: 0 }, null)).toBe(false);
+        expect(race.updateProgress('p1', { lap: 0, checkpoint: 0 }, positionAt(0.26))).toBe(true);
+    });
+
+    test('takes the AI\'s progress without a position', () => {
+        const { race } = createRace({ addAIRacers: () => [{ id: 'ai-1', name: 'Turbo' }] });
+        startRace(race, [{ id: 'p1', name: 'Ann' }]);
+
+        expect(race.updateProgress('ai-1', { lap: 0, checkpoint: 0 })).toBe(true);
+        expect(race.updateProgress('ai-1', { lap: 0, checkpoint: 2 })).toBe(false);
+    });
+
+    test('records a split for every checkpoint', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        jest.advanceTimersByTime(4000);
+        race.updateProgress('p1', { lap: 0, checkpoint: 0 }, positionAt(0.25));
+        expect(race.splits.get('p1').get('0:0')).toBe(4);
+    });
+});
+
+describe('RaceStateMachine lifecycle', () => {
+    test('goes from the lobby through the ready check and countdown to racing', () => {
+        const { race, events } = createRace();
+        expect(race.state).toBe(RACE_STATES.LOBBY);
+
+        race.startReadyCheck([{ id: 'p1', name: 'Ann' }, { id: 'p2', name: 'Bob' }]);
+        expect(race.state).toBe(RACE_STATES.READY_CHECK);
+        expect(race.markReady('p1')).toBe(true);
+        expect(race.state).toBe(RACE_STATES.READY_CHECK);
+
+        race.markReady('p2');
+        expect(race.state).toBe(RACE_STATES.COUNTDOWN);
+        expect(race.startTime).toBe(Date.now() + 3000);
+
+        jest.advanceTimersByTime(3000);
+        expect(race.state).toBe(RACE_STATES.RACING);
+        expect(events.filter(e => e.event === 'race-state').map(e => e.data.state))
+            .toEqual([RACE_STATES.READY_CHECK, RACE_STATES.COUNTDOWN, RACE_STATES.RACING]);
+    });
+
+    test('leaves out players who miss the ready check', () => {
+        const { race } = createRace();
+        race.startReadyCheck([{ id: 'p1', name: 'Ann' }, { id: 'p2', name: 'Bob' }]);
+        race.markReady('p1');
+
+        jest.advanceTimersByTime(10000);
+        expect(race.state).toBe(RACE_STATES.COUNTDOWN);
+        expect(Array.from(race.participants.keys())).toEqual(['p1']);
+    });
+
+    test('goes back to the lobby when nobody is ready', () => {
+        const { race } = createRace();
+        race.startReadyCheck([{ id: 'p1', name: 'Ann' }]);
+
+        jest.advanceTimersByTime(10000);
+        expect(race.state).toBe(RACE_STATES.LOBBY);
+    });
+
+    test('refuses to start a race while one is running', () => {
+        const { race } = createRace();
+        startRace(race);
+        expect(() => race.startReadyCheck([{ id: 'p1', name: 'Ann' }])).toThrow('Cannot start a race while the race is racing');
+    });
+
+    test('goes back to the lobby when every player leaves mid-race', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        race.removePlayer('p1');
+        race.removePlayer('p2');
+        expect(race.state).toBe(RACE_STATES.LOBBY);
+    });
+
+    test('publishes the results once everyone has finished', () => {
+        const { race, events } = createRace();
+        startRace(race);
+
+        jest.advanceTimersByTime(30000);
+        driveLaps(race, 'p1', 2);
+        race.recordFinish('p1');
+        jest.advanceTimersByTime(5000);
+        driveLaps(race, 'p2', 2);
+        race.recordFinish('p2');
+
+        expect(race.state).toBe(RACE_STATES.RESULTS);
+        expect(race.results.map(result => [result.id, result.position, result.time, result.gap]))
+            .toEqual([['p1', 1, 30, 0], ['p2', 2, 35, 5]]);
+        expect(events.some(e => e.event === 'race-results')).toBe(true);
+    });
+
+    test('gives the rest of the field a minute after the winner', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        driveLaps(race, 'p1', 2);
+        race.recordFinish('p1');
+        jest.advanceTimersByTime(60000);
+
+        expect(race.state).toBe(RACE_STATES.RESULTS);
+        expect(race.results[1]).toMatchObject({ id: 'p2', finished: false, time: null });
+    });
+
+    test('carries a reconnecting player\'s progress over to their new ID', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        race.updateProgress('p1', { lap: 0, checkpoint: 0 }, positionAt(0.25));
+        race.replacePlayer('p1', 'p1-new');
+        expect(race.participants.get('p1-new')).toMatchObject({ id: 'p1-new', checkpoint: 0 });
+        expect(race.updateProgress('p1-new', { lap: 0, checkpoint: 1 }, positionAt(0.5))).toBe(true);
+    });
+});
+
+describe('RaceStateMachine finish', () => {
+    test('rejects a finish before every lap has been driven', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        driveLaps(race, 'p1', 1);
+        expect(race.recordFinish('p1', [20, 20])).toBeNull();
+        expect(race.participants.get('p1').finishTime).toBeNull();
+    });
+
+    test('counts a finish from the last checkpoint of the last lap', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        driveLaps(race, 'p1', 1);
+        track.checkpoints.forEach((u, checkpoint) => {
+            race.updateProgress('p1', { lap: 1, checkpoint }, positionAt(u));
+        });
+        expect(race.recordFinish('p1')).toMatchObject({ id: 'p1', position: 1 });
+    });
+
+    test('keeps reported lap times that match the server\'s', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        jest.advanceTimersByTime(20000);
+        driveLaps(race, 'p1', 1);
+        jest.advanceTimersByTime(25000);
+        driveLaps(race, 'p1', 1, 1);
+        race.recordFinish('p1', [20.3, 24.9]);
+
+        expect(race.participants.get('p1').lapTimes).toEqual([20.3, 24.9]);
+    });
+
+    test('replaces reported lap times that don\'t match with the server\'s', () => {
+        const { race } = createRace({ timeTrial: true });
+        startRace(race);
+
+        jest.advanceTimersByTime(20000);
+        driveLaps(race, 'p1', 1);
+        jest.advanceTimersByTime(25000);
+        driveLaps(race, 'p1', 1, 1);
+        race.recordFinish('p1', [5, 40]);
+
+        expect(race.participants.get('p1').lapTimes).toEqual([20, 25]);
+    });
+
+    test('replaces missing or malformed lap times with the server\'s', () => {
+        const { race } = createRace();
+        startRace(race);
+
+        jest.advanceTimersByTime(20000);
+        driveLaps(race, 'p1', 2);
+        race.recordFinish('p1', 'fast');
+        driveLaps(race, 'p2', 2);
+        race.recordFinish('p2', [10]);
+
+        expect(race.participants.get('p1').lapTimes).toEqual([20, 0]);
+        expect(race.participants.get('p2').lapTimes).toEqual([20, 0]);
+    });
+
+    test('ranks a time trial by the best lap', () => {
+        const { race } = createRace({ timeTrial: true });
+        startRace(race);
+
+        jest.advanceTimersByTime(30000);
+        driveLaps(race, 'p1', 1);
+        jest.advanceTimersByTime(30000);
+        driveLaps(race, 'p1', 1, 1);
+        race.recordFinish('p1');
+
+        driveLaps(race, 'p2', 1);
+        jest.advanceTimersByTime(40000);
+        driveLaps(race, 'p2', 1, 1);
+        race.recordFinish('p2');
+
+        expect(race.results.map(result => [result.id, result.bestLap])).toEqual([['p1', 30], ['p2', 40]]);
+    });
+});
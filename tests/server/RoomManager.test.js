@@ -0,0 +1,304 @@
+import { jest } from '@jest/globals';
+import { RoomManager } from '../../server/src/RoomManager.js';
+import { RACE_STATES } from '../../server/src/RaceStateMachine.js';
+import { HIT_EFFECTS } from '../../shared/constants/ItemEffects.js';
+
+const ROOM_ID = 'room-1';
+
+// Collects what the manager broadcasts to rooms
+function createIo() {
+    const broadcasts = [];
+    return {
+        broadcasts,
+        to: roomId => ({ emit: (event, data) => broadcasts.push({ roomId, event, data }) }),
+        sockets: { sockets: new Map() }
+    };
+}
+
+function createSocket(id) {
+    return { id, emit: jest.fn(), join: jest.fn(), leave: jest.fn() };
+}
+
+function eventsOf(io, event) {
+    return io.broadcasts.filter(broadcast => broadcast.event === event).map(broadcast => broadcast.data);
+}
+
+// A private room with Ann (the host) and Bob
+function createRoom() {
+    const io = createIo();
+    const manager = new RoomManager(io);
+    manager.joinRoom(createSocket('ann'), ROOM_ID, 'Ann');
+    jest.advanceTimersByTime(1000);
+    manager.joinRoom(createSocket('bob'), ROOM_ID, 'Bob');
+    return { io, manager, room: manager.rooms.get(ROOM_ID) };
+}
+
+// Ready everyone up and wait out the countdown
+function startRace(manager) {
+    manager.setPlayerReady(ROOM_ID, 'bob', true);
+    manager.startRace(ROOM_ID, 'ann');
+    manager.markRaceReady(ROOM_ID, 'ann');
+    manager.markRaceReady(ROOM_ID, 'bob');
+    jest.advanceTimersByTime(3000);
+}
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+describe('RoomManager hosts', () => {
+    test('makes the first player to join the host', () => {
+        const { room } = createRoom();
+
+        expect(room.hostId).toBe('ann');
+    });
+
+    test('lets only the host start a race', () => {
+        const { manager } = createRoom();
+        manager.setPlayerReady(ROOM_ID, 'bob', true);
+
+        expect(() => manager.startRace(ROOM_ID, 'bob')).toThrow('Only the room host can start the race');
+        expect(manager.roomRaces.get(ROOM_ID).state).toBe(RACE_STATES.LOBBY);
+    });
+
+    test('starts a race once everyone but the host is ready', () => {
+        const { manager, room } = createRoom();
+        manager.joinRoom(createSocket('cat'), ROOM_ID, 'Cat');
+
+        expect(() => manager.startRace(ROOM_ID, 'ann')).toThrow('Waiting for Bob, Cat to get ready');
+        manager.setPlayerReady(ROOM_ID, 'bob', true);
+        expect(() => manager.startRace(ROOM_ID, 'ann')).toThrow('Waiting for Cat to get ready');
+
+        manager.setPlayerReady(ROOM_ID, 'cat', true);
+        expect(manager.startRace(ROOM_ID, 'ann').state).toBe(RACE_STATES.READY_CHECK);
+        expect(Array.from(room.players.values()).map(player => player.ready)).toEqual([false, false, false]);
+    });
+
+    test('lets the host remove another player', () => {
+        const { io, manager, room } = createRoom();
+
+        expect(manager.kickPlayer(ROOM_ID, 'ann', 'bob')).toMatchObject({ id: 'bob', name: 'Bob' });
+        expect(room.players.has('bob')).toBe(false);
+        expect(manager.playerRooms.has('bob')).toBe(false);
+        expect(eventsOf(io, 'room-players').pop().players.map(player => player.id)).toEqual(['ann']);
+    });
+
+    test('only lets the host remove players, and not themselves', () => {
+        const { manager, room } = createRoom();
+
+        expect(() => manager.kickPlayer(ROOM_ID, 'bob', 'ann')).toThrow('Only the room host can remove players');
+        expect(() => manager.kickPlayer(ROOM_ID, 'ann', 'ann')).toThrow('The host cannot remove themselves');
+        expect(() => manager.kickPlayer(ROOM_ID, 'ann', 'cat')).toThrow('Player not found in this room');
+        expect(Array.from(room.players.keys())).toEqual(['ann', 'bob']);
+    });
+
+    test('lets the host hand over the host role', () => {
+        const { manager, room } = createRoom();
+
+        expect(() => manager.transferHost(ROOM_ID, 'bob', 'bob')).toThrow('Only the room host can hand over the host role');
+        expect(() => manager.transferHost(ROOM_ID, 'ann', 'cat')).toThrow('Player not found in this room');
+        expect(room.hostId).toBe('ann');
+
+        manager.transferHost(ROOM_ID, 'ann', 'bob');
+        expect(room.hostId).toBe('bob');
+        expect(() => manager.startRace(ROOM_ID, 'ann')).toThrow('Only the room host can start the race');
+    });
+
+    test('passes the host role to the longest-joined player when the host leaves', () => {
+        const { manager, room } = createRoom();
+        jest.advanceTimersByTime(1000);
+        manager.joinRoom(createSocket('cat'), ROOM_ID, 'Cat');
+
+        manager.leaveRoom('ann');
+        expect(room.hostId).toBe('bob');
+
+        manager.kickPlayer(ROOM_ID, 'bob', 'cat');
+        manager.joinRoom(createSocket('dan'), ROOM_ID, 'Dan');
+        manager.removePlayerFromRoom(ROOM_ID, 'bob');
+        expect(room.hostId).toBe('dan');
+    });
+
+    test('keeps the host while they are in the room', () => {
+        const { manager, room } = createRoom();
+
+        manager.leaveRoom('bob');
+        manager.updateHost(room);
+        expect(room.hostId).toBe('ann');
+    });
+});
+
+describe('RoomManager disconnects', () => {
+    test('holds a dropped player\'s slot for the grace period mid-race', () => {
+        const { io, manager, room } = createRoom();
+        startRace(manager);
+        expect(manager.roomRaces.get(ROOM_ID).state).toBe(RACE_STATES.RACING);
+
+        expect(manager.disconnectPlayer('bob')).toBe(ROOM_ID);
+        expect(room.players.has('bob')).toBe(true);
+        expect(manager.getRoomPlayers(room).players.find(player => player.id === 'bob').connected).toBe(false);
+        expect(eventsOf(io, 'player-disconnected')).toEqual([{ peerId: 'bob', playerName: 'Bob', gracePeriod: 30000 }]);
+        expect(eventsOf(io, 'peer-left')).toEqual([]);
+
+        jest.advanceTimersByTime(30000);
+        expect(eventsOf(io, 'peer-left')).toEqual([{ peerId: 'bob' }]);
+        expect(room.players.has('bob')).toBe(false);
+        expect(manager.playerRooms.has('bob')).toBe(false);
+    });
+
+    test('holds no slot outside a race', () => {
+        const { io, manager, room } = createRoom();
+
+        expect(manager.disconnectPlayer('bob')).toBeNull();
+        expect(room.players.get('bob').disconnectTimer).toBeUndefined();
+        expect(eventsOf(io, 'player-disconnected')).toEqual([]);
+    });
+
+    test('gives a reconnecting player their slot back under the new socket', () => {
+        const { io, manager, room } = createRoom();
+        startRace(manager);
+        const token = room.players.get('ann').reconnectToken;
+        manager.roomItemManagers.get(ROOM_ID).heldItems.set('ann', 'shell');
+
+        manager.disconnectPlayer('ann');
+        const socket = createSocket('ann-2');
+        const reconnected = manager.reconnectPlayer(socket, ROOM_ID, token);
+
+        expect(reconnected).toMatchObject({ previousId: 'ann', player: { id: 'ann-2', name: 'Ann' } });
+        expect(Array.from(room.players.keys()).sort()).toEqual(['ann-2', 'bob']);
+        expect(room.hostId).toBe('ann-2');
+        expect(manager.playerRooms.get('ann-2')).toBe(ROOM_ID);
+        expect(manager.playerRooms.has('ann')).toBe(false);
+        expect(manager.roomRaces.get(ROOM_ID).participants.has('ann-2')).toBe(true);
+        expect(manager.roomItemManagers.get(ROOM_ID).heldItems.get('ann-2')).toBe('shell');
+        expect(socket.emit).toHaveBeenCalledWith('items-sync', expect.any(Array));
+
+        // The grace period no longer runs out on them
+        jest.advanceTimersByTime(30000);
+        expect(room.players.has('ann-2')).toBe(true);
+        expect(eventsOf(io, 'peer-left')).toEqual([]);
+    });
+
+    test('won\'t hand a connected player\'s slot to someone with their token', () => {
+        const { manager, room } = createRoom();
+        startRace(manager);
+        const token = room.players.get('bob').reconnectToken;
+
+        expect(manager.hasReconnectSlot(ROOM_ID, token)).toBe(false);
+        expect(manager.reconnectPlayer(createSocket('intruder'), ROOM_ID, token)).toBeNull();
+        expect(room.players.has('bob')).toBe(true);
+        expect(room.players.has('intruder')).toBe(false);
+    });
+
+    test('refuses unknown tokens and tokens of players who have gone', () => {
+        const { manager, room } = createRoom();
+        startRace(manager);
+        const token = room.players.get('bob').reconnectToken;
+
+        manager.disconnectPlayer('bob');
+        expect(manager.hasReconnectSlot(ROOM_ID, token)).toBe(true);
+        expect(manager.reconnectPlayer(createSocket('bob-2'), ROOM_ID, 'not-a-token')).toBeNull();
+
+        jest.advanceTimersByTime(30000);
+        expect(manager.hasReconnectSlot(ROOM_ID, token)).toBe(false);
+        expect(manager.reconnectPlayer(createSocket('bob-2'), ROOM_ID, token)).toBeNull();
+    });
+});
+
+describe('RoomManager items', () => {
+    // Put an item of the given type where Ann is
+    function placeItem(manager, type) {
+        const itemManager = manager.roomItemManagers.get(ROOM_ID);
+        itemManager.items.set('item-1', { id: 'item-1', type, position: { x: 0, y: 1, z: 0 }, createdAt: Date.now() });
+        return itemManager;
+    }
+
+    test('hands an item to the player at it and tells the room', () => {
+        const { io, manager } = createRoom();
+        const itemManager = placeItem(manager, 'shell');
+        manager.updatePlayerActivity('ann', [1, 0, 2]);
+
+        expect(manager.collectItem(ROOM_ID, 'item-1', 'ann')).toMatchObject({ type: 'shell' });
+        expect(itemManager.heldItems.get('ann')).toBe('shell');
+        expect(eventsOf(io, 'item-collected')).toEqual([{ itemId: 'item-1', type: 'shell', collectedBy: 'ann' }]);
+    });
+
+    test('goes by the position the player last reported', () => {
+        const { io, manager } = createRoom();
+        placeItem(manager, 'shell');
+
+        expect(() => manager.collectItem(ROOM_ID, 'item-1', 'bob')).toThrow('Too far from the item');
+        manager.updatePlayerActivity('bob', [50, 0, 0]);
+        expect(() => manager.collectItem(ROOM_ID, 'item-1', 'bob')).toThrow('Too far from the item');
+        expect(eventsOf(io, 'item-collected')).toEqual([]);
+    });
+
+    test('refuses to throw an item the player doesn\'t hold', () => {
+        const { io, manager } = createRoom();
+        manager.updatePlayerActivity('ann', [0, 0, 0]);
+
+        expect(() => manager.useItem(ROOM_ID, 'ann', { x: 0, z: 1 })).toThrow('No item to use');
+        expect(eventsOf(io, 'projectile-spawned')).toEqual([]);
+    });
+
+    test('needs to know where the thrower is', () => {
+        const { manager } = createRoom();
+        manager.roomItemManagers.get(ROOM_ID).heldItems.set('ann', 'shell');
+
+        expect(() => manager.useItem(ROOM_ID, 'ann', { x: 0, z: 1 })).toThrow('Position unknown');
+        expect(manager.roomItemManagers.get(ROOM_ID).heldItems.get('ann')).toBe('shell');
+    });
+
+    test('moves a thrown shell until it hits someone', () => {
+        const { io, manager } = createRoom();
+        manager.roomItemManagers.get(ROOM_ID).heldItems.set('ann', 'shell');
+        manager.updatePlayerActivity('ann', [0, 0, 0]);
+        manager.updatePlayerActivity('bob', [0, 0, 30]);
+
+        const shell = manager.useItem(ROOM_ID, 'ann', { x: 0, z: 1 });
+        expect(eventsOf(io, 'projectile-spawned')).toEqual([shell]);
+
+        jest.advanceTimersByTime(1000);
+        expect(eventsOf(io, 'projectiles-update').length).toBeGreaterThan(0);
+        expect(eventsOf(io, 'item-hit')).toEqual([expect.objectContaining({
+            projectileId: shell.id,
+            type: 'shell',
+            throwerId: 'ann',
+            targetId: 'bob',
+            effect: HIT_EFFECTS.shell
+        })]);
+        expect(manager.roomItemManagers.get(ROOM_ID).projectiles.size).toBe(0);
+    });
+
+    test('doesn\'t hit players who have dropped out', () => {
+        const { io, manager, room } = createRoom();
+        startRace(manager);
+        manager.roomItemManagers.get(ROOM_ID).heldItems.set('ann', 'banana');
+        manager.updatePlayerActivity('ann', [0, 0, 0]);
+        manager.updatePlayerActivity('bob', [0, 0, -4]);
+        manager.disconnectPlayer('bob');
+
+        expect(manager.getItemTargets(room).map(target => target.id)).toEqual(['ann']);
+        manager.useItem(ROOM_ID, 'ann', { x: 0, z: 1 });
+        jest.advanceTimersByTime(500);
+        expect(eventsOf(io, 'item-hit')).toEqual([]);
+    });
+
+    test('slows down an AI car that is hit', () => {
+        const { io, manager } = createRoom();
+        const aiPlayer = { id: 'ai-1', room: ROOM_ID, position: { x: 0, y: 0, z: 0 }, speed: 50 };
+        manager.aiPlayerManager = { aiPlayers: new Map([['ai-1', aiPlayer]]) };
+        const projectile = { id: 'p-1', type: 'banana', throwerId: 'ann', position: { x: 0, y: 0, z: 0 } };
+
+        manager.applyItemHit(ROOM_ID, { projectile, targetId: 'ai-1' });
+
+        expect(aiPlayer.speed).toBeCloseTo(50 * HIT_EFFECTS.banana.speedFactor);
+        expect(eventsOf(io, 'item-hit')).toEqual([expect.objectContaining({ targetId: 'ai-1', effect: HIT_EFFECTS.banana })]);
+    });
+});
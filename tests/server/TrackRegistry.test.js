@@ -0,0 +1,92 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { TrackRegistry, DEFAULT_TRACK_ID } from '../../server/src/TrackRegistry.js';
+import { SILVERSTONE_LAYOUT } from '../../shared/tracks/SilverstoneLayout.js';
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('TrackRegistry', () => {
+    const registry = new TrackRegistry();
+
+    test('lists the built-in tracks and the ones in public/tracks', () => {
+        expect(registry.list()).toEqual([
+            { id: 'default', name: 'Circular Track' },
+            { id: 'silverstone', name: 'Silverstone Circuit' },
+            { id: 'lakeside', name: expect.any(String) }
+        ]);
+    });
+
+    test('finds the circular track under its aliases', () => {
+        expect(registry.get('track1')).toBe(registry.get(DEFAULT_TRACK_ID));
+        expect(registry.get('circular')).toBe(registry.get(DEFAULT_TRACK_ID));
+    });
+
+    test('starts Silverstone on its finish line', () => {
+        const start = registry.get('silverstone').getPointAt(0);
+        expect(start.x).toBeCloseTo(SILVERSTONE_LAYOUT.start.x);
+        expect(start.z).toBeCloseTo(SILVERSTONE_LAYOUT.start.z);
+    });
+
+    test('puts Silverstone\'s checkpoints where the client\'s are', () => {
+        const silverstone = registry.get('silverstone');
+        expect(silverstone.checkpoints).toHaveLength(SILVERSTONE_LAYOUT.checkpoints.length);
+
+        silverstone.checkpoints.forEach((u, index) => {
+            const point = silverstone.getPointAt(u);
+            expect(point.x).toBeCloseTo(SILVERSTONE_LAYOUT.checkpoints[index].x);
+            expect(point.z).toBeCloseTo(SILVERSTONE_LAYOUT.checkpoints[index].z);
+        });
+        expect([...silverstone.checkpoints].sort((a, b) => a - b)).toEqual(silverstone.checkpoints);
+    });
+
+    test('throws for unknown tracks', () => {
+        expect(registry.has('nowhere')).toBe(false);
+        expect(() => registry.get('nowhere')).toThrow('Unknown track: nowhere');
+    });
+
+    test('falls back to the default track when resolving an unknown ID', () => {
+        expect(registry.resolveTrackId('silverstone')).toBe('silverstone');
+        expect(registry.resolveTrackId('nowhere')).toBe(DEFAULT_TRACK_ID);
+        expect(registry.resolveTrackId(undefined)).toBe(DEFAULT_TRACK_ID);
+    });
+});
+
+describe('TrackRegistry track files', () => {
+    let tracksDir;
+
+    beforeEach(() => {
+        tracksDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracks-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tracksDir, { recursive: true, force: true });
+    });
+
+    test('loads valid track files and skips broken ones', () => {
+        const lakeside = fs.readFileSync(new URL('../../public/tracks/lakeside.json', import.meta.url), 'utf8');
+        fs.writeFileSync(path.join(tracksDir, 'lakeside.json'), lakeside);
+        fs.writeFileSync(path.join(tracksDir, 'broken.json'), '{ "id": ');
+        fs.writeFileSync(path.join(tracksDir, 'index.json'), '[]');
+
+        const registry = new TrackRegistry({ tracksDir });
+        expect(registry.has('lakeside')).toBe(true);
+        expect(registry.list()).toHaveLength(3);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Skipping invalid track broken.json'));
+    });
+
+    test('keeps the built-in tracks when the directory is missing', () => {
+        const registry = new TrackRegistry({ tracksDir: path.join(tracksDir, 'missing') });
+        expect(registry.list().map(track => track.id)).toEqual(['default', 'silverstone']);
+        expect(console.warn).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,111 @@
+import { MESSAGE_TYPES, encodeMessage, decodeMessage } from '../../shared/utils/NetworkProtocol.js';
+
+const POSITION_STEP = 0.05;
+const ANGLE_STEP = Math.PI / 32767;
+
+function playerUpdate(overrides = {}) {
+    return {
+        position: [12.34, 0.5, -87.61],
+        rotation: 1.2345,
+        trackId: 'silverstone',
+        sequence: 4321,
+        timestamp: 1760900000123.5,
+        ...overrides
+    };
+}
+
+function expectPositionClose(actual, expected) {
+    actual.forEach((value, index) => {
+        expect(Math.abs(value - expected[index])).toBeLessThanOrEqual(POSITION_STEP / 2);
+    });
+}
+
+describe('NetworkProtocol', () => {
+    test('round-trips a player update', () => {
+        const update = playerUpdate();
+        const message = decodeMessage(encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, update));
+
+        expect(message.type).toBe(MESSAGE_TYPES.PLAYER_UPDATE);
+        expectPositionClose(message.position, update.position);
+        expect(Math.abs(message.rotation - update.rotation)).toBeLessThanOrEqual(ANGLE_STEP);
+        expect(message).toMatchObject({ trackId: 'silverstone', sequence: 4321, timestamp: update.timestamp });
+    });
+
+    test('round-trips a peer update', () => {
+        const update = { peerId: 'Xy3_socket-id', ...playerUpdate() };
+        const message = decodeMessage(encodeMessage(MESSAGE_TYPES.PEER_UPDATE, update));
+
+        expect(message.type).toBe(MESSAGE_TYPES.PEER_UPDATE);
+        expect(message.peerId).toBe('Xy3_socket-id');
+        expectPositionClose(message.position, update.position);
+        expect(message).toMatchObject({ trackId: 'silverstone', sequence: 4321, timestamp: update.timestamp });
+    });
+
+    test('takes positions as objects too', () => {
+        const message = decodeMessage(encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate({ position: { x: 1, y: 2, z: 3 } })));
+        expect(message.position).toEqual([1, 2, 3]);
+    });
+
+    test('decodes from an ArrayBuffer and from a view into a larger buffer', () => {
+        const bytes = encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate());
+        expect(decodeMessage(bytes.buffer).sequence).toBe(4321);
+
+        const padded = new Uint8Array(bytes.length + 8);
+        padded.set(bytes, 4);
+        expect(decodeMessage(padded.subarray(4, 4 + bytes.length)).sequence).toBe(4321);
+    });
+
+    test('wraps angles and sequence numbers', () => {
+        const message = decodeMessage(encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate({
+            rotation: Math.PI * 2 + 0.5,
+            sequence: 65536 + 7
+        })));
+
+        expect(message.rotation).toBeCloseTo(0.5, 4);
+        expect(message.sequence).toBe(7);
+    });
+
+    test('keeps positions far from the origin', () => {
+        const message = decodeMessage(encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate({ position: [5000, -1638.45, 40000.05] })));
+        expectPositionClose(message.position, [5000, -1638.45, 40000.05]);
+    });
+
+    test('takes positions up to the edge of the quantized range', () => {
+        const edge = 2147483647 / 20;
+        const message = decodeMessage(encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate({ position: [edge, -edge, 0] })));
+        expect(message.position).toEqual([edge, -edge, 0]);
+    });
+
+    test('refuses positions beyond the quantized range instead of moving them', () => {
+        const beyond = 2147483648 / 20;
+
+        expect(() => encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate({ position: [beyond, 0, 0] })))
+            .toThrow(`Position ${beyond} is out of range`);
+        expect(() => encodeMessage(MESSAGE_TYPES.PEER_UPDATE, { peerId: 'peer', ...playerUpdate({ position: { x: 0, y: 0, z: -Infinity } }) }))
+            .toThrow('Position -Infinity is out of range');
+    });
+
+    test('reads an empty string back as null and round-trips UTF-8', () => {
+        expect(decodeMessage(encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate({ trackId: '' }))).trackId).toBeNull();
+        expect(decodeMessage(encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate({ trackId: null }))).trackId).toBeNull();
+        expect(decodeMessage(encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate({ trackId: 'Nürburgring' }))).trackId).toBe('Nürburgring');
+    });
+
+    test('cuts strings off at 255 bytes', () => {
+        const message = decodeMessage(encodeMessage(MESSAGE_TYPES.PLAYER_UPDATE, playerUpdate({ trackId: 'x'.repeat(300) })));
+        expect(message.trackId).toBe('x'.repeat(255));
+    });
+
+    test('rejects unknown message types', () => {
+        expect(() => encodeMessage(99, {})).toThrow('Unknown message type 99');
+        expect(() => decodeMessage(new Uint8Array([99]))).toThrow('Unknown message type 99');
+    });
+
+    test('rejects empty and truncated messages', () => {
+        const bytes = encodeMessage(MESSAGE_TYPES.PEER_UPDATE, { peerId: 'peer', ...playerUpdate() });
+
+        expect(() => decodeMessage(new Uint8Array(0))).toThrow('Empty message');
+        expect(() => decodeMessage(bytes.subarray(0, bytes.length - 1))).toThrow('Truncated message of type 2');
+        expect(() => decodeMessage(bytes.subarray(0, 3))).toThrow('Truncated message of type 2');
+    });
+});